@@ -31,7 +31,7 @@
   // OPTION 2
   // Load from pre-bundled file on disk. To re-generate the static bundle, run
   //
-  // $ curl http://localhost:8081/Examples/SampleApp/index.ios.bundle -o main.jsbundle
+  // $ react-native bundle --entry-file Examples/SampleApp/index.ios.js --bundle-output main.jsbundle
   //
   // and uncomment the next following line
   // jsCodeLocation = [[NSBundle mainBundle] URLForResource:@"main" withExtension:@"jsbundle"];
@@ -31,7 +31,7 @@
                           failureCallback:(RCTResponseSenderBlock)failureCallback
                           successCallback:(RCTResponseSenderBlock)successCallback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSDictionary);
 
   dispatch_async(dispatch_get_main_queue(), ^{
     UIActionSheet *actionSheet = [[UIActionSheet alloc] init];
@@ -66,7 +66,7 @@
                         failureCallback:(RCTResponseSenderBlock)failureCallback
                         successCallback:(RCTResponseSenderBlock)successCallback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSDictionary);
 
   dispatch_async(dispatch_get_main_queue(), ^{
     NSMutableArray *items = [NSMutableArray array];
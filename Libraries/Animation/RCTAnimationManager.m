@@ -63,7 +63,7 @@
 
 - (void)startAnimationForTag:(NSNumber *)reactTag animationTag:(NSNumber *)animationTag duration:(double)duration delay:(double)delay easingSample:(NSArray *)easingSample properties:(NSDictionary *)properties
 {
-  RCT_EXPORT(startAnimation);
+  RCT_EXPORT(startAnimation, NSNumber, NSNumber, NSArray, NSDictionary);
 
   __weak RCTAnimationManager *weakSelf = self;
   [_bridge.uiManager addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry) {
@@ -180,7 +180,7 @@
 
 - (void)stopAnimation:(NSNumber *)animationTag
 {
-  RCT_EXPORT(stopAnimation);
+  RCT_EXPORT(stopAnimation, NSNumber);
 
   __weak RCTAnimationManager *weakSelf = self;
   [_bridge.uiManager addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry) {
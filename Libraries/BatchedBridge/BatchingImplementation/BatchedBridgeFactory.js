@@ -19,9 +19,66 @@ var slice = Array.prototype.slice;
 
 var MethodTypes = keyMirror({
   remote: null,
+  remoteAsync: null,
+  remoteStream: null,
   local: null,
 });
 
+/**
+ * Turns the `{message, code, domain}` a native module rejects a promise with
+ * into an `Error`, so that it has a stack and can be thrown.
+ */
+var createErrorFromErrorData = function(errorData) {
+  var error = new Error(errorData.message);
+  error.code = errorData.code;
+  error.domain = errorData.domain;
+  return error;
+};
+
+var isOfArgumentType = {
+  any: () => true,
+  array: (arg) => Array.isArray(arg),
+  boolean: (arg) => typeof arg === 'boolean',
+  function: (arg) => typeof arg === 'function',
+  number: (arg) => typeof arg === 'number',
+  object: (arg) => typeof arg === 'object' && !Array.isArray(arg),
+  string: (arg) => typeof arg === 'string',
+};
+
+var describeArgument = function(arg) {
+  var type = Array.isArray(arg) ? 'array' : typeof arg;
+  if (type === 'array' || type === 'object' || type === 'function') {
+    return type;
+  }
+  return type + ' ' + JSON.stringify(arg);
+};
+
+/**
+ * Throws if the arguments of a call to a native method don't match the types
+ * of its `argumentTypes` config, so that a bad call fails in JS, with a stack,
+ * rather than being logged by native once it has been batched. Like native,
+ * it accepts `null` and `undefined` for any type, and it doesn't check the
+ * types it doesn't know.
+ */
+var validateArguments = function(moduleName, memberName, argumentTypes, args) {
+  if (args.length !== argumentTypes.length) {
+    throw new Error(
+      moduleName + '.' + memberName + ' was called with ' + args.length +
+      ' arguments, but expects ' + argumentTypes.length
+    );
+  }
+  for (var ii = 0; ii < args.length; ii++) {
+    var type = argumentTypes[ii];
+    var arg = args[ii];
+    if (arg != null && isOfArgumentType[type] && !isOfArgumentType[type](arg)) {
+      throw new Error(
+        'Argument ' + ii + ' (' + describeArgument(arg) + ') of ' +
+        moduleName + '.' + memberName + ' should be of type ' + type
+      );
+    }
+  }
+};
+
 /**
  * Creates remotely invokable modules.
  */
@@ -31,12 +88,69 @@ var BatchedBridgeFactory = {
    * @param {MessageQueue} messageQueue Message queue that has been created with
    * the `moduleConfig` (among others perhaps).
    * @param {object} moduleConfig Configuration of module names/method
-   * names to callback types.
+   * names to callback types. Methods of type `remoteAsync` return a Promise,
+   * settled by the native side through the pair of callbacks. Methods of type
+   * `remoteStream` take an `onNext` callback, invoked for every value native
+   * sends, and an optional `onComplete(error)`, and return a subscription
+   * whose `remove()` cancels the stream. In `__DEV__`, methods with
+   * `argumentTypes` throw when called with the wrong arguments.
    * @return {object} Remote representation of configured module.
    */
   _createBridgedModule: function(messageQueue, moduleConfig, moduleName) {
     var remoteModule = mapObject(moduleConfig.methods, function(methodConfig, memberName) {
+      var argumentTypes = __DEV__ ? methodConfig.argumentTypes : null;
+      if (methodConfig.type === MethodTypes.remoteAsync) {
+        return function() {
+          var args = slice.call(arguments);
+          argumentTypes &&
+            validateArguments(moduleName, memberName, argumentTypes, args);
+          return new Promise(function(resolve, reject) {
+            var onFail = function(errorData) {
+              reject(createErrorFromErrorData(errorData));
+            };
+            messageQueue.call(moduleName, memberName, args, onFail, resolve);
+          });
+        };
+      }
+      if (methodConfig.type === MethodTypes.remoteStream) {
+        return function() {
+          var lastArg = arguments[arguments.length - 1];
+          var secondLastArg = arguments[arguments.length - 2];
+          var hasCompleteCB = typeof secondLastArg === 'function';
+          invariant(
+            typeof lastArg === 'function',
+            'Streaming method %s.%s must be called with an onNext callback.',
+            moduleName,
+            memberName
+          );
+          var onNext = hasCompleteCB ? secondLastArg : lastArg;
+          var onComplete = hasCompleteCB ? function(errorData) {
+            lastArg(errorData ? createErrorFromErrorData(errorData) : null);
+          } : function() {};
+          var args = slice.call(
+            arguments,
+            0,
+            arguments.length - (hasCompleteCB ? 2 : 1)
+          );
+          argumentTypes &&
+            validateArguments(moduleName, memberName, argumentTypes, args);
+          var streamID = messageQueue.callStream(
+            moduleName,
+            memberName,
+            args,
+            onNext,
+            onComplete
+          );
+          return {
+            remove: function() {
+              messageQueue.cancelStream(streamID);
+            },
+          };
+        };
+      }
       return methodConfig.type === MethodTypes.local ? null : function() {
+        argumentTypes &&
+          validateArguments(moduleName, memberName, argumentTypes, arguments);
         var lastArg = arguments.length > 0 ? arguments[arguments.length - 1] : null;
         var secondLastArg = arguments.length > 1 ? arguments[arguments.length - 2] : null;
         var hasSuccCB = typeof lastArg === 'function';
@@ -74,7 +188,8 @@ var BatchedBridgeFactory = {
       setLoggingEnabled: messageQueue.setLoggingEnabled.bind(messageQueue),
       getLoggedOutgoingItems: messageQueue.getLoggedOutgoingItems.bind(messageQueue),
       getLoggedIncomingItems: messageQueue.getLoggedIncomingItems.bind(messageQueue),
-      replayPreviousLog: messageQueue.replayPreviousLog.bind(messageQueue)
+      replayPreviousLog: messageQueue.replayPreviousLog.bind(messageQueue),
+      setProfiler: messageQueue.setProfiler.bind(messageQueue)
     };
   }
 };
@@ -0,0 +1,168 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest
+  .dontMock('BatchedBridgeFactory')
+  .dontMock('keyMirror')
+  .dontMock('mapObject');
+
+describe('BatchedBridgeFactory', function() {
+  var BatchedBridgeFactory;
+  var messageQueue;
+  var module;
+
+  beforeEach(function() {
+    BatchedBridgeFactory = require('BatchedBridgeFactory');
+    messageQueue = {
+      call: jest.genMockFn(),
+      callStream: jest.genMockFn().mockReturnValue(7),
+      cancelStream: jest.genMockFn(),
+    };
+    module = BatchedBridgeFactory._createBridgedModule(messageQueue, {
+      moduleID: 0,
+      methods: {
+        fetch: {methodID: 0, type: 'remoteAsync'},
+        show: {methodID: 1, type: 'remote'},
+        watch: {methodID: 2, type: 'remoteStream'},
+      },
+    }, 'Module');
+  });
+
+  pit('resolves promise methods with the result', function() {
+    var promise = module.fetch('a', 1);
+    var call = messageQueue.call.mock.calls[0];
+    expect(call.slice(0, 3)).toEqual(['Module', 'fetch', ['a', 1]]);
+
+    call[4]('result');
+    return promise.then(function(result) {
+      expect(result).toBe('result');
+    });
+  });
+
+  pit('rejects promise methods with an error carrying the code', function() {
+    var promise = module.fetch();
+    messageQueue.call.mock.calls[0][3]({
+      message: 'Not allowed',
+      code: -3311,
+      domain: 'ALAssetsLibraryErrorDomain',
+    });
+    return promise.then(function() {
+      throw new Error('should have failed');
+    }, function(error) {
+      expect(error instanceof Error).toBe(true);
+      expect(error.message).toBe('Not allowed');
+      expect(error.code).toBe(-3311);
+      expect(error.domain).toBe('ALAssetsLibraryErrorDomain');
+    });
+  });
+
+  it('still passes the callbacks of other methods', function() {
+    var onFail = function() {};
+    var onSucc = function() {};
+    module.show('a', onFail, onSucc);
+    expect(messageQueue.call).toBeCalledWith(
+      'Module',
+      'show',
+      ['a'],
+      onFail,
+      onSucc
+    );
+  });
+
+  it('cancels streams when their subscription is removed', function() {
+    var onNext = function() {};
+    var subscription = module.watch('a', onNext);
+    var call = messageQueue.callStream.mock.calls[0];
+    expect(call.slice(0, 4)).toEqual(['Module', 'watch', ['a'], onNext]);
+
+    subscription.remove();
+    expect(messageQueue.cancelStream).toBeCalledWith(7);
+  });
+
+  it('completes streams with an error carrying the code', function() {
+    var onComplete = jest.genMockFn();
+    module.watch(function() {}, onComplete);
+    var complete = messageQueue.callStream.mock.calls[0][4];
+
+    complete({message: 'Denied', code: 1, domain: 'kCLErrorDomain'});
+    var error = onComplete.mock.calls[0][0];
+    expect(error.message).toBe('Denied');
+    expect(error.code).toBe(1);
+
+    complete();
+    expect(onComplete.mock.calls[1]).toEqual([null]);
+  });
+
+  describe('in __DEV__', function() {
+    beforeEach(function() {
+      module = BatchedBridgeFactory._createBridgedModule(messageQueue, {
+        moduleID: 0,
+        methods: {
+          fetch: {methodID: 0, type: 'remoteAsync', argumentTypes: ['string']},
+          show: {
+            methodID: 1,
+            type: 'remote',
+            argumentTypes: ['number', 'boolean', 'function'],
+          },
+          watch: {methodID: 2, type: 'remoteStream', argumentTypes: ['any']},
+          save: {
+            methodID: 3,
+            type: 'remote',
+            argumentTypes: ['object', 'array'],
+          },
+        },
+      }, 'Module');
+    });
+
+    it('throws when a method is called with the wrong arity', function() {
+      expect(function() {
+        module.show(1, function() {});
+      }).toThrow('Module.show was called with 2 arguments, but expects 3');
+      expect(function() {
+        module.watch('a', 'b', function() {});
+      }).toThrow('Module.watch was called with 2 arguments, but expects 1');
+      expect(messageQueue.call).not.toBeCalled();
+      expect(messageQueue.callStream).not.toBeCalled();
+    });
+
+    it('throws when an argument has the wrong type', function() {
+      expect(function() {
+        module.show(1, 'yes', function() {});
+      }).toThrow(
+        'Argument 1 (string "yes") of Module.show should be of type boolean'
+      );
+      expect(function() {
+        module.fetch({});
+      }).toThrow('Argument 0 (object) of Module.fetch should be of type string');
+      expect(messageQueue.call).not.toBeCalled();
+    });
+
+    it('tells objects and arrays apart', function() {
+      expect(function() {
+        module.save([], []);
+      }).toThrow(
+        'Argument 0 (array) of Module.save should be of type object'
+      );
+      expect(function() {
+        module.save({}, {});
+      }).toThrow('Argument 1 (object) of Module.save should be of type array');
+      module.save({a: 1}, [1]);
+      expect(messageQueue.call.mock.calls.length).toBe(1);
+    });
+
+    it('accepts null and undefined for any type', function() {
+      module.show(null, undefined, function() {});
+      module.fetch(null);
+      module.watch({}, function() {});
+      expect(messageQueue.call.mock.calls.length).toBe(2);
+      expect(messageQueue.callStream.mock.calls.length).toBe(1);
+    });
+  });
+});
@@ -17,6 +17,7 @@ var RCTCameraRollManager = require('NativeModules').CameraRollManager;
 var createStrictShapeTypeChecker = require('createStrictShapeTypeChecker');
 var deepFreezeAndThrowOnMutationInDev =
   require('deepFreezeAndThrowOnMutationInDev');
+var emptyFunction = require('emptyFunction');
 var invariant = require('invariant');
 
 var GROUP_TYPES_OPTIONS = [
@@ -116,38 +117,50 @@ class CameraRoll {
   }
 
   /**
-   *  Invokes `callback` with photo identifier objects from the local camera
+   *  Returns a Promise of the photo identifier objects from the local camera
    *  roll of the device matching shape defined by `getPhotosReturnChecker`.
+   *  It is rejected with the native error, whose `code` is the one of
+   *  `ALAssetsLibrary`, if the camera roll can't be read.
    *
    *  @param {object} params - See `getPhotosParamChecker`.
-   *  @param {function} callback - Invoked with arg of shape defined by
-   *    `getPhotosReturnChecker` on success.
-   *  @param {function} errorCallback - Invoked with error message on error.
+   *  @param {?function} callback - Optional, invoked with arg of shape
+   *    defined by `getPhotosReturnChecker` on success.
+   *  @param {?function} errorCallback - Optional, invoked with the error
+   *    the promise is rejected with.
    */
-  static getPhotos(params, callback, errorCallback) {
-    var metaCallback = callback;
+  static getPhotos(
+    params: Object,
+    callback?: ?Function,
+    errorCallback?: ?Function
+  ): Promise {
     if (__DEV__) {
       getPhotosParamChecker({params}, 'params', 'CameraRoll.getPhotos');
       invariant(
-        typeof callback === 'function',
+        callback == null || typeof callback === 'function',
         'CameraRoll.getPhotos callback must be a valid function.'
       );
       invariant(
-        typeof errorCallback === 'function',
+        errorCallback == null || typeof errorCallback === 'function',
         'CameraRoll.getPhotos errorCallback must be a valid function.'
       );
     }
+    var promise = RCTCameraRollManager.getPhotos(params);
     if (__DEV__) {
-      metaCallback = (response) => {
+      promise = promise.then((response) => {
         getPhotosReturnChecker(
           {response},
           'response',
-          'CameraRoll.getPhotos callback'
+          'CameraRoll.getPhotos promise'
         );
-        callback(response);
-      };
+        return response;
+      });
+    }
+    // Callers written before `getPhotos` returned a promise pass callbacks,
+    // and errors are theirs to ignore when they leave out `errorCallback`.
+    if (callback || errorCallback) {
+      promise.done(callback, errorCallback || emptyFunction);
     }
-    RCTCameraRollManager.getPhotos(params, metaCallback, errorCallback);
+    return promise;
   }
 }
 
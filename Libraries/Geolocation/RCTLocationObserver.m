@@ -153,7 +153,7 @@ static NSDictionary *RCTPositionError(RCTPositionErrorCode code, NSString *msg /
 
 - (void)startObserving:(NSDictionary *)optionsJSON
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSDictionary);
 
   dispatch_async(dispatch_get_main_queue(), ^{
 
@@ -191,7 +191,7 @@ static NSDictionary *RCTPositionError(RCTPositionErrorCode code, NSString *msg /
        withSuccessCallback:(RCTResponseSenderBlock)successBlock
              errorCallback:(RCTResponseSenderBlock)errorBlock
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSDictionary);
 
   if (!successBlock) {
     RCTLogError(@"%@.getCurrentPosition called with nil success parameter.", [self class]);
@@ -26,6 +26,7 @@ var flattenStyle = require('flattenStyle');
 var insetsDiffer = require('insetsDiffer');
 var invariant = require('invariant');
 var merge = require('merge');
+var resolveAssetSource = require('resolveAssetSource');
 var warning = require('warning');
 
 /**
@@ -43,6 +44,7 @@ var warning = require('warning');
  *         style={styles.icon}
  *         source={require('image!myIcon')}
  *       />
+ *       <Image source={require('./img/logo.png')} />
  *       <Image
  *         style={styles.logo}
  *         source={{uri: 'http://facebook.github.io/react/img/logo_og.png'}}
@@ -105,8 +107,13 @@ var Image = React.createClass({
   },
 
   render: function() {
-    var style = flattenStyle([styles.base, this.props.style]);
-    var source = this.props.source;
+    var source = resolveAssetSource(this.props.source);
+    // Images from the packager have the size of the file by default.
+    var style = flattenStyle([
+      styles.base,
+      source.width != null && {width: source.width, height: source.height},
+      this.props.style,
+    ]);
     var isNetwork = source.uri && source.uri.match(/^https?:/);
     invariant(
       !(isNetwork && source.isStatic),
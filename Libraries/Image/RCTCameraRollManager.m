@@ -21,7 +21,7 @@
 
 - (void)saveImageWithTag:(NSString *)imageTag successCallback:(RCTResponseSenderBlock)successCallback errorCallback:(RCTResponseSenderBlock)errorCallback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSString);
 
   [RCTImageLoader loadImageWithTag:imageTag callback:^(NSError *loadError, UIImage *loadedImage) {
     if (loadError) {
@@ -40,28 +40,28 @@
   }];
 }
 
-- (void)callCallback:(RCTResponseSenderBlock)callback withAssets:(NSArray *)assets hasNextPage:(BOOL)hasNextPage
+- (void)resolvePromise:(RCTPromiseResolveBlock)resolve withAssets:(NSArray *)assets hasNextPage:(BOOL)hasNextPage
 {
   if (![assets count]) {
-    callback(@[@{
-                 @"edges": assets,
-                 @"page_info": @{
-                     @"has_next_page": @NO}
-                 }]);
+    resolve(@{
+              @"edges": assets,
+              @"page_info": @{
+                  @"has_next_page": @NO}
+              });
     return;
   }
-  callback(@[@{
-               @"edges": assets,
-               @"page_info": @{
-                   @"start_cursor": assets[0][@"node"][@"image"][@"uri"],
-                   @"end_cursor": assets[assets.count - 1][@"node"][@"image"][@"uri"],
-                   @"has_next_page": @(hasNextPage)}
-               }]);
+  resolve(@{
+            @"edges": assets,
+            @"page_info": @{
+                @"start_cursor": assets[0][@"node"][@"image"][@"uri"],
+                @"end_cursor": assets[assets.count - 1][@"node"][@"image"][@"uri"],
+                @"has_next_page": @(hasNextPage)}
+            });
 }
 
-- (void)getPhotos:(NSDictionary *)params callback:(RCTResponseSenderBlock)callback errorCallback:(RCTResponseSenderBlock)errorCallback
+- (void)getPhotos:(NSDictionary *)params resolve:(RCTPromiseResolveBlock)resolve reject:(RCTPromiseRejectBlock)reject
 {
-  RCT_EXPORT();
+  RCT_EXPORT_PROMISE(, NSDictionary);
 
   NSUInteger first = [params[@"first"] integerValue];
   NSString *afterCursor = params[@"after"];
@@ -86,7 +86,7 @@
 
   BOOL __block foundAfter = NO;
   BOOL __block hasNextPage = NO;
-  BOOL __block calledCallback = NO;
+  BOOL __block resolvedPromise = NO;
   NSMutableArray *assets = [[NSMutableArray alloc] init];
 
   [[RCTImageLoader assetsLibrary] enumerateGroupsWithTypes:groupTypes usingBlock:^(ALAssetsGroup *group, BOOL *stopGroups) {
@@ -105,9 +105,9 @@
             *stopAssets = YES;
             *stopGroups = YES;
             hasNextPage = YES;
-            RCTAssert(calledCallback == NO, @"Called the callback before we finished processing the results.");
-            [self callCallback:callback withAssets:assets hasNextPage:hasNextPage];
-            calledCallback = YES;
+            RCTAssert(resolvedPromise == NO, @"Resolved the promise before we finished processing the results.");
+            [self resolvePromise:resolve withAssets:assets hasNextPage:hasNextPage];
+            resolvedPromise = YES;
             return;
           }
           CGSize dimensions = [result defaultRepresentation].dimensions;
@@ -137,18 +137,18 @@
         }
       }];
     } else {
-      // Sometimes the enumeration continues even if we set stop above, so we guard against calling the callback
+      // Sometimes the enumeration continues even if we set stop above, so we guard against resolving the promise
       // multiple times here.
-      if (!calledCallback) {
-        [self callCallback:callback withAssets:assets hasNextPage:hasNextPage];
-        calledCallback = YES;
+      if (!resolvedPromise) {
+        [self resolvePromise:resolve withAssets:assets hasNextPage:hasNextPage];
+        resolvedPromise = YES;
       }
     }
   } failureBlock:^(NSError *error) {
     if (error.code != ALAssetsLibraryAccessUserDeniedError) {
       RCTLogError(@"Failure while iterating through asset groups %@", error);
     }
-    errorCallback(@[error.description]);
+    reject(error);
   }];
 }
 
@@ -0,0 +1,65 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * Turns what the packager exports for `require('./img/logo.png')` into an
+ * image source, for the variant of the asset that fits the pixel density of
+ * the device best. When the bundle comes from the packager, the asset is
+ * served by it too. Otherwise it has been copied into the app next to the
+ * bundle. Any other source is returned as is.
+ *
+ * @providesModule resolveAssetSource
+ * @flow
+ */
+'use strict';
+
+var PixelRatio = require('PixelRatio');
+var SourceCode = require('NativeModules').SourceCode;
+
+var _serverURL;
+
+function getServerURL(): ?string {
+  if (_serverURL === undefined) {
+    var scriptURL = SourceCode && SourceCode.scriptURL;
+    var match = scriptURL && scriptURL.match(/^https?:\/\/[^\/]+\//);
+    _serverURL = match ? match[0] : null;
+  }
+  return _serverURL;
+}
+
+// The smallest scale that is at least the one of the device, or the largest.
+function pickScale(scales: Array<number>, deviceScale: number): number {
+  for (var i = 0; i < scales.length; i++) {
+    if (scales[i] >= deviceScale) {
+      return scales[i];
+    }
+  }
+  return scales[scales.length - 1] || 1;
+}
+
+function resolveAssetSource(source: any): any {
+  if (!source || !source.__packager_asset) {
+    return source;
+  }
+
+  var scale = pickScale(source.scales, PixelRatio.get());
+  var scaleSuffix = scale === 1 ? '' : '@' + scale + 'x';
+  // `/assets/img` -> `assets/img/logo@2x.png`
+  var assetPath = source.httpServerLocation.replace(/^\//, '') + '/' +
+    source.name + scaleSuffix + '.' + source.type;
+
+  var serverURL = getServerURL();
+  return {
+    uri: serverURL ? serverURL + assetPath + '?hash=' + source.hash : assetPath,
+    isStatic: !serverURL,
+    width: source.width,
+    height: source.height,
+    scale: scale,
+  };
+}
+
+module.exports = resolveAssetSource;
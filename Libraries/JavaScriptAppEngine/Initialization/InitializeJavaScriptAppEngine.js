@@ -129,6 +129,16 @@ function setupGeolocation() {
   GLOBAL.navigator.geolocation = require('Geolocation');
 }
 
+function setupBundleLoader() {
+  require('BundleLoader').install();
+}
+
+function setupHMR() {
+  if (__DEV__) {
+    require('HMRClient').enable();
+  }
+}
+
 setupDocumentShim();
 setupRedBoxErrorHandler();
 setupTimers();
@@ -136,3 +146,5 @@ setupAlert();
 setupPromise();
 setupXHR();
 setupGeolocation();
+setupBundleLoader();
+setupHMR();
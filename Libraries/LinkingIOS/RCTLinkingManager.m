@@ -54,7 +54,7 @@ NSString *const RCTOpenURLNotification = @"RCTOpenURLNotification";
 
 - (void)openURL:(NSString *)url
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSString);
 
   [[UIApplication sharedApplication] openURL:[NSURL URLWithString:url]];
 }
@@ -62,7 +62,7 @@ NSString *const RCTOpenURLNotification = @"RCTOpenURLNotification";
 - (void)canOpenURL:(NSString *)url
           callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSString);
 
   BOOL supported = [[UIApplication sharedApplication] canOpenURL:[NSURL URLWithString:url]];
   callback(@[@(supported)]);
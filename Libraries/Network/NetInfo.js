@@ -115,14 +115,7 @@ if (RCTReachability) {
     },
 
     fetch: function(): Promise {
-      return new Promise((resolve, reject) => {
-        RCTReachability.getCurrentReachability(
-          function(resp) {
-            resolve(resp.network_reachability);
-          },
-          reject
-        );
-      });
+      return RCTReachability.getCurrentReachability();
     },
   };
 
@@ -10,8 +10,9 @@
 #import <Foundation/Foundation.h>
 
 #import "RCTBridgeModule.h"
+#import "RCTInvalidating.h"
 
-@interface RCTDataManager : NSObject <RCTBridgeModule>
+@interface RCTDataManager : NSObject <RCTBridgeModule, RCTInvalidating>
 
 @end
 
@@ -10,10 +10,69 @@
 #import "RCTDataManager.h"
 
 #import "RCTAssert.h"
+#import "RCTBridge.h"
+#import "RCTEventDispatcher.h"
 #import "RCTLog.h"
 #import "RCTUtils.h"
 
+/**
+ * A request sent with `sendRequest`, and what has been received for it.
+ */
+@interface RCTDataRequest : NSObject
+
+@property (nonatomic, copy) NSNumber *requestID;
+@property (nonatomic, strong) NSURLSessionDataTask *task;
+@property (nonatomic, assign) BOOL base64;
+@property (nonatomic, assign) NSStringEncoding encoding;
+@property (nonatomic, strong) NSMutableData *pendingData;
+@property (nonatomic, assign) int64_t bytesReceived;
+@property (nonatomic, assign) int64_t bytesExpected;
+
+@end
+
+@implementation RCTDataRequest
+
+@end
+
+@interface RCTDataManager () <NSURLSessionDataDelegate>
+
+@end
+
 @implementation RCTDataManager
+{
+  NSOperationQueue *_queue;
+  NSURLSession *_session;
+  NSMutableDictionary *_requests;
+}
+
+@synthesize bridge = _bridge;
+
+- (instancetype)init
+{
+  if ((self = [super init])) {
+    // The requests are only accessed on this queue, which the session
+    // delegate methods are called on too
+    _queue = [[NSOperationQueue alloc] init];
+    _queue.maxConcurrentOperationCount = 1;
+    _session = [NSURLSession sessionWithConfiguration:[NSURLSessionConfiguration defaultSessionConfiguration]
+                                             delegate:self
+                                        delegateQueue:_queue];
+    _requests = [[NSMutableDictionary alloc] init];
+  }
+  return self;
+}
+
+- (BOOL)isValid
+{
+  return _bridge != nil;
+}
+
+- (void)invalidate
+{
+  // Also releases the session's reference to self
+  [_session invalidateAndCancel];
+  _bridge = nil;
+}
 
 /**
  * Executes a network request.
@@ -24,7 +83,7 @@
            queryHash:(__unused NSString *)queryHash
       responseSender:(RCTResponseSenderBlock)responseSender
 {
-  RCT_EXPORT(queryData);
+  RCT_EXPORT(queryData, NSString, id, NSString);
 
   if ([queryType isEqualToString:@"http"]) {
 
@@ -77,4 +136,168 @@
   }
 }
 
+/**
+ * Sends the HTTP request described by `query`, and reports its progress with
+ * device events that have the `requestID` of the query:
+ *
+ * - didSendNetworkData: {requestID, bytesSent, bytesExpected}
+ * - didReceiveNetworkResponse: {requestID, status, responseHeaders}
+ * - didReceiveNetworkData: {requestID, data, bytesReceived, bytesExpected}
+ * - didCompleteNetworkResponse: {requestID, error}
+ *
+ * The data is text, or base64 if the `responseType` of the query is "base64".
+ * Unknown sizes are -1.
+ */
+- (void)sendRequest:(NSDictionary *)query
+{
+  RCT_EXPORT(, NSDictionary);
+
+  NSURL *url = [NSURL URLWithString:query[@"url"]];
+  NSMutableURLRequest *request = [NSMutableURLRequest requestWithURL:url];
+  request.HTTPMethod = query[@"method"] ?: @"GET";
+  request.allHTTPHeaderFields = query[@"headers"];
+  if ([query[@"data"] isKindOfClass:[NSString class]]) {
+    request.HTTPBody = [query[@"data"] dataUsingEncoding:NSUTF8StringEncoding];
+  }
+
+  RCTDataRequest *dataRequest = [[RCTDataRequest alloc] init];
+  dataRequest.requestID = query[@"requestID"];
+  dataRequest.base64 = [query[@"responseType"] isEqualToString:@"base64"];
+  dataRequest.task = [_session dataTaskWithRequest:request];
+  dataRequest.task.taskDescription = [dataRequest.requestID stringValue];
+
+  [_queue addOperationWithBlock:^{
+    _requests[dataRequest.requestID] = dataRequest;
+    [dataRequest.task resume];
+  }];
+}
+
+- (void)cancelRequest:(NSNumber *)requestID
+{
+  RCT_EXPORT(, NSNumber);
+
+  [_queue addOperationWithBlock:^{
+    RCTDataRequest *dataRequest = _requests[requestID];
+    [_requests removeObjectForKey:requestID];
+    [dataRequest.task cancel];
+  }];
+}
+
+#pragma mark - NSURLSessionDataDelegate
+
+- (RCTDataRequest *)requestForTask:(NSURLSessionTask *)task
+{
+  return _requests[@([task.taskDescription longLongValue])];
+}
+
+- (void)URLSession:(__unused NSURLSession *)session
+              task:(NSURLSessionTask *)task
+   didSendBodyData:(__unused int64_t)bytesSent
+    totalBytesSent:(int64_t)totalBytesSent
+totalBytesExpectedToSend:(int64_t)totalBytesExpectedToSend
+{
+  RCTDataRequest *dataRequest = [self requestForTask:task];
+  if (!dataRequest) {
+    return;
+  }
+  [_bridge.eventDispatcher sendDeviceEventWithName:@"didSendNetworkData"
+                                              body:@{@"requestID": dataRequest.requestID,
+                                                     @"bytesSent": @(totalBytesSent),
+                                                     @"bytesExpected": @(totalBytesExpectedToSend)}];
+}
+
+- (void)URLSession:(__unused NSURLSession *)session
+          dataTask:(NSURLSessionDataTask *)task
+didReceiveResponse:(NSURLResponse *)response
+ completionHandler:(void (^)(NSURLSessionResponseDisposition))completionHandler
+{
+  RCTDataRequest *dataRequest = [self requestForTask:task];
+  if (dataRequest) {
+    dataRequest.encoding = NSUTF8StringEncoding;
+    if (response.textEncodingName) {
+      CFStringEncoding cfEncoding = CFStringConvertIANACharSetNameToEncoding((CFStringRef)response.textEncodingName);
+      dataRequest.encoding = CFStringConvertEncodingToNSStringEncoding(cfEncoding);
+    }
+    dataRequest.bytesExpected = response.expectedContentLength;
+
+    NSInteger status = 0;
+    NSDictionary *responseHeaders = @{};
+    if ([response isKindOfClass:[NSHTTPURLResponse class]]) {
+      status = [(NSHTTPURLResponse *)response statusCode];
+      responseHeaders = [(NSHTTPURLResponse *)response allHeaderFields];
+    }
+    [_bridge.eventDispatcher sendDeviceEventWithName:@"didReceiveNetworkResponse"
+                                                body:@{@"requestID": dataRequest.requestID,
+                                                       @"status": @(status),
+                                                       @"responseHeaders": responseHeaders}];
+  }
+  completionHandler(NSURLSessionResponseAllow);
+}
+
+- (void)URLSession:(__unused NSURLSession *)session
+          dataTask:(NSURLSessionDataTask *)task
+    didReceiveData:(NSData *)data
+{
+  RCTDataRequest *dataRequest = [self requestForTask:task];
+  if (!dataRequest) {
+    return;
+  }
+  dataRequest.bytesReceived += data.length;
+
+  NSString *string;
+  if (dataRequest.base64) {
+    string = [data base64EncodedStringWithOptions:0];
+  } else {
+    // A character can be split between two chunks, so the bytes that can't
+    // be decoded yet are kept until the next one
+    if (!dataRequest.pendingData) {
+      dataRequest.pendingData = [[NSMutableData alloc] init];
+    }
+    [dataRequest.pendingData appendData:data];
+    string = [[NSString alloc] initWithData:dataRequest.pendingData
+                                   encoding:dataRequest.encoding];
+    if (!string) {
+      return;
+    }
+    dataRequest.pendingData = nil;
+  }
+  [self sendData:string forRequest:dataRequest];
+}
+
+- (void)URLSession:(__unused NSURLSession *)session
+              task:(NSURLSessionTask *)task
+didCompleteWithError:(NSError *)error
+{
+  RCTDataRequest *dataRequest = [self requestForTask:task];
+  if (!dataRequest) {
+    // Cancelled
+    return;
+  }
+  [_requests removeObjectForKey:dataRequest.requestID];
+
+  if (dataRequest.pendingData.length) {
+    NSString *string;
+    [NSString stringEncodingForData:dataRequest.pendingData
+                    encodingOptions:@{NSStringEncodingDetectionSuggestedEncodingsKey: @[@(dataRequest.encoding)],
+                                      NSStringEncodingDetectionUseOnlySuggestedEncodingsKey: @YES,
+                                      NSStringEncodingDetectionAllowLossyKey: @YES}
+                    convertedString:&string
+                usedLossyConversion:NULL];
+    [self sendData:string ?: @"" forRequest:dataRequest];
+  }
+
+  [_bridge.eventDispatcher sendDeviceEventWithName:@"didCompleteNetworkResponse"
+                                              body:@{@"requestID": dataRequest.requestID,
+                                                     @"error": [error localizedDescription] ?: [NSNull null]}];
+}
+
+- (void)sendData:(NSString *)data forRequest:(RCTDataRequest *)dataRequest
+{
+  [_bridge.eventDispatcher sendDeviceEventWithName:@"didReceiveNetworkData"
+                                              body:@{@"requestID": dataRequest.requestID,
+                                                     @"data": data,
+                                                     @"bytesReceived": @(dataRequest.bytesReceived),
+                                                     @"bytesExpected": @(dataRequest.bytesExpected)}];
+}
+
 @end
@@ -80,13 +80,12 @@ static void RCTReachabilityCallback(__unused SCNetworkReachabilityRef target, SC
 
 #pragma mark - Public API
 
-// TODO: remove error callback - not needed except by Subscribable interface
-- (void)getCurrentReachability:(RCTResponseSenderBlock)getSuccess
-             withErrorCallback:(__unused RCTResponseSenderBlock)getError
+- (void)getCurrentReachability:(RCTPromiseResolveBlock)resolve
+                        rejecter:(__unused RCTPromiseRejectBlock)reject
 {
-  RCT_EXPORT();
+  RCT_EXPORT_PROMISE();
 
-  getSuccess(@[@{@"network_reachability": _status}]);
+  resolve(_status);
 }
 
 @end
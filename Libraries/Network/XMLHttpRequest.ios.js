@@ -12,35 +12,109 @@
 'use strict';
 
 var RCTDataManager = require('NativeModules').DataManager;
-
-var crc32 = require('crc32');
+var RCTDeviceEventEmitter = require('RCTDeviceEventEmitter');
 
 var XMLHttpRequestBase = require('XMLHttpRequestBase');
 
-class XMLHttpRequest extends XMLHttpRequestBase {
+var BASE64_CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
 
-  sendImpl(method: ?string, url: ?string, headers: Object, data: any): void {
-    RCTDataManager.queryData(
-      'http',
-      JSON.stringify({
-        method: method,
-        url: url,
-        data: data,
-        headers: headers,
-      }),
-      'h' + crc32(method + '|' + url + '|' + data),
-      (result) => {
-        result = JSON.parse(result);
-        this.callback(result.status, result.responseHeaders, result.responseText);
+var nextRequestID = 1;
+
+// The requests in flight, by request id
+var requests = {};
+
+var isListening = false;
+
+/**
+ * Forwards the events `RCTDataManager` sends about each request to the
+ * `XMLHttpRequest` that sent it.
+ */
+function listenToNetworkEvents() {
+  if (isListening) {
+    return;
+  }
+  isListening = true;
+
+  var forward = (eventName, handler) => {
+    RCTDeviceEventEmitter.addListener(eventName, (event) => {
+      var request = requests[event.requestID];
+      if (request) {
+        handler(request, event);
       }
+    });
+  };
+  forward('didSendNetworkData', (request, event) => {
+    request.didSendData(event.bytesSent, event.bytesExpected);
+  });
+  forward('didReceiveNetworkResponse', (request, event) => {
+    request.didReceiveResponse(event.status, event.responseHeaders);
+  });
+  forward('didReceiveNetworkData', (request, event) => {
+    request.didReceiveData(
+      request.responseType === 'arraybuffer'
+        ? base64ToArrayBuffer(event.data)
+        : event.data,
+      event.bytesReceived,
+      event.bytesExpected
     );
+  });
+  forward('didCompleteNetworkResponse', (request, event) => {
+    delete requests[event.requestID];
+    request._requestID = null;
+    request.didCompleteResponse(event.error);
+  });
+}
+
+function base64ToArrayBuffer(base64: string): ArrayBuffer {
+  var padding = base64.length - base64.replace(/=+$/, '').length;
+  var bytes = new Uint8Array(base64.length / 4 * 3 - padding);
+  var byteIndex = 0;
+  for (var i = 0; i < base64.length; i += 4) {
+    var bits = 0;
+    for (var j = 0; j < 4; j++) {
+      // Padding is decoded as zeros, and left out of the bytes
+      bits = (bits << 6) | Math.max(BASE64_CHARS.indexOf(base64[i + j]), 0);
+    }
+    for (var shift = 16; shift >= 0 && byteIndex < bytes.length; shift -= 8) {
+      bytes[byteIndex++] = (bits >> shift) & 0xff;
+    }
+  }
+  return bytes.buffer;
+}
+
+class XMLHttpRequest extends XMLHttpRequestBase {
+
+  _requestID: ?number;
+
+  constructor() {
+    super();
+    this._requestID = null;
+  }
+
+  sendImpl(method: ?string, url: ?string, headers: Object, data: any): void {
+    listenToNetworkEvents();
+    var requestID = nextRequestID++;
+    this._requestID = requestID;
+    requests[requestID] = this;
+    RCTDataManager.sendRequest({
+      requestID: requestID,
+      method: method,
+      url: url,
+      data: data,
+      headers: headers,
+      responseType: this.responseType === 'arraybuffer' ? 'base64' : 'text',
+    });
   }
 
   abortImpl(): void {
-    console.warn(
-      'XMLHttpRequest: abort() cancels JS callbacks ' +
-      'but not native HTTP request.'
-    );
+    var requestID = this._requestID;
+    if (requestID == null) {
+      return;
+    }
+    this._requestID = null;
+    delete requests[requestID];
+    RCTDataManager.cancelRequest(requestID);
   }
 }
 
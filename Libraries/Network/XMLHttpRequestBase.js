@@ -6,8 +6,17 @@
  */
 'use strict';
 
+type ResponseType = '' | 'text' | 'json' | 'arraybuffer';
+
+var RESPONSE_TYPES = ['', 'text', 'json', 'arraybuffer'];
+
 /**
  * Shared base for platform-specific XMLHttpRequest implementations.
+ *
+ * Subclasses start the request in `sendImpl` and report on it with
+ * `didSendData`, `didReceiveResponse`, `didReceiveData` and
+ * `didCompleteResponse`, in that order. They get `responseType` from the
+ * request, and pass the data of `arraybuffer` responses as `ArrayBuffer`s.
  */
 class XMLHttpRequestBase {
 
@@ -19,17 +28,25 @@ class XMLHttpRequestBase {
 
   onreadystatechange: ?Function;
   onload: ?Function;
-  upload: any;
+  onprogress: ?Function;
+  ontimeout: ?Function;
+  upload: {onprogress: ?Function};
   readyState: number;
   responseHeaders: ?Object;
   responseText: ?string;
-  status: ?string;
+  response: any;
+  responseType: ResponseType;
+  status: ?number;
+  timeout: number;
 
   _method: ?string;
   _url: ?string;
   _headers: Object;
   _sent: boolean;
   _aborted: boolean;
+  _chunks: Array<ArrayBuffer>;
+  _received: number;
+  _timeoutTimer: any;
 
   constructor() {
     this.UNSENT = 0;
@@ -39,27 +56,50 @@ class XMLHttpRequestBase {
     this.DONE = 4;
 
     this.onreadystatechange = undefined;
-    this.upload = undefined; /* Upload not supported */
+    this.onprogress = undefined;
+    this.ontimeout = undefined;
+    this.upload = {onprogress: undefined};
     this.readyState = this.UNSENT;
     this.responseHeaders = undefined;
     this.responseText = undefined;
+    this.response = undefined;
+    this.responseType = '';
     this.status = undefined;
+    this.timeout = 0;
 
     this._method = null;
     this._url = null;
     this._headers = {};
     this._sent = false;
     this._aborted = false;
+    this._chunks = [];
+    this._received = 0;
+    this._timeoutTimer = null;
   }
 
   getAllResponseHeaders(): ?string {
-    /* Stub */
-    return '';
+    var responseHeaders = this.responseHeaders;
+    if (!responseHeaders) {
+      return '';
+    }
+    return Object.keys(responseHeaders).map(
+      (header) => header + ': ' + responseHeaders[header] + '\r\n'
+    ).join('');
   }
 
   getResponseHeader(header: string): ?string {
-    /* Stub */
-    return '';
+    var responseHeaders = this.responseHeaders;
+    if (!responseHeaders) {
+      return null;
+    }
+    // Header names are case-insensitive
+    header = header.toLowerCase();
+    for (var name in responseHeaders) {
+      if (name.toLowerCase() === header) {
+        return responseHeaders[name];
+      }
+    }
+    return null;
   }
 
   setRequestHeader(header: string, value: any): void {
@@ -78,6 +118,7 @@ class XMLHttpRequestBase {
     this._method = method;
     this._url = url;
     this._aborted = false;
+    this._received = 0;
     this._setReadyState(this.OPENED);
   }
 
@@ -96,11 +137,21 @@ class XMLHttpRequestBase {
     if (this._sent) {
       throw new Error('Request has already been sent');
     }
+    if (RESPONSE_TYPES.indexOf(this.responseType) === -1) {
+      throw new Error('Unsupported responseType: ' + this.responseType);
+    }
     this._sent = true;
+    this._chunks = [];
+    this._received = 0;
+    this.responseText = this._isText() ? '' : undefined;
+    if (this.timeout > 0) {
+      this._timeoutTimer = setTimeout(() => this._didTimeOut(), this.timeout);
+    }
     this.sendImpl(this._method, this._url, this._headers, data);
   }
 
   abort(): void {
+    this._clearTimeout();
     this.abortImpl();
     // only call onreadystatechange if there is something to abort,
     // below logic is per spec
@@ -117,17 +168,129 @@ class XMLHttpRequestBase {
     this._aborted = true;
   }
 
-  callback(status: string, responseHeaders: ?Object, responseText: string): void {
+  /**
+   * Completes the request in one go, for implementations that get the whole
+   * response at once.
+   */
+  callback(status: number, responseHeaders: ?Object, responseText: string): void {
+    this.didReceiveResponse(status, responseHeaders);
+    this.didReceiveData(responseText);
+    this.didCompleteResponse();
+  }
+
+  /**
+   * Reports that `sent` of the `total` bytes of the body have been uploaded.
+   */
+  didSendData(sent: number, total: number): void {
+    if (this._aborted) {
+      return;
+    }
+    this._sendProgress(this.upload.onprogress, sent, total);
+  }
+
+  didReceiveResponse(status: number, responseHeaders: ?Object): void {
     if (this._aborted) {
       return;
     }
     this.status = status;
     this.responseHeaders = responseHeaders;
-    this.responseText = responseText;
+    this._setReadyState(this.HEADERS_RECEIVED);
+  }
+
+  /**
+   * Appends `data` to the response. `loaded` and `total` are the number of
+   * bytes received so far and expected in all, when they are known;
+   * otherwise the size of the data received so far is reported.
+   */
+  didReceiveData(
+    data: string | ArrayBuffer,
+    loaded?: ?number,
+    total?: ?number
+  ): void {
+    if (this._aborted) {
+      return;
+    }
+    if (typeof data === 'string') {
+      this.responseText = (this.responseText || '') + data;
+    } else {
+      this._chunks.push(data);
+    }
+    this._received += typeof data === 'string' ? data.length : data.byteLength;
+    this._setReadyState(this.LOADING);
+    this._sendProgress(
+      this.onprogress,
+      loaded == null ? this._received : loaded,
+      total
+    );
+  }
+
+  /**
+   * Finishes the request. Network errors are reported like the responses of
+   * requests that failed, with a status of 0 and the `error` as text.
+   */
+  didCompleteResponse(error?: ?string): void {
+    if (this._aborted) {
+      return;
+    }
+    this._clearTimeout();
+    if (error) {
+      this.status = 0;
+      this.responseText = error;
+    } else {
+      this.response = this._buildResponse();
+    }
     this._setReadyState(this.DONE);
     this._sendLoad();
   }
 
+  _isText(): boolean {
+    return this.responseType === '' || this.responseType === 'text';
+  }
+
+  _buildResponse(): any {
+    if (this.responseType === 'json') {
+      try {
+        return JSON.parse(this.responseText || '');
+      } catch (e) {
+        return null;
+      }
+    }
+    if (this.responseType === 'arraybuffer') {
+      var length = this._chunks.reduce(
+        (sum, chunk) => sum + chunk.byteLength,
+        0
+      );
+      var bytes = new Uint8Array(length);
+      var offset = 0;
+      this._chunks.forEach((chunk) => {
+        bytes.set(new Uint8Array(chunk), offset);
+        offset += chunk.byteLength;
+      });
+      return bytes.buffer;
+    }
+    return this.responseText;
+  }
+
+  _didTimeOut(): void {
+    this._timeoutTimer = null;
+    this.abortImpl();
+    this._aborted = true;
+    this.status = 0;
+    this._setReadyState(this.DONE);
+    // TODO: workaround flow bug with nullable function checks
+    var ontimeout = this.ontimeout;
+    if (ontimeout) {
+      ontimeout(null);
+    }
+  }
+
+  _clearTimeout(): void {
+    if (this._timeoutTimer) {
+      clearTimeout(this._timeoutTimer);
+      this._timeoutTimer = null;
+    }
+  }
+
   _setReadyState(newState: number): void {
     this.readyState = newState;
     // TODO: workaround flow bug with nullable function checks
@@ -148,6 +311,17 @@ class XMLHttpRequestBase {
       onload(null);
     }
   }
+
+  _sendProgress(handler: ?Function, loaded: number, total: ?number): void {
+    if (handler) {
+      var lengthComputable = total != null && total >= 0;
+      handler({
+        lengthComputable: lengthComputable,
+        loaded: loaded,
+        total: lengthComputable ? total : 0,
+      });
+    }
+  }
 }
 
 module.exports = XMLHttpRequestBase;
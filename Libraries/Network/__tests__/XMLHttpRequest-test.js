@@ -0,0 +1,140 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest
+  .dontMock('XMLHttpRequest')
+  .dontMock('XMLHttpRequestBase');
+
+describe('XMLHttpRequest', function() {
+  var XMLHttpRequest;
+  var RCTDataManager;
+  var listeners;
+
+  beforeEach(function() {
+    RCTDataManager = {
+      sendRequest: jest.genMockFn(),
+      cancelRequest: jest.genMockFn(),
+    };
+    listeners = {};
+    jest.setMock('NativeModules', {DataManager: RCTDataManager});
+    jest.setMock('RCTDeviceEventEmitter', {
+      addListener: (eventName, listener) => listeners[eventName] = listener,
+    });
+    XMLHttpRequest = require('XMLHttpRequest');
+  });
+
+  function send(xhr) {
+    xhr.open('GET', 'http://example.com/data');
+    xhr.send();
+    return RCTDataManager.sendRequest.mock.calls[0][0].requestID;
+  }
+
+  it('goes through every ready state with progress events', function() {
+    var xhr = new XMLHttpRequest();
+    var states = [];
+    xhr.onreadystatechange = () => states.push(xhr.readyState);
+    xhr.onprogress = jest.genMockFn();
+    xhr.upload.onprogress = jest.genMockFn();
+    xhr.onload = jest.genMockFn();
+    xhr.responseType = 'json';
+    var requestID = send(xhr);
+
+    listeners.didSendNetworkData({
+      requestID: requestID,
+      bytesSent: 10,
+      bytesExpected: 10,
+    });
+    listeners.didReceiveNetworkResponse({
+      requestID: requestID,
+      status: 200,
+      responseHeaders: {'Content-Type': 'application/json'},
+    });
+    listeners.didReceiveNetworkData({
+      requestID: requestID,
+      data: '{"a":',
+      bytesReceived: 5,
+      bytesExpected: -1,
+    });
+    listeners.didReceiveNetworkData({
+      requestID: requestID,
+      data: '1}',
+      bytesReceived: 7,
+      bytesExpected: -1,
+    });
+    listeners.didCompleteNetworkResponse({requestID: requestID, error: null});
+
+    expect(states).toEqual([1, 2, 3, 3, 4]);
+    expect(xhr.upload.onprogress).toBeCalledWith(
+      {lengthComputable: true, loaded: 10, total: 10}
+    );
+    expect(xhr.onprogress).toBeCalledWith(
+      {lengthComputable: false, loaded: 7, total: 0}
+    );
+    expect(xhr.status).toBe(200);
+    expect(xhr.getResponseHeader('content-type')).toBe('application/json');
+    expect(xhr.response).toEqual({a: 1});
+    expect(xhr.onload.mock.calls.length).toBe(1);
+  });
+
+  it('reports the data received so far without byte counts', function() {
+    var xhr = new XMLHttpRequest();
+    xhr.onprogress = jest.genMockFn();
+    var requestID = send(xhr);
+
+    listeners.didReceiveNetworkResponse({requestID: requestID, status: 200});
+    listeners.didReceiveNetworkData({requestID: requestID, data: 'abc'});
+    listeners.didReceiveNetworkData({requestID: requestID, data: 'de'});
+
+    expect(xhr.onprogress.mock.calls.map((call) => call[0].loaded))
+      .toEqual([3, 5]);
+  });
+
+  it('decodes arraybuffer responses', function() {
+    var xhr = new XMLHttpRequest();
+    xhr.responseType = 'arraybuffer';
+    var requestID = send(xhr);
+
+    expect(RCTDataManager.sendRequest.mock.calls[0][0].responseType)
+      .toBe('base64');
+    listeners.didReceiveNetworkResponse({requestID: requestID, status: 200});
+    listeners.didReceiveNetworkData({requestID: requestID, data: 'AAEC/w=='});
+    listeners.didCompleteNetworkResponse({requestID: requestID, error: null});
+
+    expect(Array.prototype.slice.call(new Uint8Array(xhr.response)))
+      .toEqual([0, 1, 2, 255]);
+  });
+
+  it('cancels the native request on abort', function() {
+    var xhr = new XMLHttpRequest();
+    xhr.onload = jest.genMockFn();
+    var requestID = send(xhr);
+
+    xhr.abort();
+    listeners.didCompleteNetworkResponse({requestID: requestID, error: null});
+
+    expect(RCTDataManager.cancelRequest).toBeCalledWith(requestID);
+    expect(xhr.onload.mock.calls.length).toBe(1);
+  });
+
+  it('cancels the native request when it times out', function() {
+    var xhr = new XMLHttpRequest();
+    xhr.timeout = 1000;
+    xhr.ontimeout = jest.genMockFn();
+    xhr.onload = jest.genMockFn();
+    var requestID = send(xhr);
+
+    jest.runAllTimers();
+
+    expect(RCTDataManager.cancelRequest).toBeCalledWith(requestID);
+    expect(xhr.readyState).toBe(xhr.DONE);
+    expect(xhr.ontimeout.mock.calls.length).toBe(1);
+    expect(xhr.onload).not.toBeCalled();
+  });
+});
@@ -0,0 +1,485 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule AsyncStorage
+ * @flow-weak
+ */
+'use strict';
+
+var InMemoryAsyncStorage = require('InMemoryAsyncStorage');
+var NativeModules = require('NativeModules');
+
+var invariant = require('invariant');
+var RCTAsyncLocalStorage = NativeModules.AsyncLocalStorage;
+var RCTAsyncRocksDBStorage = NativeModules.AsyncRocksDBStorage;
+
+// We use RocksDB if available, and keep the values in JS when there is no
+// native storage (e.g. in tests).
+var RCTAsyncStorage = RCTAsyncRocksDBStorage || RCTAsyncLocalStorage ||
+  new InMemoryAsyncStorage();
+
+/**
+ * AsyncStorage is a simple, asynchronous, persistent, global, key-value storage
+ * system.  It should be used instead of LocalStorage.
+ *
+ * It is recommended that you use an abstraction on top of AsyncStorage instead
+ * of AsyncStorage directly for anything more than light usage since it
+ * operates globally.
+ *
+ * This JS code is a simple facad over the native iOS implementation to provide
+ * a clear JS API, real Error objects, and simple non-multi functions. Where
+ * there is no native implementation the values are kept in memory by
+ * `InMemoryAsyncStorage`, see `AsyncStorage.useInMemoryStorage`.
+ *
+ * Every method takes an optional node-style callback. Without one it returns
+ * a Promise instead:
+ *
+ *   AsyncStorage.getItem('key').then((value) => ...);
+ */
+var AsyncStorage = {
+  /**
+   * Fetches `key` and passes the result to `callback`, along with an `Error` if
+   * there is any.
+   */
+  getItem: function(
+    key: string,
+    callback?: ?(error: ?Error, result: ?string) => void
+  ): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.multiGet([key], function(errors, result) {
+        // Unpack result to get value from [[key,value]]
+        var value = (result && result[0] && result[0][1]) ? result[0][1] : null;
+        done((errors && convertError(errors[0])) || null, value);
+      });
+    });
+  },
+
+  /**
+   * Sets `value` for `key` and calls `callback` on completion, along with an
+   * `Error` if there is any.
+   */
+  setItem: function(
+    key: string,
+    value: string,
+    callback?: ?(error: ?Error) => void
+  ): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.multiSet([[key,value]], function(errors) {
+        done((errors && convertError(errors[0])) || null);
+      });
+    });
+  },
+
+  removeItem: function(
+    key: string,
+    callback?: ?(error: ?Error) => void
+  ): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.multiRemove([key], function(errors) {
+        done((errors && convertError(errors[0])) || null);
+      });
+    });
+  },
+
+  /**
+   * Merges existing value with input value, assuming they are stringified json.
+   *
+   * Not supported by all native implementations.
+   */
+  mergeItem: function(
+    key: string,
+    value: string,
+    callback?: ?(error: ?Error) => void
+  ): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.multiMerge([[key,value]], function(errors) {
+        done((errors && convertError(errors[0])) || null);
+      });
+    });
+  },
+
+  /**
+   * Erases *all* AsyncStorage for all clients, libraries, etc.  You probably
+   * don't want to call this - use removeItem or multiRemove to clear only your
+   * own keys instead.
+   */
+  clear: function(callback?: ?(error: ?Error) => void): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.clear(function(error) {
+        done(convertError(error));
+      });
+    });
+  },
+
+  /**
+   * Gets *all* keys known to the system, for all callers, libraries, etc.
+   */
+  getAllKeys: function(
+    callback?: ?(error: ?Error, keys: ?Array<string>) => void
+  ): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.getAllKeys(function(error, keys) {
+        done(convertError(error), keys);
+      });
+    });
+  },
+
+  /**
+   * The following batched functions are useful for executing a lot of
+   * operations at once, allowing for native optimizations and provide the
+   * convenience of a single callback after all operations are complete.
+   *
+   * These functions return arrays of errors, potentially one for every key.
+   * For key-specific errors, the Error object will have a key property to
+   * indicate which key caused the error. Their Promises are rejected with a
+   * single Error instead, whose `errors` are the errors of the keys and whose
+   * `keys` are the keys that failed.
+   */
+
+  /**
+   * multiGet invokes callback with an array of key-value pair arrays that
+   * matches the input format of multiSet.
+   *
+   *   multiGet(['k1', 'k2'], cb) -> cb([['k1', 'val1'], ['k2', 'val2']])
+   */
+  multiGet: function(
+    keys: Array<string>,
+    callback?: ?(errors: ?Array<Error>, result: ?Array<Array<string>>) => void
+  ): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.multiGet(keys, function(errors, result) {
+        done(convertErrors(errors), result);
+      });
+    }, aggregateErrors);
+  },
+
+  /**
+   * multiSet and multiMerge take arrays of key-value array pairs that match
+   * the output of multiGet, e.g.
+   *
+   *   multiSet([['k1', 'val1'], ['k2', 'val2']], cb);
+   */
+  multiSet: function(
+    keyValuePairs: Array<Array<string>>,
+    callback?: ?(errors: ?Array<Error>) => void
+  ): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.multiSet(keyValuePairs, function(errors) {
+        done(convertErrors(errors));
+      });
+    }, aggregateErrors);
+  },
+
+  /**
+   * Delete all the keys in the `keys` array.
+   */
+  multiRemove: function(
+    keys: Array<string>,
+    callback?: ?(errors: ?Array<Error>) => void
+  ): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.multiRemove(keys, function(errors) {
+        done(convertErrors(errors));
+      });
+    }, aggregateErrors);
+  },
+
+  /**
+   * Merges existing values with input values, assuming they are stringified
+   * json.
+   *
+   * Not supported by all native implementations.
+   */
+  multiMerge: function(
+    keyValuePairs: Array<Array<string>>,
+    callback?: ?(errors: ?Array<Error>) => void
+  ): ?Promise {
+    return callbackOrPromise(callback, (done) => {
+      RCTAsyncStorage.multiMerge(keyValuePairs, function(errors) {
+        done(convertErrors(errors));
+      });
+    }, aggregateErrors);
+  },
+};
+
+/**
+ * Keeps the values in memory from now on instead of in the native storage,
+ * and writes them through to `adapter` if there is one (any object with the
+ * shape of the Web Storage API, e.g. `window.localStorage`). Useful for tests
+ * that need storage with nothing in it.
+ */
+AsyncStorage.useInMemoryStorage = function(adapter: ?Object) {
+  RCTAsyncStorage = new InMemoryAsyncStorage(adapter);
+  AsyncStorage.mergeItem = mergeItem;
+  AsyncStorage.multiMerge = multiMerge;
+};
+
+/**
+ * Returns a store with the methods of AsyncStorage whose keys are kept apart
+ * from the ones of everybody else: `clear` and `getAllKeys` only touch the
+ * keys of the namespace (stored as `@name:key`). Its schema version (stored
+ * as `@name/version`) survives `clear`.
+ *
+ * The namespace has a schema `version` (the number of `migrations` by
+ * default). When the version stored on the device is older, the migrations
+ * from it to the current version run in order, before any other operation
+ * of the store. `migrations[i]` upgrades from version `i` to `i + 1`: it gets
+ * the store and returns a Promise if it does anything asynchronously. A
+ * namespace without any keys yet starts at the current version.
+ *
+ *   var feed = AsyncStorage.namespace('feed', {
+ *     migrations: [
+ *       (store) => store.removeItem('legacyCursor'),
+ *     ],
+ *   });
+ *   feed.getItem('stories').then(...);
+ */
+AsyncStorage.namespace = function(
+  name: string,
+  options?: ?{version?: number; migrations?: Array<Function>}
+): Object {
+  invariant(
+    name && !/[:\/]/.test(name),
+    'Namespace names must not be empty or contain `:` or `/`, got `%s`',
+    name
+  );
+  var migrations = (options && options.migrations) || [];
+  var version = options && options.version != null
+    ? options.version
+    : migrations.length;
+  invariant(
+    version >= migrations.length,
+    'Namespace `%s` has migrations up to version %s, but is at version %s',
+    name,
+    migrations.length,
+    version
+  );
+
+  var prefix = '@' + name + ':';
+  var versionKey = '@' + name + '/version';
+  var opening = null;
+  var migrationStore = createNamespacedStore(prefix, () => Promise.resolve());
+
+  var open = function() {
+    if (!opening) {
+      opening = openNamespace(
+        name,
+        versionKey,
+        version,
+        migrations,
+        migrationStore
+      );
+      // Try again with the next operation.
+      opening.then(null, () => {
+        opening = null;
+      });
+    }
+    return opening;
+  };
+
+  return createNamespacedStore(prefix, open);
+};
+
+function openNamespace(name, versionKey, version, migrations, store) {
+  return AsyncStorage.getItem(versionKey).then((storedVersion) => {
+    if (storedVersion != null) {
+      return Number(storedVersion);
+    }
+    // Keys from before the namespace had a version need every migration.
+    return store.getAllKeys().then((keys) => keys.length ? 0 : version);
+  }).then((fromVersion) => {
+    if (fromVersion > version) {
+      throw new Error(
+        'Cannot open namespace `' + name + '` at version ' + version +
+        ', the stored data is at version ' + fromVersion
+      );
+    }
+
+    var migrate = function(currentVersion) {
+      if (currentVersion >= version) {
+        return AsyncStorage.setItem(versionKey, String(version));
+      }
+      var migration = migrations[currentVersion];
+      return Promise.resolve(migration && migration(store))
+        // Migrations that ran don't run again if a later one fails.
+        .then(() => {
+          return AsyncStorage.setItem(versionKey, String(currentVersion + 1));
+        })
+        .then(() => migrate(currentVersion + 1));
+    };
+    return migrate(fromVersion);
+  });
+}
+
+/**
+ * The methods of AsyncStorage for the keys that start with `prefix`, which
+ * wait for `whenOpen()` first.
+ */
+function createNamespacedStore(prefix, whenOpen) {
+  var toKey = (key) => typeof key === 'string' ? prefix + key : key;
+  var fromKey = (key) => key.slice(prefix.length);
+  var fromKeyError = (error) => {
+    if (error && typeof error.key === 'string') {
+      error.key = fromKey(error.key);
+    }
+    return error;
+  };
+  var fromKeyErrors = (errors) => errors && errors.map(fromKeyError);
+  var toPairs = (pairs) => pairs.map((pair) => [toKey(pair[0]), pair[1]]);
+
+  var run = function(callback, isMulti, operation) {
+    return callbackOrPromise(callback, (done) => {
+      whenOpen().then(
+        () => operation(done),
+        (error) => done(isMulti ? [error] : error)
+      );
+    }, isMulti ? aggregateErrors : null);
+  };
+
+  var getAllKeys = function(done) {
+    AsyncStorage.getAllKeys((error, keys) => {
+      done(error, keys && keys
+        .filter((key) => key.indexOf(prefix) === 0)
+        .map(fromKey)
+      );
+    });
+  };
+
+  var store = {
+    getItem: (key, callback) => run(callback, false, (done) => {
+      AsyncStorage.getItem(toKey(key), (error, result) => {
+        done(fromKeyError(error), result);
+      });
+    }),
+    setItem: (key, value, callback) => run(callback, false, (done) => {
+      AsyncStorage.setItem(toKey(key), value, (error) => {
+        done(fromKeyError(error));
+      });
+    }),
+    removeItem: (key, callback) => run(callback, false, (done) => {
+      AsyncStorage.removeItem(toKey(key), (error) => {
+        done(fromKeyError(error));
+      });
+    }),
+    clear: (callback) => run(callback, false, (done) => {
+      getAllKeys((error, keys) => {
+        if (error) {
+          done(error);
+          return;
+        }
+        AsyncStorage.multiRemove(keys.map(toKey), (errors) => {
+          done(errors && errors[0]);
+        });
+      });
+    }),
+    getAllKeys: (callback) => run(callback, false, getAllKeys),
+    multiGet: (keys, callback) => run(callback, true, (done) => {
+      AsyncStorage.multiGet(keys.map(toKey), (errors, result) => {
+        done(fromKeyErrors(errors), result && result.map(
+          (pair) => [fromKey(pair[0]), pair[1]]
+        ));
+      });
+    }),
+    multiSet: (keyValuePairs, callback) => run(callback, true, (done) => {
+      AsyncStorage.multiSet(toPairs(keyValuePairs), (errors) => {
+        done(fromKeyErrors(errors));
+      });
+    }),
+    multiRemove: (keys, callback) => run(callback, true, (done) => {
+      AsyncStorage.multiRemove(keys.map(toKey), (errors) => {
+        done(fromKeyErrors(errors));
+      });
+    }),
+  };
+
+  if (AsyncStorage.multiMerge) {
+    store.mergeItem = (key, value, callback) => run(callback, false, (done) => {
+      AsyncStorage.mergeItem(toKey(key), value, (error) => {
+        done(fromKeyError(error));
+      });
+    });
+    store.multiMerge = (pairs, callback) => run(callback, true, (done) => {
+      AsyncStorage.multiMerge(toPairs(pairs), (errors) => {
+        done(fromKeyErrors(errors));
+      });
+    });
+  }
+
+  return store;
+}
+
+var mergeItem = AsyncStorage.mergeItem;
+var multiMerge = AsyncStorage.multiMerge;
+
+// Not all native implementations support merge.
+if (!RCTAsyncStorage.multiMerge) {
+  delete AsyncStorage.mergeItem;
+  delete AsyncStorage.multiMerge;
+}
+
+/**
+ * Calls `operation` with a node-style callback: `callback` if there is one,
+ * otherwise one that settles the returned Promise. The error the Promise is
+ * rejected with goes through `toPromiseError` first.
+ */
+function callbackOrPromise(callback, operation, toPromiseError) {
+  if (callback) {
+    operation(callback);
+    return null;
+  }
+
+  return new Promise((resolve, reject) => {
+    operation(function(error, result) {
+      if (error && toPromiseError) {
+        error = toPromiseError(error);
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+function convertError(error) {
+  if (!error) {
+    return null;
+  }
+  var out = new Error(error.message);
+  out.key = error.key; // flow doesn't like this :(
+  return out;
+}
+
+function convertErrors(errors) {
+  return (errors && errors.map((error) => convertError(error))) || null;
+}
+
+/**
+ * One Error for the errors of a multi operation, which names the keys that
+ * failed.
+ */
+function aggregateErrors(errors) {
+  errors = errors.filter((error) => error != null);
+  if (!errors.length) {
+    return null;
+  }
+
+  var keys = errors
+    .map((error) => error.key)
+    .filter((key) => key != null);
+  var out = new Error(
+    (keys.length ? 'Failed for keys ' + keys.join(', ') + ': ' : '') +
+    errors.map((error) => error.message).join('; ')
+  );
+  out.errors = errors; // flow doesn't like this :(
+  out.keys = keys;
+  return out;
+}
+
+module.exports = AsyncStorage;
@@ -0,0 +1,291 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule InMemoryAsyncStorage
+ * @flow
+ */
+'use strict';
+
+/**
+ * Where an `InMemoryAsyncStorage` keeps its values across restarts. It has
+ * the shape of the Web Storage API, so `window.localStorage` is an adapter.
+ */
+type StorageAdapter = {
+  length: number;
+  key: (index: number) => ?string;
+  getItem: (key: string) => ?string;
+  setItem: (key: string, value: string) => void;
+  removeItem: (key: string) => void;
+};
+
+type ErrorShape = {message: string; key?: any};
+
+type Values = {[key: string]: string};
+
+/**
+ * A JS implementation of the native module behind `AsyncStorage`, with the
+ * same batched operations, callbacks and error objects (`{message, key}`).
+ * `AsyncStorage` uses it when there is no native storage module, e.g. in
+ * jest tests or on platforms that don't have one yet.
+ *
+ * The values are kept in memory, and written through to the `adapter` when
+ * there is one. The adapter is read once, on the first operation.
+ *
+ *   var storage = new InMemoryAsyncStorage(window.localStorage);
+ *   storage.multiSet([['k1', 'val1']], (errors) => ...);
+ */
+class InMemoryAsyncStorage {
+  _adapter: ?StorageAdapter;
+  _values: ?Values;
+
+  constructor(adapter?: ?StorageAdapter) {
+    this._adapter = adapter;
+    this._values = null;
+  }
+
+  multiGet(
+    keys: Array<any>,
+    callback: (errors: ?Array<ErrorShape>, result: ?Array<Array<any>>) => void
+  ): void {
+    this._run(callback, (values, errors) => {
+      return keys.map((key) => {
+        var error = errorForKey(key);
+        if (error) {
+          errors.push(error);
+          return [key, null];
+        }
+        return [key, hasOwnProperty.call(values, key) ? values[key] : null];
+      });
+    });
+  }
+
+  multiSet(
+    keyValuePairs: Array<Array<any>>,
+    callback?: ?(errors: ?Array<ErrorShape>) => void
+  ): void {
+    this._run(callback, (values, errors) => {
+      keyValuePairs.forEach((entry) => {
+        var error = errorForEntry(entry) || this._write(entry[0], entry[1]);
+        if (error) {
+          errors.push(error);
+        }
+      });
+    });
+  }
+
+  multiRemove(
+    keys: Array<any>,
+    callback?: ?(errors: ?Array<ErrorShape>) => void
+  ): void {
+    this._run(callback, (values, errors) => {
+      keys.forEach((key) => {
+        var error = errorForKey(key) || this._write(key, null);
+        if (error) {
+          errors.push(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Merges the JSON objects in the values with the ones already stored, like
+   * `AsyncRocksDBStorage`: nested objects are merged, anything else is
+   * replaced.
+   */
+  multiMerge(
+    keyValuePairs: Array<Array<any>>,
+    callback?: ?(errors: ?Array<ErrorShape>) => void
+  ): void {
+    this._run(callback, (values, errors) => {
+      keyValuePairs.forEach((entry) => {
+        var error = errorForEntry(entry);
+        if (!error) {
+          var key = entry[0];
+          try {
+            var merged = hasOwnProperty.call(values, key)
+              ? JSON.stringify(
+                  deepMerge(JSON.parse(values[key]), JSON.parse(entry[1]))
+                )
+              : entry[1];
+            error = this._write(key, merged);
+          } catch (e) {
+            error = {
+              message: 'Failed to merge value. ' + e.message,
+              key: key,
+            };
+          }
+        }
+        if (error) {
+          errors.push(error);
+        }
+      });
+    });
+  }
+
+  clear(callback?: ?(error: ?ErrorShape) => void): void {
+    var done = callback && ((errors) => callback(errors && errors[0]));
+    this._run(done, (values, errors) => {
+      var adapter = this._adapter;
+      this._values = {};
+      if (adapter) {
+        try {
+          readKeys(adapter).forEach((key) => adapter.removeItem(key));
+        } catch (e) {
+          errors.push({message: 'Failed to clear storage. ' + e.message});
+        }
+      }
+    });
+  }
+
+  getAllKeys(
+    callback: (error: ?ErrorShape, keys: ?Array<string>) => void
+  ): void {
+    this._run(
+      (errors, keys) => callback(errors && errors[0], keys),
+      (values) => Object.keys(values)
+    );
+  }
+
+  /**
+   * Runs `operation` with the values and an array to add its errors to, then
+   * calls `callback` asynchronously, like the native modules do, with the
+   * errors (or null) and what `operation` returned, if anything.
+   */
+  _run(
+    callback: ?(errors: ?Array<ErrorShape>, result: any) => void,
+    operation: (values: Values, errors: Array<ErrorShape>) => any
+  ): void {
+    var errors = [];
+    var result;
+    var setupError = this._ensureSetup();
+    if (setupError) {
+      errors.push(setupError);
+    } else {
+      result = operation(this._values || {}, errors);
+    }
+
+    if (callback) {
+      var args = [errors.length ? errors : null];
+      if (result !== undefined) {
+        args.push(result);
+      }
+      var done = callback;
+      setImmediate(() => done.apply(null, args));
+    }
+  }
+
+  _ensureSetup(): ?ErrorShape {
+    if (this._values) {
+      return null;
+    }
+
+    var values = {};
+    var adapter = this._adapter;
+    if (adapter) {
+      try {
+        readKeys(adapter).forEach((key) => {
+          var value = adapter.getItem(key);
+          if (value != null) {
+            values[key] = value;
+          }
+        });
+      } catch (e) {
+        return {message: 'Failed to read storage. ' + e.message};
+      }
+    }
+    this._values = values;
+    return null;
+  }
+
+  /**
+   * Sets `key` to `value`, or removes it if `value` is null, in memory and
+   * in the adapter.
+   */
+  _write(key: string, value: ?string): ?ErrorShape {
+    var adapter = this._adapter;
+    if (adapter) {
+      try {
+        if (value == null) {
+          adapter.removeItem(key);
+        } else {
+          adapter.setItem(key, value);
+        }
+      } catch (e) {
+        return {message: 'Failed to write value. ' + e.message, key: key};
+      }
+    }
+
+    var values = this._values || {};
+    if (value == null) {
+      delete values[key];
+    } else {
+      values[key] = value;
+    }
+    return null;
+  }
+}
+
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+function errorForKey(key: any): ?ErrorShape {
+  if (typeof key !== 'string') {
+    return {message: 'Invalid key - must be a string.  Key: ' + key, key: key};
+  } else if (key.length < 1) {
+    return {
+      message: 'Invalid key - must be at least one character.  Key: ' + key,
+      key: key,
+    };
+  }
+  return null;
+}
+
+function errorForEntry(entry: any): ?ErrorShape {
+  if (!Array.isArray(entry) || entry.length !== 2) {
+    return {
+      message: 'Entries must be arrays of the form [key: string, value: ' +
+        'string], got: ' + JSON.stringify(entry),
+    };
+  }
+  if (typeof entry[1] !== 'string') {
+    return {message: 'Values must be strings, got: ' + entry[1], key: entry[0]};
+  }
+  return errorForKey(entry[0]);
+}
+
+function readKeys(adapter: StorageAdapter): Array<string> {
+  var keys = [];
+  for (var i = 0; i < adapter.length; i++) {
+    var key = adapter.key(i);
+    if (key != null) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+function deepMerge(target: any, source: any): any {
+  if (!isObject(target) || !isObject(source)) {
+    return source;
+  }
+  var merged = {};
+  Object.keys(target).forEach((key) => {
+    merged[key] = target[key];
+  });
+  Object.keys(source).forEach((key) => {
+    merged[key] = hasOwnProperty.call(merged, key)
+      ? deepMerge(merged[key], source[key])
+      : source[key];
+  });
+  return merged;
+}
+
+function isObject(value: any): boolean {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = InMemoryAsyncStorage;
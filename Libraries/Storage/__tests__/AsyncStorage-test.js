@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.dontMock('AsyncStorage');
+
+describe('AsyncStorage', function() {
+  var AsyncStorage;
+  var RCTAsyncLocalStorage;
+
+  beforeEach(function() {
+    RCTAsyncLocalStorage = {
+      multiGet: jest.genMockFn().mockImpl(function(keys, callback) {
+        callback(null, keys.map((key) => [key, 'value of ' + key]));
+      }),
+      multiSet: jest.genMockFn().mockImpl(function(pairs, callback) {
+        callback(null);
+      }),
+      multiRemove: jest.genMockFn().mockImpl(function(keys, callback) {
+        callback([
+          {message: 'Cannot remove', key: keys[0]},
+          {message: 'Cannot remove either', key: keys[1]},
+        ]);
+      }),
+    };
+    jest.setMock('NativeModules', {AsyncLocalStorage: RCTAsyncLocalStorage});
+    AsyncStorage = require('AsyncStorage');
+  });
+
+  it('still calls callbacks', function() {
+    var callback = jest.genMockFn();
+    expect(AsyncStorage.getItem('a', callback)).toBe(null);
+    expect(callback).toBeCalledWith(null, 'value of a');
+  });
+
+  pit('returns promises without callbacks', function() {
+    return Promise.all([
+      AsyncStorage.getItem('a'),
+      AsyncStorage.multiGet(['a', 'b']),
+      AsyncStorage.setItem('a', '1'),
+    ]).then(function(results) {
+      expect(results).toEqual([
+        'value of a',
+        [['a', 'value of a'], ['b', 'value of b']],
+        undefined,
+      ]);
+      expect(RCTAsyncLocalStorage.multiSet.mock.calls[0][0]).toEqual([
+        ['a', '1'],
+      ]);
+    });
+  });
+
+  pit('rejects multi operations with the errors of every key', function() {
+    return AsyncStorage.multiRemove(['a', 'b']).then(function() {
+      throw new Error('should have failed');
+    }, function(error) {
+      expect(error.message).toBe(
+        'Failed for keys a, b: Cannot remove; Cannot remove either'
+      );
+      expect(error.keys).toEqual(['a', 'b']);
+      expect(error.errors.map((keyError) => keyError.key)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('namespace', function() {
+    var items;
+
+    beforeEach(function() {
+      items = {};
+      jest.setMock('NativeModules', {AsyncLocalStorage: {
+        multiGet: (keys, callback) => callback(null, keys.map(
+          (key) => [key, items.hasOwnProperty(key) ? items[key] : null]
+        )),
+        multiSet: (pairs, callback) => {
+          pairs.forEach((pair) => items[pair[0]] = pair[1]);
+          callback(null);
+        },
+        multiRemove: (keys, callback) => {
+          keys.forEach((key) => delete items[key]);
+          callback(null);
+        },
+        getAllKeys: (callback) => callback(null, Object.keys(items)),
+      }});
+      AsyncStorage = require('AsyncStorage');
+    });
+
+    pit('only touches the keys of the namespace', function() {
+      items.global = 'global value';
+      var feed = AsyncStorage.namespace('feed');
+
+      return feed.multiSet([['a', '1'], ['b', '2']]).then(() => {
+        expect(items['@feed:a']).toBe('1');
+        return feed.getAllKeys();
+      }).then((keys) => {
+        expect(keys).toEqual(['a', 'b']);
+        return feed.clear();
+      }).then(() => {
+        expect(items).toEqual({global: 'global value', '@feed/version': '0'});
+      });
+    });
+
+    pit('runs the migrations from the stored version once', function() {
+      items['@feed/version'] = '1';
+      items['@feed:cursor'] = 'old';
+      var migrations = [
+        jest.genMockFn(),
+        jest.genMockFn().mockImpl((store) => store.removeItem('cursor')),
+        jest.genMockFn().mockImpl((store) => store.setItem('layout', 'v3')),
+      ];
+      var feed = AsyncStorage.namespace('feed', {migrations: migrations});
+
+      return Promise.all([
+        feed.getItem('cursor'),
+        feed.getItem('layout'),
+      ]).then((values) => {
+        expect(values).toEqual([null, 'v3']);
+        expect(migrations[0]).not.toBeCalled();
+        expect(migrations[1].mock.calls.length).toBe(1);
+        expect(migrations[2].mock.calls.length).toBe(1);
+        expect(items['@feed/version']).toBe('3');
+
+        return AsyncStorage.namespace('feed', {migrations: migrations})
+          .getItem('layout');
+      }).then(() => {
+        expect(migrations[2].mock.calls.length).toBe(1);
+      });
+    });
+
+    pit('starts new namespaces at the current version', function() {
+      var migration = jest.genMockFn();
+      var feed = AsyncStorage.namespace('feed', {migrations: [migration]});
+
+      return feed.setItem('a', '1').then(() => {
+        expect(migration).not.toBeCalled();
+        expect(items['@feed/version']).toBe('1');
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest
+  .dontMock('AsyncStorage')
+  .dontMock('InMemoryAsyncStorage');
+
+describe('InMemoryAsyncStorage', function() {
+  var InMemoryAsyncStorage;
+
+  beforeEach(function() {
+    InMemoryAsyncStorage = require('InMemoryAsyncStorage');
+  });
+
+  function createAdapter(items) {
+    return {
+      get length() {
+        return Object.keys(items).length;
+      },
+      key: (index) => Object.keys(items)[index],
+      getItem: (key) => items[key],
+      setItem: jest.genMockFn().mockImpl((key, value) => {
+        items[key] = value;
+      }),
+      removeItem: jest.genMockFn().mockImpl((key) => {
+        delete items[key];
+      }),
+    };
+  }
+
+  it('calls back asynchronously with the errors of every key', function() {
+    var storage = new InMemoryAsyncStorage();
+    var setCallback = jest.genMockFn();
+    var getCallback = jest.genMockFn();
+
+    storage.multiSet([['a', '1'], ['', '2'], ['c', 3]], setCallback);
+    storage.multiGet(['a', 'b'], getCallback);
+    expect(setCallback).not.toBeCalled();
+    jest.runAllTimers();
+
+    expect(setCallback).toBeCalledWith([
+      {message: 'Invalid key - must be at least one character.  Key: ', key: ''},
+      {message: 'Values must be strings, got: 3', key: 'c'},
+    ]);
+    expect(getCallback).toBeCalledWith(null, [['a', '1'], ['b', null]]);
+  });
+
+  it('merges JSON objects', function() {
+    var storage = new InMemoryAsyncStorage();
+    var callback = jest.genMockFn();
+
+    storage.multiSet([['a', '{"x":{"y":1,"z":2},"list":[1]}']]);
+    storage.multiMerge([
+      ['a', '{"x":{"z":3},"list":[2]}'],
+      ['b', '{"new":true}'],
+    ]);
+    storage.multiGet(['a', 'b'], callback);
+    jest.runAllTimers();
+
+    expect(callback).toBeCalledWith(null, [
+      ['a', '{"x":{"y":1,"z":3},"list":[2]}'],
+      ['b', '{"new":true}'],
+    ]);
+  });
+
+  it('reads from and writes through to the adapter', function() {
+    var items = {a: '1', b: '2'};
+    var adapter = createAdapter(items);
+    var storage = new InMemoryAsyncStorage(adapter);
+    var callback = jest.genMockFn();
+
+    storage.multiRemove(['a']);
+    storage.multiSet([['c', '3']]);
+    storage.getAllKeys(callback);
+    jest.runAllTimers();
+
+    expect(callback).toBeCalledWith(null, ['b', 'c']);
+    expect(items).toEqual({b: '2', c: '3'});
+
+    adapter.setItem.mockImpl(() => {
+      throw new Error('Quota exceeded');
+    });
+    storage.multiSet([['d', '4']], callback);
+    jest.runAllTimers();
+
+    expect(callback).toBeCalledWith([
+      {message: 'Failed to write value. Quota exceeded', key: 'd'},
+    ]);
+  });
+
+  it('is used by AsyncStorage without a native module', function() {
+    jest.setMock('NativeModules', {});
+    var AsyncStorage = require('AsyncStorage');
+    var callback = jest.genMockFn();
+
+    AsyncStorage.setItem('a', '1');
+    AsyncStorage.getItem('a', callback);
+    jest.runAllTimers();
+
+    expect(callback).toBeCalledWith(null, '1');
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule BridgeProfiler
+ */
+'use strict';
+
+var BatchedBridge = require('BatchedBridge');
+
+var invariant = require('invariant');
+var performanceNow = require('performanceNow');
+
+var FRAME_DURATION = 1000 / 60;
+
+var Directions = {
+  toJS: 'toJS',
+  toNative: 'toNative',
+};
+
+// The threads of the chrome://tracing view
+var TRACE_PID = 1;
+var TRACE_TID_TO_JS = 1;
+var TRACE_TID_TO_NATIVE = 2;
+
+/**
+ * Copies `value` as it goes over the bridge, so that it can't change after
+ * being recorded, and measures it.
+ */
+function snapshot(value) {
+  var json = JSON.stringify(value);
+  return json === undefined ?
+    {value: undefined, size: 0} :
+    {value: JSON.parse(json), size: json.length};
+}
+
+/**
+ * Receives the messages of the message queue while profiling, and turns them
+ * into a capture.
+ */
+class Recorder {
+  constructor() {
+    this._startTime = performanceNow();
+    this._entries = [];
+    this._batches = [];
+    this._incomingEntries = [];
+    // Module and method the callback IDs have been passed to
+    this._methodsByCallbackID = {};
+  }
+
+  onIncomingCallStart(moduleName, methodName, params) {
+    this._startIncoming({
+      type: 'call',
+      module: moduleName,
+      method: methodName,
+    }, params);
+  }
+
+  onIncomingCallbackStart(cbID, args) {
+    var method = this._methodsByCallbackID[cbID];
+    this._startIncoming({
+      type: 'callback',
+      module: method ? method.module : null,
+      method: method ? method.method : null,
+      callbackID: cbID,
+    }, args);
+  }
+
+  onIncomingEnd() {
+    var entry = this._incomingEntries.pop();
+    entry.duration = this._now() - entry.time;
+  }
+
+  onOutgoingCall(moduleName, methodName, params, callbackIDs) {
+    var method = {module: moduleName, method: methodName};
+    (callbackIDs || []).forEach((cbID) => {
+      this._methodsByCallbackID[cbID] = method;
+    });
+    this._addOutgoing({
+      type: 'call',
+      module: moduleName,
+      method: methodName,
+    }, params);
+  }
+
+  onOutgoingResponse(cbID, returnValue) {
+    this._addOutgoing({type: 'response', callbackID: cbID}, returnValue);
+  }
+
+  onOutgoingCancel(streamID) {
+    var method = this._methodsByCallbackID[streamID];
+    this._addOutgoing({
+      type: 'cancel',
+      module: method ? method.module : null,
+      method: method ? method.method : null,
+      callbackID: streamID,
+    }, []);
+  }
+
+  onFlush(buffer) {
+    if (!buffer) {
+      return;
+    }
+    this._batches.push({
+      time: this._now(),
+      calls: buffer[0].length,
+      responses: buffer[3].length,
+      cancels: buffer[5] ? buffer[5].length : 0,
+      size: JSON.stringify(buffer).length,
+    });
+  }
+
+  getCapture() {
+    return {
+      version: 1,
+      duration: this._now(),
+      entries: this._entries,
+      batches: this._batches,
+    };
+  }
+
+  _startIncoming(entry, args) {
+    var payload = snapshot(args);
+    entry.time = this._now();
+    entry.duration = 0;
+    entry.direction = Directions.toJS;
+    entry.args = payload.value;
+    entry.size = payload.size;
+    this._entries.push(entry);
+    this._incomingEntries.push(entry);
+  }
+
+  _addOutgoing(entry, args) {
+    var payload = snapshot(args);
+    entry.time = this._now();
+    entry.direction = Directions.toNative;
+    entry.args = payload.value;
+    entry.size = payload.size;
+    this._entries.push(entry);
+  }
+
+  _now() {
+    return performanceNow() - this._startTime;
+  }
+}
+
+var recorder = null;
+
+/**
+ * Records the traffic of the bridge, to find what congests it:
+ *
+ *   BridgeProfiler.start();
+ *   ...
+ *   var capture = BridgeProfiler.stop();
+ *
+ * The capture is JSON. Its `entries` are the messages in both directions, in
+ * order, as `{time, direction, type, module, method, callbackID, args, size}`,
+ * where `direction` is `toJS` or `toNative`, `type` is `call`, `callback`,
+ * `response` or `cancel`, `size` is the length of the JSON of the `args`, and
+ * times are in milliseconds since the start. Messages to JS also have the
+ * `duration` of their handling. Callbacks are named after the method they
+ * were passed to. Its `batches` are the queues flushed to native, as `{time,
+ * calls, responses, cancels, size}`.
+ *
+ * `toChromeTrace` turns a capture into a trace to load in chrome://tracing,
+ * and `HeadlessHost` can replay it, to run the same bundle with what native
+ * sent.
+ */
+var BridgeProfiler = {
+  Directions: Directions,
+
+  start: function() {
+    invariant(!recorder, 'The bridge profiler has already been started.');
+    recorder = new Recorder();
+    BatchedBridge.setProfiler(recorder);
+  },
+
+  stop: function() {
+    invariant(recorder, 'The bridge profiler has not been started.');
+    BatchedBridge.setProfiler(null);
+    var capture = recorder.getCapture();
+    recorder = null;
+    return capture;
+  },
+
+  isProfiling: function() {
+    return !!recorder;
+  },
+
+  /**
+   * The batches sent to native during each frame of the capture, as `{frame,
+   * batches, calls, size}`, for the frames that sent any.
+   */
+  getFrames: function(capture) {
+    var frames = [];
+    var frame = null;
+    capture.batches.forEach((batch) => {
+      var index = Math.floor(batch.time / FRAME_DURATION);
+      if (!frame || frame.frame !== index) {
+        frame = {frame: index, batches: 0, calls: 0, size: 0};
+        frames.push(frame);
+      }
+      frame.batches++;
+      frame.calls += batch.calls;
+      frame.size += batch.size;
+    });
+    return frames;
+  },
+
+  /**
+   * The capture in the Trace Event Format of chrome://tracing: the messages
+   * to JS are slices as long as their handling, the messages to native are
+   * instants and the batches are counters.
+   */
+  toChromeTrace: function(capture) {
+    var toMicroseconds = (ms) => Math.round(ms * 1000);
+    var traceEvents = [
+      {
+        name: 'thread_name',
+        ph: 'M',
+        pid: TRACE_PID,
+        tid: TRACE_TID_TO_JS,
+        args: {name: 'Native to JS'},
+      },
+      {
+        name: 'thread_name',
+        ph: 'M',
+        pid: TRACE_PID,
+        tid: TRACE_TID_TO_NATIVE,
+        args: {name: 'JS to native'},
+      },
+    ];
+
+    capture.entries.forEach((entry) => {
+      var event = {
+        name: entry.module ?
+          entry.module + '.' + entry.method :
+          entry.type + ' ' + entry.callbackID,
+        cat: entry.type,
+        pid: TRACE_PID,
+        ts: toMicroseconds(entry.time),
+        args: {size: entry.size, callbackID: entry.callbackID},
+      };
+      if (entry.direction === Directions.toJS) {
+        event.ph = 'X';
+        event.tid = TRACE_TID_TO_JS;
+        event.dur = toMicroseconds(entry.duration);
+      } else {
+        event.ph = 'i';
+        event.s = 't';
+        event.tid = TRACE_TID_TO_NATIVE;
+      }
+      traceEvents.push(event);
+    });
+
+    capture.batches.forEach((batch) => {
+      traceEvents.push({
+        name: 'Batch',
+        ph: 'C',
+        pid: TRACE_PID,
+        ts: toMicroseconds(batch.time),
+        args: {calls: batch.calls, size: batch.size},
+      });
+    });
+
+    return {traceEvents: traceEvents, displayTimeUnit: 'ms'};
+  },
+};
+
+module.exports = BridgeProfiler;
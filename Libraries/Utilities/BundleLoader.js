@@ -0,0 +1,65 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * Loads the secondary bundles of a split package (see the `split` query
+ * param of the packager) when `requireLazy` asks for one of their modules.
+ * Their urls are relative to the url of the main bundle.
+ *
+ * @providesModule BundleLoader
+ */
+'use strict';
+
+var RCTSourceCode = require('NativeModules').SourceCode;
+
+// Evaluates in the global scope, where the modules are defined with `__d`.
+var globalEval = eval;
+
+var BundleLoader = {
+  install: function() {
+    if (!require.__bundles || !RCTSourceCode) {
+      return;
+    }
+    require.__bundles.setLoader(BundleLoader._load);
+  },
+
+  _load: function(bundleUrl: string, callback: Function) {
+    var scriptURL = RCTSourceCode.scriptURL;
+    if (!scriptURL) {
+      callback(new Error('Unable to find the bundle url'));
+      return;
+    }
+    BundleLoader._fetch(resolveUrl(scriptURL, bundleUrl), callback);
+  },
+
+  _fetch: function(url: string, callback: Function) {
+    fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error('Server responded with ' + response.status);
+        }
+        return response.text();
+      })
+      .then((code) => {
+        globalEval(code + '\n//@ sourceURL=' + url);
+      })
+      // Errors of the bundle code go to the callback as well.
+      .then(() => callback(null), callback)
+      .done();
+  },
+};
+
+function resolveUrl(baseUrl: string, url: string): string {
+  if (/^\w+:/.test(url)) {
+    return url;
+  } else if (url[0] === '/') {
+    return baseUrl.match(/^\w+:\/\/[^\/]*/)[0] + url;
+  }
+  return baseUrl.replace(/[^\/]*$/, '') + url;
+}
+
+module.exports = BundleLoader;
@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * Connects to the `/hot` endpoint of the packager that served the bundle and
+ * applies the modules it sends when files change. Updates only take effect in
+ * modules that opt in with `module.hot.accept`, otherwise a reload is needed.
+ *
+ * @providesModule HMRClient
+ */
+'use strict';
+
+var RCTSourceCode = require('NativeModules').SourceCode;
+
+// Evaluates in the global scope, where the modules are defined with `__d`.
+var globalEval = eval;
+
+var HMRClient = {
+  /**
+   * Uses a WebSocket when there is one, e.g. in the Chrome debugger, and long
+   * polling with `XMLHttpRequest` otherwise.
+   */
+  enable: function() {
+    var bundleUrl = RCTSourceCode && RCTSourceCode.scriptURL;
+    var match = bundleUrl && bundleUrl.match(/^https?:\/\/([^\/]+)(\/.*)$/);
+    if (!match) {
+      // Not served by the packager.
+      return;
+    }
+
+    var host = match[1];
+    var query = '?bundle=' + encodeURIComponent(match[2]);
+    if (global.WebSocket) {
+      HMRClient._connect('ws://' + host + '/hot' + query);
+    } else {
+      // Identifies this instance of the app across polls.
+      var clientID =
+        Date.now().toString(36) + Math.random().toString(36).slice(2);
+      HMRClient._poll(
+        'http://' + host + '/hot' + query + '&client=' + clientID
+      );
+    }
+  },
+
+  _connect: function(hotUrl: string) {
+    var ws = new global.WebSocket(hotUrl);
+    ws.onmessage = (event) => HMRClient._handleMessage(JSON.parse(event.data));
+  },
+
+  /**
+   * The packager holds each poll until it has messages for us. Stops when the
+   * packager goes away, like the WebSocket does.
+   */
+  _poll: function(pollUrl: string) {
+    var xhr = new XMLHttpRequest();
+    xhr.onload = () => {
+      if (xhr.status !== 200) {
+        return;
+      }
+      JSON.parse(xhr.responseText).forEach(HMRClient._handleMessage);
+      HMRClient._poll(pollUrl);
+    };
+    xhr.open('GET', pollUrl);
+    xhr.send();
+  },
+
+  _handleMessage: function(message: Object) {
+    switch (message.type) {
+      case 'update':
+        var applied = require.__hot.apply(() => {
+          message.modules.forEach((module) => globalEval(module.code));
+        });
+        if (!applied) {
+          console.warn(
+            'HMR: Some changed modules can\'t be hot replaced, reload to ' +
+            'see the changes'
+          );
+        }
+        break;
+      case 'error':
+        console.error('HMR: ' + (message.error.message || message.error));
+        break;
+    }
+  },
+};
+
+module.exports = HMRClient;
@@ -51,8 +51,7 @@ var jsCall = function(module, methodName, params) {
  * that work to another thread. Each instance of `MessageQueue` has the notion
  * of a "target" thread - the thread that the work will be sent to.
  *
- * TODO: Long running callback results, and streaming callback results (ability
- * for a callback to be invoked multiple times).
+ * TODO: Long running callback results.
  *
  * @param {object} moduleNameToID Used to translate module/method names into
  * efficient numeric IDs.
@@ -75,6 +74,12 @@ var REQUEST_PARAMSS = 2;
 // RESPONSE: Parallell arrays:
 var RESPONSE_CBIDS = 3;
 var RESPONSE_RETURN_VALUES = 4;
+// CANCELLATION: IDs of the streams the other thread should stop sending to
+var CANCELLED_STREAM_IDS = 5;
+
+// The other thread doesn't have to complete a cancelled stream, so only the
+// latest cancellations are remembered to ignore what was sent before them.
+var MAX_CANCELLED_STREAMS = 100;
 
 /**
  * Utility to catch errors and prevent having to bind, or execute a bound
@@ -216,6 +221,14 @@ var MessageQueueMixin = {
     this._threadLocalCallbacksByID = [];
     this._threadLocalScopesByID = [];
 
+    /**
+     * Success callback IDs of the streams (see `callStream`), which are not
+     * freed when invoked, and of the streams that have been cancelled, whose
+     * late invocations are ignored until they complete.
+     */
+    this._streamIDs = {};
+    this._cancelledStreamIDs = [];
+
     /**
      * Memory efficient parallel arrays. Each index cuts through the three
      * arrays and forms a remote invocation of methodName(params) whos return
@@ -237,14 +250,16 @@ var MessageQueueMixin = {
 
       /*RESPONSE_CBIDS:         */ [/* +-+ +-+ +-+ +-+ */],
                                     /* |E| |F| |G| |H| */
-      /*RESPONSE_RETURN_VALUES: */ [/* +-+ +-+ +-+ +-+ */]
+      /*RESPONSE_RETURN_VALUES: */ [/* +-+ +-+ +-+ +-+ */],
+
+      /*CANCELLED_STREAM_IDS:   */ [/* |I| |J| |K| |L| */]
     ];
 
     /**
      * Used to allow returning the buffer, while at the same time clearing it in
      * a memory efficient manner.
      */
-    this._outgoingItemsSwap = [[], [], [], [], []];
+    this._outgoingItemsSwap = [[], [], [], [], [], []];
   },
 
   invokeCallback: function(cbID, args) {
@@ -252,9 +267,15 @@ var MessageQueueMixin = {
   },
 
   _invokeCallback: function(cbID, args) {
+    var isStream = this._streamIDs[cbID];
+    var profiler = this._profiler;
+    profiler && profiler.onIncomingCallbackStart(cbID, args);
     try {
       var cb = this._threadLocalCallbacksByID[cbID];
       var scope = this._threadLocalScopesByID[cbID];
+      if (!cb && this._ignoreCancelledStreamCallback(cbID)) {
+        return;
+      }
       warning(
         cb,
         'Cannot find callback with CBID %s. Native module may have invoked ' +
@@ -265,8 +286,12 @@ var MessageQueueMixin = {
     } catch(ie_requires_catch) {
       throw ie_requires_catch;
     } finally {
-      // Clear out the memory regardless of success or failure.
-      this._freeResourcesForCallbackID(cbID);
+      // Clear out the memory regardless of success or failure, unless more
+      // results are to come.
+      if (!isStream) {
+        this._freeResourcesForCallbackID(cbID);
+      }
+      profiler && profiler.onIncomingEnd();
     }
   },
 
@@ -290,9 +315,13 @@ var MessageQueueMixin = {
     var moduleName = this._localModuleIDToModuleName[moduleID];
 
     var methodName = this._localModuleNameToMethodIDToName[moduleName][methodID];
-    var ret = jsCall(this._requireFunc(moduleName), methodName, params);
-
-    return ret;
+    var profiler = this._profiler;
+    profiler && profiler.onIncomingCallStart(moduleName, methodName, params);
+    try {
+      return jsCall(this._requireFunc(moduleName), methodName, params);
+    } finally {
+      profiler && profiler.onIncomingEnd();
+    }
   },
 
   callFunctionReturnFlushedQueue: function(moduleID, methodID, params) {
@@ -310,7 +339,7 @@ var MessageQueueMixin = {
   setLoggingEnabled: function(enabled) {
     this._enableLogging = enabled;
     this._loggedIncomingItems = [];
-    this._loggedOutgoingItems = [[], [], [], [], []];
+    this._loggedOutgoingItems = [[], [], [], [], [], []];
   },
 
   getLoggedIncomingItems: function() {
@@ -325,6 +354,15 @@ var MessageQueueMixin = {
     this._outgoingItems = previousLog;
   },
 
+  /**
+   * Reports every message in both directions, with the names of the modules
+   * and methods, to `profiler` (see `BridgeProfiler`), until it is set back
+   * to null.
+   */
+  setProfiler: function(profiler) {
+    this._profiler = profiler;
+  },
+
   /**
    * Simple helpers for clearing the queues. This doesn't handle the fact that
    * memory in the current buffer is leaked until the next frame or update - but
@@ -343,6 +381,9 @@ var MessageQueueMixin = {
     nextOutgoingItems[RESPONSE_CBIDS].length = 0;
     nextOutgoingItems[RESPONSE_RETURN_VALUES].length = 0;
 
+    // Outgoing cancellations
+    nextOutgoingItems[CANCELLED_STREAM_IDS].length = 0;
+
     this._outgoingItemsSwap = currentOutgoingItems;
     this._outgoingItems = nextOutgoingItems;
   },
@@ -373,12 +414,42 @@ var MessageQueueMixin = {
   _pushResponseToOutgoingItems: function(cbID, returnValue) {
     this._outgoingItems[RESPONSE_CBIDS].push(cbID);
     this._outgoingItems[RESPONSE_RETURN_VALUES].push(returnValue);
+
+    if (this._enableLogging) {
+      this._loggedOutgoingItems[RESPONSE_CBIDS].push(cbID);
+      this._loggedOutgoingItems[RESPONSE_RETURN_VALUES].push(returnValue);
+    }
+    this._profiler && this._profiler.onOutgoingResponse(cbID, returnValue);
+  },
+
+  _streamIDForCallbackID: function(cbID) {
+    return this._bookkeeping.isSuccessCallback(cbID) ?
+      cbID :
+      this._bookkeeping.successCallbackIDForErrorCallbackID(cbID);
+  },
+
+  /**
+   * Whether `cbID` belongs to a cancelled stream, i.e. was sent before the
+   * other thread knew about the cancellation. Nothing more is sent after the
+   * stream completes, so it is forgotten then.
+   */
+  _ignoreCancelledStreamCallback: function(cbID) {
+    var streamID = this._streamIDForCallbackID(cbID);
+    var index = this._cancelledStreamIDs.indexOf(streamID);
+    if (index === -1) {
+      return false;
+    }
+    if (cbID !== streamID) {
+      this._cancelledStreamIDs.splice(index, 1);
+    }
+    return true;
   },
 
   _freeResourcesForCallbackID: function(cbID) {
     var correspondingCBID = this._bookkeeping.isSuccessCallback(cbID) ?
       this._bookkeeping.errorCallbackIDForSuccessCallbackID(cbID) :
       this._bookkeeping.successCallbackIDForErrorCallbackID(cbID);
+    delete this._streamIDs[this._streamIDForCallbackID(cbID)];
     this._threadLocalCallbacksByID[cbID] = null;
     this._threadLocalScopesByID[cbID] = null;
     if (this._threadLocalCallbacksByID[correspondingCBID]) {
@@ -435,8 +506,10 @@ var MessageQueueMixin = {
     var currentOutgoingItems = this._outgoingItems;
     this._swapAndReinitializeBuffer();
     var ret = currentOutgoingItems[REQUEST_MODULE_IDS].length ||
-      currentOutgoingItems[RESPONSE_RETURN_VALUES].length ? currentOutgoingItems : null;
+      currentOutgoingItems[RESPONSE_RETURN_VALUES].length ||
+      currentOutgoingItems[CANCELLED_STREAM_IDS].length ? currentOutgoingItems : null;
 
+    this._profiler && this._profiler.onFlush(ret);
     return ret;
   },
 
@@ -462,7 +535,55 @@ var MessageQueueMixin = {
       throw new Error('Unrecognized method name:' + methodName);
     }
     this._pushRequestToOutgoingItems(moduleID, methodID, params);
+    this._profiler && this._profiler.onOutgoingCall(
+      moduleName,
+      methodName,
+      params,
+      onSucc ? [
+        this._POOLED_CBIDS.errorCallbackID,
+        this._POOLED_CBIDS.successCallbackID,
+      ] : null
+    );
   },
+
+  /**
+   * Like `call`, but `onNext` can be invoked any number of times, until the
+   * other thread invokes `onComplete`, once, with an error or nothing. The
+   * callback IDs are passed like in `call`.
+   *
+   * @return {number} ID of the stream, to pass to `cancelStream`.
+   */
+  callStream: function(moduleName, methodName, params, onNext, onComplete, scope) {
+    invariant(
+      typeof onNext === 'function' && typeof onComplete === 'function',
+      'Callbacks must be functions'
+    );
+    this.call(moduleName, methodName, params, onComplete, onNext, scope);
+    var streamID = this._POOLED_CBIDS.successCallbackID;
+    this._streamIDs[streamID] = true;
+    return streamID;
+  },
+
+  /**
+   * Stops invoking the callbacks of the stream `streamID`, and tells the other
+   * thread to stop sending to it. Does nothing if the stream is complete.
+   */
+  cancelStream: function(streamID) {
+    if (!this._streamIDs[streamID]) {
+      return;
+    }
+    this._freeResourcesForCallbackID(streamID);
+    this._cancelledStreamIDs.push(streamID);
+    if (this._cancelledStreamIDs.length > MAX_CANCELLED_STREAMS) {
+      this._cancelledStreamIDs.shift();
+    }
+    this._outgoingItems[CANCELLED_STREAM_IDS].push(streamID);
+    if (this._enableLogging) {
+      this._loggedOutgoingItems[CANCELLED_STREAM_IDS].push(streamID);
+    }
+    this._profiler && this._profiler.onOutgoingCancel(streamID);
+  },
+
   __numPendingCallbacksOnlyUseMeInTestCases: function() {
     var callbacks = this._threadLocalCallbacksByID;
     var total = 0;
@@ -0,0 +1,118 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.dontMock('BridgeProfiler');
+
+describe('BridgeProfiler', function() {
+  var BridgeProfiler;
+  var BatchedBridge;
+  var now;
+
+  beforeEach(function() {
+    now = 1000;
+    BatchedBridge = {setProfiler: jest.genMockFn()};
+    jest.setMock('BatchedBridge', BatchedBridge);
+    jest.setMock('performanceNow', () => now);
+    BridgeProfiler = require('BridgeProfiler');
+  });
+
+  // Records what `MessageQueue` reports for a call to native with a
+  // callback, which native answers two frames later.
+  function record() {
+    BridgeProfiler.start();
+    var profiler = BatchedBridge.setProfiler.mock.calls[0][0];
+
+    profiler.onIncomingCallStart('AppRegistry', 'runApplication', ['App']);
+    profiler.onOutgoingCall('RCTUIManager', 'measure', [2, 3, 4], [3, 4]);
+    now += 2;
+    profiler.onIncomingEnd();
+    profiler.onFlush([[0], [7], [[2, 3, 4]], [], [], []]);
+
+    now += 40;
+    profiler.onIncomingCallbackStart(4, [0, 0, 10, 10]);
+    profiler.onIncomingEnd();
+    profiler.onFlush(null);
+
+    return BridgeProfiler.stop();
+  }
+
+  it('records the calls with names, sizes and times', function() {
+    var capture = record();
+
+    expect(BatchedBridge.setProfiler.mock.calls[1]).toEqual([null]);
+    expect(BridgeProfiler.isProfiling()).toBe(false);
+    expect(capture.entries).toEqual([{
+      type: 'call',
+      module: 'AppRegistry',
+      method: 'runApplication',
+      time: 0,
+      duration: 2,
+      direction: 'toJS',
+      args: ['App'],
+      size: 7,
+    }, {
+      type: 'call',
+      module: 'RCTUIManager',
+      method: 'measure',
+      time: 0,
+      direction: 'toNative',
+      args: [2, 3, 4],
+      size: 7,
+    }, {
+      type: 'callback',
+      module: 'RCTUIManager',
+      method: 'measure',
+      callbackID: 4,
+      time: 42,
+      duration: 0,
+      direction: 'toJS',
+      args: [0, 0, 10, 10],
+      size: 11,
+    }]);
+    expect(capture.batches).toEqual([
+      {time: 2, calls: 1, responses: 0, cancels: 0, size: 28},
+    ]);
+  });
+
+  it('groups the batches by frame', function() {
+    var capture = record();
+    capture.batches.push({time: 10, calls: 3, size: 50});
+    capture.batches.push({time: 20, calls: 2, size: 30});
+
+    expect(BridgeProfiler.getFrames(capture)).toEqual([
+      {frame: 0, batches: 2, calls: 4, size: 78},
+      {frame: 1, batches: 1, calls: 2, size: 30},
+    ]);
+  });
+
+  it('exports traces for chrome://tracing', function() {
+    var events = BridgeProfiler.toChromeTrace(record()).traceEvents;
+
+    expect(events.length).toBe(6);
+    expect(events[2]).toEqual({
+      name: 'AppRegistry.runApplication',
+      cat: 'call',
+      pid: 1,
+      tid: 1,
+      ts: 0,
+      ph: 'X',
+      dur: 2000,
+      args: {size: 7, callbackID: undefined},
+    });
+    expect(events[3].ph).toBe('i');
+    expect(events[5]).toEqual({
+      name: 'Batch',
+      ph: 'C',
+      pid: 1,
+      ts: 2000,
+      args: {calls: 1, size: 28},
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.dontMock('MessageQueue');
+
+describe('MessageQueue', function() {
+  var messageQueue;
+
+  beforeEach(function() {
+    jest.setMock('ErrorUtils', {
+      applyWithGuard: function(fn, context, args) {
+        return fn.apply(context, args);
+      },
+    });
+    var MessageQueue = require('MessageQueue');
+    messageQueue = new MessageQueue({
+      Location: {
+        moduleID: 0,
+        methods: {watch: {methodID: 0, type: 'remoteStream'}},
+      },
+    }, {});
+  });
+
+  describe('streams', function() {
+    var onNext;
+    var onComplete;
+    var streamID;
+    var params;
+
+    beforeEach(function() {
+      onNext = jest.genMockFn();
+      onComplete = jest.genMockFn();
+      streamID = messageQueue.callStream(
+        'Location',
+        'watch',
+        [{accuracy: 10}],
+        onNext,
+        onComplete
+      );
+      params = messageQueue.flushedQueue()[2][0];
+    });
+
+    it('passes the complete and next callback ids', function() {
+      expect(params).toEqual([{accuracy: 10}, streamID + 1, streamID]);
+    });
+
+    it('calls onNext until the stream completes', function() {
+      messageQueue.invokeCallback(streamID, [1]);
+      messageQueue.invokeCallback(streamID, [2]);
+      expect(onNext.mock.calls).toEqual([[1], [2]]);
+      expect(messageQueue.__numPendingCallbacksOnlyUseMeInTestCases()).toBe(2);
+
+      messageQueue.invokeCallback(streamID + 1, []);
+      expect(onComplete.mock.calls).toEqual([[]]);
+      expect(messageQueue.__numPendingCallbacksOnlyUseMeInTestCases()).toBe(0);
+    });
+
+    it('sends cancellations and ignores what was sent before', function() {
+      messageQueue.cancelStream(streamID);
+      expect(messageQueue.flushedQueue()[5]).toEqual([streamID]);
+      expect(messageQueue.__numPendingCallbacksOnlyUseMeInTestCases()).toBe(0);
+
+      messageQueue.invokeCallback(streamID, [1]);
+      expect(onNext.mock.calls.length).toBe(0);
+    });
+
+    it('forgets cancelled streams when they complete', function() {
+      messageQueue.cancelStream(streamID);
+      messageQueue.invokeCallback(streamID, [1]);
+      expect(messageQueue._cancelledStreamIDs).toEqual([streamID]);
+
+      messageQueue.invokeCallback(streamID + 1, []);
+      expect(onComplete.mock.calls.length).toBe(0);
+      expect(messageQueue._cancelledStreamIDs).toEqual([]);
+    });
+
+    it('remembers only the latest cancelled streams', function() {
+      messageQueue.cancelStream(streamID);
+      for (var i = 0; i < 100; i++) {
+        messageQueue.cancelStream(messageQueue.callStream(
+          'Location',
+          'watch',
+          [{accuracy: 10}],
+          onNext,
+          onComplete
+        ));
+      }
+      expect(messageQueue._cancelledStreamIDs.length).toBe(100);
+      expect(messageQueue._cancelledStreamIDs).not.toContain(streamID);
+    });
+
+    it('does not cancel completed streams', function() {
+      messageQueue.invokeCallback(streamID + 1, []);
+      messageQueue.cancelStream(streamID);
+      expect(messageQueue.flushedQueue()).toBe(null);
+    });
+  });
+
+  it('reports the messages to the profiler by name', function() {
+    var profiler = {
+      onOutgoingCall: jest.genMockFn(),
+      onOutgoingCancel: jest.genMockFn(),
+      onIncomingCallbackStart: jest.genMockFn(),
+      onIncomingEnd: jest.genMockFn(),
+      onFlush: jest.genMockFn(),
+    };
+    messageQueue.setProfiler(profiler);
+    var streamID = messageQueue.callStream(
+      'Location',
+      'watch',
+      [{}],
+      function() {},
+      function() {}
+    );
+    messageQueue.invokeCallbackAndReturnFlushedQueue(streamID, [1]);
+    messageQueue.cancelStream(streamID);
+
+    expect(profiler.onOutgoingCall).toBeCalledWith(
+      'Location',
+      'watch',
+      [{}, streamID + 1, streamID],
+      [streamID + 1, streamID]
+    );
+    expect(profiler.onIncomingCallbackStart).toBeCalledWith(streamID, [1]);
+    expect(profiler.onIncomingEnd.mock.calls.length).toBe(1);
+    expect(profiler.onFlush.mock.calls[0][0][0]).toEqual([0]);
+    expect(profiler.onOutgoingCancel).toBeCalledWith(streamID);
+  });
+});
@@ -83,6 +83,11 @@ typedef NSArray *(^RCTBridgeModuleProviderBlock)(void);
 
 @property (nonatomic, copy, readonly) NSDictionary *launchOptions;
 
+/**
+ * The URL of the JavaScript bundle, as passed to the initializer.
+ */
+@property (nonatomic, copy, readonly) NSString *bundlePath;
+
 
 /**
  * Method to check that a valid executor exists with which to log
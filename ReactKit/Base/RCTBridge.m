@@ -31,9 +31,23 @@ typedef NS_ENUM(NSUInteger, RCTBridgeFields) {
   RCTBridgeFieldParamss,
   RCTBridgeFieldResponseCBIDs,
   RCTBridgeFieldResponseReturnValues,
+  RCTBridgeFieldCancelledStreamIDs,
   RCTBridgeFieldFlushDateMillis
 };
 
+/**
+ * This function returns the error data JS turns into an Error, when a promise
+ * or a stream fails with `error`.
+ */
+static NSDictionary *RCTErrorDataForError(NSError *error)
+{
+  return @{
+    @"message": error.localizedDescription ?: @"",
+    @"code": @(error.code),
+    @"domain": error.domain ?: @"",
+  };
+}
+
 /**
  * This function returns the module name for a given class.
  */
@@ -42,6 +56,50 @@ static NSString *RCTModuleNameForClass(Class cls)
   return [cls respondsToSelector:@selector(moduleName)] ? [cls moduleName] : NSStringFromClass(cls);
 }
 
+/**
+ * This function returns the JS type that a method argument of the given
+ * Objective-C type encoding expects, so that JS can check calls in dev.
+ * The encoding doesn't include a class, so objects are of the type of the
+ * class their method declares with RCT_EXPORT, or of any type without one.
+ */
+static NSString *RCTJSTypeForArgumentType(const char *argumentType, Class objectClass)
+{
+  static const char *blockType = @encode(typeof(^{}));
+  switch (argumentType[0]) {
+    case ':':
+    case '*':
+      return @"string";
+    case 'c':
+    case 'B':
+      return @"boolean";
+    case 'C':
+    case 's':
+    case 'S':
+    case 'i':
+    case 'I':
+    case 'l':
+    case 'L':
+    case 'q':
+    case 'Q':
+    case 'f':
+    case 'd':
+      return @"number";
+    default:
+      if (!strcmp(argumentType, blockType)) {
+        return @"function";
+      } else if ([objectClass isSubclassOfClass:[NSString class]]) {
+        return @"string";
+      } else if ([objectClass isSubclassOfClass:[NSNumber class]]) {
+        return @"number";
+      } else if ([objectClass isSubclassOfClass:[NSDictionary class]]) {
+        return @"object";
+      } else if ([objectClass isSubclassOfClass:[NSArray class]]) {
+        return @"array";
+      }
+      return @"any";
+  }
+}
+
 /**
  * This function scans all classes available at runtime and returns an array
  * of all JSMethods registered.
@@ -103,6 +161,10 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
                          method:(NSString *)method
                       arguments:(NSArray *)args;
 
+- (void)_streamDidStart:(NSNumber *)streamID;
+- (void)_setCancelBlock:(RCTStreamCancelBlock)cancel forStreamID:(NSNumber *)streamID;
+- (void)_streamDidComplete:(NSNumber *)streamID;
+
 @end
 
 /**
@@ -112,6 +174,8 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
 
 @property (nonatomic, copy, readonly) NSString *moduleClassName;
 @property (nonatomic, copy, readonly) NSString *JSMethodName;
+@property (nonatomic, copy, readonly) NSString *JSMethodType;
+@property (nonatomic, copy, readonly) NSArray *argumentTypes;
 
 @end
 
@@ -123,10 +187,14 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
   NSMethodSignature *_methodSignature;
   NSArray *_argumentBlocks;
   NSString *_methodName;
+  BOOL _isPromise;
+  BOOL _isStream;
 }
 
 - (instancetype)initWithMethodName:(NSString *)methodName
                       JSMethodName:(NSString *)JSMethodName
+                      JSMethodType:(NSString *)JSMethodType
+                   argumentClasses:(NSString *)argumentClasses
 {
   if ((self = [super init])) {
 
@@ -146,6 +214,7 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
     _moduleClass = NSClassFromString(_moduleClassName);
     _selector = NSSelectorFromString(parts[1]);
     _JSMethodName = JSMethodName ?: [NSStringFromSelector(_selector) componentsSeparatedByString:@":"][0];
+    _JSMethodType = JSMethodType;
 
 #if DEBUG
 
@@ -162,9 +231,54 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
 
     // Process arguments
     NSUInteger numberOfArguments = _methodSignature.numberOfArguments;
+    _isPromise = [_JSMethodType isEqualToString:@"remoteAsync"];
+    _isStream = [_JSMethodType isEqualToString:@"remoteStream"];
+
+#if DEBUG
+
+    RCTAssert(!_isPromise || numberOfArguments >= 4, @"%@ is exported as a \
+              promise, but does not take resolve and reject blocks", methodName);
+    RCTAssert(!_isStream || numberOfArguments >= 4, @"%@ is exported as a \
+              stream, but does not take send and complete blocks", methodName);
+    RCTAssert(!_isStream || !strcmp(_methodSignature.methodReturnType, @encode(typeof(^{}))),
+              @"%@ is exported as a stream, but does not return a cancel block", methodName);
+#endif
+
+    // The blocks of promises and streams aren't passed by JS
+    NSUInteger numberOfJSArguments = (_isPromise || _isStream) ? numberOfArguments - 2 : numberOfArguments;
+    NSMutableArray *argumentTypes = [[NSMutableArray alloc] initWithCapacity:numberOfJSArguments - 2];
     NSMutableArray *argumentBlocks = [[NSMutableArray alloc] initWithCapacity:numberOfArguments - 2];
+
+    // The classes declared with RCT_EXPORT, one per object argument
+    NSMutableArray *argumentClassNames = [[NSMutableArray alloc] init];
+    for (NSString *className in [argumentClasses componentsSeparatedByString:@","]) {
+      NSString *trimmedName = [className stringByTrimmingCharactersInSet:[NSCharacterSet whitespaceCharacterSet]];
+      if (trimmedName.length) {
+        [argumentClassNames addObject:trimmedName];
+      }
+    }
+    NSUInteger numberOfObjectArguments = 0;
+
     for (NSUInteger i = 2; i < numberOfArguments; i++) {
       const char *argumentType = [_methodSignature getArgumentTypeAtIndex:i];
+      Class objectClass = nil;
+      if (!strcmp(argumentType, @encode(id))) {
+        if (numberOfObjectArguments < argumentClassNames.count) {
+          NSString *className = argumentClassNames[numberOfObjectArguments];
+          objectClass = NSClassFromString(className);
+
+#if DEBUG
+
+          RCTAssert(objectClass || [className isEqualToString:@"id"], @"%@ \
+                    declares an argument of the unknown class %@", methodName, className);
+#endif
+
+        }
+        numberOfObjectArguments++;
+      }
+      if (i < numberOfJSArguments) {
+        [argumentTypes addObject:RCTJSTypeForArgumentType(argumentType, objectClass)];
+      }
       switch (argumentType[0]) {
 
 #define RCT_ARG_BLOCK(_logic) \
@@ -218,7 +332,44 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
 
         default: {
           static const char *blockType = @encode(typeof(^{}));
-          if (!strcmp(argumentType, blockType)) {
+          if (_isPromise && i == numberOfArguments - 2) {
+            RCT_ARG_BLOCK(
+              // Marked as autoreleasing, because NSInvocation doesn't retain arguments
+              __autoreleasing RCTPromiseResolveBlock value = (^(id result) {
+                [bridge _invokeAndProcessModule:@"BatchedBridge"
+                                         method:@"invokeCallbackAndReturnFlushedQueue"
+                                      arguments:@[json, result ? @[result] : @[]]];
+              });
+            )
+          } else if (_isPromise && i == numberOfArguments - 1) {
+            RCT_ARG_BLOCK(
+              __autoreleasing RCTPromiseRejectBlock value = (^(NSError *error) {
+                [bridge _invokeAndProcessModule:@"BatchedBridge"
+                                         method:@"invokeCallbackAndReturnFlushedQueue"
+                                      arguments:@[json, @[RCTErrorDataForError(error)]]];
+              });
+            )
+          } else if (_isStream && i == numberOfArguments - 2) {
+            RCT_ARG_BLOCK(
+              __autoreleasing RCTStreamSendBlock value = (^(id result) {
+                [bridge _invokeAndProcessModule:@"BatchedBridge"
+                                         method:@"invokeCallbackAndReturnFlushedQueue"
+                                      arguments:@[json, @[result ?: [NSNull null]]]];
+              });
+            )
+          } else if (_isStream && i == numberOfArguments - 1) {
+            RCT_ARG_BLOCK(
+              // The stream is identified by its send callback, which comes
+              // right before the complete callback
+              NSNumber *streamID = @([json integerValue] - 1);
+              __autoreleasing RCTStreamCompleteBlock value = (^(NSError *error) {
+                [bridge _streamDidComplete:streamID];
+                [bridge _invokeAndProcessModule:@"BatchedBridge"
+                                         method:@"invokeCallbackAndReturnFlushedQueue"
+                                      arguments:@[json, error ? @[RCTErrorDataForError(error)] : @[]]];
+              });
+            )
+          } else if (!strcmp(argumentType, blockType)) {
             RCT_ARG_BLOCK(
               if (json && ![json isKindOfClass:[NSNumber class]]) {
                 RCTLogError(@"Argument %tu (%@) of %@.%@ should be a number", index,
@@ -232,6 +383,15 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
                                       arguments:@[json, args]];
               } : ^(NSArray *unused) {});
             )
+          } else if (objectClass) {
+            RCT_ARG_BLOCK(
+              if (json && ![json isKindOfClass:objectClass]) {
+                RCTLogError(@"Argument %tu (%@) of %@.%@ should be of type %@", index,
+                  json, RCTModuleNameForClass(_moduleClass), _JSMethodName, objectClass);
+                return;
+              }
+              id value = json;
+            )
           } else {
             RCT_ARG_BLOCK( id value = json; )
           }
@@ -239,6 +399,15 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
         }
       }
     }
+
+#if DEBUG
+
+    RCTAssert(!argumentClassNames.count || argumentClassNames.count == numberOfObjectArguments,
+              @"%@ declares the classes of %zd object arguments, but takes %zd",
+              methodName, argumentClassNames.count, numberOfObjectArguments);
+#endif
+
+    _argumentTypes = [argumentTypes copy];
     _argumentBlocks = [argumentBlocks copy];
   }
   return self;
@@ -264,6 +433,15 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
     return;
   }
 
+  // The ids of the callbacks of a promise or a stream come last, failure
+  // first, in the order the message queue allocates them
+  if (_isPromise || _isStream) {
+    NSMutableArray *mutableArguments = [arguments mutableCopy];
+    [mutableArguments exchangeObjectAtIndex:arguments.count - 1
+                          withObjectAtIndex:arguments.count - 2];
+    arguments = mutableArguments;
+  }
+
   // Create invocation (we can't re-use this as it wouldn't be thread-safe)
   NSInvocation *invocation = [NSInvocation invocationWithMethodSignature:_methodSignature];
   [invocation setArgument:&_selector atIndex:1];
@@ -278,7 +456,16 @@ static NSArray *RCTBridgeModuleClassesByModuleID(void)
   }
 
   // Invoke method
+  NSNumber *streamID = _isStream ? arguments[arguments.count - 2] : nil;
+  if (streamID) {
+    [bridge _streamDidStart:streamID];
+  }
   [invocation invokeWithTarget:_isClassMethod ? [module class] : module];
+  if (streamID) {
+    __unsafe_unretained RCTStreamCancelBlock cancel = nil;
+    [invocation getReturnValue:&cancel];
+    [bridge _setCancelBlock:cancel forStreamID:streamID];
+  }
 }
 
 - (NSString *)description
@@ -324,7 +511,7 @@ static RCTSparseArray *RCTExportedMethodsByModuleID(void)
 
     for (RCTExportValue addr = section->offset;
          addr < section->offset + section->size;
-         addr += sizeof(const char **) * 2) {
+         addr += sizeof(const char **) * 4) {
 
       // Get data entry
       const char **entries = (const char **)(mach_header + addr);
@@ -332,7 +519,9 @@ static RCTSparseArray *RCTExportedMethodsByModuleID(void)
       // Create method
       RCTModuleMethod *moduleMethod =
         [[RCTModuleMethod alloc] initWithMethodName:@(entries[0])
-                                       JSMethodName:strlen(entries[1]) ? @(entries[1]) : nil];
+                                       JSMethodName:strlen(entries[1]) ? @(entries[1]) : nil
+                                       JSMethodType:@(entries[2])
+                                    argumentClasses:@(entries[3])];
 
       // Cache method
       NSArray *methods = methodsByModuleClassName[moduleMethod.moduleClassName];
@@ -361,11 +550,13 @@ static RCTSparseArray *RCTExportedMethodsByModuleID(void)
  *   "methods": {
  *     "methodName1": {
  *       "methodID": 0,
- *       "type": "remote"
+ *       "type": "remote",
+ *       "argumentTypes": ["string", "number", "function"]
  *     },
  *     "methodName2": {
  *       "methodID": 1,
- *       "type": "remote"
+ *       "type": "remoteAsync",
+ *       "argumentTypes": ["object"]
  *     },
  *     etc...
  *   },
@@ -374,6 +565,10 @@ static RCTSparseArray *RCTExportedMethodsByModuleID(void)
  *   }
  * },
  * etc...
+ *
+ * The argumentTypes are the types of the arguments JS passes, which it checks
+ * before calling the method in dev: "string", "number", "boolean", "object",
+ * "array", "function" or "any".
  */
 static NSDictionary *RCTRemoteModulesConfig(NSDictionary *modulesByName)
 {
@@ -389,7 +584,8 @@ static NSDictionary *RCTRemoteModulesConfig(NSDictionary *modulesByName)
       [methods enumerateObjectsUsingBlock:^(RCTModuleMethod *method, NSUInteger methodID, BOOL *_stop) {
         methodsByName[method.JSMethodName] = @{
           @"methodID": @(methodID),
-          @"type": @"remote",
+          @"type": method.JSMethodType,
+          @"argumentTypes": method.argumentTypes,
         };
       }];
 
@@ -498,6 +694,7 @@ static NSDictionary *RCTLocalModulesConfig()
   NSDictionary *_modulesByName;
   id<RCTJavaScriptExecutor> _javaScriptExecutor;
   RCTBridgeModuleProviderBlock _moduleProvider;
+  NSMutableDictionary *_streamCancelBlocks;
 }
 
 static id<RCTJavaScriptExecutor> _latestJSExecutor;
@@ -511,6 +708,8 @@ static id<RCTJavaScriptExecutor> _latestJSExecutor;
     _shadowQueue = dispatch_queue_create("com.facebook.ReactKit.ShadowQueue", DISPATCH_QUEUE_SERIAL);
     _moduleProvider = block;
     _launchOptions = launchOptions;
+    _streamCancelBlocks = [[NSMutableDictionary alloc] init];
+    _bundlePath = [bundlepath copy];
   }
   return self;
 }
@@ -625,6 +824,11 @@ static id<RCTJavaScriptExecutor> _latestJSExecutor;
   // Release modules (breaks retain cycle if module has strong bridge reference)
   _modulesByID = nil;
   _modulesByName = nil;
+
+  // Release the streams, which may retain modules
+  @synchronized(_streamCancelBlocks) {
+    [_streamCancelBlocks removeAllObjects];
+  }
 }
 
 /**
@@ -704,7 +908,7 @@ static id<RCTJavaScriptExecutor> _latestJSExecutor;
 
   NSArray *requestsArray = (NSArray *)buffer;
   NSUInteger bufferRowCount = [requestsArray count];
-  NSUInteger expectedFieldsCount = RCTBridgeFieldResponseReturnValues + 1;
+  NSUInteger expectedFieldsCount = RCTBridgeFieldCancelledStreamIDs + 1;
   if (bufferRowCount != expectedFieldsCount) {
     RCTLogError(@"Must pass all fields to buffer - expected %zd, saw %zd", expectedFieldsCount, bufferRowCount);
     return;
@@ -738,6 +942,17 @@ static id<RCTJavaScriptExecutor> _latestJSExecutor;
     }
   }
 
+  // Cancellations come after the requests of the same batch, which may have
+  // started the streams
+  NSArray *cancelledStreamIDs = requestsArray[RCTBridgeFieldCancelledStreamIDs];
+  if ([cancelledStreamIDs isKindOfClass:[NSArray class]] && cancelledStreamIDs.count) {
+    dispatch_async(self.shadowQueue, ^{
+      for (NSNumber *streamID in cancelledStreamIDs) {
+        [self _cancelStream:streamID];
+      }
+    });
+  }
+
   // TODO: only used by RCTUIManager - can we eliminate this special case?
   dispatch_async(self.shadowQueue, ^{
     for (id module in _modulesByID.allObjects) {
@@ -794,6 +1009,48 @@ static id<RCTJavaScriptExecutor> _latestJSExecutor;
   return YES;
 }
 
+#pragma mark - Streams
+
+/**
+ * The cancel blocks of the streams that are running, by the ID of their send
+ * callback. A stream that completes before its method returns its cancel
+ * block is not added back.
+ */
+- (void)_streamDidStart:(NSNumber *)streamID
+{
+  @synchronized(_streamCancelBlocks) {
+    _streamCancelBlocks[streamID] = [NSNull null];
+  }
+}
+
+- (void)_setCancelBlock:(RCTStreamCancelBlock)cancel forStreamID:(NSNumber *)streamID
+{
+  @synchronized(_streamCancelBlocks) {
+    if (cancel && _streamCancelBlocks[streamID]) {
+      _streamCancelBlocks[streamID] = [cancel copy];
+    }
+  }
+}
+
+- (void)_streamDidComplete:(NSNumber *)streamID
+{
+  @synchronized(_streamCancelBlocks) {
+    [_streamCancelBlocks removeObjectForKey:streamID];
+  }
+}
+
+- (void)_cancelStream:(NSNumber *)streamID
+{
+  id cancel;
+  @synchronized(_streamCancelBlocks) {
+    cancel = _streamCancelBlocks[streamID];
+    [_streamCancelBlocks removeObjectForKey:streamID];
+  }
+  if (cancel && cancel != [NSNull null]) {
+    ((RCTStreamCancelBlock)cancel)();
+  }
+}
+
 + (BOOL)hasValidJSExecutor
 {
   return (_latestJSExecutor != nil && [_latestJSExecutor isValid]);
@@ -19,6 +19,24 @@
  */
 typedef void (^RCTResponseSenderBlock)(NSArray *response);
 
+/**
+ * The types of the blocks that resolve and reject the Promise returned to JS
+ * by a method exported with RCT_EXPORT_PROMISE. Only one of them should be
+ * called, and only once.
+ */
+typedef void (^RCTPromiseResolveBlock)(id result);
+typedef void (^RCTPromiseRejectBlock)(NSError *error);
+
+/**
+ * The types of the blocks of a method exported with RCT_EXPORT_STREAM. The
+ * send block can be called any number of times, until the complete block is
+ * called, once, with an error or nil. The cancel block, returned by the
+ * method, is called if JS cancels the stream before it is complete.
+ */
+typedef void (^RCTStreamSendBlock)(id value);
+typedef void (^RCTStreamCompleteBlock)(NSError *error);
+typedef void (^RCTStreamCancelBlock)(void);
+
 /**
  * Provides the interface needed to register a bridge module.
  */
@@ -45,9 +63,34 @@ typedef void (^RCTResponseSenderBlock)(NSArray *response);
  * (the method will be namespaced to the module name, as specified above).
  * If omitted, the JS method name will match the first part of the Objective-C
  * method selector name (up to the first colon).
+ *
+ * Any further arguments are the classes of the object arguments of the method
+ * (not counting blocks), in order, e.g. RCT_EXPORT(, NSString, NSDictionary)
+ * for a method that takes an NSString *, an NSDictionary * and a callback.
+ * The bridge checks those arguments against their classes, and so does JS in
+ * development. Arguments declared as `id` can be of any type.
+ */
+#define RCT_EXPORT(js_name, ...) __attribute__((used, section("__DATA,RCTExport" \
+))) static const char *__rct_export_entry__[] = { __func__, #js_name, "remote", #__VA_ARGS__ }
+
+/**
+ * Like RCT_EXPORT, for methods whose last two arguments are an
+ * RCTPromiseResolveBlock and an RCTPromiseRejectBlock, in that order. In JS,
+ * the method returns a Promise instead of taking callbacks, and the NSError
+ * passed to the reject block becomes an Error with the same `code`.
+ */
+#define RCT_EXPORT_PROMISE(js_name, ...) __attribute__((used, section("__DATA,RCTExport" \
+))) static const char *__rct_export_entry__[] = { __func__, #js_name, "remoteAsync", #__VA_ARGS__ }
+
+/**
+ * Like RCT_EXPORT, for methods whose last two arguments are an
+ * RCTStreamSendBlock and an RCTStreamCompleteBlock, in that order, and that
+ * return an RCTStreamCancelBlock (or nil). In JS, the method takes an onNext
+ * callback and an optional onComplete callback, and returns a subscription
+ * whose remove() cancels the stream.
  */
-#define RCT_EXPORT(js_name) __attribute__((used, section("__DATA,RCTExport" \
-))) static const char *__rct_export_entry__[] = { __func__, #js_name }
+#define RCT_EXPORT_STREAM(js_name, ...) __attribute__((used, section("__DATA,RCTExport" \
+))) static const char *__rct_export_entry__[] = { __func__, #js_name, "remoteStream", #__VA_ARGS__ }
 
 /**
  * Injects constants into JS. These constants are made accessible via
@@ -48,7 +48,7 @@
  */
 - (void)alertWithArgs:(NSDictionary *)args callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSDictionary);
 
   NSString *title = args[@"title"];
   NSString *message = args[@"message"];
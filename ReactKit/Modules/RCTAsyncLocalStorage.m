@@ -188,7 +188,7 @@ static dispatch_queue_t RCTFileQueue(void)
 
 - (void)multiGet:(NSArray *)keys callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSArray);
 
   if (!callback) {
     RCTLogError(@"Called getItem without a callback.");
@@ -214,7 +214,7 @@ static dispatch_queue_t RCTFileQueue(void)
 
 - (void)multiSet:(NSArray *)kvPairs callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSArray);
 
   dispatch_async(RCTFileQueue(), ^{
     id errorOut = [self _ensureSetup];
@@ -236,7 +236,7 @@ static dispatch_queue_t RCTFileQueue(void)
 
 - (void)multiRemove:(NSArray *)keys callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSArray);
 
   dispatch_async(RCTFileQueue(), ^{
     id errorOut = [self _ensureSetup];
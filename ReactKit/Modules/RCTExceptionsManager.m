@@ -31,7 +31,7 @@
 
 - (void)reportUnhandledExceptionWithMessage:(NSString *)message stack:(NSArray *)stack
 {
-  RCT_EXPORT(reportUnhandledException);
+  RCT_EXPORT(reportUnhandledException, NSString, NSArray);
 
   if (_delegate) {
     [_delegate unhandledJSExceptionWithMessage:message stack:stack];
@@ -42,7 +42,7 @@
 
 - (void)updateExceptionMessage:(NSString *)message stack:(NSArray *)stack
 {
-  RCT_EXPORT(updateExceptionMessage);
+  RCT_EXPORT(updateExceptionMessage, NSString, NSArray);
 
   [[RCTRedBox sharedInstance] updateErrorMessage:message withStack:stack];
 }
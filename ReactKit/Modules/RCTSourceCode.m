@@ -10,10 +10,21 @@
 #import "RCTSourceCode.h"
 
 #import "RCTAssert.h"
+#import "RCTBridge.h"
 #import "RCTUtils.h"
 
 @implementation RCTSourceCode
 
+@synthesize bridge = _bridge;
+
+- (NSDictionary *)constantsToExport
+{
+  // Used to find the packager that serves the assets of the bundle.
+  return @{
+    @"scriptURL": _bridge.bundlePath ?: [NSNull null],
+  };
+}
+
 - (void)getScriptText:(RCTResponseSenderBlock)successCallback failureCallback:(RCTResponseSenderBlock)failureCallback
 {
   RCT_EXPORT();
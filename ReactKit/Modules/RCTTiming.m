@@ -171,7 +171,7 @@
    jsSchedulingTime:(double)jsSchedulingTime
             repeats:(BOOL)repeats
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   if (jsDuration == 0 && repeats == NO) {
     // For super fast, one-off timers, just enqueue them immediately rather than waiting a frame.
@@ -204,7 +204,7 @@
 
 - (void)deleteTimer:(NSNumber *)timerID
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   if (timerID) {
     dispatch_async(dispatch_get_main_queue(), ^{
@@ -498,7 +498,7 @@ static NSString *RCTViewNameForModuleName(NSString *moduleName)
  */
 - (void)removeSubviewsFromContainerWithID:(NSNumber *)containerID
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   id<RCTViewNodeProtocol> container = _viewRegistry[containerID];
   RCTAssert(container != nil, @"container view (for ID %@) not found", containerID);
@@ -555,7 +555,7 @@ static NSString *RCTViewNameForModuleName(NSString *moduleName)
 
 - (void)removeRootView:(NSNumber *)rootReactTag
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   RCTShadowView *rootShadowView = _shadowViewRegistry[rootReactTag];
   RCTAssert(rootShadowView.superview == nil, @"root view cannot have superview (ID %@)", rootReactTag);
@@ -573,7 +573,7 @@ static NSString *RCTViewNameForModuleName(NSString *moduleName)
 
 - (void)replaceExistingNonRootView:(NSNumber *)reactTag withView:(NSNumber *)newReactTag
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber, NSNumber);
 
   RCTShadowView *shadowView = _shadowViewRegistry[reactTag];
   RCTAssert(shadowView != nil, @"shadowView (for ID %@) not found", reactTag);
@@ -600,7 +600,7 @@ static NSString *RCTViewNameForModuleName(NSString *moduleName)
           addAtIndices:(NSArray *)addAtIndices
        removeAtIndices:(NSArray *)removeAtIndices
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber, NSArray, NSArray, NSArray, NSArray, NSArray);
 
   [self _manageChildren:containerReactTag
         moveFromIndices:moveFromIndices
@@ -720,7 +720,7 @@ static void RCTSetShadowViewProps(NSDictionary *props, RCTShadowView *shadowView
                                  viewName:(NSString *)viewName
                                     props:(NSDictionary *)props
 {
-  RCT_EXPORT(createView);
+  RCT_EXPORT(createView, NSNumber, NSString, NSDictionary);
 
   RCTViewManager *manager = _viewManagers[viewName];
   if (manager == nil) {
@@ -772,7 +772,7 @@ static void RCTSetShadowViewProps(NSDictionary *props, RCTShadowView *shadowView
 // TODO: remove viewName param as it isn't needed
 - (void)updateView:(NSNumber *)reactTag viewName:(__unused NSString *)_ props:(NSDictionary *)props
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber, NSString, NSDictionary);
 
   RCTViewManager *viewManager = _viewManagerRegistry[reactTag];
   NSString *viewName = RCTViewNameForModuleName([[viewManager class] moduleName]);
@@ -788,7 +788,7 @@ static void RCTSetShadowViewProps(NSDictionary *props, RCTShadowView *shadowView
 
 - (void)becomeResponder:(NSNumber *)reactTag
 {
-  RCT_EXPORT(focus);
+  RCT_EXPORT(focus, NSNumber);
 
   if (!reactTag) return;
   [self addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry) {
@@ -801,7 +801,7 @@ static void RCTSetShadowViewProps(NSDictionary *props, RCTShadowView *shadowView
 
 - (void)resignResponder:(NSNumber *)reactTag
 {
-  RCT_EXPORT(blur);
+  RCT_EXPORT(blur, NSNumber);
 
   if (!reactTag) return;
   [self addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry){
@@ -869,7 +869,7 @@ static void RCTSetShadowViewProps(NSDictionary *props, RCTShadowView *shadowView
 
 - (void)measure:(NSNumber *)reactTag callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   if (!callback) {
     RCTLogError(@"Called measure with no callback");
@@ -948,7 +948,7 @@ static void RCTMeasureLayout(RCTShadowView *view,
         errorCallback:(RCTResponseSenderBlock)errorCallback
              callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber, NSNumber);
 
   RCTShadowView *shadowView = _shadowViewRegistry[reactTag];
   RCTShadowView *ancestorShadowView = _shadowViewRegistry[ancestorReactTag];
@@ -966,7 +966,7 @@ static void RCTMeasureLayout(RCTShadowView *view,
                         errorCallback:(RCTResponseSenderBlock)errorCallback
                              callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   RCTShadowView *shadowView = _shadowViewRegistry[reactTag];
   RCTMeasureLayout(shadowView, shadowView.reactSuperview, callback);
@@ -984,7 +984,7 @@ static void RCTMeasureLayout(RCTShadowView *view,
              errorCallback:(RCTResponseSenderBlock)errorCallback
                   callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSDictionary, NSNumber);
 
   RCTShadowView *shadowView = _shadowViewRegistry[reactTag];
   if (!shadowView) {
@@ -1027,7 +1027,7 @@ static void RCTMeasureLayout(RCTShadowView *view,
 
 - (void)setMainScrollViewTag:(NSNumber *)reactTag
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   [self addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry){
     // - There should be at most one designated "main scroll view"
@@ -1053,7 +1053,7 @@ static void RCTMeasureLayout(RCTShadowView *view,
 
 - (void)scrollToOffsetWithView:(NSNumber *)reactTag scrollToOffsetX:(NSNumber *)offsetX offsetY:(NSNumber *)offsetY
 {
-  RCT_EXPORT(scrollTo);
+  RCT_EXPORT(scrollTo, NSNumber, NSNumber, NSNumber);
 
   [self addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry){
     UIView *view = viewRegistry[reactTag];
@@ -1067,7 +1067,7 @@ static void RCTMeasureLayout(RCTShadowView *view,
 
 - (void)zoomToRectWithView:(NSNumber *)reactTag rect:(NSDictionary *)rectDict
 {
-  RCT_EXPORT(zoomToRect);
+  RCT_EXPORT(zoomToRect, NSNumber, NSDictionary);
 
   [self addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry){
     UIView *view = viewRegistry[reactTag];
@@ -1085,7 +1085,7 @@ static void RCTMeasureLayout(RCTShadowView *view,
  */
 - (void)setJSResponder:(NSNumber *)reactTag
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   [self addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry) {
     _jsResponder = viewRegistry[reactTag];
@@ -1346,7 +1346,7 @@ static void RCTMeasureLayout(RCTShadowView *view,
                         withCallback:(RCTResponseSenderBlock)callback
                        errorCallback:(RCTResponseSenderBlock)errorCallback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSDictionary);
 
   if (_nextLayoutAnimation) {
     RCTLogWarn(@"Warning: Overriding previous layout animation with new one before the first began:\n%@ -> %@.",
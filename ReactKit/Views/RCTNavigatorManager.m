@@ -38,7 +38,7 @@ RCT_EXPORT_VIEW_PROPERTY(requestedTopOfStack)
                                 errorCallback:(RCTResponseSenderBlock)errorCallback
                                      callback:(__unused RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   [self.bridge.uiManager addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry){
     RCTNavigator *navigator = viewRegistry[reactTag];
@@ -64,7 +64,7 @@ RCT_REMAP_VIEW_PROPERTY(contentOffset, scrollView.contentOffset);
 - (void)getContentSize:(NSNumber *)reactTag
               callback:(RCTResponseSenderBlock)callback
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   [self.bridge.uiManager addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry) {
 
@@ -42,7 +42,7 @@ RCT_EXPORT_VIEW_PROPERTY(shouldInjectAJAXHandler);
 
 - (void)goBack:(NSNumber *)reactTag
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   [self.bridge.uiManager addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry) {
     RCTWebView *view = viewRegistry[reactTag];
@@ -55,7 +55,7 @@ RCT_EXPORT_VIEW_PROPERTY(shouldInjectAJAXHandler);
 
 - (void)goForward:(NSNumber *)reactTag
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   [self.bridge.uiManager addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry) {
     id view = viewRegistry[reactTag];
@@ -69,7 +69,7 @@ RCT_EXPORT_VIEW_PROPERTY(shouldInjectAJAXHandler);
 
 - (void)reload:(NSNumber *)reactTag
 {
-  RCT_EXPORT();
+  RCT_EXPORT(, NSNumber);
 
   [self.bridge.uiManager addUIBlock:^(RCTUIManager *uiManager, RCTSparseArray *viewRegistry) {
     RCTWebView *view = viewRegistry[reactTag];
@@ -13,6 +13,7 @@ function printUsage() {
     '',
     'Commands:',
     '  start: starts the webserver',
+    '  bundle: builds the javascript bundle for offline use',
   ].join('\n'));
   process.exit(1);
 }
@@ -31,6 +32,13 @@ function run() {
       process.cwd(),
     ], {stdio: 'inherit'});
     break;
+  case 'bundle':
+    spawn('node', [
+      path.resolve(__dirname, 'packager', 'bundle.js'),
+      '--projectRoots',
+      process.cwd(),
+    ].concat(args.slice(1)), {stdio: 'inherit'});
+    break;
   default:
     console.error('Command `%s` unrecognized', args[0]);
     printUsage();
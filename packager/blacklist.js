@@ -18,16 +18,15 @@ var sharedBlacklist = [
   'node_modules/react-tools/src/event/EventPropagators.js'
 ];
 
+// Modules of other platforms (`.ios.js`, `.android.js`, `.web.js`) are left
+// out by the packager, depending on the platform of the bundle.
 var webBlacklist = [
-  '.ios.js'
 ];
 
 var iosBlacklist = [
   'node_modules/react-tools/src/browser/ui/React.js',
   'node_modules/react-tools/src/browser/eventPlugins/ResponderEventPlugin.js',
   // 'node_modules/react-tools/src/vendor/core/ExecutionEnvironment.js',
-  '.web.js',
-  '.android.js',
 ];
 
 function escapeRegExp(str) {
@@ -0,0 +1,276 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * Builds a package without starting the server and writes the bundle and its
+ * source map to disk.
+ *
+ * Usage example:
+ *   node bundle.js --entry-file index.ios.js --dev false --minify \
+ *     --bundle-output iOS/main.jsbundle
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var q = require('q');
+var ReactPackager = require('./react-packager');
+var blacklist = require('./blacklist.js');
+var loadConfig = require('./loadConfig.js');
+var parseCommandLine = require('./parseCommandLine.js');
+var transforms = require('./transforms.js');
+
+var readFile = q.nfbind(fs.readFile);
+var writeFile = q.nfbind(fs.writeFile);
+var mkdir = q.nfbind(fs.mkdir);
+
+var options = parseCommandLine([{
+  command: 'entry-file',
+  description: 'path to the root JS file, relative to the project root',
+  type: 'string',
+  default: 'index.ios.js',
+}, {
+  command: 'dev',
+  description: 'whether to build the bundle with __DEV__ set',
+  default: true,
+}, {
+  command: 'minify',
+  description: 'whether to minify the bundle',
+  default: false,
+}, {
+  command: 'strict',
+  description: 'whether a require that cannot be resolved fails the build, ' +
+    'defaults to the opposite of --dev',
+}, {
+  command: 'platform',
+  description: 'the platform to build the bundle for (ios, android or ' +
+    'web), defaults to the platform in the name of the entry file',
+  type: 'string',
+}, {
+  command: 'bundle-output',
+  description: 'file name where to store the resulting bundle',
+  type: 'string',
+  default: 'main.jsbundle',
+}, {
+  command: 'sourcemap-output',
+  description: 'file name where to store the source map of the bundle, ' +
+    'defaults to the bundle output with a .map extension',
+  type: 'string',
+}, {
+  command: 'split',
+  description: 'comma separated ids of the modules to move to their own ' +
+    'bundles, which are loaded by requireLazy',
+  type: 'string',
+}, {
+  command: 'assets-dest',
+  description: 'directory to copy the assets the bundle requires to, ' +
+    'e.g. the directory of the bundle in the app',
+  type: 'string',
+}, {
+  command: 'stats-output',
+  description: 'file name where to store the size of every module in the ' +
+    'bundle as JSON',
+  type: 'string',
+}, {
+  command: 'root',
+  description: 'add another root(s) to be used by the packager in this project',
+  type: 'string',
+}, {
+  command: 'transform',
+  description: 'add transform plugins for files with the given extension, ' +
+    'e.g. coffee:./coffeeTransform.js,graphql:./graphqlTransform.js',
+  type: 'string',
+}, {
+  command: 'cache-dir',
+  description: 'directory for the transform cache, which can be shared ' +
+    'between checkouts and machines',
+  type: 'string',
+}, {
+  command: 'json-log',
+  description: 'write the packager events to stdout as newline delimited ' +
+    'JSON, and everything else to stderr',
+  default: false,
+}, {
+  command: 'config',
+  description: 'path to the packager config file, defaults to ' +
+    loadConfig.CONFIG_FILE_NAME + ' in the current directory',
+  type: 'string',
+}]);
+
+var config = loadConfig(
+  options.config
+    ? path.resolve(options.config)
+    : path.resolve(loadConfig.CONFIG_FILE_NAME),
+  !!options.config
+);
+
+if (options.projectRoots) {
+  if (!Array.isArray(options.projectRoots)) {
+    options.projectRoots = options.projectRoots.split(',');
+  }
+} else {
+  options.projectRoots = config.projectRoots || [process.cwd()];
+}
+
+if (options.root) {
+  options.root.split(',').forEach(function(root) {
+    options.projectRoots.push(path.resolve(root));
+  });
+}
+
+if (!options.assetRoots) {
+  options.assetRoots = config.assetRoots || [path.resolve(__dirname, '..')];
+}
+
+var bundleOutput = path.resolve(options['bundle-output']);
+var sourceMapOutput = options['sourcemap-output']
+  ? path.resolve(options['sourcemap-output'])
+  : bundleOutput.replace(/(\.\w+)?$/, '.map');
+var statsOutput = options['stats-output'] &&
+  path.resolve(options['stats-output']);
+var assetsDest = options['assets-dest'] && path.resolve(options['assets-dest']);
+
+// With --json-log only the events go to stdout.
+var log = options['json-log'] ? console.error : console.log;
+
+ReactPackager.addActivityListener(function(event) {
+  if (options['json-log']) {
+    process.stdout.write(JSON.stringify(event) + '\n');
+  } else if (event.eventName === 'slowest transforms') {
+    log('Slowest transforms:');
+    event.data.forEach(function(transform) {
+      log('  ' + transform.duration + 'ms', transform.path);
+    });
+  }
+});
+
+log('Building package for', options['entry-file']);
+
+ReactPackager.buildPackage({
+  projectRoots: options.projectRoots,
+  blacklistRE: blacklist(false, config.blacklist),
+  polyfillModuleNames: config.polyfills,
+  cacheVersion: config.cacheVersion,
+  transformModulePath: config.transformModulePath ||
+    require.resolve('./transformer.js'),
+  transforms: transforms(options.transform, config.transforms),
+  cacheDir: options['cache-dir']
+    ? path.resolve(options['cache-dir'])
+    : config.cacheDir,
+  maxCacheSize: config.maxCacheSize,
+  assetRoots: options.assetRoots,
+  assetExts: config.assetExts,
+}, {
+  entryFile: options['entry-file'],
+  sourceMapUrl: path.basename(sourceMapOutput),
+  dev: options.dev,
+  strict: options.strict,
+  platform: options.platform,
+  runModule: true,
+}).then(function(p) {
+  var outputs = [{
+    package: p,
+    bundleOutput: bundleOutput,
+    sourceMapOutput: sourceMapOutput,
+  }];
+
+  if (options.split) {
+    var splitPoints = options.split.split(',');
+    var packages = p.split(splitPoints, function(splitPoint) {
+      return {
+        bundleUrl: path.basename(getPartOutput(bundleOutput, splitPoint)),
+        sourceMapUrl: path.basename(getPartOutput(sourceMapOutput, splitPoint)),
+      };
+    });
+
+    outputs[0].package = packages.core;
+    splitPoints.forEach(function(splitPoint) {
+      outputs.push({
+        package: packages.parts[splitPoint],
+        bundleOutput: getPartOutput(bundleOutput, splitPoint),
+        sourceMapOutput: getPartOutput(sourceMapOutput, splitPoint),
+      });
+    });
+  }
+
+  var writing = outputs.map(writePackage);
+  if (statsOutput) {
+    writing.push(writeFile(statsOutput, JSON.stringify(p.getStats(), null, 2)));
+  }
+  if (assetsDest) {
+    writing.push(copyAssets(p.getAssets(), assetsDest));
+  }
+  return q.all(writing).then(function() {
+    return outputs;
+  });
+}).done(function(outputs) {
+  outputs.forEach(function(output) {
+    log('Wrote bundle to', output.bundleOutput);
+    log('Wrote source map to', output.sourceMapOutput);
+  });
+  if (statsOutput) {
+    log('Wrote bundle stats to', statsOutput);
+  }
+  if (assetsDest) {
+    log('Copied assets to', assetsDest);
+  }
+}, function(error) {
+  console.error(error.stack || error);
+  process.exit(1);
+});
+
+function writePackage(output) {
+  var code, map;
+  if (options.minify) {
+    var minified = output.package.getMinifiedSourceAndMap();
+    code = minified.code;
+    map = minified.map;
+  } else {
+    code = output.package.getSource();
+    map = JSON.stringify(output.package.getSourceMap());
+  }
+
+  return q.all([
+    writeFile(output.bundleOutput, code),
+    writeFile(output.sourceMapOutput, map),
+  ]);
+}
+
+// main.jsbundle -> main.SplitPoint.jsbundle
+function getPartOutput(output, splitPoint) {
+  return output.replace(/(\.\w+)?$/, '.' + splitPoint + '$1');
+}
+
+/**
+ * Copies the files of the assets where `resolveAssetSource` looks for them
+ * in release builds: `/assets/img` -> `<dest>/assets/img/logo@2x.png`.
+ */
+function copyAssets(assets, dest) {
+  return q.all(assets.map(function(asset) {
+    var dir = path.join(dest, asset.httpServerLocation);
+    return mkdirs(dir).then(function() {
+      return q.all(asset.files.map(function(file) {
+        return readFile(file).then(function(content) {
+          return writeFile(path.join(dir, path.basename(file)), content);
+        });
+      }));
+    });
+  }));
+}
+
+function mkdirs(dir) {
+  return mkdir(dir).catch(function(error) {
+    if (error.code === 'EEXIST') {
+      return;
+    } else if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    return mkdirs(path.dirname(dir)).then(function() {
+      return mkdirs(dir);
+    });
+  });
+}
@@ -0,0 +1,395 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+var vm = require('vm');
+var declareOpts = require('../react-packager/src/lib/declareOpts');
+
+var AppState = require('./modules/AppState');
+var AsyncLocalStorage = require('./modules/AsyncLocalStorage');
+var ExceptionsManager = require('./modules/ExceptionsManager');
+var StubModule = require('./modules/StubModule');
+var Timing = require('./modules/Timing');
+var UIManager = require('./modules/UIManager');
+
+// The JS methods that native code calls. Modules add theirs with a
+// `JSMethods` array, like `+ (NSArray *)JSMethods` of the native modules.
+var JS_METHODS = [
+  'AppRegistry.runApplication',
+  'ReactIOS.unmountComponentAtNodeAndRemoveContainer',
+  'RCTDeviceEventEmitter.emit',
+  'RCTNativeAppEventEmitter.emit',
+  'RCTEventEmitter.receiveEvent',
+  'RCTEventEmitter.receiveTouches',
+];
+
+var validateOpts = declareOpts({
+  // The size of the screen, in points.
+  window: {
+    type: 'object',
+    default: {width: 375, height: 667, scale: 2},
+  },
+});
+
+/**
+ * Plays the native side of the bridge for a bundle running in node, so apps
+ * can be tested without a device:
+ *
+ *   var host = new HeadlessHost();
+ *   host.loadBundle(fs.readFileSync('index.ios.bundle', 'utf8'));
+ *   var rootTag = host.runApplication('MyApp', {initialProps: 1});
+ *   host.advanceTime(1000);
+ *   expect(host.getViewTree(rootTag)).toEqual(...);
+ *
+ * The native modules are JS objects, registered by name with `addModule`.
+ * `RCTUIManager`, `RCTTiming`, `RCTExceptionsManager`,
+ * `RCTAsyncLocalStorage` and `RCTAppState` are there by default, and keep
+ * everything in memory. Everything runs synchronously: the host methods
+ * return once JS and the modules have nothing left to do, except for timers,
+ * which only fire when the time is advanced.
+ */
+function HeadlessHost(options) {
+  var opts = validateOpts(options);
+
+  this._modules = [];
+  this._modulesByName = Object.create(null);
+  this._jsMethods = JS_METHODS.slice();
+  this._localModuleIDs = Object.create(null);
+  this._localMethodIDs = Object.create(null);
+
+  this._context = null;
+  this._bridge = null;
+  this._queue = [];
+  this._isDraining = false;
+  this._nextRootTag = 1;
+  this._streamCancelHandlers = Object.create(null);
+  this._isReplaying = false;
+
+  this.addModule('RCTUIManager', new UIManager(this, opts.window));
+  this.addModule('RCTTiming', new Timing(this));
+  this.addModule('RCTExceptionsManager', new ExceptionsManager(this));
+  this.addModule('RCTAsyncLocalStorage', new AsyncLocalStorage(this));
+  this.addModule('RCTAppState', new AppState(this));
+
+  // Modules the JS of the components reads constants from when it loads
+  this.addModule('RCTStatusBarManager', new StubModule(
+    ['setStyle', 'setHidden'],
+    {
+      Style: {'default': 0, lightContent: 1},
+      Animation: {none: 0, fade: 1, slide: 2},
+    }
+  ));
+  this.addModule('RCTWebViewManager', new StubModule(
+    ['goBack', 'goForward', 'reload'],
+    {
+      NavigationType: {
+        LinkClicked: 0,
+        FormSubmitted: 1,
+        BackForward: 2,
+        Reload: 3,
+        FormResubmitted: 4,
+        Other: 5,
+      },
+    }
+  ));
+}
+
+/**
+ * Makes `module` available to JS as `NativeModules[name]`. Only the methods
+ * listed in its `exportedMethods` can be called from JS, and they get the ids
+ * of the JS callbacks, to pass to `invokeCallback`. `constantsToExport()` and
+ * `JSMethods` are used like in native modules, and `methodTypes` can make
+ * methods `remoteAsync` or `remoteStream`, like `RCT_EXPORT_PROMISE` and
+ * `RCT_EXPORT_STREAM` do. Like their blocks, these methods get the id of the
+ * resolve or send callback before the one of the reject or complete callback.
+ */
+HeadlessHost.prototype.addModule = function(name, module) {
+  if (this._context) {
+    throw new Error('Cannot add module ' + name + ' after loading the bundle');
+  }
+  if (this._modulesByName[name]) {
+    throw new Error('Module ' + name + ' has already been added');
+  }
+  this._modules.push({name: name, module: module});
+  this._modulesByName[name] = module;
+  if (module.JSMethods) {
+    this._jsMethods = this._jsMethods.concat(module.JSMethods);
+  }
+};
+
+HeadlessHost.prototype.getModule = function(name) {
+  return this._modulesByName[name];
+};
+
+/**
+ * Runs the `source` of a bundle built by the packager, in a context of its
+ * own, and flushes the calls it made.
+ */
+HeadlessHost.prototype.loadBundle = function(source, sourceURL) {
+  if (this._context) {
+    throw new Error('A bundle has already been loaded');
+  }
+
+  this._context = vm.createContext({console: console});
+  this._context.__fbBatchedBridgeConfig = this._toContext({
+    remoteModuleConfig: this._remoteModulesConfig(),
+    localModulesConfig: this._localModulesConfig(),
+  });
+  vm.runInContext(source, this._context, {filename: sourceURL || 'bundle.js'});
+  this._bridge = vm.runInContext('require("BatchedBridge")', this._context);
+
+  this._callJS('flushedQueue', []);
+};
+
+/**
+ * Starts the application registered as `appKey` in a new root view, like
+ * `RCTRootView` does, and returns the tag of the root view.
+ */
+HeadlessHost.prototype.runApplication = function(appKey, initialProps) {
+  var rootTag = this._nextRootTag;
+  // Like the root views of the native side, numbered 1, 11, 21, etc.
+  this._nextRootTag += 10;
+
+  this.getModule('RCTUIManager').registerRootView(rootTag);
+  this.enqueueJSCall('AppRegistry.runApplication', [
+    appKey,
+    {rootTag: rootTag, initialProps: initialProps || {}},
+  ]);
+  return rootTag;
+};
+
+HeadlessHost.prototype.unmountApplication = function(rootTag) {
+  this.enqueueJSCall(
+    'ReactIOS.unmountComponentAtNodeAndRemoveContainer',
+    [rootTag]
+  );
+};
+
+/**
+ * The views in the root view `rootTag`, as JSON:
+ *
+ *   {tag: 1, viewName: 'RCTRootView', props: {...}, children: [...]}
+ */
+HeadlessHost.prototype.getViewTree = function(rootTag) {
+  return this.getModule('RCTUIManager').getViewTree(rootTag);
+};
+
+/**
+ * Moves the clock of the timers forward by `ms`, a frame at a time.
+ */
+HeadlessHost.prototype.advanceTime = function(ms) {
+  this.getModule('RCTTiming').advanceTime(ms);
+};
+
+/**
+ * Calls a JS method listed in the `JSMethods`, like
+ * `RCTDeviceEventEmitter.emit`, with `args`.
+ */
+HeadlessHost.prototype.enqueueJSCall = function(moduleDotMethod, args) {
+  if (this._isReplaying) {
+    // What native sent is in the capture
+    return;
+  }
+  this._enqueueJSCall(moduleDotMethod, args);
+};
+
+/**
+ * Calls the JS callback with the id `callbackID`, which was passed to a
+ * module method, with `args`. Missing callbacks are ignored.
+ */
+HeadlessHost.prototype.invokeCallback = function(callbackID, args) {
+  if (callbackID == null || this._isReplaying) {
+    return;
+  }
+  this._callJS('invokeCallbackAndReturnFlushedQueue', [callbackID, args]);
+};
+
+/**
+ * Loads the bundle `source`, like `loadBundle`, and sends it the messages
+ * native sent in a capture of `BridgeProfiler`, in the same order, so that a
+ * bug seen on a device can be reproduced with the bundle it ran. The modules
+ * still get the calls of JS, but their callbacks, events and timers are
+ * ignored in favor of the ones of the capture. The capture should have been
+ * started when the bundle was loaded.
+ */
+HeadlessHost.prototype.replay = function(source, capture, sourceURL) {
+  this._isReplaying = true;
+  try {
+    this.loadBundle(source, sourceURL);
+    capture.entries.forEach(function(entry) {
+      if (entry.direction !== 'toJS') {
+        return;
+      }
+      if (entry.type === 'callback') {
+        this._callJS(
+          'invokeCallbackAndReturnFlushedQueue',
+          [entry.callbackID, entry.args]
+        );
+        return;
+      }
+      var moduleDotMethod = entry.module + '.' + entry.method;
+      if (moduleDotMethod === 'AppRegistry.runApplication') {
+        this.getModule('RCTUIManager').registerRootView(entry.args[1].rootTag);
+      }
+      this._enqueueJSCall(moduleDotMethod, entry.args);
+    }, this);
+  } finally {
+    this._isReplaying = false;
+  }
+};
+
+HeadlessHost.prototype._enqueueJSCall = function(moduleDotMethod, args) {
+  var moduleID = this._localModuleIDs[moduleDotMethod];
+  if (moduleID == null) {
+    throw new Error('JS method ' + moduleDotMethod + ' is not registered');
+  }
+  this._callJS('callFunctionReturnFlushedQueue', [
+    moduleID,
+    this._localMethodIDs[moduleDotMethod],
+    args || [],
+  ]);
+};
+
+/**
+ * Calls `handler` if JS cancels the stream whose send callback is
+ * `streamID`, like the cancel block of a `RCT_EXPORT_STREAM` method.
+ */
+HeadlessHost.prototype.onStreamCancelled = function(streamID, handler) {
+  this._streamCancelHandlers[streamID] = handler;
+};
+
+/**
+ * Calls `method` of the `BatchedBridge` once the calls before it are done,
+ * then the module methods in the queue it returns.
+ */
+HeadlessHost.prototype._callJS = function(method, args) {
+  if (!this._bridge) {
+    throw new Error('The bundle has not been loaded');
+  }
+  this._queue.push({method: method, args: args});
+  if (this._isDraining) {
+    return;
+  }
+
+  this._isDraining = true;
+  try {
+    while (this._queue.length) {
+      var call = this._queue.shift();
+      var buffer = this._bridge[call.method].apply(
+        this._bridge,
+        this._toContext(call.args)
+      );
+      this._handleBuffer(buffer);
+    }
+  } finally {
+    this._isDraining = false;
+  }
+};
+
+HeadlessHost.prototype._handleBuffer = function(buffer) {
+  if (!buffer) {
+    return;
+  }
+  // Everything goes through JSON, like it does between JSC and native code
+  buffer = JSON.parse(JSON.stringify(buffer));
+
+  var moduleIDs = buffer[0];
+  var methodIDs = buffer[1];
+  var paramss = buffer[2];
+  for (var i = 0; i < moduleIDs.length; i++) {
+    var entry = this._modules[moduleIDs[i]];
+    var methodName = entry && entry.module.exportedMethods[methodIDs[i]];
+    if (!methodName) {
+      throw new Error(
+        'Unknown method ' + methodIDs[i] + ' of module ' + moduleIDs[i]
+      );
+    }
+    var params = paramss[i];
+    if (methodType(entry.module, methodName) !== 'remote') {
+      // The callback ids come failure first, like from the message queue
+      params.push(params.splice(params.length - 2, 1)[0]);
+    }
+    entry.module[methodName].apply(entry.module, params);
+  }
+
+  (buffer[5] || []).forEach(function(streamID) {
+    var handler = this._streamCancelHandlers[streamID];
+    delete this._streamCancelHandlers[streamID];
+    handler && handler();
+  }, this);
+};
+
+HeadlessHost.prototype._toContext = function(value) {
+  return vm.runInContext('JSON', this._context).parse(JSON.stringify(value));
+};
+
+HeadlessHost.prototype._remoteModulesConfig = function() {
+  var config = {};
+  this._modules.forEach(function(entry, moduleID) {
+    var module = entry.module;
+    var methods = {};
+    (module.exportedMethods || []).forEach(function(methodName, methodID) {
+      if (typeof module[methodName] !== 'function') {
+        throw new Error(entry.name + '.' + methodName + ' is not a function');
+      }
+      methods[methodName] = {
+        methodID: methodID,
+        type: methodType(module, methodName),
+      };
+    });
+    config[entry.name] = {moduleID: moduleID, methods: methods};
+    var constants = module.constantsToExport && module.constantsToExport();
+    if (constants) {
+      config[entry.name].constants = constants;
+    }
+  });
+  return config;
+};
+
+HeadlessHost.prototype._localModulesConfig = function() {
+  var config = {};
+  this._jsMethods.forEach(function(moduleDotMethod) {
+    var parts = moduleDotMethod.split('.');
+    if (parts.length !== 2) {
+      throw new Error(
+        '\'' + moduleDotMethod + '\' is not a valid JS method definition - ' +
+        'expected \'Module.method\' format.'
+      );
+    }
+
+    var moduleName = parts[0];
+    var methodName = parts[1];
+    if (!config[moduleName]) {
+      config[moduleName] = {
+        moduleID: Object.keys(config).length,
+        methods: {},
+      };
+    }
+    var methods = config[moduleName].methods;
+    if (!methods[methodName]) {
+      methods[methodName] = {
+        methodID: Object.keys(methods).length,
+        type: 'local',
+      };
+    }
+
+    this._localModuleIDs[moduleDotMethod] = config[moduleName].moduleID;
+    this._localMethodIDs[moduleDotMethod] = methods[methodName].methodID;
+  }, this);
+  return config;
+};
+
+function methodType(module, methodName) {
+  return (module.methodTypes && module.methodTypes[methodName]) || 'remote';
+}
+
+// For modules that only need to exist
+HeadlessHost.StubModule = StubModule;
+
+module.exports = HeadlessHost;
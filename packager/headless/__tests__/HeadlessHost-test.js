@@ -0,0 +1,202 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.autoMockOff();
+
+var HeadlessHost = require('../HeadlessHost');
+
+// A bridge that queues the calls of the `app` function, which gets the
+// native modules and registers its JS methods in `methods`.
+function bundle(app) {
+  return [
+    'var config = __fbBatchedBridgeConfig;',
+    'var queue = [[], [], [], []];',
+    'var callbacks = [];',
+    'var methods = {};',
+    'var NativeModules = {};',
+    'Object.keys(config.remoteModuleConfig).forEach(function(name) {',
+    '  var module = config.remoteModuleConfig[name];',
+    '  NativeModules[name] = {constants: module.constants};',
+    '  Object.keys(module.methods).forEach(function(method) {',
+    '    NativeModules[name][method] = function() {',
+    '      var args = Array.prototype.map.call(arguments, function(arg) {',
+    '        return typeof arg === "function" ? callbacks.push(arg) - 1 : arg;',
+    '      });',
+    '      queue[0].push(module.moduleID);',
+    '      queue[1].push(module.methods[method].methodID);',
+    '      queue[2].push(args);',
+    '    };',
+    '  });',
+    '});',
+    'function flushedQueue() {',
+    '  var flushed = queue;',
+    '  queue = [[], [], [], []];',
+    '  return flushed[0].length ? flushed : null;',
+    '}',
+    'var BatchedBridge = {',
+    '  flushedQueue: flushedQueue,',
+    '  callFunctionReturnFlushedQueue: function(moduleID, methodID, args) {',
+    '    var local = config.localModulesConfig;',
+    '    Object.keys(local).forEach(function(name) {',
+    '      if (local[name].moduleID !== moduleID) { return; }',
+    '      Object.keys(local[name].methods).forEach(function(method) {',
+    '        if (local[name].methods[method].methodID === methodID) {',
+    '          methods[name + "." + method].apply(null, args);',
+    '        }',
+    '      });',
+    '    });',
+    '    return flushedQueue();',
+    '  },',
+    '  invokeCallbackAndReturnFlushedQueue: function(cbID, args) {',
+    '    callbacks[cbID].apply(null, args);',
+    '    return flushedQueue();',
+    '  },',
+    '};',
+    'function require(name) { return BatchedBridge; }',
+    '(' + app.toString() + ')(NativeModules, methods);',
+  ].join('\n');
+}
+
+describe('HeadlessHost', function() {
+  it('should pass the modules and their constants to JS', function() {
+    var host = new HeadlessHost({window: {width: 320, height: 480, scale: 2}});
+    host.loadBundle(bundle(function(NativeModules) {
+      var window = NativeModules.RCTUIManager.constants.Dimensions.window;
+      NativeModules.RCTAsyncLocalStorage.multiSet(
+        [['width', String(window.width)]],
+        function() {}
+      );
+    }));
+
+    expect(host.getModule('RCTAsyncLocalStorage').items.width).toBe('320');
+  });
+
+  it('should render the views JS creates', function() {
+    var host = new HeadlessHost();
+    host.loadBundle(bundle(function(NativeModules, methods) {
+      methods['AppRegistry.runApplication'] = function(appKey, params) {
+        var UIManager = NativeModules.RCTUIManager;
+        UIManager.createView(2, 'RCTView', {flex: 1});
+        UIManager.createView(3, 'RCTText', {text: appKey});
+        UIManager.manageChildren(2, null, null, [3], [0], null);
+        UIManager.manageChildren(params.rootTag, null, null, [2], [0], null);
+      };
+    }));
+
+    var rootTag = host.runApplication('App');
+
+    expect(host.getViewTree(rootTag)).toEqual({
+      tag: 1,
+      viewName: 'RCTRootView',
+      props: {width: 375, height: 667},
+      children: [{
+        tag: 2,
+        viewName: 'RCTView',
+        props: {flex: 1},
+        children: [{
+          tag: 3,
+          viewName: 'RCTText',
+          props: {text: 'App'},
+          children: [],
+        }],
+      }],
+    });
+  });
+
+  it('should only fire timers when the time is advanced', function() {
+    var host = new HeadlessHost();
+    host.loadBundle(bundle(function(NativeModules, methods) {
+      var fired = [];
+      methods['RCTJSTimers.callTimers'] = function(timerIDs) {
+        fired = fired.concat(timerIDs);
+        NativeModules.RCTAsyncLocalStorage.multiSet(
+          [['fired', fired.join(',')]],
+          null
+        );
+      };
+      NativeModules.RCTTiming.createTimer(1, 100, 0, false);
+      NativeModules.RCTTiming.createTimer(2, 50, 0, true);
+    }));
+    var storage = host.getModule('RCTAsyncLocalStorage');
+
+    expect(storage.items.fired).toBeUndefined();
+    host.advanceTime(60);
+    expect(storage.items.fired).toBe('2');
+    host.advanceTime(50);
+    expect(storage.items.fired).toBe('2,1,2');
+  });
+
+  it('should call JS back with the results of the modules', function() {
+    var host = new HeadlessHost();
+    host.getModule('RCTAsyncLocalStorage').items.key = 'value';
+    host.loadBundle(bundle(function(NativeModules) {
+      var AsyncStorage = NativeModules.RCTAsyncLocalStorage;
+      AsyncStorage.multiGet(['key'], function(errors, result) {
+        AsyncStorage.multiSet([['copy', result[0][1]]], null);
+      });
+    }));
+
+    expect(host.getModule('RCTAsyncLocalStorage').items.copy).toBe('value');
+  });
+
+  it('should not add modules once the bundle is loaded', function() {
+    var host = new HeadlessHost();
+    host.loadBundle(bundle(function() {}));
+
+    expect(function() {
+      host.addModule('Late', new HeadlessHost.StubModule([]));
+    }).toThrow('Cannot add module Late after loading the bundle');
+  });
+
+  it('should replay what native sent in a capture', function() {
+    var source = bundle(function(NativeModules, methods) {
+      var AsyncStorage = NativeModules.RCTAsyncLocalStorage;
+      methods['AppRegistry.runApplication'] = function(appKey, params) {
+        AsyncStorage.multiGet(['key'], function(errors, result) {
+          NativeModules.RCTUIManager.createView(2, 'RCTText', {
+            text: result[0][1],
+          });
+          NativeModules.RCTUIManager.manageChildren(
+            params.rootTag,
+            null,
+            null,
+            [2],
+            [0],
+            null
+          );
+        });
+      };
+    });
+    var host = new HeadlessHost();
+    host.getModule('RCTAsyncLocalStorage').items.key = 'from the host';
+
+    host.replay(source, {entries: [{
+      direction: 'toJS',
+      type: 'call',
+      module: 'AppRegistry',
+      method: 'runApplication',
+      args: ['App', {rootTag: 1, initialProps: {}}],
+    }, {
+      direction: 'toNative',
+      type: 'call',
+      module: 'RCTAsyncLocalStorage',
+      method: 'multiGet',
+      args: [['key'], 0],
+    }, {
+      direction: 'toJS',
+      type: 'callback',
+      callbackID: 0,
+      args: [null, [['key', 'from the device']]],
+    }]});
+
+    expect(host.getViewTree(1).children[0].props)
+      .toEqual({text: 'from the device'});
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+/**
+ * The app is always active, unless a test moves it to the background with
+ * `setAppState('background')`.
+ */
+function AppState(host) {
+  this._host = host;
+  this._appState = 'active';
+}
+
+AppState.prototype.exportedMethods = ['getCurrentAppState'];
+
+AppState.prototype.getCurrentAppState = function(callbackID, errorCallbackID) {
+  this._host.invokeCallback(callbackID, [{app_state: this._appState}]);
+};
+
+AppState.prototype.setAppState = function(appState) {
+  if (appState === this._appState) {
+    return;
+  }
+  this._appState = appState;
+  this._host.enqueueJSCall(
+    'RCTDeviceEventEmitter.emit',
+    ['appStateDidChange', {app_state: appState}]
+  );
+};
+
+module.exports = AppState;
@@ -0,0 +1,96 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+/**
+ * `RCTAsyncLocalStorage` in memory. The values are in `items`, by key, so
+ * tests can set them up and check them.
+ */
+function AsyncLocalStorage(host) {
+  this._host = host;
+  this.items = Object.create(null);
+}
+
+AsyncLocalStorage.prototype.exportedMethods = [
+  'multiGet',
+  'multiSet',
+  'multiRemove',
+  'clear',
+  'getAllKeys',
+];
+
+AsyncLocalStorage.prototype.multiGet = function(keys, callbackID) {
+  var errors = [];
+  var result = keys.map(function(key) {
+    var error = errorForKey(key);
+    if (error) {
+      errors.push(error);
+    }
+    return [key, !error && key in this.items ? this.items[key] : null];
+  }, this);
+  this._host.invokeCallback(
+    callbackID,
+    [errors.length ? errors : null, result]
+  );
+};
+
+AsyncLocalStorage.prototype.multiSet = function(keyValuePairs, callbackID) {
+  var errors = [];
+  keyValuePairs.forEach(function(entry) {
+    var error = errorForKey(entry[0]);
+    if (!error && typeof entry[1] !== 'string') {
+      error = {
+        message: 'Values must be strings, got: ' + entry[1],
+        key: entry[0],
+      };
+    }
+    if (error) {
+      errors.push(error);
+    } else {
+      this.items[entry[0]] = entry[1];
+    }
+  }, this);
+  this._host.invokeCallback(callbackID, [errors.length ? errors : null]);
+};
+
+AsyncLocalStorage.prototype.multiRemove = function(keys, callbackID) {
+  var errors = [];
+  keys.forEach(function(key) {
+    var error = errorForKey(key);
+    if (error) {
+      errors.push(error);
+    } else {
+      delete this.items[key];
+    }
+  }, this);
+  this._host.invokeCallback(callbackID, [errors.length ? errors : null]);
+};
+
+AsyncLocalStorage.prototype.clear = function(callbackID) {
+  this.items = Object.create(null);
+  this._host.invokeCallback(callbackID, [null]);
+};
+
+AsyncLocalStorage.prototype.getAllKeys = function(callbackID) {
+  this._host.invokeCallback(callbackID, [null, Object.keys(this.items)]);
+};
+
+function errorForKey(key) {
+  if (typeof key !== 'string') {
+    return {message: 'Invalid key - must be a string.  Key: ' + key, key: key};
+  } else if (key.length < 1) {
+    return {
+      message: 'Invalid key - must be at least one character.  Key: ' + key,
+      key: key,
+    };
+  }
+  return null;
+}
+
+module.exports = AsyncLocalStorage;
@@ -0,0 +1,40 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+/**
+ * Collects the unhandled JS exceptions in `exceptions`, as
+ * `{message, stack}`, where the native side would show a red box.
+ */
+function ExceptionsManager(host) {
+  this._host = host;
+  this.exceptions = [];
+}
+
+ExceptionsManager.prototype.exportedMethods = [
+  'reportUnhandledException',
+  'updateExceptionMessage',
+];
+
+ExceptionsManager.prototype.reportUnhandledException = function(
+  message,
+  stack
+) {
+  this.exceptions.push({message: message, stack: stack});
+};
+
+// Called with the stack once it has been symbolicated.
+ExceptionsManager.prototype.updateExceptionMessage = function(message, stack) {
+  var last = this.exceptions[this.exceptions.length - 1];
+  if (last && last.message === message) {
+    last.stack = stack;
+  }
+};
+
+module.exports = ExceptionsManager;
@@ -0,0 +1,35 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+/**
+ * Stands in for a native module that has nothing to do without a device,
+ * like the status bar. It exports `constants`, and its methods only record
+ * their calls in `calls`, as `{method, args}`. They never call back.
+ */
+function StubModule(methodNames, constants) {
+  this.exportedMethods = methodNames;
+  this.calls = [];
+  this._constants = constants || null;
+
+  methodNames.forEach(function(methodName) {
+    this[methodName] = function() {
+      this.calls.push({
+        method: methodName,
+        args: Array.prototype.slice.call(arguments),
+      });
+    };
+  }, this);
+}
+
+StubModule.prototype.constantsToExport = function() {
+  return this._constants;
+};
+
+module.exports = StubModule;
@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+var FRAME_DURATION = 1000 / 60;
+
+/**
+ * The timers of `setTimeout`, `setInterval` and `requestAnimationFrame`, on a
+ * clock that only moves with `advanceTime`. Like `RCTTiming`, the due timers
+ * are called once a frame.
+ */
+function Timing(host) {
+  this._host = host;
+  this._timers = Object.create(null);
+  this._now = 0;
+}
+
+Timing.prototype.exportedMethods = ['createTimer', 'deleteTimer'];
+
+Timing.prototype.JSMethods = ['RCTJSTimers.callTimers'];
+
+Timing.prototype.createTimer = function(
+  callbackID,
+  duration,
+  jsSchedulingTime,
+  repeats
+) {
+  if (duration === 0 && !repeats) {
+    this._host.enqueueJSCall('RCTJSTimers.callTimers', [[callbackID]]);
+    return;
+  }
+  this._timers[callbackID] = {
+    interval: duration,
+    targetTime: this._now + duration,
+    repeats: repeats,
+  };
+};
+
+Timing.prototype.deleteTimer = function(timerID) {
+  delete this._timers[timerID];
+};
+
+Timing.prototype.advanceTime = function(ms) {
+  var endTime = this._now + ms;
+  while (this._now < endTime) {
+    this._now = Math.min(this._now + FRAME_DURATION, endTime);
+    this._callTimers();
+  }
+};
+
+Timing.prototype._callTimers = function() {
+  var timerIDs = [];
+  Object.keys(this._timers).forEach(function(timerID) {
+    var timer = this._timers[timerID];
+    if (timer.targetTime > this._now) {
+      return;
+    }
+    timerIDs.push(Number(timerID));
+    if (timer.repeats) {
+      timer.targetTime = this._now + timer.interval;
+    } else {
+      delete this._timers[timerID];
+    }
+  }, this);
+
+  if (timerIDs.length) {
+    this._host.enqueueJSCall('RCTJSTimers.callTimers', [timerIDs]);
+  }
+};
+
+module.exports = Timing;
@@ -0,0 +1,353 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+function bubblingEventType(name) {
+  return {
+    phasedRegistrationNames: {
+      bubbled: name,
+      captured: name + 'Capture',
+    },
+  };
+}
+
+var CUSTOM_BUBBLING_EVENT_TYPES = {
+  topTap: bubblingEventType('onPress'),
+  topVisibleCellsChange: bubblingEventType('onVisibleCellsChange'),
+  topNavigateBack: bubblingEventType('onNavigationComplete'),
+  topNavRightButtonTap: bubblingEventType('onNavRightButtonTap'),
+  topChange: bubblingEventType('onChange'),
+  topFocus: bubblingEventType('onFocus'),
+  topBlur: bubblingEventType('onBlur'),
+  topSubmitEditing: bubblingEventType('onSubmitEditing'),
+  topEndEditing: bubblingEventType('onEndEditing'),
+  topTextInput: bubblingEventType('onTextInput'),
+  topTouchStart: bubblingEventType('onTouchStart'),
+  topTouchMove: bubblingEventType('onTouchMove'),
+  topTouchCancel: bubblingEventType('onTouchCancel'),
+  topTouchEnd: bubblingEventType('onTouchEnd'),
+};
+
+var CUSTOM_DIRECT_EVENT_TYPES = {};
+[
+  'ScrollBeginDrag',
+  'Scroll',
+  'ScrollEndDrag',
+  'ScrollAnimationEnd',
+  'SelectionChange',
+  'MomentumScrollBegin',
+  'MomentumScrollEnd',
+  'PullToRefresh',
+  'LoadingStart',
+  'LoadingFinish',
+  'LoadingError',
+].forEach(function(name) {
+  CUSTOM_DIRECT_EVENT_TYPES['top' + name] = {registrationName: 'on' + name};
+});
+
+// The constants of the view managers, with the values of UIKit
+var VIEW_MANAGER_CONSTANTS = {
+  RCTDatePicker: {
+    ComponentHeight: 216,
+    ComponentWidth: 320,
+    DatePickerModes: {time: 0, date: 1, datetime: 2},
+  },
+  RCTPicker: {
+    ComponentHeight: 216,
+    ComponentWidth: 320,
+  },
+  RCTScrollView: {
+    DecelerationRate: {Normal: 0.998, Fast: 0.99},
+    KeyboardDismissMode: {None: 0, Interactive: 2, OnDrag: 1},
+  },
+  UIActivityIndicatorView: {
+    StyleWhite: 1,
+    StyleWhiteLarge: 0,
+    StyleGray: 2,
+  },
+};
+
+/**
+ * Keeps the views JS creates in a tree, with their props. There is no
+ * layout: the frames that `measure` and friends report are the `left`,
+ * `top`, `width` and `height` the views have in their style, or 0.
+ */
+function UIManager(host, window) {
+  this._host = host;
+  this._window = window;
+  // Views by tag, as {tag, viewName, props, children: [tags], parent: tag}
+  this._views = Object.create(null);
+}
+
+UIManager.prototype.exportedMethods = [
+  'createView',
+  'updateView',
+  'manageChildren',
+  'removeSubviewsFromContainerWithID',
+  'removeRootView',
+  'replaceExistingNonRootView',
+  'measure',
+  'measureLayout',
+  'measureLayoutRelativeToParent',
+  'setJSResponder',
+  'clearJSResponder',
+  'configureNextLayoutAnimation',
+  'focus',
+  'blur',
+];
+
+UIManager.prototype.constantsToExport = function() {
+  var constants = {
+    customBubblingEventTypes: CUSTOM_BUBBLING_EVENT_TYPES,
+    customDirectEventTypes: CUSTOM_DIRECT_EVENT_TYPES,
+    NSTextAlignment: {Left: 0, Center: 1, Right: 2},
+    Dimensions: {
+      window: this._window,
+      modalFullscreenView: {
+        width: this._window.width,
+        height: this._window.height,
+      },
+    },
+    StyleConstants: {
+      PointerEventsValues: {none: 1, 'box-none': 2, 'box-only': 3, auto: 0},
+    },
+    UIText: {
+      AutocapitalizationType: {
+        characters: 3,
+        sentences: 2,
+        words: 1,
+        none: 0,
+      },
+    },
+    UITextField: {
+      clearButtonMode: {
+        never: 0,
+        'while-editing': 1,
+        'unless-editing': 2,
+        always: 3,
+      },
+    },
+    UIView: {
+      ContentMode: {
+        ScaleToFill: 0,
+        ScaleAspectFit: 1,
+        ScaleAspectFill: 2,
+        Redraw: 3,
+        Center: 4,
+        Top: 5,
+        Bottom: 6,
+        Left: 7,
+        Right: 8,
+        TopLeft: 9,
+        TopRight: 10,
+        BottomLeft: 11,
+        BottomRight: 12,
+      },
+    },
+  };
+  Object.keys(VIEW_MANAGER_CONSTANTS).forEach(function(name) {
+    constants[name] = {Constants: VIEW_MANAGER_CONSTANTS[name]};
+  });
+  return constants;
+};
+
+UIManager.prototype.registerRootView = function(rootTag) {
+  this._views[rootTag] = {
+    tag: rootTag,
+    viewName: 'RCTRootView',
+    props: {width: this._window.width, height: this._window.height},
+    children: [],
+    parent: null,
+  };
+};
+
+UIManager.prototype.getViewTree = function(tag) {
+  var view = this._view(tag);
+  return {
+    tag: view.tag,
+    viewName: view.viewName,
+    props: view.props,
+    children: view.children.map(this.getViewTree, this),
+  };
+};
+
+UIManager.prototype.createView = function(reactTag, viewName, props) {
+  this._views[reactTag] = {
+    tag: reactTag,
+    viewName: viewName,
+    props: {},
+    children: [],
+    parent: null,
+  };
+  this.updateView(reactTag, viewName, props);
+};
+
+UIManager.prototype.updateView = function(reactTag, viewName, props) {
+  var viewProps = this._view(reactTag).props;
+  Object.keys(props || {}).forEach(function(key) {
+    if (props[key] == null) {
+      delete viewProps[key];
+    } else {
+      viewProps[key] = props[key];
+    }
+  });
+};
+
+UIManager.prototype.manageChildren = function(
+  containerReactTag,
+  moveFromIndices,
+  moveToIndices,
+  addChildReactTags,
+  addAtIndices,
+  removeAtIndices
+) {
+  var container = this._view(containerReactTag);
+  var children = container.children;
+
+  // Removes (both permanent and temporary moves) are using "before" indices
+  var pick = function(index) {
+    return children[index];
+  };
+  var removedTags = (removeAtIndices || []).map(pick);
+  var movedTags = (moveFromIndices || []).map(pick);
+  container.children = children.filter(function(tag) {
+    return removedTags.indexOf(tag) === -1 && movedTags.indexOf(tag) === -1;
+  });
+  removedTags.forEach(this._purge, this);
+
+  var tagsByIndex = {};
+  movedTags.forEach(function(tag, i) {
+    tagsByIndex[moveToIndices[i]] = tag;
+  });
+  (addChildReactTags || []).forEach(function(tag, i) {
+    tagsByIndex[addAtIndices[i]] = tag;
+  });
+  Object.keys(tagsByIndex).map(Number).sort(function(a, b) {
+    return a - b;
+  }).forEach(function(index) {
+    var tag = tagsByIndex[index];
+    this._view(tag).parent = containerReactTag;
+    container.children.splice(index, 0, tag);
+  }, this);
+};
+
+UIManager.prototype.removeSubviewsFromContainerWithID = function(containerID) {
+  var container = this._view(containerID);
+  container.children.forEach(this._purge, this);
+  container.children = [];
+};
+
+UIManager.prototype.removeRootView = function(rootReactTag) {
+  this.removeSubviewsFromContainerWithID(rootReactTag);
+  delete this._views[rootReactTag];
+};
+
+UIManager.prototype.replaceExistingNonRootView = function(
+  reactTag,
+  newReactTag
+) {
+  var parent = this._view(this._view(reactTag).parent);
+  var index = parent.children.indexOf(reactTag);
+  this.manageChildren(parent.tag, null, null, [newReactTag], [index], [index]);
+};
+
+UIManager.prototype.measure = function(reactTag, callbackID) {
+  var frame = this._frame(reactTag);
+  var pageOffset = this._pageOffset(reactTag);
+  this._host.invokeCallback(callbackID, [
+    frame.x,
+    frame.y,
+    frame.width,
+    frame.height,
+    pageOffset.x,
+    pageOffset.y,
+  ]);
+};
+
+UIManager.prototype.measureLayout = function(
+  reactTag,
+  ancestorReactTag,
+  errorCallbackID,
+  callbackID
+) {
+  var frame = this._frame(reactTag);
+  var pageOffset = this._pageOffset(reactTag);
+  var ancestorOffset = this._pageOffset(ancestorReactTag);
+  this._host.invokeCallback(callbackID, [
+    pageOffset.x - ancestorOffset.x,
+    pageOffset.y - ancestorOffset.y,
+    frame.width,
+    frame.height,
+  ]);
+};
+
+UIManager.prototype.measureLayoutRelativeToParent = function(
+  reactTag,
+  errorCallbackID,
+  callbackID
+) {
+  var frame = this._frame(reactTag);
+  this._host.invokeCallback(
+    callbackID,
+    [frame.x, frame.y, frame.width, frame.height]
+  );
+};
+
+UIManager.prototype.configureNextLayoutAnimation = function(
+  config,
+  callbackID,
+  errorCallbackID
+) {
+  // Nothing is animated, so the animation ends right away
+  this._host.invokeCallback(callbackID, []);
+};
+
+UIManager.prototype.setJSResponder = function(reactTag) {};
+
+UIManager.prototype.clearJSResponder = function() {};
+
+UIManager.prototype.focus = function(reactTag) {};
+
+UIManager.prototype.blur = function(reactTag) {};
+
+UIManager.prototype._view = function(reactTag) {
+  var view = this._views[reactTag];
+  if (!view) {
+    throw new Error('No view with tag ' + reactTag);
+  }
+  return view;
+};
+
+UIManager.prototype._purge = function(reactTag) {
+  var view = this._view(reactTag);
+  view.children.forEach(this._purge, this);
+  delete this._views[reactTag];
+};
+
+UIManager.prototype._frame = function(reactTag) {
+  var props = this._view(reactTag).props;
+  return {
+    x: props.left || 0,
+    y: props.top || 0,
+    width: props.width || 0,
+    height: props.height || 0,
+  };
+};
+
+UIManager.prototype._pageOffset = function(reactTag) {
+  var offset = {x: 0, y: 0};
+  for (var tag = reactTag; tag != null; tag = this._view(tag).parent) {
+    var frame = this._frame(tag);
+    offset.x += frame.x;
+    offset.y += frame.y;
+  }
+  return offset;
+};
+
+module.exports = UIManager;
@@ -0,0 +1,135 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * Loads the packager configuration of a project, `rn-packager.config.js` in
+ * its root. The file exports an object with any of these options:
+ *
+ *   module.exports = {
+ *     projectRoots: ['.', '../shared'],
+ *     assetRoots: ['./images'],
+ *     assetExts: ['png', 'jpg', 'mp4'],
+ *     blacklist: ['vendor/big-library/test.js'],
+ *     polyfills: ['./polyfills/intl.js'],
+ *     transformModulePath: './transformer.js',
+ *     transforms: {coffee: ['./coffeeTransform.js']},
+ *     middleware: [function(req, res, next) { next(); }],
+ *     cacheDir: '/tmp/packager-cache',
+ *     cacheVersion: '3',
+ *     maxCacheSize: 100 * 1024 * 1024,
+ *   };
+ *
+ * Paths are relative to the directory of the file.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var declareOpts = require('./react-packager/src/lib/declareOpts');
+
+var CONFIG_FILE_NAME = 'rn-packager.config.js';
+
+var validateConfig = declareOpts({
+  projectRoots: {
+    type: 'array',
+    required: false,
+  },
+  assetRoots: {
+    type: 'array',
+    required: false,
+  },
+  assetExts: {
+    type: 'array',
+    required: false,
+  },
+  // Paths that end with any of these are left out of the packages.
+  blacklist: {
+    type: 'array',
+    default: [],
+  },
+  polyfills: {
+    type: 'array',
+    default: [],
+  },
+  transformModulePath: {
+    type: 'string',
+    required: false,
+  },
+  transforms: {
+    type: 'object',
+    default: {},
+  },
+  // Connect middleware, which gets the requests before the packager.
+  middleware: {
+    type: 'array',
+    default: [],
+  },
+  cacheDir: {
+    type: 'string',
+    required: false,
+  },
+  cacheVersion: {
+    type: 'string',
+    default: '3',
+  },
+  maxCacheSize: {
+    type: 'number',
+    required: false,
+  },
+});
+
+/**
+ * Returns the validated config in `configPath` with its paths resolved. The
+ * defaults are used when there is no config file, unless it was asked for
+ * explicitly (`isRequired`).
+ */
+function loadConfig(configPath, isRequired) {
+  var config = {};
+  if (isRequired || fs.existsSync(configPath)) {
+    config = require(configPath);
+  }
+
+  try {
+    config = validateConfig(config);
+  } catch (e) {
+    throw new Error('Invalid ' + configPath + ': ' + e.message);
+  }
+
+  config.middleware.forEach(function(middleware, i) {
+    if (typeof middleware !== 'function') {
+      throw new Error(
+        'Invalid ' + configPath + ': middleware ' + i + ' is not a function'
+      );
+    }
+  });
+
+  var resolve = function(filePath) {
+    return path.resolve(path.dirname(configPath), filePath);
+  };
+  ['projectRoots', 'assetRoots', 'polyfills'].forEach(function(option) {
+    if (config[option] != null) {
+      config[option] = config[option].map(resolve);
+    }
+  });
+  ['transformModulePath', 'cacheDir'].forEach(function(option) {
+    if (config[option] != null) {
+      config[option] = resolve(config[option]);
+    }
+  });
+  var transforms = {};
+  Object.keys(config.transforms).forEach(function(ext) {
+    transforms[ext.replace(/^\./, '')] =
+      [].concat(config.transforms[ext]).map(resolve);
+  });
+  config.transforms = transforms;
+
+  return config;
+}
+
+loadConfig.CONFIG_FILE_NAME = CONFIG_FILE_NAME;
+
+module.exports = loadConfig;
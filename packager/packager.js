@@ -27,7 +27,9 @@ var blacklist = require('./blacklist.js');
 var connect = require('connect');
 var http = require('http');
 var launchEditor = require('./launchEditor.js');
+var loadConfig = require('./loadConfig.js');
 var parseCommandLine = require('./parseCommandLine.js');
+var transforms = require('./transforms.js');
 var webSocketProxy = require('./webSocketProxy.js');
 
 var options = parseCommandLine([{
@@ -36,19 +38,55 @@ var options = parseCommandLine([{
 }, {
   command: 'root',
   description: 'add another root(s) to be used by the packager in this project',
+}, {
+  command: 'transform',
+  description: 'add transform plugins for files with the given extension, ' +
+    'e.g. coffee:./coffeeTransform.js,graphql:./graphqlTransform.js',
+  type: 'string',
+}, {
+  command: 'cache-dir',
+  description: 'directory for the transform cache, which can be shared ' +
+    'between checkouts and machines',
+  type: 'string',
+}, {
+  command: 'json-log',
+  description: 'write the packager events to stdout as newline delimited ' +
+    'JSON, and everything else to stderr',
+  default: false,
+}, {
+  command: 'config',
+  description: 'path to the packager config file, defaults to ' +
+    loadConfig.CONFIG_FILE_NAME + ' in the project root',
+  type: 'string',
 }]);
 
+// With --json-log only the events go to stdout.
+var log = options['json-log'] ? console.error : console.log;
+if (options['json-log']) {
+  ReactPackager.disableActivityLog();
+  ReactPackager.addActivityListener(function(event) {
+    process.stdout.write(JSON.stringify(event) + '\n');
+  });
+}
+
+var projectRoot = __dirname.match(/node_modules\/react-native\/packager$/)
+  // packager is running from node_modules of another project
+  ? path.resolve(__dirname, '../../..')
+  : path.resolve(__dirname, '..');
+
+var config = loadConfig(
+  options.config
+    ? path.resolve(options.config)
+    : path.join(projectRoot, loadConfig.CONFIG_FILE_NAME),
+  !!options.config
+);
+
 if (options.projectRoots) {
   if (!Array.isArray(options.projectRoots)) {
     options.projectRoots = options.projectRoots.split(',');
   }
 } else {
-  if (__dirname.match(/node_modules\/react-native\/packager$/)) {
-    // packager is running from node_modules of another project
-    options.projectRoots = [path.resolve(__dirname, '../../..')];
-  } else {
-    options.projectRoots = [path.resolve(__dirname, '..')];
-  }
+  options.projectRoots = config.projectRoots || [projectRoot];
 }
 
 if (options.root) {
@@ -62,10 +100,10 @@ if (options.root) {
 }
 
 if (!options.assetRoots) {
-  options.assetRoots = [path.resolve(__dirname, '..')];
+  options.assetRoots = config.assetRoots || [path.resolve(__dirname, '..')];
 }
 
-console.log('\n' +
+log('\n' +
 ' ===============================================================\n' +
 ' |  Running packager on port ' + options.port +          '.       \n' +
 ' |  Keep this packager running while developing on any JS         \n' +
@@ -77,7 +115,7 @@ console.log('\n' +
 ' ===============================================================\n'
 );
 
-console.log('Looking for JS files in\n  ', options.projectRoots.join('\n   '));
+log('Looking for JS files in\n  ', options.projectRoots.join('\n   '));
 
 process.on('uncaughtException', function(e) {
   console.error(e);
@@ -87,7 +125,7 @@ process.on('uncaughtException', function(e) {
 });
 
 var server = runServer(options, function() {
-  console.log('\nReact packager ready.\n');
+  log('\nReact packager ready.\n');
 });
 
 webSocketProxy.attachToServer(server, '/debugger-proxy');
@@ -124,7 +162,7 @@ function getDevToolsLauncher(options) {
     } else if (req.url === '/launch-chrome-devtools') {
       var debuggerURL = 'http://localhost:' + options.port + '/debugger-ui';
       var script = 'launchChromeDevTools.applescript';
-      console.log('Launching Dev Tools...');
+      log('Launching Dev Tools...');
       exec(path.join(__dirname, script) + ' ' + debuggerURL, function(err, stdout, stderr) {
         if (err) {
           console.log('Failed to run ' + script, err);
@@ -139,13 +177,21 @@ function getDevToolsLauncher(options) {
   };
 }
 
-function getAppMiddleware(options) {
-  return ReactPackager.middleware({
+function createPackagerServer(options) {
+  return ReactPackager.createServer({
     projectRoots: options.projectRoots,
-    blacklistRE: blacklist(false),
-    cacheVersion: '2',
-    transformModulePath: require.resolve('./transformer.js'),
+    blacklistRE: blacklist(false, config.blacklist),
+    polyfillModuleNames: config.polyfills,
+    cacheVersion: config.cacheVersion,
+    transformModulePath: config.transformModulePath ||
+      require.resolve('./transformer.js'),
+    transforms: transforms(options.transform, config.transforms),
+    cacheDir: options['cache-dir']
+      ? path.resolve(options['cache-dir'])
+      : config.cacheDir,
+    maxCacheSize: config.maxCacheSize,
     assetRoots: options.assetRoots,
+    assetExts: config.assetExts,
   });
 }
 
@@ -153,19 +199,28 @@ function runServer(
   options, /* {[]string projectRoot, bool web} */
   readyCallback
 ) {
+  var packagerServer = createPackagerServer(options);
   var app = connect()
     .use(loadRawBody)
     .use(openStackFrameInEditor)
-    .use(getDevToolsLauncher(options))
-    .use(getAppMiddleware(options));
+    .use(getDevToolsLauncher(options));
+
+  config.middleware.forEach(function(middleware) {
+    app.use(middleware);
+  });
+  app.use(packagerServer.processRequest.bind(packagerServer));
 
   options.projectRoots.forEach(function(root) {
     app.use(connect.static(root));
   });
 
-  app.use(connect.logger())
+  app.use(connect.logger({
+    stream: options['json-log'] ? process.stderr : process.stdout,
+  }))
     .use(connect.compress())
     .use(connect.errorHandler());
 
-  return http.createServer(app).listen(options.port, readyCallback);
+  var server = http.createServer(app).listen(options.port, readyCallback);
+  packagerServer.attachHMRServer(server);
+  return server;
 }
@@ -14,6 +14,10 @@
  *     command: 'web',
  *     description: 'Run in a web browser instead of iOS',
  *     default: true
+ *   }, {
+ *     command: 'out',
+ *     description: 'Where to write the output',
+ *     type: 'string',
  *   }])
  */
 'use strict';
@@ -24,8 +28,8 @@ function parseCommandLine(config) {
   // optimist default API requires you to write the command name three time
   // This is a small wrapper to accept an object instead
   for (var i = 0; i < config.length; ++i) {
-    optimist
-      .boolean(config[i].command)
+    var type = config[i].type === 'string' ? 'string' : 'boolean';
+    optimist[type](config[i].command)
       .default(config[i].command, config[i].default)
       .describe(config[i].command, config[i].description);
   }
@@ -37,6 +41,9 @@ function parseCommandLine(config) {
     if (argv[command] === undefined) {
       argv[command] = config[i].default;
     }
+    if (config[i].type === 'string') {
+      continue;
+    }
     if (argv[command] === 'true') {
       argv[command] = true;
     }
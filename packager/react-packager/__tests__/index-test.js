@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest
+  .dontMock('q')
+  .dontMock('../');
+
+var q = require('q');
+
+describe('ReactPackager', function() {
+  var ReactPackager;
+  var Server;
+
+  beforeEach(function() {
+    Server = require('../src/Server');
+    Server.prototype.buildPackage.mockImpl(function() {
+      return q('package');
+    });
+    Server.prototype.end.mockImpl(function() {
+      return q();
+    });
+    ReactPackager = require('../');
+  });
+
+  pit('should build packages without watching files or caching', function() {
+    return ReactPackager.buildPackage({projectRoots: ['/root']}, {})
+      .then(function(p) {
+        expect(p).toBe('package');
+        expect(Server.mock.calls[0][0].nonPersistent).toBe(true);
+        expect(Server.mock.calls[0][0].cacheTransforms).toBe(false);
+        expect(Server.prototype.end).toBeCalled();
+      });
+  });
+
+  pit('should keep the transform cache when given a cache dir', function() {
+    var options = {projectRoots: ['/root'], cacheDir: '/shared/cache'};
+    return ReactPackager.buildPackage(options, {})
+      .then(function() {
+        expect(Server.mock.calls[0][0].nonPersistent).toBe(true);
+        expect(Server.mock.calls[0][0].cacheTransforms).toBe(true);
+      });
+  });
+});
@@ -16,14 +16,23 @@ exports.middleware = function(options) {
   return server.processRequest.bind(server);
 };
 
-exports.buildPackageFromUrl = function(options, reqUrl) {
-  Activity.disable();
-  // Don't start the filewatcher or the cache.
-  if (options.nonPersistent == null) {
-    options.nonPersistent = true;
-  }
+exports.createServer = function(options) {
+  return new Server(options);
+};
 
-  var server = new Server(options);
+exports.buildPackage = function(options, packageOptions) {
+  var server = createNonPersistentServer(options);
+  return server.buildPackage(packageOptions)
+    .then(function(p) {
+      // Wait for the transforms to be written to the cache.
+      return server.end().then(function() {
+        return p;
+      });
+    });
+};
+
+exports.buildPackageFromUrl = function(options, reqUrl) {
+  var server = createNonPersistentServer(options);
   return server.buildPackageFromUrl(reqUrl)
     .then(function(p) {
       server.end();
@@ -32,16 +41,44 @@ exports.buildPackageFromUrl = function(options, reqUrl) {
 };
 
 exports.getDependencies = function(options, main) {
-  Activity.disable();
-  // Don't start the filewatcher or the cache.
-  if (options.nonPersistent == null) {
-    options.nonPersistent = true;
-  }
-
-  var server = new Server(options);
+  var server = createNonPersistentServer(options);
   return server.getDependencies(main)
     .then(function(r) {
       server.end();
       return r.dependencies;
     });
 };
+
+/**
+ * Calls `listener` with every event of the packager as it happens: the
+ * loading of the dependency graph, file changes, the transform of every
+ * module (and whether it came from the cache), builds and their errors.
+ */
+exports.addActivityListener = function(listener) {
+  Activity.addListener(listener);
+};
+
+exports.removeActivityListener = function(listener) {
+  Activity.removeListener(listener);
+};
+
+/**
+ * Stops writing the events of the packager out to the console.
+ */
+exports.disableActivityLog = function() {
+  Activity.disable();
+};
+
+function createNonPersistentServer(options) {
+  Activity.disable();
+  // Don't start the filewatcher or the cache.
+  if (options.nonPersistent == null) {
+    options.nonPersistent = true;
+  }
+  // Unless there is a cache dir to share, e.g. between CI builds.
+  if (options.cacheTransforms == null) {
+    options.cacheTransforms = options.cacheDir != null;
+  }
+
+  return new Server(options);
+}
@@ -90,4 +90,52 @@ describe('Activity', function() {
       expect(consoleMsg).toContain(JSON.stringify(DATA));
     });
   });
+
+  describe('listeners', function() {
+    it('get every event as it happens', function() {
+      var listener = jest.genMockFn();
+      Activity.addListener(listener);
+
+      var eventId = Activity.startEvent('EVENT_NAME', {someData: 42});
+      Activity.signal('SIGNAL_NAME');
+      Activity.endEvent(eventId);
+
+      expect(listener.mock.calls.length).toBe(3);
+      expect(listener.mock.calls[0][0]).toEqual({
+        action: 'startEvent',
+        eventId: eventId,
+        eventName: 'EVENT_NAME',
+        data: {someData: 42},
+        tstamp: listener.mock.calls[0][0].tstamp,
+      });
+      expect(listener.mock.calls[1][0].eventName).toBe('SIGNAL_NAME');
+      expect(listener.mock.calls[2][0]).toEqual({
+        action: 'endEvent',
+        eventId: eventId,
+        eventName: 'EVENT_NAME',
+        data: {someData: 42},
+        tstamp: listener.mock.calls[2][0].tstamp,
+        duration: listener.mock.calls[2][0].tstamp -
+          listener.mock.calls[0][0].tstamp,
+      });
+
+      Activity.removeListener(listener);
+      Activity.signal('SIGNAL_NAME');
+      expect(listener.mock.calls.length).toBe(3);
+      jest.runOnlyPendingTimers();
+    });
+
+    it('get recorded events, which are not written out', function() {
+      var listener = jest.genMockFn();
+      Activity.addListener(listener);
+
+      Activity.record('RECORD_NAME', {someData: 42});
+      jest.runOnlyPendingTimers();
+
+      expect(listener.mock.calls[0][0].action).toBe('signal');
+      expect(listener.mock.calls[0][0].data).toEqual({someData: 42});
+      expect(console.log.mock.calls.length).toBe(0);
+      Activity.removeListener(listener);
+    });
+  });
 });
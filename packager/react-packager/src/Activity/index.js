@@ -16,6 +16,7 @@ var _queuedActions = [];
 var _scheduledCollectionTimer = null;
 var _uuid = 1;
 var _enabled = true;
+var _listeners = [];
 
 function endEvent(eventId) {
   var eventEndTime = Date.now();
@@ -28,6 +29,15 @@ function endEvent(eventId) {
     _throw('event(' + eventId + ') has already ended!');
   }
 
+  var startAction = _eventStarts[eventId];
+  _notifyListeners({
+    action: 'endEvent',
+    eventId: eventId,
+    eventName: startAction.eventName,
+    data: startAction.data,
+    tstamp: eventEndTime,
+    duration: eventEndTime - startAction.tstamp,
+  });
   _scheduleAction({
     action: 'endEvent',
     eventId: eventId,
@@ -47,11 +57,30 @@ function signal(eventName, data) {
     data = null;
   }
 
-  _scheduleAction({
+  var action = {
     action: 'signal',
     data: data,
     eventName: eventName,
     tstamp: signalTime
+  };
+  _notifyListeners(action);
+  _scheduleAction(action);
+}
+
+/**
+ * Like `signal`, but only for the listeners, for events that happen too often
+ * to be written out to the console (e.g. one per module).
+ */
+function record(eventName, data) {
+  if (eventName == null) {
+    _throw('No event name specified');
+  }
+
+  _notifyListeners({
+    action: 'signal',
+    data: data == null ? null : data,
+    eventName: eventName,
+    tstamp: Date.now(),
   });
 }
 
@@ -74,16 +103,43 @@ function startEvent(eventName, data) {
     eventName: eventName,
     tstamp: eventStartTime,
   };
+  _notifyListeners(action);
   _scheduleAction(action);
   _eventStarts[eventId] = action;
 
   return eventId;
 }
 
+/**
+ * Stops writing events out to the console. Listeners still get them.
+ */
 function disable() {
   _enabled = false;
 }
 
+/**
+ * Calls `listener` with every event as it happens, as an object with the
+ * `action` (`startEvent`, `endEvent` or `signal`), `eventName`, `data` and
+ * `tstamp`, plus the `eventId` of start and end events and the `duration` of
+ * end events in ms.
+ */
+function addListener(listener) {
+  _listeners.push(listener);
+}
+
+function removeListener(listener) {
+  var index = _listeners.indexOf(listener);
+  if (index !== -1) {
+    _listeners.splice(index, 1);
+  }
+}
+
+function _notifyListeners(action) {
+  _listeners.slice().forEach(function(listener) {
+    listener(action);
+  });
+}
+
 function _runCollection() {
   /* jshint -W084 */
   var action;
@@ -167,5 +223,8 @@ function _writeAction(action) {
 
 exports.endEvent = endEvent;
 exports.signal = signal;
+exports.record = record;
 exports.startEvent = startEvent;
 exports.disable = disable;
+exports.addListener = addListener;
+exports.removeListener = removeListener;
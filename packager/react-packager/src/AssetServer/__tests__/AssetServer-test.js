@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest
+  .dontMock('path')
+  .dontMock('q')
+  .dontMock('crypto')
+  .dontMock('../');
+
+var q = require('q');
+
+describe('AssetServer', function() {
+  var AssetServer;
+  var fs;
+
+  beforeEach(function() {
+    AssetServer = require('../');
+    fs = require('fs');
+
+    fs.__setMockFilesystem({
+      'root': {
+        'img': {
+          'logo.png': 'logo 1x',
+          'logo@2x.png': 'logo 2x',
+          'logo@3x.png': 'logo 3x',
+          'icon@2x.png': 'icon 2x',
+        },
+        'sounds': {
+          'beep.mp3': 'beep',
+        },
+      },
+    });
+  });
+
+  describe('get', function() {
+    var server;
+
+    beforeEach(function() {
+      server = new AssetServer({
+        projectRoots: ['/root'],
+        assetExts: ['png', 'mp3'],
+      });
+    });
+
+    pit('serves the file of a variant', function() {
+      return q.all([
+        server.get('img/logo.png'),
+        server.get('img/logo@3x.png'),
+      ]).spread(function(logo, logo3x) {
+        expect(logo).toBe('logo 1x');
+        expect(logo3x).toBe('logo 3x');
+      });
+    });
+
+    pit('falls back to the variant with the closest scale', function() {
+      return server.get('img/icon.png').then(function(icon) {
+        expect(icon).toBe('icon 2x');
+      });
+    });
+
+    pit('only serves assets in the project roots', function() {
+      return q.all([
+        server.get('../outside/logo.png'),
+        server.get('img/missing.png'),
+      ].map(function(getting) {
+        return getting.then(function() {
+          throw new Error('should not be served');
+        }, function(error) {
+          return error.message;
+        });
+      })).spread(function(outsideError, missingError) {
+        expect(outsideError).toBe('Asset not found: ../outside/logo.png');
+        expect(missingError).toBe('Asset not found: img/missing.png');
+      });
+    });
+  });
+
+  describe('getAssetData', function() {
+    pit('describes the variants of an image', function() {
+      require('image-size').mockImpl(function() {
+        return {width: 100, height: 50};
+      });
+      var hash = require('crypto').createHash('md5');
+      ['logo 1x', 'logo 2x', 'logo 3x'].forEach(function(content) {
+        hash.update(content);
+      });
+
+      var server = new AssetServer({
+        projectRoots: ['/root'],
+        assetExts: ['png'],
+      });
+      return server.getAssetData('/root/img/logo.png').then(function(data) {
+        expect(data).toEqual({
+          name: 'logo',
+          type: 'png',
+          httpServerLocation: '/assets/img',
+          scales: [1, 2, 3],
+          files: [
+            '/root/img/logo.png',
+            '/root/img/logo@2x.png',
+            '/root/img/logo@3x.png',
+          ],
+          hash: hash.digest('hex'),
+          width: 100,
+          height: 50,
+        });
+      });
+    });
+
+    pit('gives the size of images in points', function() {
+      require('image-size').mockImpl(function() {
+        return {width: 100, height: 50};
+      });
+
+      var server = new AssetServer({
+        projectRoots: ['/root'],
+        assetExts: ['png'],
+      });
+      return server.getAssetData('/root/img/icon.png').then(function(data) {
+        expect(data.scales).toEqual([2]);
+        expect(data.width).toBe(50);
+        expect(data.height).toBe(25);
+      });
+    });
+
+    pit('does not measure other assets', function() {
+      var server = new AssetServer({
+        projectRoots: ['/root'],
+        assetExts: ['mp3'],
+      });
+      return server.getAssetData('/root/sounds/beep.mp3').then(function(data) {
+        expect(data.httpServerLocation).toBe('/assets/sounds');
+        expect(data.width).toBeUndefined();
+        expect(require('image-size')).not.toBeCalled();
+      });
+    });
+  });
+});
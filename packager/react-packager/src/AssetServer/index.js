@@ -0,0 +1,201 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var q = require('q');
+var sizeOf = require('image-size');
+var declareOpts = require('../lib/declareOpts');
+
+var readFile = q.nfbind(fs.readFile);
+var readDir = q.nfbind(fs.readdir);
+
+var IMAGE_EXTS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'];
+
+var validateOpts = declareOpts({
+  projectRoots: {
+    type: 'array',
+    required: true,
+  },
+  assetExts: {
+    type: 'array',
+    required: true,
+  },
+});
+
+/**
+ * Finds the files of the assets in the project roots. An asset can have
+ * variants for different pixel densities next to it: `img/logo.png`,
+ * `img/logo@2x.png` and `img/logo@3x.png` are the variants of the asset
+ * `img/logo.png`, which doesn't need to exist itself.
+ */
+function AssetServer(options) {
+  var opts = validateOpts(options);
+  this._roots = opts.projectRoots;
+  this._assetExts = opts.assetExts;
+}
+
+/**
+ * The contents of the file for `assetPath`, a path relative to one of the
+ * project roots (e.g. `img/logo@2x.png`). If there is no such file, the
+ * variant of the asset with the closest scale.
+ */
+AssetServer.prototype.get = function(assetPath) {
+  var nameData = parseAssetName(path.basename(assetPath));
+  if (nameData == null || this._assetExts.indexOf(nameData.type) === -1) {
+    return q.reject(new Error('Not an asset: ' + assetPath));
+  }
+
+  var assetDir = path.dirname(assetPath);
+  return this._roots.reduce(function(finding, root) {
+    return finding.then(function(file) {
+      if (file != null) {
+        return file;
+      }
+
+      var dir = path.join(root, assetDir);
+      if (path.relative(root, dir).split(path.sep)[0] === '..') {
+        return null;
+      }
+      return findVariants(dir, nameData).then(function(variants) {
+        var variant = pickVariant(variants, nameData.scale);
+        return variant && path.join(dir, variant.file);
+      });
+    });
+  }, q(null)).then(function(file) {
+    if (file == null) {
+      throw new Error('Asset not found: ' + assetPath);
+    }
+    return readFile(file);
+  });
+};
+
+/**
+ * Describes the asset at `assetPath` (an absolute path without scale):
+ *
+ * - `name` and `type`: the file name without the extension and the extension
+ * - `httpServerLocation`: the url of the directory of the asset
+ * - `scales` and `files`: the scales of the variants and their paths,
+ *   smallest first
+ * - `hash`: md5 of the contents of the variants
+ * - `width` and `height`: for images, the size in points
+ */
+AssetServer.prototype.getAssetData = function(assetPath) {
+  var nameData = parseAssetName(path.basename(assetPath));
+  var dir = path.dirname(assetPath);
+  var root = this._findRoot(dir);
+
+  return findVariants(dir, nameData).then(function(variants) {
+    if (variants.length === 0) {
+      throw new Error('Asset not found: ' + assetPath);
+    }
+
+    var files = variants.map(function(variant) {
+      return path.join(dir, variant.file);
+    });
+    return q.all(files.map(function(file) {
+      return readFile(file);
+    })).then(function(contents) {
+      var hash = crypto.createHash('md5');
+      contents.forEach(function(content) {
+        hash.update(content);
+      });
+
+      var data = {
+        name: nameData.name,
+        type: nameData.type,
+        httpServerLocation: getHttpServerLocation(root, dir),
+        scales: variants.map(function(variant) {
+          return variant.scale;
+        }),
+        files: files,
+        hash: hash.digest('hex'),
+      };
+
+      if (IMAGE_EXTS.indexOf(nameData.type) !== -1) {
+        var size = sizeOf(contents[0]);
+        data.width = size.width / variants[0].scale;
+        data.height = size.height / variants[0].scale;
+      }
+      return data;
+    });
+  });
+};
+
+AssetServer.prototype._findRoot = function(dir) {
+  for (var i = 0; i < this._roots.length; i++) {
+    var relativePath = path.relative(this._roots[i], dir);
+    if (relativePath.split(path.sep)[0] !== '..') {
+      return this._roots[i];
+    }
+  }
+  throw new Error('Asset is not in any of the project roots: ' + dir);
+};
+
+/**
+ * `logo@2x.png` -> `{name: 'logo', type: 'png', scale: 2}`
+ */
+function parseAssetName(fileName) {
+  var match = fileName.match(/^(.+?)(@([\d\.]+)x)?\.(\w+)$/);
+  if (match == null) {
+    return null;
+  }
+  return {
+    name: match[1],
+    type: match[4],
+    scale: match[3] ? parseFloat(match[3]) : 1,
+  };
+}
+
+/**
+ * The variants of an asset in `dir`, smallest scale first.
+ */
+function findVariants(dir, nameData) {
+  return readDir(dir).then(function(files) {
+    return files
+      .map(function(file) {
+        var variant = parseAssetName(file);
+        if (variant != null) {
+          variant.file = file;
+        }
+        return variant;
+      })
+      .filter(function(variant) {
+        return variant != null && variant.name === nameData.name &&
+          variant.type === nameData.type;
+      })
+      .sort(function(a, b) {
+        return a.scale - b.scale;
+      });
+  }, function() {
+    return [];
+  });
+}
+
+/**
+ * The variant with the given scale, or else the smallest one that is
+ * larger, or else the largest one.
+ */
+function pickVariant(variants, scale) {
+  for (var i = 0; i < variants.length; i++) {
+    if (variants[i].scale >= scale) {
+      return variants[i];
+    }
+  }
+  return variants[variants.length - 1] || null;
+}
+
+function getHttpServerLocation(root, dir) {
+  var relativeDir = path.relative(root, dir).split(path.sep).join('/');
+  return relativeDir ? '/assets/' + relativeDir : '/assets';
+}
+
+module.exports = AssetServer;
@@ -34,6 +34,8 @@ function ModuleDescriptor(fields) {
 
   this.altId = fields.altId;
 
+  this.platform = fields.platform;
+
   this._fields = fields;
 }
 
@@ -42,6 +42,9 @@ fs.readdir.mockImpl(function(filepath, callback) {
 });
 
 fs.readFile.mockImpl(function(filepath, encoding, callback) {
+  if (typeof encoding === 'function') {
+    callback = encoding;
+  }
   try {
     var node = getToNode(filepath);
     // dir check
@@ -14,6 +14,9 @@ jest
   .dontMock('path')
   .dontMock('absolute-path')
   .dontMock('../docblock')
+  .dontMock('esprima-fb')
+  .dontMock('../../../../lib/parseModule')
+  .dontMock('../../requires')
   .setMock('../../../ModuleDescriptor', function(data) {return data;});
 
 describe('DependencyGraph', function() {
@@ -98,6 +101,48 @@ describe('DependencyGraph', function() {
       });
     });
 
+    pit('should only resolve images with image!', function() {
+      var root = '/root';
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            '/**',
+            ' * @providesModule index',
+            ' */',
+            'require("image!a")',
+            'require("image!strings")',
+          ].join('\n'),
+          'imgs': {
+            'a.png': '',
+            'strings.json': '{}',
+          },
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: [root],
+        fileWatcher: fileWatcher,
+        assetRoots: ['/root/imgs'],
+        assetExts: ['png', 'json'],
+      });
+      return dgraph.load().then(function() {
+        expect(dgraph.getOrderedDependencies('/root/index.js'))
+          .toEqual([
+            {
+              id: 'index',
+              altId: '/root/index.js',
+              path: '/root/index.js',
+              dependencies: ['image!a', 'image!strings'],
+            },
+            {  id: 'image!a',
+               path: '/root/imgs/a.png',
+               dependencies: [],
+               isAsset: true
+            },
+          ]);
+      });
+    });
+
     pit('should get recursive dependencies', function() {
       var root = '/root';
       fs.__setMockFilesystem({
@@ -583,6 +628,509 @@ describe('DependencyGraph', function() {
           ]);
       });
     });
+    pit('should work with modules of other extensions', function() {
+      var root = '/root';
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            '/**',
+            ' * @providesModule index',
+            ' */',
+            'require("aPackage")',
+          ].join('\n'),
+          'aPackage': {
+            'package.json': JSON.stringify({
+              name: 'aPackage',
+              main: 'main.js'
+            }),
+            'main.js': 'require("./strings.json")',
+            'strings.json': '{"hello": "world"}',
+            'readme.md': 'require("./main")',
+          }
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: [root],
+        fileWatcher: fileWatcher,
+        moduleExts: ['js', 'json'],
+      });
+      return dgraph.load().then(function() {
+        expect(dgraph.getOrderedDependencies('/root/index.js'))
+          .toEqual([
+            { id: 'index', altId: '/root/index.js',
+              path: '/root/index.js',
+              dependencies: ['aPackage']
+            },
+            { id: 'aPackage/main',
+              path: '/root/aPackage/main.js',
+              dependencies: ['./strings.json']
+            },
+            { id: 'aPackage/strings.json',
+              path: '/root/aPackage/strings.json',
+              dependencies: []
+            },
+          ]);
+        expect(dgraph._graph['/root/aPackage/readme.md']).toBeUndefined();
+      });
+    });
+
+    pit('should find packages in nested node_modules', function() {
+      var root = '/root';
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            '/**',
+            ' * @providesModule index',
+            ' */',
+            'require("foo");',
+            'require("bar");',
+          ].join('\n'),
+          'node_modules': {
+            'foo': {
+              'package.json': JSON.stringify({name: 'foo'}),
+              'index.js': 'require("bar");',
+              'node_modules': {
+                'bar': {
+                  'package.json': JSON.stringify({name: 'bar'}),
+                  'index.js': 'lol 2',
+                },
+              },
+            },
+            'bar': {
+              'package.json': JSON.stringify({name: 'bar'}),
+              'index.js': 'lol 1',
+            },
+          },
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: [root],
+        fileWatcher: fileWatcher
+      });
+      return dgraph.load().then(function() {
+        expect(dgraph.getOrderedDependencies('/root/index.js'))
+          .toEqual([
+            { id: 'index', altId: '/root/index.js',
+              path: '/root/index.js',
+              dependencies: ['foo', 'bar']
+            },
+            { id: 'foo/index',
+              path: '/root/node_modules/foo/index.js',
+              dependencies: ['bar']
+            },
+            { id: 'foo/node_modules/bar/index',
+              path: '/root/node_modules/foo/node_modules/bar/index.js',
+              dependencies: []
+            },
+            { id: 'bar/index',
+              path: '/root/node_modules/bar/index.js',
+              dependencies: []
+            },
+          ]);
+      });
+    });
+
+    pit('should work with scoped packages and directories', function() {
+      var root = '/root';
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            '/**',
+            ' * @providesModule index',
+            ' */',
+            'require("@scope/foo/lib");',
+            'require("./utils");',
+          ].join('\n'),
+          'utils.js': 'lol',
+          'node_modules': {
+            '@scope': {
+              'foo': {
+                'package.json': JSON.stringify({name: '@scope/foo'}),
+                'lib': {
+                  'index.js': 'lol',
+                },
+              },
+            },
+          },
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: [root],
+        fileWatcher: fileWatcher
+      });
+      return dgraph.load().then(function() {
+        expect(dgraph.getOrderedDependencies('/root/index.js'))
+          .toEqual([
+            { id: 'index', altId: '/root/index.js',
+              path: '/root/index.js',
+              dependencies: ['@scope/foo/lib', './utils']
+            },
+            { id: '@scope/foo/lib/index',
+              path: '/root/node_modules/@scope/foo/lib/index.js',
+              dependencies: []
+            },
+            { id: '/root/utils.js',
+              path: '/root/utils.js',
+              dependencies: []
+            },
+          ]);
+      });
+    });
+
+    pit('should use the browser field of packages', function() {
+      var root = '/root';
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            '/**',
+            ' * @providesModule index',
+            ' */',
+            'require("foo");',
+            'require("bar");',
+          ].join('\n'),
+          'node_modules': {
+            'foo': {
+              'package.json': JSON.stringify({
+                name: 'foo',
+                main: 'node.js',
+                browser: 'browser.js',
+              }),
+              'node.js': 'lol',
+              'browser.js': 'lol',
+            },
+            'bar': {
+              'package.json': JSON.stringify({
+                name: 'bar',
+                browser: {
+                  './lib/node.js': './lib/browser.js',
+                  'fs': false,
+                },
+              }),
+              'index.js': 'require("./lib/node");',
+              'lib': {
+                'node.js': 'lol',
+                'browser.js': 'require("fs");',
+              },
+            },
+          },
+        }
+      });
+
+      var emptyModulePath = require('path').join(
+        __dirname,
+        '../emptyModule.js'
+      );
+      var dgraph = new DependencyGraph({
+        roots: [root],
+        fileWatcher: fileWatcher
+      });
+      return dgraph.load().then(function() {
+        expect(dgraph.getOrderedDependencies('/root/index.js'))
+          .toEqual([
+            { id: 'index', altId: '/root/index.js',
+              path: '/root/index.js',
+              dependencies: ['foo', 'bar']
+            },
+            { id: 'foo/browser',
+              path: '/root/node_modules/foo/browser.js',
+              dependencies: []
+            },
+            { id: 'bar/index',
+              path: '/root/node_modules/bar/index.js',
+              dependencies: ['./lib/node']
+            },
+            { id: 'bar/lib/browser',
+              path: '/root/node_modules/bar/lib/browser.js',
+              dependencies: ['fs']
+            },
+            { id: emptyModulePath,
+              path: emptyModulePath,
+              dependencies: []
+            },
+          ]);
+      });
+    });
+
+    pit('should resolve assets relative to the module', function() {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            '/**',
+            ' * @providesModule index',
+            ' */',
+            'require("./img/logo.png");',
+            'require("./img/icon.png");',
+            'require("./data.json");',
+          ].join('\n'),
+          'img': {
+            'logo.png': '',
+            'logo@2x.png': '',
+            'icon@2x.png': '',
+            'icon@3x.png': '',
+          },
+          'data.json': '{}',
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: ['/root'],
+        fileWatcher: fileWatcher,
+        assetExts: ['png', 'json'],
+      });
+      return dgraph.load().then(function() {
+        expect(dgraph.getOrderedDependencies('/root/index.js'))
+          .toEqual([
+            {
+              id: 'index',
+              altId: '/root/index.js',
+              path: '/root/index.js',
+              dependencies: [
+                './img/logo.png',
+                './img/icon.png',
+                './data.json',
+              ]
+            },
+            {
+              id: '/root/img/logo.png',
+              path: '/root/img/logo.png',
+              dependencies: [],
+              isAsset: true
+            },
+            {
+              id: '/root/img/icon.png',
+              path: '/root/img/icon.png',
+              dependencies: [],
+              isAsset: true
+            },
+            {
+              id: '/root/data.json',
+              path: '/root/data.json',
+              dependencies: [],
+              isAsset: true
+            },
+          ]);
+      });
+    });
+  });
+
+  describe('platforms', function() {
+    pit('should use the modules of the platform', function() {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            '/**',
+            ' * @providesModule index',
+            ' */',
+            'require("./Foo");',
+            'require("Bar");',
+            'require("Baz");',
+          ].join('\n'),
+          'Foo.js': '',
+          'Foo.ios.js': '',
+          'Bar.js': [
+            '/**',
+            ' * @providesModule Bar',
+            ' */',
+          ].join('\n'),
+          'Bar.ios.js': [
+            '/**',
+            ' * @providesModule Bar',
+            ' */',
+          ].join('\n'),
+          'Baz.android.js': [
+            '/**',
+            ' * @providesModule Baz',
+            ' */',
+          ].join('\n'),
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: ['/root'],
+        fileWatcher: fileWatcher
+      });
+      function getPaths(platform) {
+        return dgraph.getOrderedDependencies('/root/index.js', platform)
+          .map(function(module) {
+            return module.path;
+          });
+      }
+      return dgraph.load().then(function() {
+        expect(getPaths('ios')).toEqual([
+          '/root/index.js',
+          '/root/Foo.ios.js',
+          '/root/Bar.ios.js',
+        ]);
+        expect(getPaths('android')).toEqual([
+          '/root/index.js',
+          '/root/Foo.js',
+          '/root/Bar.js',
+          '/root/Baz.android.js',
+        ]);
+        expect(getPaths()).toEqual([
+          '/root/index.js',
+          '/root/Foo.js',
+          '/root/Bar.js',
+        ]);
+      });
+    });
+
+    pit('should give the modules of all platforms the same id', function() {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("aPackage/Foo");',
+          'aPackage': {
+            'package.json': JSON.stringify({
+              name: 'aPackage',
+              main: 'main.js'
+            }),
+            'main.js': '',
+            'Foo.ios.js': '',
+            'Foo.android.js': '',
+          }
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: ['/root'],
+        fileWatcher: fileWatcher
+      });
+      return dgraph.load().then(function() {
+        expect(dgraph.getOrderedDependencies('/root/index.js', 'android'))
+          .toEqual([
+            {
+              id: '/root/index.js',
+              path: '/root/index.js',
+              dependencies: ['aPackage/Foo'],
+            },
+            {
+              id: 'aPackage/Foo',
+              path: '/root/aPackage/Foo.android.js',
+              dependencies: [],
+              platform: 'android',
+            },
+          ]);
+      });
+    });
+  });
+
+  describe('getPackageRoot', function() {
+    pit('should find the nearest package of a module', function() {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("aPackage")',
+          'aPackage': {
+            'package.json': JSON.stringify({
+              name: 'aPackage',
+              main: 'main.js'
+            }),
+            'main.js': 'lol',
+            'lib': {
+              'helper.js': 'lol',
+            },
+          }
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: ['/root'],
+        fileWatcher: fileWatcher
+      });
+      return dgraph.load().then(function() {
+        expect(dgraph.getPackageRoot('/root/aPackage/lib/helper.js'))
+          .toBe('/root/aPackage');
+        expect(dgraph.getPackageRoot('/root/index.js')).toBe(null);
+      });
+    });
+  });
+
+  describe('getNewDependencies', function() {
+    pit('should find the dependencies that are not known yet', function() {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./a");',
+          'a.js': 'require("./b"); require("./c");',
+          'b.js': '',
+          'c.js': 'require("./b"); require("./d");',
+          'd.js': '',
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: ['/root'],
+        fileWatcher: fileWatcher
+      });
+      return dgraph.load().then(function() {
+        var a = dgraph.getModuleForPath('/root/a.js');
+        expect(a.id).toBe('/root/a.js');
+        expect(dgraph.getModuleForPath('/root/e.js')).toBe(null);
+
+        var deps = dgraph.getNewDependencies(
+          [a],
+          ['/root/index.js', '/root/b.js']
+        );
+        expect(deps.map(function(dep) {
+          return dep.path;
+        })).toEqual(['/root/c.js', '/root/d.js']);
+      });
+    });
+  });
+
+  describe('getUnresolvedDependencies', function() {
+    pit('should find requires that cannot be resolved', function() {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            '/**',
+            ' * @providesModule index',
+            ' */',
+            'require("Story");',
+            'var feed = require(\'Feeed\');',
+            'require("./utlis");',
+          ].join('\n'),
+          'Story.js': [
+            '/**',
+            ' * @providesModule Story',
+            ' */',
+          ].join('\n'),
+          'Feed.js': [
+            '/**',
+            ' * @providesModule Feed',
+            ' */',
+          ].join('\n'),
+          'utils.js': '',
+        }
+      });
+
+      var dgraph = new DependencyGraph({
+        roots: ['/root'],
+        fileWatcher: fileWatcher
+      });
+      return dgraph.load().then(function() {
+        var deps = dgraph.getOrderedDependencies('/root/index.js');
+        return dgraph.getUnresolvedDependencies(deps);
+      }).then(function(unresolved) {
+        expect(unresolved).toEqual([
+          {
+            id: 'Feeed',
+            filename: '/root/index.js',
+            lineNumber: 5,
+            column: 12,
+            suggestions: ['Feed'],
+          },
+          {
+            id: './utlis',
+            filename: '/root/index.js',
+            lineNumber: 6,
+            column: 1,
+            suggestions: ['./utils'],
+          },
+        ]);
+      });
+    });
   });
 
   describe('file watch updating', function() {
@@ -12,11 +12,20 @@ var ModuleDescriptor = require('../../ModuleDescriptor');
 var q = require('q');
 var fs = require('fs');
 var docblock = require('./docblock');
+var requires = require('../requires');
 var path = require('path');
 var isAbsolutePath = require('absolute-path');
 var debug = require('debug')('DependecyGraph');
 var util = require('util');
 var declareOpts = require('../../../lib/declareOpts');
+var Activity = require('../../../Activity');
+
+var hasOwn = Object.prototype.hasOwnProperty;
+
+var EMPTY_MODULE_PATH = path.join(__dirname, 'emptyModule.js');
+
+// `image!name` requires only resolve to images.
+var IMAGE_EXTS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'];
 
 var readFile = q.nfbind(fs.readFile);
 var readDir = q.nfbind(fs.readdir);
@@ -43,7 +52,15 @@ var validateOpts = declareOpts({
   assetExts: {
     type: 'array',
     default: ['png'],
-  }
+  },
+  moduleExts: {
+    type: 'array',
+    default: ['js'],
+  },
+  platforms: {
+    type: 'array',
+    default: ['ios', 'android', 'web'],
+  },
 });
 
 function DependecyGraph(options) {
@@ -52,6 +69,8 @@ function DependecyGraph(options) {
   this._roots = opts.roots;
   this._assetRoots = opts.assetRoots;
   this._assetExts = opts.assetExts;
+  this._moduleExts = opts.moduleExts;
+  this._platforms = opts.platforms;
   this._ignoreFilePath = opts.ignoreFilePath;
   this._fileWatcher = options.fileWatcher;
 
@@ -61,6 +80,9 @@ function DependecyGraph(options) {
   this._packageByRoot = Object.create(null);
   this._packagesById = Object.create(null);
   this._moduleById = Object.create(null);
+  this._platformModulesById = Object.create(null);
+  this._assetFiles = Object.create(null);
+  this._assetModules = Object.create(null);
   this._debugUpdateEvents = [];
 
   // Kick off the search process to precompute the dependency graph.
@@ -72,18 +94,27 @@ DependecyGraph.prototype.load = function() {
     return this._loading;
   }
 
+  var loadEventId = Activity.startEvent('load dependency graph');
   this._loading = q.all([
     this._search(),
     this._buildAssetMap(),
-  ]);
+  ]).then(function(result) {
+    Activity.endEvent(loadEventId);
+    return result;
+  });
 
   return this._loading;
 };
 
 /**
  * Given an entry file return an array of all the dependent module descriptors.
+ * With a `platform`, `Foo.<platform>.js` is used over `Foo.js` wherever
+ * `Foo` is required.
  */
-DependecyGraph.prototype.getOrderedDependencies = function(entryPath) {
+DependecyGraph.prototype.getOrderedDependencies = function(
+  entryPath,
+  platform
+) {
   var absolutePath = this._getAbsolutePath(entryPath);
   if (absolutePath == null) {
     throw new Error('Cannot find entry file in any of the roots: ' + entryPath);
@@ -94,8 +125,7 @@ DependecyGraph.prototype.getOrderedDependencies = function(entryPath) {
     throw new Error('Module with path "' + entryPath + '" is not in graph');
   }
 
-  var self = this;
-  var deps = [];
+  var deps = [module];
   var visited = Object.create(null);
 
   // Node haste sucks. Id's aren't unique. So to make sure our entry point
@@ -103,44 +133,185 @@ DependecyGraph.prototype.getOrderedDependencies = function(entryPath) {
   var graphMap = Object.create(this._moduleById);
   graphMap[module.id] = module;
 
-  // Recursively collect the dependency list.
-  function collect(module) {
-    deps.push(module);
+  visited[module.id] = true;
+  this._collectDependencies(module, visited, platform, deps);
+
+  return deps;
+};
 
-    module.dependencies.forEach(function(name) {
-      var id = sansExtJs(name);
-      var dep = self.resolveDependency(module, id);
+/**
+ * The modules that `modules` depend on, directly or not, leaving out the
+ * ones with one of the `knownIds` and what only they depend on. This is what
+ * a package that has the modules with `knownIds` is missing after `modules`
+ * changed.
+ */
+DependecyGraph.prototype.getNewDependencies = function(
+  modules,
+  knownIds,
+  platform
+) {
+  var deps = [];
+  var visited = Object.create(null);
+  knownIds.forEach(function(id) {
+    visited[id] = true;
+  });
+  modules.forEach(function(module) {
+    visited[module.id] = true;
+  });
 
-      if (dep == null) {
-        debug(
-          'WARNING: Cannot find required module `%s` from module `%s`.',
-          name,
-          module.id
-        );
-        return;
-      }
+  var self = this;
+  modules.forEach(function(module) {
+    self._collectDependencies(module, visited, platform, deps);
+  });
 
-      if (!visited[dep.id]) {
-        visited[dep.id] = true;
-        collect(dep);
-      }
+  return deps;
+};
+
+/**
+ * Recursively adds the modules `module` depends on that weren't `visited`
+ * to `deps`.
+ */
+DependecyGraph.prototype._collectDependencies = function(
+  module,
+  visited,
+  platform,
+  deps
+) {
+  var self = this;
+  module.dependencies.forEach(function(name) {
+    var id = sansExtJs(name);
+    var dep = self.resolveDependency(module, id, platform);
+
+    if (dep == null) {
+      debug(
+        'WARNING: Cannot find required module `%s` from module `%s`.',
+        name,
+        module.id
+      );
+      return;
+    }
+
+    if (!visited[dep.id]) {
+      visited[dep.id] = true;
+      deps.push(dep);
+      self._collectDependencies(dep, visited, platform, deps);
+    }
+  });
+};
+
+/**
+ * The module in the graph at `modulePath` (absolute), or null.
+ */
+DependecyGraph.prototype.getModuleForPath = function(modulePath) {
+  return this._graph[modulePath] || null;
+};
+
+/**
+ * The requires of `modules` that can't be resolved, each with the file and
+ * the position of the `require` call, and the ids of modules with a similar
+ * name.
+ */
+DependecyGraph.prototype.getUnresolvedDependencies = function(
+  modules,
+  platform
+) {
+  var self = this;
+  var unresolved = [];
+  modules.forEach(function(module) {
+    var names = module.dependencies.filter(function(name) {
+      return self.resolveDependency(module, sansExtJs(name), platform) == null;
     });
-  }
+    if (names.length) {
+      unresolved.push({module: module, names: names});
+    }
+  });
 
-  visited[module.id] = true;
-  collect(module);
+  return q.all(unresolved.map(function(entry) {
+    return readFile(entry.module.path, 'utf8').then(function(content) {
+      return entry.names.map(function(name) {
+        var position = findRequire(content, name);
+        return {
+          id: name,
+          filename: entry.module.path,
+          lineNumber: position.lineNumber,
+          column: position.column,
+          suggestions: self._getSuggestions(entry.module, name, platform),
+        };
+      });
+    });
+  })).then(function(results) {
+    return [].concat.apply([], results);
+  });
+};
 
-  return deps;
+/**
+ * Ids of modules that are named like `depModuleId`, closest first.
+ */
+DependecyGraph.prototype._getSuggestions = function(
+  fromModule,
+  depModuleId,
+  platform
+) {
+  if (depModuleId[0] !== '.' && !isAbsolutePath(depModuleId)) {
+    var platformModules = this._platformModulesById[platform] || {};
+    var ids = Object.keys(this._moduleById)
+      .concat(Object.keys(platformModules))
+      .concat(Object.keys(this._packagesById))
+      .filter(function(id) {
+        return !isAbsolutePath(id);
+      });
+    return findClosest(depModuleId, ids);
+  }
+
+  // Files in the directory the module was expected in.
+  var fromDir = path.dirname(fromModule.path);
+  var dir = path.dirname(path.resolve(fromDir, depModuleId));
+  var names = Object.keys(this._graph)
+    .filter(function(modulePath) {
+      return path.dirname(modulePath) === dir;
+    })
+    .filter(function(modulePath) {
+      var modulePlatform = this._getPlatform(modulePath);
+      return modulePlatform == null || modulePlatform === platform;
+    }, this)
+    .map(function(modulePath) {
+      var name = sansExtJs(path.basename(modulePath));
+      return this._getPlatform(modulePath) ? sansPlatformExt(name) : name;
+    }, this);
+
+  return findClosest(path.basename(sansExtJs(depModuleId)), names)
+    .map(function(name) {
+      var relativePath = path.relative(fromDir, path.join(dir, name));
+      return relativePath[0] === '.' ? relativePath : './' + relativePath;
+    });
 };
 
 /**
  * Given a module descriptor `fromModule` return the module descriptor for
- * the required module `depModuleId`. It could be top-level or relative,
- * or both.
+ * the required module `depModuleId`.
+ *
+ * Relative and absolute paths are resolved like node does: the file itself,
+ * with one of the module extensions, or the main module (or `index.js`) of
+ * the directory. Other ids are, in order:
+ *
+ * 1. a `@providesModule` id,
+ * 2. a package in a `node_modules` directory of the directory of
+ *    `fromModule` or one of its parents, optionally followed by the path of
+ *    a module inside of it (`package/lib/module`, `@scope/package`),
+ * 3. a package anywhere in the roots (`package` or `package/lib/module`).
+ *
+ * The `browser` field of package.json may replace the main module, the
+ * modules of a package, or the modules a package requires. Modules replaced
+ * with `false` resolve to an empty module.
+ *
+ * Files named `Foo.<platform>.js` are only resolved for their `platform`,
+ * for which they take precedence over `Foo.js`, both as files and as
+ * `@providesModule` ids.
  */
 DependecyGraph.prototype.resolveDependency = function(
   fromModule,
-  depModuleId
+  depModuleId,
+  platform
 ) {
   if (this._assetMap != null) {
     // Process asset requires.
@@ -154,88 +325,233 @@ DependecyGraph.prototype.resolveDependency = function(
     }
   }
 
-  var packageJson, modulePath, dep;
-
-  // Package relative modules starts with '.' or '..'.
-  if (depModuleId[0] !== '.') {
+  var dep = this._resolve(fromModule, depModuleId, platform);
+  if (dep == null) {
+    debug(
+      'WARNING: Cannot find required module `%s` from module `%s`.',
+      depModuleId,
+      fromModule.id
+    );
+  }
+  return dep;
+};
 
-    // 1. `depModuleId` is simply a top-level `providesModule`.
-    // 2. `depModuleId` is a package module but given the full path from the
-    //     package, i.e. package_name/module_name
-    if (this._moduleById[sansExtJs(depModuleId)]) {
-      return this._moduleById[sansExtJs(depModuleId)];
+DependecyGraph.prototype._resolve = function(
+  fromModule,
+  depModuleId,
+  platform
+) {
+  var fromPackage = this._lookupPackage(fromModule.path);
+  var browserMap = getBrowserMap(fromPackage);
+  if (browserMap != null && hasOwn.call(browserMap, depModuleId)) {
+    var replacement = browserMap[depModuleId];
+    if (replacement === false) {
+      return this._getEmptyModule();
+    } else if (replacement[0] === '.') {
+      return this._resolveFile(
+        path.join(fromPackage._root, replacement),
+        platform
+      );
     }
+    depModuleId = replacement;
+  }
 
-    // 3. `depModuleId` is a package and it's depending on the "main"
-    //    resolution.
-    packageJson = this._packagesById[depModuleId];
+  if (depModuleId[0] === '.' || isAbsolutePath(depModuleId)) {
+    return this._resolveFile(
+      path.resolve(path.dirname(fromModule.path), depModuleId),
+      platform
+    );
+  }
 
-    // We are being forgiving here and raising an error because we could be
-    // processing a file that uses it's own require system.
-    if (packageJson == null) {
-      debug(
-        'WARNING: Cannot find required module `%s` from module `%s`.',
-        depModuleId,
-        fromModule.id
-      );
-      return null;
-    }
+  var hasteModule = this._getHasteModule(sansExtJs(depModuleId), platform);
+  if (hasteModule != null && hasteModule.altId != null &&
+      hasteModule.id === sansExtJs(depModuleId)) {
+    return hasteModule;
+  }
 
-    var main = packageJson.main || 'index';
-    modulePath = withExtJs(path.join(packageJson._root, main));
-    dep = this._graph[modulePath];
+  return this._resolveNodeModule(fromModule, depModuleId, platform) ||
+    this._resolvePackageModule(depModuleId, platform);
+};
 
-    // Some packages use just a dir and rely on an index.js inside that dir.
-    if (dep == null) {
-      dep = this._graph[path.join(packageJson._root, main, 'index.js')];
-    }
+/**
+ * The module with the id, the one of the platform if there is one.
+ */
+DependecyGraph.prototype._getHasteModule = function(id, platform) {
+  var platformModules = this._platformModulesById[platform];
+  if (platformModules != null && platformModules[id] != null) {
+    return platformModules[id];
+  }
+  return this._moduleById[id];
+};
 
-    if (dep == null) {
-      throw new Error(
-        'Cannot find package main file for package: ' + packageJson._root
+/**
+ * Looks for the package in the `node_modules` directories from the directory
+ * of `fromModule` up.
+ */
+DependecyGraph.prototype._resolveNodeModule = function(
+  fromModule,
+  depModuleId,
+  platform
+) {
+  var parts = depModuleId.split('/');
+  // Scoped packages are named `@scope/name`.
+  var nameLength = depModuleId[0] === '@' ? 2 : 1;
+  var packageName = parts.slice(0, nameLength).join('/');
+  var modulePath = parts.slice(nameLength).join('/');
+
+  var dir = path.dirname(fromModule.path);
+  while (true) {
+    if (path.basename(dir) !== 'node_modules') {
+      var packageRoot = path.join(dir, 'node_modules', packageName);
+      var dep = this._resolveFile(
+        path.join(packageRoot, modulePath),
+        platform
       );
+      if (dep != null) {
+        return dep;
+      }
     }
-    return dep;
-  } else {
-
-    // 4. `depModuleId` is a module defined in a package relative to
-    //    `fromModule`.
-    packageJson = this._lookupPackage(fromModule.path);
 
-    if (packageJson == null) {
-      throw new Error(
-        'Expected relative module lookup from ' + fromModule.id + ' to ' +
-        depModuleId + ' to be within a package but no package.json found.'
-      );
+    var parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      return null;
     }
+    dir = parentDir;
+  }
+};
 
-    // Example: depModuleId: ../a/b
-    //          fromModule.path: /x/y/z
-    //          modulePath: /x/y/a/b
-    var dir = path.dirname(fromModule.path);
-    modulePath = withExtJs(path.join(dir, depModuleId));
+/**
+ * Modules of packages outside of `node_modules` directories can be required
+ * from anywhere by `package/path/to/module`, and their main module by the
+ * name of the package.
+ */
+DependecyGraph.prototype._resolvePackageModule = function(
+  depModuleId,
+  platform
+) {
+  var module = this._getHasteModule(sansExtJs(depModuleId), platform);
+  if (module != null) {
+    return this._replaceForBrowser(module);
+  }
 
-    dep = this._graph[modulePath];
+  var packageJson = this._packagesById[depModuleId];
+  if (packageJson == null) {
+    return null;
+  }
 
-    if (dep == null) {
-      modulePath = path.join(dir, depModuleId, 'index.js');
+  var dep = this._resolveFile(packageJson._root, platform);
+  if (dep == null) {
+    throw new Error(
+      'Cannot find package main file for package: ' + packageJson._root
+    );
+  }
+  return dep;
+};
+
+/**
+ * The module at `filePath` or `filePath` with one of the module extensions,
+ * preceded by the platform (`Foo.ios.js` before `Foo.js`). If `filePath` is a
+ * directory, the main module of its package.json or its `index.js`. Files
+ * with one of the asset extensions are asset modules.
+ */
+DependecyGraph.prototype._resolveFile = function(filePath, platform) {
+  if (this._assetFiles[filePath] != null) {
+    return this._getAssetModule(filePath);
+  }
+
+  var candidates = [filePath];
+  this._moduleExts.forEach(function(ext) {
+    if (platform != null) {
+      candidates.push(filePath + '.' + platform + '.' + ext);
+    }
+    candidates.push(filePath + '.' + ext);
+  });
+  for (var i = 0; i < candidates.length; i++) {
+    if (this._graph[candidates[i]] != null) {
+      return this._replaceForBrowser(this._graph[candidates[i]]);
+    }
+  }
+
+  var packageJson = this._packageByRoot[filePath];
+  if (packageJson != null) {
+    var mainPath = path.join(filePath, getMain(packageJson));
+    var main = mainPath !== filePath && this._resolveFile(mainPath, platform);
+    if (main) {
+      return main;
     }
+  }
 
-    dep = this._graph[modulePath];
+  var index = (platform != null &&
+    this._graph[path.join(filePath, 'index.' + platform + '.js')]) ||
+    this._graph[path.join(filePath, 'index.js')];
+  return index != null ? this._replaceForBrowser(index) : null;
+};
 
-    if (dep == null) {
-      debug(
-        'WARNING: Cannot find required module `%s` from module `%s`.' +
-        ' Inferred required module path is %s',
-        depModuleId,
-        fromModule.id,
-        modulePath
-      );
-      return null;
+/**
+ * The module the `browser` field of the package of `module` replaces it with,
+ * if any.
+ */
+DependecyGraph.prototype._replaceForBrowser = function(module) {
+  var packageJson = this._lookupPackage(module.path);
+  var browserMap = getBrowserMap(packageJson);
+  if (browserMap == null) {
+    return module;
+  }
+
+  for (var key in browserMap) {
+    if (key[0] !== '.') {
+      continue;
+    }
+    var keyPath = path.join(packageJson._root, key);
+    if (keyPath === module.path || withExtJs(keyPath) === module.path) {
+      var replacement = browserMap[key];
+      if (replacement === false) {
+        return this._getEmptyModule();
+      }
+      var replacementPath = path.join(packageJson._root, replacement);
+      return this._graph[replacementPath] ||
+        this._graph[withExtJs(replacementPath)] ||
+        module;
     }
+  }
+  return module;
+};
+
+/**
+ * The module of the asset at `assetPath`, for all of its variants.
+ */
+DependecyGraph.prototype._getAssetModule = function(assetPath) {
+  if (this._assetModules[assetPath] == null) {
+    this._assetModules[assetPath] = new ModuleDescriptor({
+      id: this._lookupName(assetPath),
+      path: assetPath,
+      dependencies: [],
+      isAsset: true,
+    });
+  }
+  return this._assetModules[assetPath];
+};
 
-    return dep;
+/**
+ * Stands in for modules the `browser` field of a package.json excludes.
+ */
+DependecyGraph.prototype._getEmptyModule = function() {
+  if (this._emptyModule == null) {
+    this._emptyModule = new ModuleDescriptor({
+      id: EMPTY_MODULE_PATH,
+      path: EMPTY_MODULE_PATH,
+      dependencies: [],
+    });
   }
+  return this._emptyModule;
+};
+
+/**
+ * The directory of the nearest package.json of a module, or null.
+ */
+DependecyGraph.prototype.getPackageRoot = function(modulePath) {
+  var packageJson = this._lookupPackage(modulePath);
+  return packageJson ? packageJson._root : null;
 };
 
 /**
@@ -282,7 +598,12 @@ DependecyGraph.prototype._search = function() {
           return false;
         }
 
-        return filePath.match(/\.js$/);
+        if (self._isAssetPath(filePath)) {
+          self._addAssetFile(path.resolve(filePath));
+          return false;
+        }
+
+        return self._isModulePath(filePath);
       });
 
       var processing = self._findAndProcessPackage(files, dir)
@@ -353,12 +674,20 @@ DependecyGraph.prototype._processPackage = function(packagePath) {
 
 DependecyGraph.prototype._addPackageToIndices = function(packageJson) {
   this._packageByRoot[packageJson._root] = packageJson;
-  this._packagesById[packageJson.name] = packageJson;
+  // There may be several versions of a package in `node_modules`
+  // directories, the least nested one can be required from anywhere.
+  var existing = this._packagesById[packageJson.name];
+  if (existing == null ||
+      nodeModulesDepth(packageJson._root) <= nodeModulesDepth(existing._root)) {
+    this._packagesById[packageJson.name] = packageJson;
+  }
 };
 
 DependecyGraph.prototype._removePackageFromIndices = function(packageJson) {
   delete this._packageByRoot[packageJson._root];
-  delete this._packagesById[packageJson.name];
+  if (this._packagesById[packageJson.name] === packageJson) {
+    delete this._packagesById[packageJson.name];
+  }
 };
 
 /**
@@ -369,7 +698,10 @@ DependecyGraph.prototype._processModule = function(modulePath) {
   return readFile(modulePath, 'utf8')
     .then(function(content) {
       var moduleDocBlock = docblock.parseAsObject(content);
-      var moduleData = { path: path.resolve(modulePath) };
+      var moduleData = {
+        path: path.resolve(modulePath),
+        platform: self._getPlatform(modulePath),
+      };
       if (moduleDocBlock.providesModule || moduleDocBlock.provides) {
         moduleData.id =
           moduleDocBlock.providesModule || moduleDocBlock.provides;
@@ -380,7 +712,7 @@ DependecyGraph.prototype._processModule = function(modulePath) {
       } else {
         moduleData.id = self._lookupName(modulePath);
       }
-      moduleData.dependencies = extractRequires(content);
+      moduleData.dependencies = requires.extract(content);
 
       var module = new ModuleDescriptor(moduleData);
       self._updateGraphWithModule(module);
@@ -389,16 +721,19 @@ DependecyGraph.prototype._processModule = function(modulePath) {
 };
 
 /**
- * Compute the name of module relative to a package it may belong to.
+ * Compute the name of module relative to a package it may belong to. The
+ * modules of all platforms get the same name: `Foo.ios.js` is `package/Foo`.
  */
 DependecyGraph.prototype._lookupName = function(modulePath) {
   var packageJson = this._lookupPackage(modulePath);
   if (packageJson == null) {
     return path.resolve(modulePath);
   } else {
-    var relativePath =
-      sansExtJs(path.relative(packageJson._root, modulePath));
-    return path.join(packageJson.name, relativePath);
+    var relativePath = sansExtJs(path.relative(packageJson._root, modulePath));
+    if (this._getPlatform(modulePath) != null) {
+      relativePath = sansPlatformExt(relativePath);
+    }
+    return path.join(getPackageId(packageJson), relativePath);
   }
 };
 
@@ -409,13 +744,27 @@ DependecyGraph.prototype._deleteModule = function(module) {
   module.deleted = true;
 
   // Haste allows different module to have the same id.
-  if (this._moduleById[module.id] === module) {
-    delete this._moduleById[module.id];
+  var moduleById = this._getModuleIndex(module);
+  if (moduleById[module.id] === module) {
+    delete moduleById[module.id];
+  }
+
+  if (module.altId && moduleById[module.altId] === module) {
+    delete moduleById[module.altId];
   }
+};
 
-  if (module.altId && this._moduleById[module.altId] === module) {
-    delete this._moduleById[module.altId];
+/**
+ * Modules of a platform are indexed apart from the modules of all platforms.
+ */
+DependecyGraph.prototype._getModuleIndex = function(module) {
+  if (module.platform == null) {
+    return this._moduleById;
   }
+  if (this._platformModulesById[module.platform] == null) {
+    this._platformModulesById[module.platform] = Object.create(null);
+  }
+  return this._platformModulesById[module.platform];
 };
 
 /**
@@ -428,22 +777,23 @@ DependecyGraph.prototype._updateGraphWithModule = function(module) {
 
   this._graph[module.path] = module;
 
-  if (this._moduleById[module.id]) {
+  var moduleById = this._getModuleIndex(module);
+  if (moduleById[module.id]) {
     debug(
       'WARNING: Top-level module name conflict `%s`.\n' +
       'module with path `%s` will replace `%s`',
       module.id,
       module.path,
-      this._moduleById[module.id].path
+      moduleById[module.id].path
     );
   }
 
-  this._moduleById[module.id] = module;
+  moduleById[module.id] = module;
 
   // Some module maybe refrenced by both @providesModule and
   // require(package/moduleName).
-  if (module.altId != null && this._moduleById[module.altId] == null) {
-    this._moduleById[module.altId] = module;
+  if (module.altId != null && moduleById[module.altId] == null) {
+    moduleById[module.altId] = module;
   }
 };
 
@@ -487,6 +837,18 @@ DependecyGraph.prototype._processFileChange = function(eventType, filePath, root
   this._debugUpdateEvents.push({event: eventType, path: filePath});
 
   var isPackage = path.basename(filePath) === 'package.json';
+  if (this._isAssetPath(absPath)) {
+    if (eventType === 'delete') {
+      this._removeAssetFile(absPath);
+    } else if (!(stat && stat.isDirectory())) {
+      this._addAssetFile(absPath);
+    }
+    // A package.json can be required as JSON.
+    if (!isPackage) {
+      return;
+    }
+  }
+
   if (eventType === 'delete') {
     if (isPackage) {
       var packageJson = this._packageByRoot[path.dirname(absPath)];
@@ -538,13 +900,75 @@ DependecyGraph.prototype._getAbsolutePath = function(filePath) {
   return null;
 };
 
+DependecyGraph.prototype._isModulePath = function(filePath) {
+  var ext = path.extname(filePath).replace(/^\./, '');
+  return this._moduleExts.indexOf(ext) !== -1;
+};
+
+/**
+ * The platform of `Foo.<platform>.js` modules, if it is one of the platforms.
+ */
+DependecyGraph.prototype._getPlatform = function(filePath) {
+  var match = path.basename(filePath).match(/\.(\w+)\.\w+$/);
+  if (match != null && this._platforms.indexOf(match[1]) !== -1) {
+    return match[1];
+  }
+  return undefined;
+};
+
+DependecyGraph.prototype._isAssetPath = function(filePath) {
+  var ext = path.extname(filePath).replace(/^\./, '');
+  return this._assetExts.indexOf(ext) !== -1;
+};
+
+/**
+ * Asset files are indexed by the path of the asset they are a variant of.
+ */
+DependecyGraph.prototype._addAssetFile = function(filePath) {
+  var assetPath = getAssetPath(filePath);
+  var files = this._assetFiles[assetPath] || [];
+  if (files.indexOf(filePath) === -1) {
+    files.push(filePath);
+  }
+  this._assetFiles[assetPath] = files;
+};
+
+DependecyGraph.prototype._removeAssetFile = function(filePath) {
+  var assetPath = getAssetPath(filePath);
+  var files = (this._assetFiles[assetPath] || []).filter(function(file) {
+    return file !== filePath;
+  });
+  if (files.length) {
+    this._assetFiles[assetPath] = files;
+  } else {
+    delete this._assetFiles[assetPath];
+    delete this._assetModules[assetPath];
+  }
+};
+
+/**
+ * `file` as is if it has one of the module extensions, otherwise with the .js
+ * extension.
+ */
+DependecyGraph.prototype._withModuleExt = function(file) {
+  if (this._isModulePath(file)) {
+    return file;
+  } else {
+    return withExtJs(file);
+  }
+};
+
 DependecyGraph.prototype._buildAssetMap = function() {
   if (this._assetRoots == null || this._assetRoots.length === 0) {
     return q();
   }
 
+  var imageExts = this._assetExts.filter(function(ext) {
+    return IMAGE_EXTS.indexOf(ext) !== -1;
+  });
+
   var self = this;
-  return buildAssetMap(this._assetRoots, this._assetExts)
+  return buildAssetMap(this._assetRoots, imageExts)
     .then(function(map) {
       self._assetMap = map;
       return map;
@@ -552,22 +976,135 @@ DependecyGraph.prototype._buildAssetMap = function() {
 };
 
 /**
- * Extract all required modules from a `code` string.
+ * The line and column (both starting at 1) of the first `require(name)` in
+ * `code`.
  */
-var requireRe = /\brequire\s*\(\s*[\'"]([^"\']+)["\']\s*\)/g;
-var blockCommentRe = /\/\*(.|\n)*?\*\//g;
-var lineCommentRe = /\/\/.+(\n|$)/g;
-function extractRequires(code) {
-  var deps = [];
+function findRequire(code, name) {
+  var escapedName = name.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+  var re = new RegExp(
+    '\\brequire\\s*\\(\\s*[\'"]' + escapedName + '["\']\\s*\\)'
+  );
+  var match = re.exec(code);
+  if (match == null) {
+    return {lineNumber: null, column: null};
+  }
 
-  code
-    .replace(blockCommentRe, '')
-    .replace(lineCommentRe, '')
-    .replace(requireRe, function(match, dep) {
-      deps.push(dep);
+  var lines = code.slice(0, match.index).split('\n');
+  return {
+    lineNumber: lines.length,
+    column: lines[lines.length - 1].length + 1,
+  };
+}
+
+var MAX_SUGGESTIONS = 3;
+
+/**
+ * The `candidates` that are at most a third of `name` apart from it, by the
+ * number of characters to change, closest first.
+ */
+function findClosest(name, candidates) {
+  var maxDistance = Math.max(1, Math.floor(name.length / 3));
+  var lowerName = name.toLowerCase();
+  var seen = Object.create(null);
+
+  return candidates
+    .filter(function(candidate) {
+      if (seen[candidate]) {
+        return false;
+      }
+      seen[candidate] = true;
+      return true;
+    })
+    .map(function(candidate) {
+      return {
+        name: candidate,
+        distance: editDistance(lowerName, candidate.toLowerCase()),
+      };
+    })
+    .filter(function(candidate) {
+      return candidate.distance <= maxDistance;
+    })
+    .sort(function(a, b) {
+      return a.distance - b.distance || (a.name < b.name ? -1 : 1);
+    })
+    .slice(0, MAX_SUGGESTIONS)
+    .map(function(candidate) {
+      return candidate.name;
     });
+}
 
-  return deps;
+/**
+ * The number of characters to insert, delete, replace or swap with the next
+ * one to turn `a` into `b`.
+ */
+function editDistance(a, b) {
+  var rows = [];
+  for (var i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (var j = 1; j <= b.length; j++) {
+    rows[0].push(j);
+  }
+
+  for (i = 1; i <= a.length; i++) {
+    for (j = 1; j <= b.length; j++) {
+      var distance = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+      }
+      rows[i].push(distance);
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+function nodeModulesDepth(filePath) {
+  return filePath.split(path.sep).filter(function(part) {
+    return part === 'node_modules';
+  }).length;
+}
+
+/**
+ * The name of the package, or for packages in a `node_modules` directory of
+ * another package, its path from the outermost `node_modules` directory (e.g.
+ * `a/node_modules/b`). Different versions of a package get different ids.
+ */
+function getPackageId(packageJson) {
+  var parts = packageJson._root.split(path.sep + 'node_modules' + path.sep);
+  if (parts.length > 2) {
+    return parts.slice(1).join('/node_modules/');
+  }
+  return packageJson.name;
+}
+
+function getMain(packageJson) {
+  if (typeof packageJson.browser === 'string') {
+    return packageJson.browser;
+  }
+  return packageJson.main || 'index';
+}
+
+function getBrowserMap(packageJson) {
+  if (packageJson != null && packageJson.browser != null &&
+      typeof packageJson.browser === 'object') {
+    return packageJson.browser;
+  }
+  return null;
+}
+
+/**
+ * The path of the asset `file` is a variant of: `img/logo@2x.png` ->
+ * `img/logo.png`.
+ */
+function getAssetPath(file) {
+  return path.join(
+    path.dirname(file),
+    path.basename(file).replace(/@[\d\.]+x(\.\w+)$/, '$1')
+  );
 }
 
 /**
@@ -581,6 +1118,13 @@ function sansExtJs(file) {
   }
 }
 
+/**
+ * `file` without its platform extension: `Foo.ios` -> `Foo`.
+ */
+function sansPlatformExt(file) {
+  return file.replace(/\.\w+$/, '');
+}
+
 /**
  * `file` with the .js extension.
  */
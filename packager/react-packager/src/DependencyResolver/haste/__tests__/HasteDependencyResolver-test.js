@@ -10,6 +10,9 @@
 
 jest.dontMock('../')
     .dontMock('q')
+    .dontMock('esprima-fb')
+    .dontMock('../../../lib/parseModule')
+    .dontMock('../requires')
     .setMock('../../ModuleDescriptor', function(data) {return data;});
 
 var q = require('q');
@@ -217,6 +220,87 @@ describe('HasteDependencyResolver', function() {
           ]);
         });
     });
+
+    pit('should fail on requires that cannot be resolved when strict',
+      function() {
+        var module = {id: 'index', path: '/root/index.js', dependencies: ['a']};
+
+        var depResolver = new HasteDependencyResolver({
+          projectRoot: '/root',
+        });
+
+        var depGraph = depResolver._depGraph;
+        depGraph.getOrderedDependencies.mockImpl(function() {
+          return [module];
+        });
+        depGraph.getUnresolvedDependencies.mockImpl(function() {
+          return q([{
+            id: 'a',
+            filename: '/root/index.js',
+            lineNumber: 1,
+            column: 1,
+            suggestions: ['b'],
+          }]);
+        });
+        depGraph.load.mockImpl(function() {
+          return q();
+        });
+
+        return depResolver.getDependencies('/root/index.js', {strict: true})
+          .then(function() {
+            throw new Error('should not resolve');
+          }, function(error) {
+            expect(error.type).toBe('UnresolvedRequiresError');
+            expect(error.message).toBe(
+              'UnresolvedRequiresError: /root/index.js:1:1: ' +
+              'Cannot find module `a`, did you mean `b`?'
+            );
+            expect(error.errors).toEqual([{
+              description: 'Cannot find module `a`, did you mean `b`?',
+              filename: '/root/index.js',
+              lineNumber: 1,
+              column: 1,
+              id: 'a',
+              suggestions: ['b'],
+            }]);
+          });
+      }
+    );
+  });
+
+  describe('getNewDependencies', function() {
+    pit('should check the changed and the new modules when strict',
+      function() {
+        var changed = {id: 'a', path: '/root/a.js', dependencies: ['c']};
+        var added = {id: 'c', path: '/root/c.js', dependencies: []};
+
+        var depResolver = new HasteDependencyResolver({
+          projectRoot: '/root',
+        });
+
+        var depGraph = depResolver._depGraph;
+        depGraph.getNewDependencies.mockImpl(function() {
+          return [added];
+        });
+        depGraph.getUnresolvedDependencies.mockImpl(function() {
+          return q([]);
+        });
+        depGraph.load.mockImpl(function() {
+          return q();
+        });
+
+        return depResolver.getNewDependencies([changed], ['index', 'a'], {
+          strict: true,
+          platform: 'ios',
+        }).then(function(dependencies) {
+          expect(dependencies).toEqual([added]);
+          expect(depGraph.getNewDependencies)
+            .toBeCalledWith([changed], ['index', 'a'], 'ios');
+          expect(depGraph.getUnresolvedDependencies)
+            .toBeCalledWith([changed, added], 'ios');
+        });
+      }
+    );
   });
 
   describe('wrapModule', function() {
@@ -258,5 +342,32 @@ describe('HasteDependencyResolver', function() {
         'require("z")});',
       ].join('\n'));
     });
+
+    it('should report how wrapping moved the columns', function() {
+      var depResolver = new HasteDependencyResolver({
+        projectRoot: '/root',
+      });
+
+      depResolver._depGraph.resolveDependency.mockImpl(function() {
+        return {id: 'x'};
+      });
+
+      var wrapped = depResolver.wrapModuleWithEdits({
+        id: 'test module',
+        path: '/root/test.js',
+        dependencies: ['./x'],
+      }, 'var a = 1;\nvar x = require(\'./x\');');
+
+      expect(wrapped.code).toEqual([
+        '__d(\'test module\',["x"],function(global,' +
+        ' require, requireDynamic, requireLazy, module, exports) {' +
+        '  var a = 1;',
+        'var x = require(\'x\');});',
+      ].join('\n'));
+      expect(wrapped.edits).toEqual([
+        {line: 1, column: 0, delta: wrapped.code.indexOf('var a')},
+        {line: 2, column: 21, delta: -2},
+      ]);
+    });
   });
 });
@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest
+  .dontMock('esprima-fb')
+  .dontMock('../../../lib/parseModule')
+  .dontMock('../requires');
+
+describe('requires', function() {
+  var requires;
+
+  beforeEach(function() {
+    requires = require('../requires');
+  });
+
+  describe('extract', function() {
+    it('should find the requires of simple code', function() {
+      expect(requires.extract([
+        '/**',
+        ' * @providesModule index',
+        ' * require("NotADependency")',
+        ' */',
+        '// require("NotADependency")',
+        'var a = require(\'a\');',
+        'var b = require( "b/lib/b" ), c = require(\'./c\');',
+        'require(\'@scope/d\');',
+      ].join('\n'))).toEqual(['a', 'b/lib/b', './c', '@scope/d']);
+    });
+
+    // Code the regular expressions used to get wrong.
+    var corpus = [
+      {
+        description: 'requires in strings',
+        code: 'var s = "require(\'a\')"; require(\'b\');',
+        requires: ['b'],
+      },
+      {
+        description: 'requires in template literals',
+        code: 'var s = `require(\'a\')\n// ${x}`;\nrequire(\'b\');',
+        requires: ['b'],
+      },
+      {
+        description: 'requires in regular expressions',
+        code: 'var re = /require(\'a\')/;\nrequire(\'b\');',
+        requires: ['b'],
+      },
+      {
+        description: 'urls that look like line comments',
+        code: 'var url = \'http://example.com\'; var a = require(\'a\');',
+        requires: ['a'],
+      },
+      {
+        description: 'globs that look like block comments',
+        code: 'var glob = \'src/*.js\'; require(\'a\'); var end = \'*/\';',
+        requires: ['a'],
+      },
+      {
+        description: 'comments after code',
+        code: 'require(\'a\'); // require(\'b\')\nfoo(/* require(\'c\') */);',
+        requires: ['a'],
+      },
+      {
+        description: 'names with any character',
+        code: 'require(\'image!logo\');\nrequire(\'./data file+1.json\');',
+        requires: ['image!logo', './data file+1.json'],
+      },
+      {
+        description: 'requires of other objects',
+        code: 'loader.require(\'a\'); require.resolve(\'b\'); require(\'c\');',
+        requires: ['c'],
+      },
+      {
+        description: 'requires of expressions',
+        code: 'require(\'a\' + b); require(name); require(\'c\');',
+        requires: ['c'],
+      },
+      {
+        description: 'returns at the top level',
+        code: 'if (!global.fetch) {\n  return;\n}\nrequire(`a`);',
+        requires: ['a'],
+      },
+      {
+        description: 'JSX',
+        code: 'var el = <div>require(\'a\')</div>;\nrequire(\'b\');',
+        requires: ['b'],
+      },
+    ];
+
+    corpus.forEach(function(example) {
+      it('should handle ' + example.description, function() {
+        expect(requires.extract(example.code)).toEqual(example.requires);
+      });
+    });
+
+    it('should find the requires of code that cannot be parsed', function() {
+      expect(requires.extract([
+        'var s = `require(\'a\')`; +;',
+        '// require(\'b\')',
+        'require(\'c\');',
+      ].join('\n'))).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('rewrite', function() {
+    it('should only replace the names of requires', function() {
+      var code = [
+        'var s = "require(\'a\')"; var a = require("a");',
+        'var url = \'http://example.com\'; var b = require(\'./b\');',
+        'require(\'c\');',
+      ].join('\n');
+
+      expect(requires.rewrite(code, function(name) {
+        return name === 'c' ? null : 'id of ' + name;
+      })).toEqual([
+        'var s = "require(\'a\')"; var a = require(\'id of a\');',
+        'var url = \'http://example.com\'; var b = require(\'id of ./b\');',
+        'require(\'c\');',
+      ].join('\n'));
+    });
+
+    it('should report how the columns after the names moved', function() {
+      var code = [
+        'var a = 1;',
+        'var c = require(\'c\'), b = require("./b"); b();',
+      ].join('\n');
+
+      expect(requires.rewriteWithEdits(code, function(name) {
+        return name === 'c' ? null : 'b';
+      })).toEqual({
+        code: [
+          'var a = 1;',
+          'var c = require(\'c\'), b = require(\'b\'); b();',
+        ].join('\n'),
+        edits: [{line: 2, column: 39, delta: -2}],
+      });
+    });
+  });
+});
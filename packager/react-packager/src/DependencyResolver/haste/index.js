@@ -9,9 +9,11 @@
 'use strict';
 
 var path = require('path');
+var util = require('util');
 var FileWatcher = require('../../FileWatcher');
 var DependencyGraph = require('./DependencyGraph');
 var ModuleDescriptor = require('../ModuleDescriptor');
+var requires = require('./requires');
 var declareOpts = require('../../lib/declareOpts');
 
 var DEFINE_MODULE_CODE = [
@@ -25,7 +27,9 @@ var DEFINE_MODULE_CODE = [
 ].join('');
 
 var DEFINE_MODULE_REPLACE_RE = /_moduleName_|_code_|_deps_/g;
-var REL_REQUIRE_STMT = /require\(['"]([\.\/0-9A-Z_$\-]*)['"]\)/gi;
+
+// Splits the module definition around the code of the module.
+var CODE_PLACEHOLDER = '\0';
 
 var validateOpts = declareOpts({
   projectRoots: {
@@ -51,6 +55,14 @@ var validateOpts = declareOpts({
     type: 'array',
     default: [],
   },
+  moduleExts: {
+    type: 'array',
+    default: ['js'],
+  },
+  assetExts: {
+    type: 'array',
+    default: ['png'],
+  },
 });
 
 function HasteDependencyResolver(options) {
@@ -58,11 +70,16 @@ function HasteDependencyResolver(options) {
 
   this._fileWatcher = opts.nonPersistent
     ? FileWatcher.createDummyWatcher()
-    : new FileWatcher(opts.projectRoots);
+    : new FileWatcher(
+        opts.projectRoots,
+        opts.moduleExts.concat(opts.assetExts)
+      );
 
   this._depGraph = new DependencyGraph({
     roots: opts.projectRoots,
     assetRoots: opts.assetRoots,
+    assetExts: opts.assetExts,
+    moduleExts: opts.moduleExts,
     ignoreFilePath: function(filepath) {
       return filepath.indexOf('__tests__') !== -1 ||
         (opts.blacklistRE && opts.blacklistRE.test(filepath));
@@ -79,8 +96,21 @@ var getDependenciesValidateOpts = declareOpts({
     type: 'boolean',
     default: true,
   },
+  strict: {
+    type: 'boolean',
+    required: false,
+  },
+  platform: {
+    type: 'string',
+    required: false,
+  },
 });
 
+/**
+ * In strict mode requires that can't be resolved fail with an
+ * `UnresolvedRequiresError` instead of being left out. With a `platform`,
+ * the modules of that platform are used (`Foo.ios.js` over `Foo.js`).
+ */
 HasteDependencyResolver.prototype.getDependencies = function(main, options) {
   var opts = getDependenciesValidateOpts(options);
 
@@ -89,7 +119,17 @@ HasteDependencyResolver.prototype.getDependencies = function(main, options) {
 
   return depGraph.load()
     .then(function() {
-      var dependencies = depGraph.getOrderedDependencies(main);
+      var dependencies = depGraph.getOrderedDependencies(main, opts.platform);
+      if (!opts.strict) {
+        return dependencies;
+      }
+
+      return assertResolved(depGraph, dependencies, opts.platform)
+        .then(function() {
+          return dependencies;
+        });
+    })
+    .then(function(dependencies) {
       var mainModuleId = dependencies[0].id;
 
       self._prependPolyfillDependencies(dependencies, opts.dev);
@@ -101,6 +141,51 @@ HasteDependencyResolver.prototype.getDependencies = function(main, options) {
     });
 };
 
+/**
+ * The modules at `modulePaths`, or null for the paths that have no module,
+ * once the file changes seen so far are in the dependency graph.
+ */
+HasteDependencyResolver.prototype.getModulesForPaths = function(modulePaths) {
+  var depGraph = this._depGraph;
+  return depGraph.load().then(function() {
+    return modulePaths.map(function(modulePath) {
+      return depGraph.getModuleForPath(modulePath);
+    });
+  });
+};
+
+/**
+ * The modules that `modules` depend on, directly or not, that a package with
+ * the modules of `knownIds` doesn't have. Takes the options of
+ * `getDependencies`: in strict mode requires of `modules` and of the new
+ * modules that can't be resolved fail with an `UnresolvedRequiresError`.
+ */
+HasteDependencyResolver.prototype.getNewDependencies = function(
+  modules,
+  knownIds,
+  options
+) {
+  var opts = getDependenciesValidateOpts(options);
+
+  var depGraph = this._depGraph;
+  return depGraph.load()
+    .then(function() {
+      var dependencies =
+        depGraph.getNewDependencies(modules, knownIds, opts.platform);
+      if (!opts.strict) {
+        return dependencies;
+      }
+
+      return assertResolved(
+        depGraph,
+        modules.concat(dependencies),
+        opts.platform
+      ).then(function() {
+        return dependencies;
+      });
+    });
+};
+
 HasteDependencyResolver.prototype._prependPolyfillDependencies = function(
   dependencies,
   isDev
@@ -128,9 +213,40 @@ HasteDependencyResolver.prototype._prependPolyfillDependencies = function(
   dependencies.unshift.apply(dependencies, polyfillModules);
 };
 
-HasteDependencyResolver.prototype.wrapModule = function(module, code) {
+HasteDependencyResolver.prototype.resolveDependency = function(
+  fromModule,
+  depModuleId,
+  platform
+) {
+  return this._depGraph.resolveDependency(fromModule, depModuleId, platform);
+};
+
+HasteDependencyResolver.prototype.getPackageRoot = function(module) {
+  return this._depGraph.getPackageRoot(module.path);
+};
+
+HasteDependencyResolver.prototype.wrapModule = function(
+  module,
+  code,
+  platform
+) {
+  return this.wrapModuleWithEdits(module, code, platform).code;
+};
+
+/**
+ * Like `wrapModule`, but also returns how the columns of `code` moved, so
+ * that its source map can be adjusted: `{code, edits}`, where every edit is
+ * `{line, column, delta}`, meaning the columns from `column` on `line` moved
+ * by `delta`. The module definition moves the first line, and the requires
+ * that are rewritten move what follows them on their line.
+ */
+HasteDependencyResolver.prototype.wrapModuleWithEdits = function(
+  module,
+  code,
+  platform
+) {
   if (module.isPolyfill) {
-    return code;
+    return {code: code, edits: []};
   }
 
   var resolvedDeps = Object.create(null);
@@ -138,30 +254,30 @@ HasteDependencyResolver.prototype.wrapModule = function(module, code) {
 
   for (var i = 0; i < module.dependencies.length; i++) {
     var depName = module.dependencies[i];
-    var dep = this._depGraph.resolveDependency(module, depName);
+    var dep = this.resolveDependency(module, depName, platform);
     if (dep) {
       resolvedDeps[depName] = dep.id;
       resolvedDepsArr.push(dep.id);
     }
   }
 
-  var relativizedCode =
-    code.replace(REL_REQUIRE_STMT, function(codeMatch, depName) {
-      var depId = resolvedDeps[depName];
-      if (depId != null) {
-        return 'require(\'' + depId + '\')';
-      } else {
-        return codeMatch;
-      }
-    });
+  var relativized = requires.rewriteWithEdits(code, function(depName) {
+    return resolvedDeps[depName];
+  });
 
-  return DEFINE_MODULE_CODE.replace(DEFINE_MODULE_REPLACE_RE, function(key) {
+  var wrapped = DEFINE_MODULE_CODE.replace(DEFINE_MODULE_REPLACE_RE, function(key) {
     return {
       '_moduleName_': module.id,
-      '_code_': relativizedCode,
+      '_code_': CODE_PLACEHOLDER,
       '_deps_': JSON.stringify(resolvedDepsArr),
     }[key];
-  });
+  }).split(CODE_PLACEHOLDER);
+
+  return {
+    code: wrapped[0] + relativized.code + wrapped[1],
+    edits: [{line: 1, column: 0, delta: wrapped[0].length}]
+      .concat(relativized.edits),
+  };
 };
 
 HasteDependencyResolver.prototype.end = function() {
@@ -172,4 +288,49 @@ HasteDependencyResolver.prototype.getDebugInfo = function() {
   return this._depGraph.getDebugInfo();
 };
 
+function UnresolvedRequiresError() {}
+util.inherits(UnresolvedRequiresError, Error);
+
+function assertResolved(depGraph, modules, platform) {
+  return depGraph.getUnresolvedDependencies(modules, platform)
+    .then(function(unresolved) {
+      if (unresolved.length) {
+        throw createUnresolvedRequiresError(unresolved);
+      }
+    });
+}
+
+function createUnresolvedRequiresError(unresolved) {
+  var errors = unresolved.map(function(dep) {
+    var description = 'Cannot find module `' + dep.id + '`';
+    if (dep.suggestions.length) {
+      description += ', did you mean ' + dep.suggestions.map(function(id) {
+        return '`' + id + '`';
+      }).join(' or ') + '?';
+    }
+    return {
+      description: description,
+      filename: dep.filename,
+      lineNumber: dep.lineNumber,
+      column: dep.column,
+      id: dep.id,
+      suggestions: dep.suggestions,
+    };
+  });
+
+  var msg = 'UnresolvedRequiresError: ' + errors.map(function(error) {
+    return error.filename + ':' + error.lineNumber + ':' + error.column +
+      ': ' + error.description;
+  }).join('\n');
+
+  var error = new UnresolvedRequiresError();
+  error.message = msg;
+  error.type = 'UnresolvedRequiresError';
+  error.stack = msg;
+  error.errors = errors;
+  return error;
+}
+
+HasteDependencyResolver.UnresolvedRequiresError = UnresolvedRequiresError;
+
 module.exports = HasteDependencyResolver;
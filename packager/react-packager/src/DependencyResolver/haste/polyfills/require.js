@@ -215,6 +215,9 @@
     }
 
     var exports = module.exports = {};
+    if (__DEV__) {
+      module.hot = _createHot();
+    }
     var factory = module.factory;
     if (toString.call(factory) === '[object Function]') {
       var args = [],
@@ -493,11 +496,14 @@
    *   // SubClass, ChatConfig notice that OtherClass's factory won't be
    *   // executed unless explicitly required by someone
    *
+   * If some of the dependencies live in a bundle that hasn't been loaded yet
+   * (see `require.__bundles`), that bundle is loaded.
+   *
    * @param {Array} dependencies
    * @param {Object|Function} factory
    */
   function requireLazy(dependencies, factory, context) {
-    return define(
+    var canceler = define(
       dependencies,
       factory,
       undefined,
@@ -505,6 +511,8 @@
       context,
       1
     );
+    _loadBundlesOf(dependencies);
+    return canceler;
   }
 
   function _uid() {
@@ -611,6 +619,185 @@
     }
   };
 
+  /**
+   * Split bundles.
+   *
+   * A core bundle calls `require.__bundles.register({url: [ids]})` with the
+   * ids of the modules in each of its secondary bundles. When `requireLazy`
+   * asks for one of them before it is defined, the loader set with
+   * `require.__bundles.setLoader(loader)` is called with the url of the bundle
+   * and a callback, and is expected to evaluate the bundle and then call the
+   * callback (with an error if it couldn't, which is then thrown).
+   */
+  var _bundleByModule = {};
+  var _loadingBundles = {};
+  var _bundleLoader = null;
+
+  function _registerBundles(bundles) {
+    for (var url in bundles) if (hop.call(bundles, url)) {
+      for (var ii = 0; ii < bundles[url].length; ii++) {
+        _bundleByModule[bundles[url][ii]] = url;
+      }
+    }
+  }
+
+  function _loadBundlesOf(dependencies) {
+    for (var ii = 0; ii < dependencies.length; ii++) {
+      var id = dependencies[ii];
+      if (!modulesMap[id] && hop.call(_bundleByModule, id)) {
+        _loadBundle(_bundleByModule[id]);
+      }
+    }
+  }
+
+  function _loadBundle(url) {
+    if (_loadingBundles[url]) {
+      return;
+    }
+    if (!_bundleLoader) {
+      throw new ModuleError(
+        'Cannot load bundle "' + url + '" without a bundle loader'
+      );
+    }
+
+    _loadingBundles[url] = true;
+    _bundleLoader(url, function(error) {
+      if (error) {
+        // Allow trying again.
+        delete _loadingBundles[url];
+        // Loaders may call back from promises, which would swallow the error
+        // and leave the modules waiting for the bundle hanging silently, so
+        // throw it from its own turn of the event loop to get it reported.
+        var moduleError = new ModuleError(
+          'Failed to load bundle "' + url + '": ' + (error.message || error)
+        );
+        setTimeout(function() {
+          throw moduleError;
+        }, 0);
+      }
+    });
+  }
+
+  require.__bundles = {
+    register: _registerBundles,
+    setLoader: function(loader) {
+      _bundleLoader = loader;
+    }
+  };
+
+  /**
+   * Hot module replacement.
+   *
+   * While in dev every module gets a `module.hot` object. A module can call
+   * `module.hot.accept(callback)` to say that it can handle updates of itself
+   * or of any of the modules it (transitively) requires, and
+   * `module.hot.dispose(callback)` to clean up before it gets replaced.
+   *
+   * `require.__hot.apply(evaluate)` calls `evaluate`, which is expected to
+   * evaluate new `__d` definitions of changed modules. Those definitions
+   * replace the existing ones. Then every module between the updated modules
+   * and the closest modules accepting the update is reset and the accepting
+   * modules are required again. If an update reaches a module that nobody
+   * accepts the old definitions are restored and `false` is returned.
+   */
+  var _hotUpdate = null;
+
+  function _createHot() {
+    var hot = {
+      _acceptCallbacks: [],
+      _disposeCallbacks: [],
+      accept: function(callback) {
+        hot._acceptCallbacks.push(callback || function() {});
+      },
+      dispose: function(callback) {
+        hot._disposeCallbacks.push(callback);
+      }
+    };
+    return hot;
+  }
+
+  function _getRequiredDependents(id) {
+    var dependents = [];
+    for (var name in modulesMap) if (hop.call(modulesMap, name)) {
+      var module = modulesMap[name];
+      if (module.exports && module.dependencies &&
+          module.dependencies.indexOf(id) !== -1) {
+        dependents.push(name);
+      }
+    }
+    return dependents;
+  }
+
+  function _applyHotUpdate(evaluate) {
+    var update = _hotUpdate = {ids: [], previous: {}};
+    try {
+      evaluate();
+    } finally {
+      _hotUpdate = null;
+    }
+
+    var invalidated = {};
+    var boundaries = [];
+    var queue = update.ids.slice();
+    var id, module, ii;
+    while (queue.length) {
+      id = queue.shift();
+      if (hop.call(invalidated, id)) {
+        continue;
+      }
+
+      module = update.previous[id] || modulesMap[id];
+      if (!module || !module.exports) {
+        // Nobody used it yet so it will simply pick up the new definition.
+        continue;
+      }
+      invalidated[id] = module;
+
+      if (module.hot && module.hot._acceptCallbacks.length) {
+        boundaries.push(id);
+        continue;
+      }
+
+      var dependents = _getRequiredDependents(id);
+      if (!dependents.length) {
+        for (id in update.previous) if (hop.call(update.previous, id)) {
+          modulesMap[id] = update.previous[id];
+        }
+        return false;
+      }
+      queue.push.apply(queue, dependents);
+    }
+
+    var acceptCallbacks = {};
+    for (id in invalidated) if (hop.call(invalidated, id)) {
+      module = invalidated[id];
+      if (module.hot) {
+        for (ii = 0; ii < module.hot._disposeCallbacks.length; ii++) {
+          module.hot._disposeCallbacks[ii]();
+        }
+        acceptCallbacks[id] = module.hot._acceptCallbacks;
+      }
+      if (modulesMap[id] === module) {
+        // Not redefined but depends on a redefined module, run it again.
+        module.exports = null;
+        module.hasError = false;
+      }
+    }
+
+    for (ii = 0; ii < boundaries.length; ii++) {
+      id = boundaries[ii];
+      require.call(null, id);
+      for (var jj = 0; jj < acceptCallbacks[id].length; jj++) {
+        acceptCallbacks[id][jj]();
+      }
+    }
+    return true;
+  }
+
+  require.__hot = {
+    apply: _applyHotUpdate
+  };
+
   /**
    * All @providesModule files are wrapped by this function by makehaste. It
    * is a convenience function around define() that prepends a bunch of required
@@ -618,6 +805,14 @@
    * out for every module which would be a lot of extra bytes.
    */
   global.__d = function(id, deps, factory, _special, _inlineRequires) {
+    if (_hotUpdate) {
+      // Redefine the module instead of ignoring the new definition.
+      if (modulesMap[id]) {
+        _hotUpdate.previous[id] = modulesMap[id];
+        delete modulesMap[id];
+      }
+      _hotUpdate.ids.push(id);
+    }
     var defaultDeps = ['global', 'require', 'requireDynamic', 'requireLazy',
                        'module', 'exports'];
     define(id, defaultDeps.concat(deps), factory, _special || USED_AS_TRANSPORT,
@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+var debug = require('debug')('DependecyGraph');
+var parseModule = require('../../lib/parseModule');
+
+var REQUIRE_CALL_RE = /(^|[^.\w$])require\s*\(\s*(['"])([^'"\\\n]*)\2\s*\)/g;
+var REQUIRE_WORD_RE = /\brequire\b/g;
+var LEADING_BLOCK_COMMENT_RE = /^[ \t]*\/\*[\s\S]*?\*\//gm;
+var LEADING_LINE_COMMENT_RE = /^[ \t]*\/\/.*$/gm;
+var BLOCK_COMMENT_RE = /\/\*[\s\S]*?\*\//g;
+var LINE_COMMENT_RE = /\/\/.*$/gm;
+
+/**
+ * The names of the modules `code` requires with `require('name')`, in order.
+ */
+function extract(code) {
+  return findRequires(code).map(function(found) {
+    return found.name;
+  });
+}
+
+/**
+ * `code` with the name of every `require('name')` replaced with what
+ * `replace(name)` returns, unless that is null.
+ */
+function rewrite(code, replace) {
+  return rewriteWithEdits(code, replace).code;
+}
+
+/**
+ * Like `rewrite`, but also returns how the code after each replaced name
+ * moved, so that source maps of `code` can be adjusted: `{code, edits}`,
+ * where every edit is `{line, column, delta}`, meaning the columns from
+ * `column` on `line` (of `code`) moved by `delta`.
+ */
+function rewriteWithEdits(code, replace) {
+  var result = '';
+  var position = 0;
+  var edits = [];
+  var line = 1;
+  var lineStart = 0;
+  var scanned = 0;
+  findRequires(code).forEach(function(found) {
+    var replacement = replace(found.name);
+    if (replacement == null) {
+      return;
+    }
+    var literal = '\'' + replacement.replace(/[\\']/g, '\\$&') + '\'';
+    for (; scanned < found.range[1]; scanned++) {
+      if (code[scanned] === '\n') {
+        line++;
+        lineStart = scanned + 1;
+      }
+    }
+    edits.push({
+      line: line,
+      column: found.range[1] - lineStart,
+      delta: literal.length - (found.range[1] - found.range[0]),
+    });
+    result += code.slice(position, found.range[0]) + literal;
+    position = found.range[1];
+  });
+  return {code: result + code.slice(position), edits: edits};
+}
+
+/**
+ * The requires of `code` with the range of their string literal. Code that
+ * could fool the regular expressions (comments and strings that aren't alone
+ * on their lines, template literals, `require` used in any other way) is
+ * parsed instead. Code that can't be parsed goes through the regular
+ * expressions anyway.
+ */
+function findRequires(code) {
+  var withoutComments = blankComments(
+    code,
+    LEADING_BLOCK_COMMENT_RE,
+    LEADING_LINE_COMMENT_RE
+  );
+  if (!isTricky(withoutComments)) {
+    return matchRequires(withoutComments);
+  }
+
+  var ast;
+  try {
+    ast = parseModule.parseModule(code);
+  } catch (e) {
+    debug('WARNING: Cannot parse the requires of a module: %s', e.message);
+    return matchRequires(
+      blankComments(code, BLOCK_COMMENT_RE, LINE_COMMENT_RE)
+    );
+  }
+
+  var requires = [];
+  visit(ast, function(node) {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier' ||
+        node.callee.name !== 'require' || node.arguments.length !== 1) {
+      return;
+    }
+
+    var name = getStringValue(node.arguments[0]);
+    if (name != null) {
+      requires.push({
+        name: name,
+        range: node.arguments[0].range,
+      });
+    }
+  });
+  return requires;
+}
+
+/**
+ * Whether the regular expressions may get the requires of `code` (without
+ * the comments that start a line) wrong: every `require` has to be a call
+ * with a string, the lines with requires can't have other strings or
+ * slashes, and no line can have the start of a comment or be continued.
+ */
+function isTricky(code) {
+  if (/`|\\\n|\/\/|\/\*/.test(code)) {
+    return true;
+  }
+
+  var calls = matchRequires(code);
+  var words = code.match(REQUIRE_WORD_RE);
+  if (calls.length !== (words ? words.length : 0)) {
+    return true;
+  }
+
+  var withoutCalls = code;
+  for (var i = calls.length - 1; i >= 0; i--) {
+    withoutCalls = withoutCalls.slice(0, calls[i].range[0]) +
+      withoutCalls.slice(calls[i].range[1]);
+  }
+  return calls.some(function(call) {
+    var lineStart = withoutCalls.lastIndexOf('\n', call.range[0] - 1) + 1;
+    var lineEnd = withoutCalls.indexOf('\n', call.range[0]);
+    var line = withoutCalls.slice(
+      lineStart,
+      lineEnd === -1 ? withoutCalls.length : lineEnd
+    );
+    return /['"\/]/.test(line);
+  });
+}
+
+function matchRequires(code) {
+  var requires = [];
+  var match;
+  REQUIRE_CALL_RE.lastIndex = 0;
+  while ((match = REQUIRE_CALL_RE.exec(code)) != null) {
+    var start = code.indexOf(match[2], match.index + match[1].length);
+    requires.push({
+      name: match[3],
+      range: [start, start + match[3].length + 2],
+    });
+  }
+  return requires;
+}
+
+/**
+ * Replaces the comments `code` has with spaces, keeping the line breaks.
+ */
+function blankComments(code, blockCommentRe, lineCommentRe) {
+  var blank = function(comment) {
+    return comment.replace(/[^\n]/g, ' ');
+  };
+  return code.replace(blockCommentRe, blank).replace(lineCommentRe, blank);
+}
+
+function getStringValue(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+function visit(node, callback) {
+  callback(node);
+  parseModule.forEachChild(node, function(child) {
+    visit(child, callback);
+  });
+}
+
+exports.extract = extract;
+exports.rewrite = rewrite;
+exports.rewriteWithEdits = rewriteWithEdits;
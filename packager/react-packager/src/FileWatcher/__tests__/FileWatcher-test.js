@@ -37,6 +37,15 @@ describe('FileWatcher', function() {
     });
   });
 
+  pit('it should watch files with the given extensions', function() {
+    var fileWatcher = new FileWatcher(['otherRootDir'], ['js', 'json']);
+    return fileWatcher._loading.then(function() {
+      expect(Watcher).toBeCalledWith('otherRootDir', {
+        glob: ['**/*.js', '**/*.json', '**/package.json'],
+      });
+    });
+  });
+
   pit('it should end the watcher', function() {
     var fileWatcher = new FileWatcher(['rootDir']);
     Watcher.prototype.close.mockImplementation(function(callback) {
@@ -30,10 +30,20 @@ module.exports = FileWatcher;
 
 var MAX_WAIT_TIME = 3000;
 
-function FileWatcher(projectRoots) {
+/**
+ * Watches the `package.json` files and the files with one of the given
+ * `extensions` (defaults to `['js']`) in `projectRoots`.
+ */
+function FileWatcher(projectRoots, extensions) {
   var self = this;
+  var glob = (extensions || ['js']).map(function(ext) {
+    return '**/*.' + ext;
+  }).concat('**/package.json');
+
   this._loading = q.all(
-    projectRoots.map(createWatcher)
+    projectRoots.map(function(root) {
+      return createWatcher(root, glob);
+    })
   ).then(function(watchers) {
     watchers.forEach(function(watcher) {
       watcher.on('all', function(type, filepath, root) {
@@ -58,13 +68,13 @@ FileWatcher.prototype.end = function() {
 
 var watchersByRoot = Object.create(null);
 
-function createWatcher(root) {
+function createWatcher(root, glob) {
   if (watchersByRoot[root] != null) {
     return Promise.resolve(watchersByRoot[root]);
   }
 
   return detectingWatcherClass.then(function(Watcher) {
-    var watcher = new Watcher(root, {glob: ['**/*.js', '**/package.json']});
+    var watcher = new Watcher(root, {glob: glob});
 
     return new Promise(function(resolve, reject) {
       var rejectTimeout = setTimeout(function() {
@@ -10,6 +10,7 @@
 
 var _ = require('underscore');
 var crypto = require('crypto');
+var debug = require('debug')('Cache');
 var declareOpts = require('../lib/declareOpts');
 var fs = require('fs');
 var isAbsolutePath = require('absolute-path');
@@ -18,7 +19,16 @@ var q = require('q');
 var tmpdir = require('os').tmpDir();
 var version = require('../../../../package.json').version;
 
-var Promise = q.Promise;
+var readFile = q.nfbind(fs.readFile);
+var writeFile = q.nfbind(fs.writeFile);
+var rename = q.nfbind(fs.rename);
+var readDir = q.nfbind(fs.readdir);
+var stat = q.nfbind(fs.stat);
+var unlink = q.nfbind(fs.unlink);
+var utimes = q.nfbind(fs.utimes);
+
+// The transforms of the default transform module come from these.
+var TRANSFORM_LIBRARIES = ['jstransform', 'react-tools'];
 
 var validateOpts = declareOpts({
   resetCache: {
@@ -33,137 +43,274 @@ var validateOpts = declareOpts({
     type: 'array',
     required: true,
   },
+  transformModulePath: {
+    type: 'string',
+    required: false,
+  },
+  transforms: {
+    type: 'object',
+    default: {},
+  },
+  cacheDir: {
+    type: 'string',
+    default: path.join(tmpdir, 'react-packager-cache'),
+  },
+  maxCacheSize: {
+    type: 'number',
+    default: 500 * 1024 * 1024,
+  },
 });
 module.exports = Cache;
 
+/**
+ * Caches the results of transforming files on disk, under the hash of their
+ * content, their path relative to the project root and the transformer. Every
+ * record lives in its own file in a sub directory (shard) of `cacheDir` named
+ * after the first two characters of the hash. The least recently used records
+ * are evicted when the size of the records goes over `maxCacheSize`.
+ *
+ * Since records don't depend on mtimes or absolute paths, `cacheDir` can be
+ * shared between checkouts and machines.
+ */
 function Cache(options) {
   var opts = validateOpts(options);
 
-  this._cacheFilePath = cacheFilePath(opts);
+  this._cacheDir = opts.cacheDir;
+  this._maxCacheSize = opts.maxCacheSize;
+  this._projectRoots = opts.projectRoots;
+  this._resetCache = opts.resetCache;
+  this._transformerHash = transformerHash(opts);
 
-  var data;
-  if (!opts.resetCache) {
-    data = loadCacheSync(this._cacheFilePath);
-  } else {
-    data = Object.create(null);
-  }
-  this._data = data;
+  // The records of the current version of every file we've seen by path.
+  this._data = Object.create(null);
+  this._writing = Object.create(null);
+
+  mkdirsSync(this._cacheDir);
 
-  this._has = Object.prototype.hasOwnProperty.bind(data);
-  this._persistEventually = _.debounce(
-    this._persistCache.bind(this),
+  this._evictEventually = _.debounce(
+    this._evict.bind(this),
     2000
   );
 }
 
-Cache.prototype.get = function(filepath, loaderCb) {
+Cache.prototype.get = function(filepath, sourceCode, loaderCb) {
   if (!isAbsolutePath(filepath)) {
     throw new Error('Use absolute paths');
   }
 
-  var recordP = this._has(filepath)
-    ? this._data[filepath]
-    : this._set(filepath, loaderCb(filepath));
+  var key = this._getKey(filepath, sourceCode);
+  var record = this._data[filepath];
+  if (record == null || record.key !== key) {
+    record = this._data[filepath] = {
+      key: key,
+      data: this._load(key, function() {
+        return loaderCb(filepath);
+      }),
+    };
+  }
 
-  return recordP.then(function(record) {
-    return record.data;
+  var data = this._data;
+  return record.data.catch(function(error) {
+    // Don't hold on to failures, the loader may succeed next time.
+    if (data[filepath] === record) {
+      delete data[filepath];
+    }
+    throw error;
   });
 };
 
-Cache.prototype._set = function(filepath, loaderPromise) {
-  this._data[filepath] = loaderPromise.then(function(data) {
-    return [
-      data,
-      q.nfbind(fs.stat)(filepath)
-    ];
-  }).spread(function(data, stat) {
-    this._persistEventually();
-    return {
-      data: data,
-      mtime: stat.mtime.getTime(),
-    };
-  }.bind(this));
+Cache.prototype.invalidate = function(filepath) {
+  delete this._data[filepath];
+};
 
-  return this._data[filepath];
+/**
+ * Waits for the records that are being written and evicts records if needed.
+ */
+Cache.prototype.end = function() {
+  return q.all(_.values(this._writing))
+    .then(this._evict.bind(this));
 };
 
-Cache.prototype.invalidate = function(filepath){
-  if (this._has(filepath)) {
-    delete this._data[filepath];
+Cache.prototype._getKey = function(filepath, sourceCode) {
+  var hash = crypto.createHash('md5');
+  hash.update(this._transformerHash);
+  hash.update(this._getRelativePath(filepath));
+  hash.update('\0');
+  hash.update(sourceCode);
+  return hash.digest('hex');
+};
+
+Cache.prototype._getRelativePath = function(filepath) {
+  for (var i = 0; i < this._projectRoots.length; i++) {
+    var relativePath = path.relative(this._projectRoots[i], filepath);
+    if (relativePath.indexOf('..') !== 0) {
+      return relativePath;
+    }
   }
+  return filepath;
 };
 
-Cache.prototype.end = function() {
-  return this._persistCache();
+Cache.prototype._getRecordPath = function(key) {
+  return path.join(this._cacheDir, key.slice(0, 2), key);
 };
 
-Cache.prototype._persistCache = function() {
-  if (this._persisting != null) {
-    return this._persisting;
-  }
+Cache.prototype._load = function(key, loaderCb) {
+  var recordPath = this._getRecordPath(key);
+  var self = this;
 
-  var data = this._data;
-  var cacheFilepath = this._cacheFilePath;
-
-  this._persisting = q.all(_.values(data))
-    .then(function(values) {
-      var json = Object.create(null);
-      Object.keys(data).forEach(function(key, i) {
-        json[key] = values[i];
-      });
-      return q.nfbind(fs.writeFile)(cacheFilepath, JSON.stringify(json));
+  var reading = this._resetCache
+    ? q.reject(new Error('Not reading the cache'))
+    : readFile(recordPath, 'utf8').then(function(content) {
+      // Mark the record as recently used.
+      utimes(recordPath, new Date(), new Date()).catch(ignoreError).done();
+      return JSON.parse(content);
+    });
+
+  return reading.catch(function() {
+    return loaderCb().then(function(data) {
+      self._write(key, data);
+      return data;
+    });
+  });
+};
+
+Cache.prototype._write = function(key, data) {
+  var recordPath = this._getRecordPath(key);
+  // Write to a temporary file first so that other processes sharing the
+  // cache directory never read a partial record.
+  var tmpPath = recordPath + '.' + process.pid + '.tmp';
+  var writing = this._writing;
+
+  writing[key] = mkdir(path.dirname(recordPath))
+    .then(function() {
+      return writeFile(tmpPath, JSON.stringify(data));
     })
     .then(function() {
-      this._persisting = null;
-      return true;
-    }.bind(this));
+      return rename(tmpPath, recordPath);
+    })
+    .catch(function(error) {
+      debug('WARNING: Unable to write cache record', recordPath, error);
+    })
+    .finally(function() {
+      delete writing[key];
+    });
 
-  return this._persisting;
+  this._evictEventually();
 };
 
-function loadCacheSync(cachePath) {
-  var ret = Object.create(null);
-  if (!fs.existsSync(cachePath)) {
-    return ret;
+/**
+ * Deletes the least recently used records until the records take less than
+ * `maxCacheSize` bytes.
+ */
+Cache.prototype._evict = function() {
+  if (this._evicting != null) {
+    return this._evicting;
   }
 
-  var cacheOnDisk;
-  try {
-    cacheOnDisk = JSON.parse(fs.readFileSync(cachePath));
-  } catch (e) {
-    if (e instanceof SyntaxError) {
-      console.warn('Unable to parse cache file. Will clear and continue.');
-      fs.unlinkSync(cachePath);
-      return ret;
-    }
-    throw e;
+  var cacheDir = this._cacheDir;
+  var maxCacheSize = this._maxCacheSize;
+  var self = this;
+
+  this._evicting = readDir(cacheDir)
+    .then(function(shards) {
+      return q.all(shards.map(function(shard) {
+        var shardPath = path.join(cacheDir, shard);
+        return readDir(shardPath).then(function(files) {
+          return files.map(function(file) {
+            return path.join(shardPath, file);
+          });
+        }, function() {
+          return [];
+        });
+      }));
+    })
+    .then(function(shardFiles) {
+      var files = _.flatten(shardFiles);
+      return q.all(files.map(function(file) {
+        return stat(file).then(function(stats) {
+          return {
+            path: file,
+            size: stats.size,
+            mtime: stats.mtime.getTime(),
+          };
+        }, ignoreError);
+      }));
+    })
+    .then(function(records) {
+      records = _.sortBy(_.compact(records), 'mtime');
+      var size = records.reduce(function(sum, record) {
+        return sum + record.size;
+      }, 0);
+
+      var evicted = [];
+      for (var i = 0; i < records.length && size > maxCacheSize; i++) {
+        size -= records[i].size;
+        evicted.push(unlink(records[i].path).catch(ignoreError));
+      }
+      return q.all(evicted);
+    })
+    .catch(function(error) {
+      debug('WARNING: Unable to evict cache records', error);
+    })
+    .finally(function() {
+      self._evicting = null;
+    });
+
+  return this._evicting;
+};
+
+/**
+ * The records depend on the transform module, the transform plugins, the
+ * version of the packager and of the libraries that do the transforms. Hash
+ * them so that changing or upgrading any of them uses new records.
+ */
+function transformerHash(options) {
+  var hash = crypto.createHash('md5');
+  hash.update(version);
+  hash.update(options.cacheVersion || '0');
+  TRANSFORM_LIBRARIES.forEach(function(name) {
+    hash.update(name + '@' + getLibraryVersion(name));
+  });
+
+  var modulePaths = _.flatten(_.values(options.transforms));
+  if (options.transformModulePath != null) {
+    modulePaths.unshift(options.transformModulePath);
   }
 
-  // Filter outdated cache and convert to promises.
-  Object.keys(cacheOnDisk).forEach(function(key) {
-    if (!fs.existsSync(key)) {
-      return;
-    }
-    var value = cacheOnDisk[key];
-    var stat = fs.statSync(key);
-    if (stat.mtime.getTime() === value.mtime) {
-      ret[key] = Promise.resolve(value);
+  modulePaths.forEach(function(modulePath) {
+    if (fs.existsSync(modulePath)) {
+      hash.update(fs.readFileSync(modulePath));
     }
   });
 
-  return ret;
+  return hash.digest('hex');
 }
 
-function cacheFilePath(options) {
-  var hash = crypto.createHash('md5');
-  hash.update(version);
-
-  var roots = options.projectRoots.join(',').split(path.sep).join('-');
-  hash.update(roots);
+function getLibraryVersion(name) {
+  try {
+    return require(name + '/package.json').version;
+  } catch (e) {
+    return '';
+  }
+}
 
-  var cacheVersion = options.cacheVersion || '0';
-  hash.update(cacheVersion);
+function mkdirsSync(dirPath) {
+  if (fs.existsSync(dirPath)) {
+    return;
+  }
+  var parentPath = path.dirname(dirPath);
+  if (parentPath !== dirPath) {
+    mkdirsSync(parentPath);
+  }
+  fs.mkdirSync(dirPath);
+}
 
-  var name = 'react-packager-cache-' + hash.digest('hex');
-  return path.join(tmpdir, name);
+function mkdir(dirPath) {
+  return q.nfcall(fs.mkdir, dirPath).catch(function(error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  });
 }
+
+function ignoreError() {}
@@ -19,191 +19,208 @@ var q = require('q');
 
 describe('JSTransformer Cache', function() {
   var Cache;
+  var fs;
 
   beforeEach(function() {
     require('os').tmpDir.mockImpl(function() {
       return 'tmpDir';
     });
 
+    fs = require('fs');
+    fs.readFile.mockImpl(function(file, encoding, callback) {
+      callback(new Error('ENOENT'));
+    });
+    fs.mkdir.mockImpl(function(dir, callback) {
+      callback(null);
+    });
+    fs.writeFile.mockImpl(function(file, data, callback) {
+      callback(null);
+    });
+    fs.rename.mockImpl(function(from, to, callback) {
+      callback(null);
+    });
+    fs.readdir.mockImpl(function(dir, callback) {
+      callback(null, []);
+    });
+
     Cache = require('../Cache');
   });
 
   describe('getting/setting', function() {
-    it('calls loader callback for uncached file', function() {
+    pit('calls loader callback for uncached file', function() {
       var cache = new Cache({projectRoots: ['/rootDir']});
       var loaderCb = jest.genMockFn().mockImpl(function() {
         return q();
       });
-      cache.get('/rootDir/someFile', loaderCb);
-      expect(loaderCb).toBeCalledWith('/rootDir/someFile');
+      return cache.get('/rootDir/someFile', 'content', loaderCb)
+        .then(function() {
+          expect(loaderCb).toBeCalledWith('/rootDir/someFile');
+        });
     });
 
     pit('gets the value from the loader callback', function() {
-      require('fs').stat.mockImpl(function(file, callback) {
-        callback(null, {
-          mtime: {
-            getTime: function() {}
-          }
-        });
-      });
       var cache = new Cache({projectRoots: ['/rootDir']});
       var loaderCb = jest.genMockFn().mockImpl(function() {
         return q('lol');
       });
-      return cache.get('/rootDir/someFile', loaderCb).then(function(value) {
-        expect(value).toBe('lol');
-      });
+      return cache.get('/rootDir/someFile', 'content', loaderCb)
+        .then(function(value) {
+          expect(value).toBe('lol');
+        });
     });
 
     pit('caches the value after the first call', function() {
-      require('fs').stat.mockImpl(function(file, callback) {
-        callback(null, {
-          mtime: {
-            getTime: function() {}
-          }
-        });
-      });
       var cache = new Cache({projectRoots: ['/rootDir']});
       var loaderCb = jest.genMockFn().mockImpl(function() {
         return q('lol');
       });
-      return cache.get('/rootDir/someFile', loaderCb).then(function() {
-        var shouldNotBeCalled = jest.genMockFn();
-        return cache.get('/rootDir/someFile', shouldNotBeCalled)
-          .then(function(value) {
-            expect(shouldNotBeCalled).not.toBeCalled();
-            expect(value).toBe('lol');
-          });
-      });
+      return cache.get('/rootDir/someFile', 'content', loaderCb)
+        .then(function() {
+          var shouldNotBeCalled = jest.genMockFn();
+          return cache.get('/rootDir/someFile', 'content', shouldNotBeCalled)
+            .then(function(value) {
+              expect(shouldNotBeCalled).not.toBeCalled();
+              expect(value).toBe('lol');
+            });
+        });
     });
-  });
 
-  describe('loading cache from disk', function() {
-    var fileStats;
-
-    beforeEach(function() {
-      fileStats = {
-        '/rootDir/someFile': {
-          mtime: {
-            getTime: function() {
-              return 22;
-            }
-          }
-        },
-        '/rootDir/foo': {
-          mtime: {
-            getTime: function() {
-              return 11;
-            }
-          }
-        }
-      };
-
-      var fs = require('fs');
-
-      fs.existsSync.mockImpl(function() {
-        return true;
+    pit('calls the loader again when the content changes', function() {
+      var cache = new Cache({projectRoots: ['/rootDir']});
+      var loaderCb = jest.genMockFn().mockImpl(function() {
+        return q('lol');
       });
+      return cache.get('/rootDir/someFile', 'content', loaderCb)
+        .then(function() {
+          return cache.get('/rootDir/someFile', 'new content', loaderCb);
+        })
+        .then(function() {
+          expect(loaderCb.mock.calls.length).toBe(2);
+        });
+    });
+  });
 
-      fs.statSync.mockImpl(function(filePath) {
-        return fileStats[filePath];
+  describe('records on disk', function() {
+    pit('should write the record to its shard', function() {
+      var cache = new Cache({projectRoots: ['/rootDir']});
+      return cache.get('/rootDir/someFile', 'content', function() {
+        return q('lol');
+      }).then(function() {
+        return cache.end();
+      }).then(function() {
+        var recordPath = fs.rename.mock.calls[0][1];
+        var key = recordPath.split('/').pop();
+        expect(recordPath).toBe(
+          'tmpDir/react-packager-cache/' + key.slice(0, 2) + '/' + key
+        );
+        expect(fs.writeFile.mock.calls[0][0]).toBe(fs.rename.mock.calls[0][0]);
+        expect(fs.writeFile.mock.calls[0][1]).toBe('"lol"');
       });
+    });
 
-      fs.readFileSync.mockImpl(function() {
-        return JSON.stringify({
-          '/rootDir/someFile': {
-            mtime: 22,
-            data: 'oh hai'
-          },
-          '/rootDir/foo': {
-            mtime: 11,
-            data: 'lol wat'
-          }
-        });
+    pit('should load the record from disk', function() {
+      fs.readFile.mockImpl(function(file, encoding, callback) {
+        callback(null, JSON.stringify('oh hai'));
       });
-    });
 
-    pit('should load cache from disk', function() {
       var cache = new Cache({projectRoots: ['/rootDir']});
       var loaderCb = jest.genMockFn();
-      return cache.get('/rootDir/someFile', loaderCb).then(function(value) {
-        expect(loaderCb).not.toBeCalled();
-        expect(value).toBe('oh hai');
-
-        return cache.get('/rootDir/foo', loaderCb).then(function(value) {
+      return cache.get('/rootDir/someFile', 'content', loaderCb)
+        .then(function(value) {
           expect(loaderCb).not.toBeCalled();
-          expect(value).toBe('lol wat');
+          expect(value).toBe('oh hai');
         });
-      });
     });
 
-    pit('should not load outdated cache', function() {
-      require('fs').stat.mockImpl(function(file, callback) {
-        callback(null, {
-          mtime: {
-            getTime: function() {}
-          }
-        });
+    pit('should not load records from disk when resetting', function() {
+      fs.readFile.mockImpl(function(file, encoding, callback) {
+        callback(null, JSON.stringify('oh hai'));
       });
 
-      fileStats['/rootDir/foo'].mtime.getTime = function() {
-        return 123;
-      };
+      var cache = new Cache({projectRoots: ['/rootDir'], resetCache: true});
+      return cache.get('/rootDir/someFile', 'content', function() {
+        return q('new value');
+      }).then(function(value) {
+        expect(value).toBe('new value');
+      });
+    });
 
+    it('should share records between project roots', function() {
       var cache = new Cache({projectRoots: ['/rootDir']});
-      var loaderCb = jest.genMockFn().mockImpl(function() {
-        return q('new value');
+      var otherCache = new Cache({projectRoots: ['/otherRootDir']});
+      expect(cache._getKey('/rootDir/someFile', 'content'))
+        .toBe(otherCache._getKey('/otherRootDir/someFile', 'content'));
+    });
+
+    it('should use new records when the transformer changes', function() {
+      var transformer = 'transform';
+      fs.existsSync.mockImpl(function() {
+        return true;
+      });
+      fs.readFileSync.mockImpl(function() {
+        return transformer;
       });
 
-      return cache.get('/rootDir/someFile', loaderCb).then(function(value) {
-        expect(loaderCb).not.toBeCalled();
-        expect(value).toBe('oh hai');
+      var options = {
+        projectRoots: ['/rootDir'],
+        transformModulePath: '/transformer.js',
+      };
+      var cache = new Cache(options);
+      transformer = 'transform better';
+      var otherCache = new Cache(options);
+      expect(cache._getKey('/rootDir/someFile', 'content'))
+        .not.toBe(otherCache._getKey('/rootDir/someFile', 'content'));
+    });
 
-        return cache.get('/rootDir/foo', loaderCb).then(function(value) {
-          expect(loaderCb).toBeCalled();
-          expect(value).toBe('new value');
-        });
+    it('should use new records when the transform libraries change', function() {
+      jest.setMock('jstransform/package.json', {version: '10.0.1'});
+      var cache = new Cache({projectRoots: ['/rootDir']});
+      jest.setMock('jstransform/package.json', {version: '10.1.0'});
+      var otherCache = new Cache({projectRoots: ['/rootDir']});
+      expect(cache._getKey('/rootDir/someFile', 'content'))
+        .not.toBe(otherCache._getKey('/rootDir/someFile', 'content'));
+    });
+
+    it('should create the cache dir along with its parents', function() {
+      fs.existsSync.mockImpl(function(dirPath) {
+        return dirPath === '/shared';
       });
+
+      new Cache({projectRoots: ['/rootDir'], cacheDir: '/shared/ci/cache'});
+      expect(fs.mkdirSync.mock.calls)
+        .toEqual([['/shared/ci'], ['/shared/ci/cache']]);
     });
   });
 
-  describe('writing cache to disk', function() {
-    it('should write cache to disk', function() {
-      var index = 0;
-      var mtimes = [10, 20, 30];
-      var debounceIndex = 0;
-      require('underscore').debounce = function(callback) {
-        return function () {
-          if (++debounceIndex === 3) {
-            callback();
-          }
-        };
-      };
-
-      var fs = require('fs');
+  describe('eviction', function() {
+    pit('should delete the least recently used records', function() {
+      var cacheDir = 'tmpDir/react-packager-cache';
+      fs.readdir.mockImpl(function(dir, callback) {
+        if (dir === cacheDir) {
+          callback(null, ['ab']);
+        } else {
+          callback(null, ['old', 'new']);
+        }
+      });
       fs.stat.mockImpl(function(file, callback) {
         callback(null, {
+          size: 8,
           mtime: {
             getTime: function() {
-              return mtimes[index++];
+              return file === cacheDir + '/ab/old' ? 1 : 2;
             }
           }
         });
       });
-
-      var cache = new Cache({projectRoots: ['/rootDir']});
-      cache.get('/rootDir/bar', function() {
-        return q('bar value');
-      });
-      cache.get('/rootDir/foo', function() {
-        return q('foo value');
-      });
-      cache.get('/rootDir/baz', function() {
-        return q('baz value');
+      fs.unlink.mockImpl(function(file, callback) {
+        callback(null);
       });
 
-      jest.runAllTicks();
-      expect(fs.writeFile).toBeCalled();
+      var cache = new Cache({projectRoots: ['/rootDir'], maxCacheSize: 10});
+      return cache.end().then(function() {
+        expect(fs.unlink.mock.calls.length).toBe(1);
+        expect(fs.unlink.mock.calls[0][0]).toBe(cacheDir + '/ab/old');
+      });
     });
   });
 });
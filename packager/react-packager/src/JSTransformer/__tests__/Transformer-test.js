@@ -11,6 +11,7 @@
 jest
   .dontMock('worker-farm')
   .dontMock('os')
+  .dontMock('path')
   .dontMock('../index');
 
 var OPTIONS = {
@@ -26,9 +27,11 @@ describe('Transformer', function() {
     jest.setMock('worker-farm', jest.genMockFn().mockImpl(function() {
       return workers;
     }));
-    require('../Cache').prototype.get.mockImpl(function(filePath, callback) {
-      return callback();
-    });
+    require('../Cache').prototype.get.mockImpl(
+      function(filePath, sourceCode, callback) {
+        return callback();
+      }
+    );
     require('fs').readFile.mockImpl(function(file, callback) {
       callback(null, 'content');
     });
@@ -37,7 +40,11 @@ describe('Transformer', function() {
 
   pit('should loadFileAndTransform', function() {
     workers.mockImpl(function(data, callback) {
-      callback(null, { code: 'transformed' });
+      callback(null, {
+        code: 'transformed',
+        map: 'source map',
+        transformTime: 12,
+      });
     });
     require('fs').readFile.mockImpl(function(file, callback) {
       callback(null, 'content');
@@ -47,12 +54,71 @@ describe('Transformer', function() {
       .then(function(data) {
         expect(data).toEqual({
           code: 'transformed',
+          map: 'source map',
           sourcePath: 'file',
-          sourceCode: 'content'
+          sourceCode: 'content',
+          transformTime: 12,
+        });
+        expect(require('../../Activity').record).toBeCalledWith(
+          'transform module',
+          {path: 'file', cached: false, duration: 12}
+        );
+      });
+  });
+
+  pit('should record transforms that come from the cache', function() {
+    require('../Cache').prototype.get.mockImpl(function() {
+      return require('q')({code: 'cached', map: 'source map'});
+    });
+
+    return new Transformer(OPTIONS).loadFileAndTransform('file')
+      .then(function(data) {
+        expect(data.code).toBe('cached');
+        expect(data.transformTime).toBe(null);
+        expect(workers).not.toBeCalled();
+        expect(require('../../Activity').record).toBeCalledWith(
+          'transform module',
+          {path: 'file', cached: true, duration: null}
+        );
+      });
+  });
+
+  pit('should pass the transforms for the file extension', function() {
+    workers.mockImpl(function(data, callback) {
+      callback(null, { code: 'transformed' });
+    });
+
+    var transformer = new Transformer({
+      transformModulePath: '/foo/bar',
+      transforms: {json: ['/foo/json']},
+    });
+    return transformer.loadFileAndTransform('file.json')
+      .then(function() {
+        expect(workers.mock.calls[0][0]).toEqual({
+          sourceCode: 'content',
+          filename: 'file.json',
+          transforms: ['/foo/json'],
         });
       });
   });
 
+  it('should cache transforms on disk unless non persistent', function() {
+    var Cache = require('../Cache');
+    new Transformer(OPTIONS);
+    expect(Cache.mock.instances.length).toBe(1);
+
+    new Transformer({transformModulePath: '/foo/bar', nonPersistent: true});
+    expect(Cache.mock.instances.length).toBe(1);
+
+    // Builds that don't watch files can still share the cache.
+    new Transformer({
+      transformModulePath: '/foo/bar',
+      nonPersistent: true,
+      cacheTransforms: true,
+    });
+    expect(Cache.mock.instances.length).toBe(2);
+  });
+
   pit('should add file info to parse errors', function() {
     require('fs').readFile.mockImpl(function(file, callback) {
       callback(null, 'var x;\nvar answer = 1 = x;');
@@ -9,8 +9,10 @@
 'use strict';
 
 var fs = require('fs');
+var path = require('path');
 var q = require('q');
 var Cache = require('./Cache');
+var Activity = require('../Activity');
 var _ = require('underscore');
 var workerFarm = require('worker-farm');
 var declareOpts = require('../lib/declareOpts');
@@ -45,23 +47,50 @@ var validateOpts = declareOpts({
     type:'string',
     required: false,
   },
+  transforms: {
+    type: 'object',
+    default: {},
+  },
   nonPersistent: {
     type: 'boolean',
     default: false,
   },
+  cacheTransforms: {
+    type: 'boolean',
+    required: false,
+  },
+  cacheDir: {
+    type: 'string',
+    required: false,
+  },
+  maxCacheSize: {
+    type: 'number',
+    required: false,
+  },
 });
 
 function Transformer(options) {
   var opts = validateOpts(options);
 
-  this._cache = opts.nonPersistent
+  // The cache persists transforms across runs, unless told otherwise.
+  var cacheTransforms = opts.cacheTransforms != null
+    ? opts.cacheTransforms
+    : !opts.nonPersistent;
+
+  this._cache = !cacheTransforms
     ? new DummyCache()
     : new Cache({
       resetCache: options.resetCache,
       cacheVersion: options.cacheVersion,
       projectRoots: options.projectRoots,
+      transformModulePath: options.transformModulePath,
+      transforms: opts.transforms,
+      cacheDir: opts.cacheDir,
+      maxCacheSize: opts.maxCacheSize,
     });
 
+  this._transforms = opts.transforms;
+
   if (options.transformModulePath == null) {
     this._failedToStart = q.Promise.reject(new Error('No transfrom module'));
   } else {
@@ -87,29 +116,55 @@ Transformer.prototype.loadFileAndTransform = function(filePath) {
   }
 
   var workers = this._workers;
-  return this._cache.get(filePath, function() {
-    return readFile(filePath)
-      .then(function(buffer) {
-        var sourceCode = buffer.toString();
-
+  var ext = path.extname(filePath).replace(/^\./, '');
+  var transforms = this._transforms[ext] || [];
+  var cache = this._cache;
+  return readFile(filePath)
+    .then(function(buffer) {
+      var sourceCode = buffer.toString();
+      // Stays null when the transform comes from the cache.
+      var transformTime = null;
+
+      return cache.get(filePath, sourceCode, function() {
+        var startTime = Date.now();
         return q.nfbind(workers)({
           sourceCode: sourceCode,
           filename: filePath,
+          transforms: transforms,
         }).then(
           function(res) {
             if (res.error) {
               throw formatError(res.error, filePath, sourceCode);
             }
 
+            // The time spent waiting for a free worker only counts when the
+            // worker doesn't say how long the transform took.
+            transformTime = res.transformTime != null
+              ? res.transformTime
+              : Date.now() - startTime;
+
             return {
               code: res.code,
-              sourcePath: filePath,
-              sourceCode: sourceCode
+              map: res.map,
             };
           }
         );
+      }).then(function(res) {
+        Activity.record('transform module', {
+          path: filePath,
+          cached: transformTime == null,
+          duration: transformTime,
+        });
+
+        return {
+          code: res.code,
+          map: res.map,
+          sourcePath: filePath,
+          sourceCode: sourceCode,
+          transformTime: transformTime,
+        };
       });
-  });
+    });
 };
 
 function TransformError() {}
@@ -158,7 +213,7 @@ function formatEsprimaError(err, filename, source) {
 }
 
 function DummyCache() {}
-DummyCache.prototype.get = function(filePath, loaderCb) {
+DummyCache.prototype.get = function(filePath, sourceCode, loaderCb) {
   return loaderCb();
 };
 DummyCache.prototype.end =
@@ -9,8 +9,9 @@
 'use strict';
 
 var _ = require('underscore');
-var base64VLQ = require('./base64-vlq');
+var SourceMapConsumer = require('source-map').SourceMapConsumer;
 var UglifyJS = require('uglify-js');
+var base64VLQ = require('source-map/lib/source-map/base64-vlq');
 
 module.exports = Package;
 
@@ -24,20 +25,76 @@ Package.prototype.setMainModuleId = function(moduleId) {
   this._mainModuleId = moduleId;
 };
 
+/**
+ * `info` is optional: `{id, dependencies, packageRoot, asset, isPolyfill}`
+ * where `dependencies` are the paths of the modules in the package this
+ * module requires, and `asset` describes the files of asset modules.
+ *
+ * `sourceMap` is the map of the code before it was wrapped in the module
+ * definition, and `wrapEdits` (optional) are how wrapping moved its columns,
+ * as returned by the resolver's `wrapModuleWithEdits`.
+ */
 Package.prototype.addModule = function(
   transformedCode,
   sourceCode,
-  sourcePath
+  sourcePath,
+  sourceMap,
+  info,
+  wrapEdits
 ) {
   this._modules.push({
     transformedCode: transformedCode,
     sourceCode: sourceCode,
-    sourcePath: sourcePath
+    sourcePath: sourcePath,
+    sourceMap: sourceMap,
+    info: info,
+    wrapEdits: wrapEdits,
   });
 };
 
+/**
+ * The `info` of the module with the path `sourcePath`, or null.
+ */
+Package.prototype.getModuleInfo = function(sourcePath) {
+  var module = this._getModulesByPath()[sourcePath];
+  return module != null && module.info != null ? module.info : null;
+};
+
+/**
+ * The paths of the modules that have an `info`, in the order of the package.
+ */
+Package.prototype.getModulePaths = function() {
+  return _.pluck(
+    this._modules.filter(function(module) {
+      return module.info != null;
+    }),
+    'sourcePath'
+  );
+};
+
+/**
+ * Adds the module with the path `sourcePath` from `previousPackage`, along
+ * with its source map mappings if they have been computed already. Packages
+ * are rebuilt like this without going through unchanged modules again.
+ */
+Package.prototype.reuseModule = function(previousPackage, sourcePath) {
+  var module = previousPackage._getModulesByPath()[sourcePath];
+  if (module == null) {
+    throw new Error('Module is not in the previous package: ' + sourcePath);
+  }
+  this._modules.push(module);
+};
+
+Package.prototype._getModulesByPath = function() {
+  if (this._modulesByPath == null) {
+    this._modulesByPath = _.indexBy(this._modules, 'sourcePath');
+  }
+  return this._modulesByPath;
+};
+
 Package.prototype.finalize = function(options) {
   options = options || {};
+  this._runMainModule = !!options.runMainModule;
   if (options.runMainModule) {
     var runCode = ';require("' + this._mainModuleId + '");';
     this.addModule(
@@ -129,67 +186,506 @@ Package.prototype.getMinifiedSourceAndMap = function() {
   }
 };
 
+/**
+ * The source map is put together from the mappings of every module, which
+ * are encoded once and kept for the packages the module is reused in: only
+ * the first mapping of a module (and the first one with a name) are encoded
+ * relative to the module before it, so they are the only ones that are
+ * encoded again where the module ends up in another package.
+ */
 Package.prototype.getSourceMap = function(options) {
   this._assertFinalized();
 
   options = options || {};
-  var mappings = this._getMappings();
-  var map = {
-    file: 'bundle.js',
-    sources: _.pluck(this._modules, 'sourcePath'),
+  var sources = [];
+  var sourcesContent = [];
+  var names = [];
+  var mappings = [];
+  // Where the mappings of the module before left off.
+  var previous = {source: 0, line: 0, column: 0, name: 0};
+
+  this._modules.forEach(function(module) {
+    if (module.encodedMappings == null) {
+      module.encodedMappings = encodeMappings(
+        module.sourceMap
+          ? getTransformerMappings(module)
+          : getLineMappings(module),
+        module.transformedCode.split('\n').length
+      );
+    }
+
+    var encoded = module.encodedMappings;
+    if (encoded.last == null) {
+      mappings.push(encoded.mappings);
+      return;
+    }
+
+    var offsets = {source: sources.length, name: names.length};
+    mappings.push(spliceMappings(encoded, previous, offsets));
+    sources.push(module.sourcePath);
+    sourcesContent.push(module.sourceCode);
+    names.push.apply(names, encoded.names);
+    previous = {
+      source: offsets.source,
+      line: encoded.last.line,
+      column: encoded.last.column,
+      name: encoded.last.name != null
+        ? offsets.name + encoded.last.name
+        : previous.name,
+    };
+  });
+
+  var sourceMap = {
     version: 3,
-    names: [],
-    mappings: mappings,
-    sourcesContent: options.excludeSource
-      ? [] : _.pluck(this._modules, 'sourceCode')
+    file: 'bundle.js',
+    sources: sources,
+    names: names,
+    // Modules are joined with a new line.
+    mappings: mappings.join(';').replace(/;+$/, ''),
   };
-  return map;
-};
-
-Package.prototype._getMappings = function() {
-  var modules = this._modules;
-
-  // The first line mapping in our package is basically the base64vlq code for
-  // zeros (A).
-  var firstLine = 'AAAA';
-
-  // Most other lines in our mappings are all zeros (for module, column etc)
-  // except for the lineno mappinp: curLineno - prevLineno = 1; Which is C.
-  var line = 'AACA';
-
-  var mappings = '';
-  for (var i = 0; i < modules.length; i++) {
-    var module = modules[i];
-    var transformedCode = module.transformedCode;
-    var lastCharNewLine  = false;
-    module.lines = 0;
-    for (var t = 0; t < transformedCode.length; t++) {
-      if (t === 0 && i === 0) {
-        mappings += firstLine;
-      } else if (t === 0) {
-        mappings += 'AC';
-
-        // This is the only place were we actually don't know the mapping ahead
-        // of time. When it's a new module (and not the first) the lineno
-        // mapping is 0 (current) - number of lines in prev module.
-        mappings += base64VLQ.encode(0 - modules[i - 1].lines);
-        mappings += 'A';
-      } else if (lastCharNewLine) {
-        module.lines++;
-        mappings += line;
-       }
-      lastCharNewLine = transformedCode[t] === '\n';
-      if (lastCharNewLine) {
-        mappings += ';';
+  if (!options.excludeSource) {
+    sourceMap.sourcesContent = sourcesContent;
+  }
+  return sourceMap;
+};
+
+/**
+ * Encodes the `mappings` of a module that has `lineCount` lines as if the
+ * module was the first one in the package, with `names` of its own. The
+ * first mapping and the first mapping with a name are kept in `fixups`
+ * for `spliceMappings`.
+ */
+function encodeMappings(mappings, lineCount) {
+  var names = [];
+  var nameIndexes = Object.create(null);
+  var text = '';
+  var fixups = [];
+  var line = 1;
+  var column = 0;
+  var previous = {line: 0, column: 0, name: 0};
+  var hasName = false;
+  var last = null;
+
+  sortMappings(mappings).forEach(function(mapping) {
+    if (last != null && compareMappings(last, mapping) === 0) {
+      return;
+    }
+
+    if (mapping.generated.line !== line) {
+      column = 0;
+      while (line < mapping.generated.line) {
+        text += ';';
+        line++;
       }
+    } else if (last != null) {
+      text += ',';
     }
-    if (i !== modules.length - 1) {
-      mappings += ';';
+
+    var fields = [
+      mapping.generated.column - column,
+      0,
+      mapping.original.line - 1 - previous.line,
+      mapping.original.column - previous.column,
+    ];
+    var name = null;
+    if (mapping.name) {
+      if (nameIndexes[mapping.name] == null) {
+        nameIndexes[mapping.name] = names.push(mapping.name) - 1;
+      }
+      name = nameIndexes[mapping.name];
+      fields.push(name - previous.name);
+    }
+
+    var isFirst = last == null;
+    var isFirstNamed = name != null && !hasName;
+    if (isFirst || isFirstNamed) {
+      fixups.push({
+        start: text.length,
+        end: text.length + encodeFields(fields).length,
+        fields: fields,
+        isFirst: isFirst,
+        isFirstNamed: isFirstNamed,
+      });
+    }
+    text += encodeFields(fields);
+
+    column = mapping.generated.column;
+    previous = {
+      line: mapping.original.line - 1,
+      column: mapping.original.column,
+      name: name != null ? name : previous.name,
+    };
+    hasName = hasName || name != null;
+    last = mapping;
+  });
+
+  while (line < lineCount) {
+    text += ';';
+    line++;
+  }
+
+  return {
+    mappings: text,
+    names: names,
+    fixups: fixups,
+    last: last == null ? null : {
+      line: previous.line,
+      column: previous.column,
+      name: hasName ? previous.name : null,
+    },
+  };
+}
+
+/**
+ * The mappings of an encoded module that comes after the module whose
+ * mappings ended at `previous`, with its source and names at `offsets`.
+ */
+function spliceMappings(encoded, previous, offsets) {
+  var text = encoded.mappings;
+  var result = '';
+  var position = 0;
+  encoded.fixups.forEach(function(fixup) {
+    var fields = fixup.fields.slice();
+    if (fixup.isFirst) {
+      fields[1] += offsets.source - previous.source;
+      fields[2] -= previous.line;
+      fields[3] -= previous.column;
+    }
+    if (fixup.isFirstNamed) {
+      fields[4] += offsets.name - previous.name;
+    }
+    result += text.slice(position, fixup.start) + encodeFields(fields);
+    position = fixup.end;
+  });
+  return result + text.slice(position);
+}
+
+function encodeFields(fields) {
+  return fields.map(base64VLQ.encode).join('');
+}
+
+function sortMappings(mappings) {
+  return mappings.slice().sort(compareMappings);
+}
+
+function compareMappings(a, b) {
+  return a.generated.line - b.generated.line ||
+    a.generated.column - b.generated.column ||
+    a.original.line - b.original.line ||
+    a.original.column - b.original.column ||
+    (a.name || '').localeCompare(b.name || '');
+}
+
+/**
+ * The mappings the transformer produced for `module`, relative to where the
+ * module starts in the package.
+ *
+ * The maps are generated for the transformed code before it gets wrapped in
+ * the module definition, so the columns are moved by the `wrapEdits` of the
+ * module: the definition is prepended to the first line, and rewriting the
+ * names of the requires changes the length of the lines they are on.
+ */
+function getTransformerMappings(module) {
+  var mappings = [];
+  var editsByLine = _.groupBy(module.wrapEdits || [], 'line');
+  var consumer = new SourceMapConsumer(module.sourceMap);
+  consumer.eachMapping(function(mapping) {
+    if (mapping.originalLine == null) {
+      return;
+    }
+
+    var column = mapping.generatedColumn;
+    (editsByLine[mapping.generatedLine] || []).forEach(function(edit) {
+      if (edit.column <= mapping.generatedColumn) {
+        column += edit.delta;
+      }
+    });
+
+    mappings.push({
+      generated: {
+        line: mapping.generatedLine,
+        column: column,
+      },
+      original: {
+        line: mapping.originalLine,
+        column: mapping.originalColumn,
+      },
+      source: module.sourcePath,
+      name: mapping.name,
+    });
+  });
+  return mappings;
+}
+
+/**
+ * For modules without a source map (assets, generated code) we assume every
+ * line maps to the same line at column 0.
+ */
+function getLineMappings(module) {
+  var mappings = [];
+  var transformedCode = module.transformedCode;
+  var line = 0;
+  for (var t = 0; t < transformedCode.length; t++) {
+    if (t === 0 || transformedCode[t - 1] === '\n') {
+      mappings.push({
+        generated: {line: line + 1, column: 0},
+        original: {line: line + 1, column: 0},
+        source: module.sourcePath,
+      });
+    }
+    if (transformedCode[t] === '\n') {
+      line++;
     }
   }
   return mappings;
+}
+
+/**
+ * Returns the modules that were added or whose code changed since
+ * `previousPackage` was built.
+ */
+Package.prototype.getModulesChangedSince = function(previousPackage) {
+  var previousCode = Object.create(null);
+  previousPackage._modules.forEach(function(module) {
+    previousCode[module.sourcePath] = module.transformedCode;
+  });
+
+  return this._modules.filter(function(module) {
+    return previousCode[module.sourcePath] !== module.transformedCode;
+  });
+};
+
+/**
+ * The assets the modules of the package require, with the paths of the files
+ * of their variants (`files`) and the url of their directory
+ * (`httpServerLocation`).
+ */
+Package.prototype.getAssets = function() {
+  return this._modules
+    .filter(function(module) {
+      return module.info != null && module.info.asset != null;
+    })
+    .map(function(module) {
+      return module.info.asset;
+    });
 };
 
+/**
+ * Splits the package into a core package and a package for each of the
+ * `splitPoints` (module ids), which are meant to be loaded with `requireLazy`.
+ *
+ * The core package has the modules that are required from the main module
+ * without going through a split point, and the modules that no split point
+ * requires (polyfills). The package of a split point has the modules it
+ * requires that aren't in the core package, so modules required by several
+ * split points are in each of their packages. The core package registers the
+ * modules of the other packages under their `bundleUrl`, which
+ * `getPartUrls(splitPoint)` returns along with their `sourceMapUrl`.
+ *
+ * Returns `{core, parts}` where `parts` maps split points to packages.
+ */
+Package.prototype.split = function(splitPoints, getPartUrls) {
+  this._assertFinalized();
+
+  var modules = this._modules.filter(function(module) {
+    return module.info != null;
+  });
+  var byId = _.indexBy(modules, function(module) {
+    return module.info.id;
+  });
+  var byPath = _.indexBy(modules, 'sourcePath');
+
+  var splitPaths = splitPoints.map(function(id) {
+    if (byId[id] == null) {
+      throw new Error(
+        'Cannot split the package at `' + id + '`, it is not in the package'
+      );
+    }
+    return byId[id].sourcePath;
+  });
+
+  var mainModule = byId[this._mainModuleId];
+  var requiredFromMain = findRequired(
+    byPath,
+    mainModule ? [mainModule.sourcePath] : [],
+    splitPaths
+  );
+  var requiredFromSplitPoints = findRequired(byPath, splitPaths, []);
+  var inCore = function(module) {
+    return requiredFromMain[module.sourcePath] ||
+      !requiredFromSplitPoints[module.sourcePath];
+  };
+
+  var manifest = {};
+  var parts = {};
+  splitPoints.forEach(function(id, i) {
+    var required = findRequired(byPath, [splitPaths[i]], []);
+    var partModules = modules.filter(function(module) {
+      return required[module.sourcePath] && !inCore(module);
+    });
+    var urls = getPartUrls(id);
+
+    manifest[urls.bundleUrl] = _.pluck(_.pluck(partModules, 'info'), 'id');
+    parts[id] = copyModules(partModules, new Package(urls.sourceMapUrl));
+    parts[id].finalize();
+  });
+
+  var core = copyModules(modules.filter(inCore), new Package(
+    this._sourceMapUrl
+  ));
+  var registerCode = 'require.__bundles.register(' +
+    JSON.stringify(manifest) + ');';
+  core.addModule(registerCode, registerCode, 'RegisterBundles.js');
+  core.setMainModuleId(this._mainModuleId);
+  core.finalize({runMainModule: this._runMainModule});
+
+  return {core: core, parts: parts};
+};
+
+/**
+ * The paths of the modules `fromPaths` require, directly or not, without
+ * going through `stopPaths`.
+ */
+function findRequired(byPath, fromPaths, stopPaths) {
+  var required = Object.create(null);
+  var queue = fromPaths.slice();
+  while (queue.length) {
+    var modulePath = queue.shift();
+    if (required[modulePath] || byPath[modulePath] == null) {
+      continue;
+    }
+    required[modulePath] = true;
+
+    byPath[modulePath].info.dependencies.forEach(function(depPath) {
+      if (stopPaths.indexOf(depPath) === -1) {
+        queue.push(depPath);
+      }
+    });
+  }
+  return required;
+}
+
+function copyModules(modules, ppackage) {
+  modules.forEach(function(module) {
+    ppackage.addModule(
+      module.transformedCode,
+      module.sourceCode,
+      module.sourcePath,
+      module.sourceMap,
+      module.info,
+      module.wrapEdits
+    );
+  });
+  return ppackage;
+}
+
+/**
+ * Reports the size in bytes of the source, the transformed and the minified
+ * code of every module, the shortest chain of modules that requires it from
+ * the main module, and the totals per package root. Largest first.
+ */
+Package.prototype.getStats = function() {
+  this._assertFinalized();
+
+  if (this._stats == null) {
+    var modules = this._modules.filter(function(module) {
+      return module.info != null;
+    });
+    var requiredBy = this._getShortestRequireChains(modules);
+
+    var moduleStats = modules.map(function(module) {
+      return {
+        path: module.sourcePath,
+        packageRoot: module.info.packageRoot || null,
+        requiredBy: requiredBy[module.sourcePath] || null,
+        size: {
+          raw: byteLength(module.sourceCode),
+          transformed: byteLength(module.transformedCode),
+          minified: byteLength(minify(module.transformedCode)),
+        },
+      };
+    });
+
+    var packageRoots = _.map(
+      _.groupBy(moduleStats, 'packageRoot'),
+      function(rootModules, root) {
+        return {
+          root: rootModules[0].packageRoot,
+          modules: rootModules.length,
+          size: sumSizes(rootModules),
+        };
+      }
+    );
+
+    this._stats = {
+      mainModuleId: this._mainModuleId,
+      size: sumSizes(moduleStats),
+      packageRoots: sortBySize(packageRoots),
+      modules: sortBySize(moduleStats),
+    };
+  }
+  return this._stats;
+};
+
+/**
+ * Maps the path of every module required from the main module to the paths
+ * of the modules in the shortest chain of requires leading to it.
+ */
+Package.prototype._getShortestRequireChains = function(modules) {
+  var byPath = _.indexBy(modules, 'sourcePath');
+  var mainModuleId = this._mainModuleId;
+  var mainModule = _.find(modules, function(module) {
+    return module.info.id === mainModuleId;
+  });
+
+  var chains = Object.create(null);
+  if (mainModule == null) {
+    return chains;
+  }
+
+  chains[mainModule.sourcePath] = [];
+  var queue = [mainModule];
+  while (queue.length) {
+    var module = queue.shift();
+    var chain = chains[module.sourcePath].concat(module.sourcePath);
+    (module.info.dependencies || []).forEach(function(depPath) {
+      if (chains[depPath] == null && byPath[depPath] != null) {
+        chains[depPath] = chain;
+        queue.push(byPath[depPath]);
+      }
+    });
+  }
+  return chains;
+};
+
+function byteLength(code) {
+  return code == null ? null : Buffer.byteLength(code);
+}
+
+function minify(code) {
+  try {
+    return UglifyJS.minify(code, {fromString: true}).code;
+  } catch (e) {
+    return null;
+  }
+}
+
+function sumSizes(stats) {
+  return stats.reduce(function(sum, stat) {
+    return {
+      raw: sum.raw + stat.size.raw,
+      transformed: sum.transformed + stat.size.transformed,
+      minified: sum.minified + stat.size.minified,
+    };
+  }, {raw: 0, transformed: 0, minified: 0});
+}
+
+function sortBySize(stats) {
+  return _.sortBy(stats, function(stat) {
+    return -stat.size.minified;
+  });
+}
+
 Package.prototype.getDebugInfo = function() {
   return [
     '<div><h3>Main Module:</h3> ' + this._mainModuleId + '</div>',
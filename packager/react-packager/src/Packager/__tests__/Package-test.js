@@ -10,6 +10,7 @@
 
 jest.autoMockOff();
 
+var SourceMapConsumer = require('source-map').SourceMapConsumer;
 var SourceMapGenerator = require('source-map').SourceMapGenerator;
 
 describe('Package', function() {
@@ -65,6 +66,221 @@ describe('Package', function() {
     });
   });
 
+  describe('changed modules', function() {
+    it('should return the modules that changed or were added', function() {
+      var previous = new Package('test_url');
+      previous.addModule('transformed foo;', 'source foo', 'foo path');
+      previous.addModule('transformed bar;', 'source bar', 'bar path');
+
+      ppackage.addModule('transformed foo;', 'source foo', 'foo path');
+      ppackage.addModule('transformed bar 2;', 'source bar 2', 'bar path');
+      ppackage.addModule('transformed baz;', 'source baz', 'baz path');
+
+      var changed = ppackage.getModulesChangedSince(previous);
+      expect(changed.map(function(module) {
+        return module.sourcePath;
+      })).toEqual(['bar path', 'baz path']);
+    });
+  });
+
+  describe('rebuilt package', function() {
+    it('should reuse the modules of the previous package', function() {
+      var previous = new Package('test_url');
+      previous.addModule('transformed foo;', 'source foo', 'foo path', null, {
+        id: 'foo',
+        dependencies: ['bar path'],
+      });
+      previous.addModule('transformed bar;', 'source bar', 'bar path', null, {
+        id: 'bar',
+        dependencies: [],
+      });
+      previous.finalize({});
+
+      expect(previous.getModuleInfo('foo path')).toEqual({
+        id: 'foo',
+        dependencies: ['bar path'],
+      });
+      expect(previous.getModuleInfo('baz path')).toBe(null);
+      expect(previous.getModulePaths()).toEqual(['foo path', 'bar path']);
+
+      var p = new Package('test_url');
+      p.reuseModule(previous, 'foo path');
+      p.addModule('changed bar;\n', 'source bar', 'bar path');
+      p.finalize({});
+
+      expect(p.getSource()).toBe([
+        'transformed foo;',
+        'changed bar;',
+        '',
+        '\/\/@ sourceMappingURL=test_url'
+      ].join('\n'));
+      expect(function() {
+        p.reuseModule(previous, 'baz path');
+      }).toThrow('Module is not in the previous package: baz path');
+    });
+
+    it('should offset the source maps of reused modules', function() {
+      var previous = new Package('test_url');
+      previous.addModule('transformed foo;\n', 'source foo', 'foo path');
+      previous.addModule('transformed bar;\n', 'source bar', 'bar path');
+      previous.finalize({});
+      previous.getSourceMap();
+
+      var p = new Package('test_url');
+      p.addModule('transformed baz;\n', 'source baz', 'baz path');
+      p.reuseModule(previous, 'bar path');
+      p.reuseModule(previous, 'foo path');
+      p.finalize({});
+
+      expect(p.getSourceMap()).toEqual(genSourceMap(p._modules));
+    });
+
+    it('should splice reused modules into the source map', function() {
+      var a = moduleMap('a path', [
+        [1, 0, 1, 0, 'a'],
+        [1, 2, 1, 2, 'x'],
+        [2, 0, 2, 0],
+      ]);
+      var b = moduleMap('b path', [
+        [1, 4, 2, 4, 'y'],
+        [1, 8, 2, 8, 'a'],
+      ]);
+      var c = moduleMap('c path', [
+        [1, 0, 3, 0, 'c'],
+      ]);
+
+      var previous = new Package('test_url');
+      previous.addModule('a(x);\nx;', 'source a', 'a path', a);
+      previous.addModule('var y = a;', 'source b', 'b path', b);
+      previous.finalize({});
+      previous.getSourceMap();
+
+      var p = new Package('test_url');
+      p.addModule('c();', 'source c', 'c path', c);
+      p.reuseModule(previous, 'b path');
+      p.reuseModule(previous, 'a path');
+      p.finalize({});
+
+      expect(getMappings(p.getSourceMap())).toEqual([
+        [1, 0, 'c path', 3, 0, 'c'],
+        [2, 4, 'b path', 2, 4, 'y'],
+        [2, 8, 'b path', 2, 8, 'a'],
+        [3, 0, 'a path', 1, 0, 'a'],
+        [3, 2, 'a path', 1, 2, 'x'],
+        [4, 0, 'a path', 2, 0, null],
+      ]);
+      expect(p.getSourceMap().sourcesContent)
+        .toEqual(['source c', 'source b', 'source a']);
+    });
+  });
+
+  describe('stats', function() {
+    it('should report sizes, require chains and package roots', function() {
+      ppackage.addModule('transformed foo;', 'source foo', '/a/foo.js', null, {
+        id: 'foo',
+        dependencies: ['/a/bar.js', '/b/baz.js'],
+        packageRoot: '/a',
+      });
+      ppackage.addModule('transformed bar;', 'source bar', '/a/bar.js', null, {
+        id: 'bar',
+        dependencies: ['/b/baz.js'],
+        packageRoot: '/a',
+      });
+      ppackage.addModule('transformed baz!;', 'baz', '/b/baz.js', null, {
+        id: 'baz',
+        dependencies: [],
+        packageRoot: '/b',
+      });
+      ppackage.setMainModuleId('foo');
+      ppackage.finalize({runMainModule: true});
+
+      var stats = ppackage.getStats();
+      var modules = {};
+      stats.modules.forEach(function(module) {
+        modules[module.path] = module;
+      });
+
+      expect(stats.modules.length).toBe(3);
+      expect(modules['/a/foo.js'].requiredBy).toEqual([]);
+      expect(modules['/a/bar.js'].requiredBy).toEqual(['/a/foo.js']);
+      expect(modules['/b/baz.js'].requiredBy).toEqual(['/a/foo.js']);
+      expect(modules['/b/baz.js'].size.raw).toBe(3);
+      expect(modules['/b/baz.js'].size.transformed).toBe(17);
+
+      var roots = {};
+      stats.packageRoots.forEach(function(packageRoot) {
+        roots[packageRoot.root] = packageRoot;
+      });
+      expect(roots['/a'].modules).toBe(2);
+      expect(roots['/a'].size.raw).toBe(20);
+      expect(roots['/b'].size.transformed).toBe(17);
+      expect(stats.size.transformed).toBe(49);
+    });
+  });
+
+  describe('split', function() {
+    function addModule(id, dependencies) {
+      var code = 'transformed ' + id + ';';
+      ppackage.addModule(code, 'source ' + id, '/' + id + '.js', null, {
+        id: id,
+        dependencies: dependencies.map(function(dep) {
+          return '/' + dep + '.js';
+        }),
+      });
+    }
+
+    function getPaths(p) {
+      return p._modules.map(function(module) {
+        return module.sourcePath;
+      });
+    }
+
+    it('should move split points to their own packages', function() {
+      addModule('polyfill', []);
+      addModule('main', ['shared', 'Settings']);
+      addModule('shared', []);
+      addModule('Settings', ['shared', 'Toggle', 'Slider']);
+      addModule('Toggle', []);
+      addModule('Slider', []);
+      addModule('Profile', ['Slider']);
+      ppackage.setMainModuleId('main');
+      ppackage.finalize({runMainModule: true});
+
+      var packages = ppackage.split(['Settings', 'Profile'], function(id) {
+        return {bundleUrl: id + '.bundle', sourceMapUrl: id + '.map'};
+      });
+
+      expect(getPaths(packages.core)).toEqual([
+        '/polyfill.js',
+        '/main.js',
+        '/shared.js',
+        'RegisterBundles.js',
+        'RunMainModule.js',
+      ]);
+      expect(packages.core._modules[3].transformedCode).toBe(
+        'require.__bundles.register(' + JSON.stringify({
+          'Settings.bundle': ['Settings', 'Toggle', 'Slider'],
+          'Profile.bundle': ['Slider', 'Profile'],
+        }) + ');'
+      );
+      expect(getPaths(packages.parts.Settings))
+        .toEqual(['/Settings.js', '/Toggle.js', '/Slider.js']);
+      expect(getPaths(packages.parts.Profile))
+        .toEqual(['/Slider.js', '/Profile.js']);
+      expect(packages.parts.Profile.getSource())
+        .toContain('sourceMappingURL=Profile.map');
+    });
+
+    it('should throw for split points that are not in the package', function() {
+      addModule('main', []);
+      ppackage.setMainModuleId('main');
+      ppackage.finalize();
+      expect(function() {
+        ppackage.split(['Settings'], function() {});
+      }).toThrow();
+    });
+  });
+
   describe('sourcemap package', function() {
     it('should create sourcemap', function() {
       var p = new Package('test_url');
@@ -75,9 +291,116 @@ describe('Package', function() {
       var s = p.getSourceMap();
       expect(s).toEqual(genSourceMap(p._modules));
     });
+
+    it('should offset the source maps of the transformed modules', function() {
+      var moduleMap = new SourceMapGenerator({file: 'bar path'});
+      moduleMap.addMapping({
+        generated: {line: 1, column: 0},
+        original: {line: 1, column: 0},
+        source: 'bar path',
+      });
+      moduleMap.addMapping({
+        generated: {line: 2, column: 4},
+        original: {line: 3, column: 10},
+        source: 'bar path',
+      });
+
+      var p = new Package('test_url');
+      p.addModule('transformed foo;\n', 'source foo', 'foo path');
+      p.addModule(
+        'transformed bar;\n    bar();',
+        'source bar',
+        'bar path',
+        moduleMap.toJSON()
+      );
+      p.finalize({});
+
+      var consumer = new SourceMapConsumer(p.getSourceMap());
+      expect(consumer.originalPositionFor({line: 4, column: 4})).toEqual({
+        source: 'bar path',
+        line: 3,
+        column: 10,
+        name: null,
+      });
+    });
+
+    it('should move the columns of the wrapped modules', function() {
+      // var a = 1;
+      // var b = require('./b'); b();
+      var moduleMap = new SourceMapGenerator({file: 'foo path'});
+      moduleMap.addMapping({
+        generated: {line: 1, column: 4},
+        original: {line: 1, column: 4},
+        source: 'foo path',
+        name: 'a',
+      });
+      moduleMap.addMapping({
+        generated: {line: 2, column: 24},
+        original: {line: 2, column: 24},
+        source: 'foo path',
+        name: 'b',
+      });
+
+      var p = new Package('test_url');
+      p.addModule(
+        '__d(\'foo\',["b"],function() {var a = 1;\n' +
+          'var b = require(\'b\'); b();});',
+        'source foo',
+        'foo path',
+        moduleMap.toJSON(),
+        null,
+        [
+          {line: 1, column: 0, delta: 28},
+          {line: 2, column: 21, delta: -2},
+        ]
+      );
+      p.finalize({});
+
+      var consumer = new SourceMapConsumer(p.getSourceMap());
+      expect(consumer.originalPositionFor({line: 1, column: 32})).toEqual({
+        source: 'foo path',
+        line: 1,
+        column: 4,
+        name: 'a',
+      });
+      expect(consumer.originalPositionFor({line: 2, column: 22})).toEqual({
+        source: 'foo path',
+        line: 2,
+        column: 24,
+        name: 'b',
+      });
+    });
   });
 });
 
+ function moduleMap(file, mappings) {
+   var generator = new SourceMapGenerator({file: file});
+   mappings.forEach(function(mapping) {
+     generator.addMapping({
+       generated: {line: mapping[0], column: mapping[1]},
+       original: {line: mapping[2], column: mapping[3]},
+       source: file,
+       name: mapping[4],
+     });
+   });
+   return generator.toJSON();
+ }
+
+ function getMappings(sourceMap) {
+   var mappings = [];
+   new SourceMapConsumer(sourceMap).eachMapping(function(mapping) {
+     mappings.push([
+       mapping.generatedLine,
+       mapping.generatedColumn,
+       mapping.source,
+       mapping.originalLine,
+       mapping.originalColumn,
+       mapping.name,
+     ]);
+   });
+   return mappings;
+ }
+
  function genSourceMap(modules) {
    var sourceMapGen = new SourceMapGenerator({file: 'bundle.js', version: 3});
    var packageLineNo = 0;
@@ -15,35 +15,52 @@ jest
   .dontMock('os')
   .dontMock('underscore')
   .setMock('uglify-js')
+  .dontMock('esprima-fb')
+  .dontMock('../../lib/parseModule')
+  .dontMock('../inlineConstants')
   .dontMock('../');
 
 var q = require('q');
 
 describe('Packager', function() {
   var getDependencies;
+  var getModulesForPaths;
+  var getNewDependencies;
   var wrapModule;
+  var resolveDependency;
   var Packager;
 
   beforeEach(function() {
     getDependencies = jest.genMockFn();
+    getModulesForPaths = jest.genMockFn();
+    getNewDependencies = jest.genMockFn();
     wrapModule = jest.genMockFn();
+    resolveDependency = jest.genMockFn();
     require('../../DependencyResolver').mockImpl(function() {
       return {
         getDependencies: getDependencies,
-        wrapModule: wrapModule,
+        getModulesForPaths: getModulesForPaths,
+        getNewDependencies: getNewDependencies,
+        wrapModuleWithEdits: function(module, code, platform) {
+          return {code: wrapModule(module, code, platform), edits: []};
+        },
+        resolveDependency: resolveDependency,
+        getPackageRoot: function() {
+          return '/root';
+        },
       };
     });
 
-    Packager = require('../');
-  });
-
-  pit('create a package', function() {
     require('fs').statSync.mockImpl(function() {
       return {
         isDirectory: function() {return true;}
       };
     });
 
+    Packager = require('../');
+  });
+
+  pit('create a package', function() {
     var packager = new Packager({projectRoots: []});
     var modules = [
       {id: 'foo', path: '/root/foo.js', dependencies: []},
@@ -66,6 +83,7 @@ describe('Packager', function() {
       .mockImpl(function(path) {
         return q({
           code: 'transformed ' + path,
+          map: 'map ' + path,
           sourceCode: 'source ' + path,
           sourcePath: path
         });
@@ -75,17 +93,23 @@ describe('Packager', function() {
       return 'lol ' + code + ' lol';
     });
 
-    return packager.package('/root/foo.js', true, 'source_map_url')
+    return packager.package('/root/foo.js', true, 'source_map_url', true)
       .then(function(p) {
         expect(p.addModule.mock.calls[0]).toEqual([
           'lol transformed /root/foo.js lol',
           'source /root/foo.js',
-          '/root/foo.js'
+          '/root/foo.js',
+          'map /root/foo.js',
+          {id: 'foo', dependencies: [], packageRoot: '/root'},
+          [],
         ]);
         expect(p.addModule.mock.calls[1]).toEqual([
           'lol transformed /root/bar.js lol',
           'source /root/bar.js',
-          '/root/bar.js'
+          '/root/bar.js',
+          'map /root/bar.js',
+          {id: 'bar', dependencies: [], packageRoot: '/root'},
+          [],
         ]);
         expect(p.addModule.mock.calls[2]).toEqual([
           'lol module.exports = ' +
@@ -94,7 +118,10 @@ describe('Packager', function() {
           'module.exports = ' +
             JSON.stringify({ uri: 'img', isStatic: true}) +
             ';',
-          '/root/img/img.png'
+          '/root/img/img.png',
+          undefined,
+          {id: 'image!img', dependencies: [], packageRoot: '/root'},
+          [],
         ]);
 
         expect(p.finalize.mock.calls[0]).toEqual([
@@ -103,4 +130,317 @@ describe('Packager', function() {
       });
   });
 
+  pit('leaves out modules only required by dead code in production', function() {
+    var packager = new Packager({projectRoots: []});
+    var modules = {
+      foo: {
+        id: 'foo',
+        path: '/root/foo.js',
+        dependencies: ['Platform', 'DevTools', 'AndroidOnly', 'bar'],
+      },
+      bar: {id: 'bar', path: '/root/bar.js', dependencies: []},
+      DevTools: {id: 'DevTools', path: '/root/DevTools.js', dependencies: []},
+      AndroidOnly: {
+        id: 'AndroidOnly',
+        path: '/root/AndroidOnly.js',
+        dependencies: [],
+      },
+      Platform: {id: 'Platform', path: '/root/Platform.js', dependencies: []},
+    };
+    var sources = {
+      '/root/foo.js': [
+        'var Platform = require(\'Platform\');',
+        'if (__DEV__) {',
+        '  require(\'DevTools\');',
+        '}',
+        'if (Platform.OS === \'android\') {',
+        '  require(\'AndroidOnly\');',
+        '}',
+        'require(\'bar\');',
+      ].join('\n'),
+    };
+
+    getDependencies.mockImpl(function() {
+      return q({
+        mainModuleId: 'foo',
+        dependencies: [
+          modules.foo,
+          modules.bar,
+          modules.DevTools,
+          modules.AndroidOnly,
+          modules.Platform,
+        ],
+      });
+    });
+
+    resolveDependency.mockImpl(function(fromModule, name) {
+      return modules[name];
+    });
+
+    require('../../JSTransformer').prototype.loadFileAndTransform
+      .mockImpl(function(path) {
+        var code = sources[path] || '';
+        return q({code: code, sourceCode: code, sourcePath: path});
+      });
+
+    wrapModule.mockImpl(function(module, code) {
+      return code;
+    });
+
+    return packager
+      .package('/root/foo.js', true, 'source_map_url', false, 'ios')
+      .then(function(p) {
+        expect(p.addModule.mock.calls.map(function(call) {
+          return call[2];
+        })).toEqual(['/root/foo.js', '/root/bar.js', '/root/Platform.js']);
+
+        expect(wrapModule.mock.calls[0][0].dependencies)
+          .toEqual(['Platform', 'bar']);
+        expect(p.addModule.mock.calls[0][4].dependencies)
+          .toEqual(['/root/Platform.js', '/root/bar.js']);
+
+        var code = p.addModule.mock.calls[0][0];
+        expect(code.split('\n').length).toBe(8);
+        expect(code).not.toContain('DevTools');
+        expect(code).not.toContain('AndroidOnly');
+      });
+  });
+
+  pit('generates the modules of assets', function() {
+    var assetServer = {
+      getAssetData: jest.genMockFn().mockImpl(function() {
+        return q({
+          name: 'logo',
+          type: 'png',
+          httpServerLocation: '/assets/img',
+          scales: [1, 2],
+          files: ['/root/img/logo.png', '/root/img/logo@2x.png'],
+          hash: 'abc',
+          width: 100,
+          height: 50,
+        });
+      }),
+    };
+    var packager = new Packager({projectRoots: [], assetServer: assetServer});
+
+    getDependencies.mockImpl(function() {
+      return q({
+        mainModuleId: 'foo',
+        dependencies: [
+          {
+            id: 'foo',
+            path: '/root/foo.js',
+            dependencies: ['./img/logo.png'],
+          },
+          {
+            id: 'img/logo.png',
+            path: '/root/img/logo.png',
+            isAsset: true,
+            dependencies: [],
+          },
+        ],
+      });
+    });
+
+    require('../../JSTransformer').prototype.loadFileAndTransform
+      .mockImpl(function(path) {
+        return q({code: '', sourceCode: '', sourcePath: path});
+      });
+    wrapModule.mockImpl(function(module, code) {
+      return code;
+    });
+
+    return packager.package('/root/foo.js', true, 'source_map_url', true)
+      .then(function(p) {
+        var asset = {
+          __packager_asset: true,
+          httpServerLocation: '/assets/img',
+          name: 'logo',
+          type: 'png',
+          scales: [1, 2],
+          hash: 'abc',
+          width: 100,
+          height: 50,
+        };
+        expect(assetServer.getAssetData).toBeCalledWith('/root/img/logo.png');
+        expect(p.addModule.mock.calls[1][0])
+          .toBe('module.exports = ' + JSON.stringify(asset) + ';');
+        expect(p.addModule.mock.calls[1][4].asset).toEqual({
+          files: ['/root/img/logo.png', '/root/img/logo@2x.png'],
+          httpServerLocation: '/assets/img',
+          name: 'logo',
+          type: 'png',
+          scales: [1, 2],
+          hash: 'abc',
+          width: 100,
+          height: 50,
+        });
+      });
+  });
+
+  describe('rebuild', function() {
+    var packager;
+    var modules;
+    var previousInfo;
+    var previousPackage;
+    var transform;
+
+    beforeEach(function() {
+      packager = new Packager({projectRoots: []});
+      modules = {
+        foo: {id: 'foo', path: '/root/foo.js', dependencies: ['bar']},
+        bar: {id: 'bar', path: '/root/bar.js', dependencies: ['baz']},
+        baz: {id: 'baz', path: '/root/baz.js', dependencies: []},
+      };
+      previousInfo = {
+        '/root/polyfill.js': {
+          id: 'polyfill',
+          dependencies: [],
+          isPolyfill: true,
+        },
+        '/root/foo.js': {id: 'foo', dependencies: ['/root/bar.js']},
+        '/root/bar.js': {id: 'bar', dependencies: []},
+      };
+      previousPackage = {
+        getModuleInfo: function(modulePath) {
+          return previousInfo[modulePath] || null;
+        },
+        getModulePaths: function() {
+          return Object.keys(previousInfo);
+        },
+      };
+
+      resolveDependency.mockImpl(function(fromModule, name) {
+        return modules[name];
+      });
+      transform = require('../../JSTransformer').prototype
+        .loadFileAndTransform;
+      transform.mockImpl(function(path) {
+        return q({
+          code: 'transformed ' + path,
+          sourceCode: 'source ' + path,
+          sourcePath: path,
+        });
+      });
+      wrapModule.mockImpl(function(module, code) {
+        return code;
+      });
+    });
+
+    pit('adds the changed modules and the modules they now require', function() {
+      getModulesForPaths.mockImpl(function() {
+        return q([modules.bar]);
+      });
+      getNewDependencies.mockImpl(function() {
+        return q([modules.baz]);
+      });
+
+      return packager.rebuild(
+        previousPackage,
+        [{type: 'change', path: '/root/bar.js'}],
+        '/root/foo.js',
+        true,
+        'source_map_url',
+        'ios'
+      ).then(function(p) {
+        expect(getDependencies).not.toBeCalled();
+        expect(getModulesForPaths).toBeCalledWith(['/root/bar.js']);
+        expect(getNewDependencies.mock.calls[0][0]).toEqual([modules.bar]);
+        expect(getNewDependencies.mock.calls[0][1])
+          .toEqual(['polyfill', 'foo', 'bar']);
+        expect(transform.mock.calls)
+          .toEqual([['/root/bar.js'], ['/root/baz.js']]);
+        expect(p.setMainModuleId).toBeCalledWith('foo');
+        expect(p.reuseModule.mock.calls).toEqual([
+          [previousPackage, '/root/polyfill.js'],
+          [previousPackage, '/root/foo.js'],
+        ]);
+        expect(p.addModule.mock.calls[0][0]).toBe('transformed /root/bar.js');
+        expect(p.addModule.mock.calls[0][4].dependencies)
+          .toEqual(['/root/baz.js']);
+        expect(p.addModule.mock.calls[1][0]).toBe('transformed /root/baz.js');
+        expect(p.finalize.mock.calls[0]).toEqual([{runMainModule: true}]);
+      });
+    });
+
+    pit('leaves out the modules that are not required any more', function() {
+      modules.foo.dependencies = [];
+      getModulesForPaths.mockImpl(function() {
+        return q([modules.foo]);
+      });
+      getNewDependencies.mockImpl(function() {
+        return q([]);
+      });
+
+      return packager.rebuild(
+        previousPackage,
+        [{type: 'change', path: '/root/foo.js'}],
+        '/root/foo.js',
+        true,
+        'source_map_url',
+        'ios'
+      ).then(function(p) {
+        expect(transform.mock.calls).toEqual([['/root/foo.js']]);
+        expect(p.reuseModule.mock.calls)
+          .toEqual([[previousPackage, '/root/polyfill.js']]);
+        expect(p.addModule.mock.calls.length).toBe(1);
+        expect(p.addModule.mock.calls[0][4].dependencies).toEqual([]);
+      });
+    });
+
+    pit('walks the dependency graph again when files are added', function() {
+      getDependencies.mockImpl(function() {
+        return q({
+          mainModuleId: 'foo',
+          dependencies: [modules.foo, modules.bar, modules.baz],
+        });
+      });
+
+      return packager.rebuild(
+        previousPackage,
+        [
+          {type: 'change', path: '/root/bar.js'},
+          {type: 'add', path: '/root/baz.js'},
+        ],
+        '/root/foo.js',
+        true,
+        'source_map_url',
+        'ios'
+      ).then(function(p) {
+        expect(getModulesForPaths).not.toBeCalled();
+        expect(transform.mock.calls)
+          .toEqual([['/root/bar.js'], ['/root/baz.js']]);
+        expect(p.reuseModule.mock.calls)
+          .toEqual([[previousPackage, '/root/foo.js']]);
+        expect(p.addModule.mock.calls[0][0]).toBe('transformed /root/bar.js');
+        expect(p.addModule.mock.calls[0][4].dependencies)
+          .toEqual(['/root/baz.js']);
+        expect(p.addModule.mock.calls[1][0]).toBe('transformed /root/baz.js');
+      });
+    });
+
+    pit('walks the dependency graph again when ids change', function() {
+      getModulesForPaths.mockImpl(function() {
+        return q([{id: 'renamed', path: '/root/bar.js', dependencies: []}]);
+      });
+      getDependencies.mockImpl(function() {
+        return q({
+          mainModuleId: 'foo',
+          dependencies: [modules.foo, modules.bar],
+        });
+      });
+
+      return packager.rebuild(
+        previousPackage,
+        [{type: 'change', path: '/root/bar.js'}],
+        '/root/foo.js',
+        true,
+        'source_map_url',
+        'ios'
+      ).then(function() {
+        expect(getDependencies).toBeCalled();
+        expect(getNewDependencies).not.toBeCalled();
+      });
+    });
+  });
 });
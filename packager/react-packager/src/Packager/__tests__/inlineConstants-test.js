@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest
+  .dontMock('esprima-fb')
+  .dontMock('../../lib/parseModule')
+  .dontMock('../inlineConstants');
+
+describe('inlineConstants', function() {
+  var inlineConstants;
+
+  beforeEach(function() {
+    inlineConstants = require('../inlineConstants');
+  });
+
+  function inline(lines, constants) {
+    var code = lines.join('\n');
+    var result = inlineConstants(code, constants || {dev: false});
+    // Source maps of the module have to stay valid.
+    expect(result.code.length).toBe(code.length);
+    expect(result.code.split('\n').length).toBe(lines.length);
+    return result;
+  }
+
+  it('should remove the branches that depend on __DEV__', function() {
+    var result = inline([
+      'if (__DEV__) {',
+      '  require(\'DevTools\').install();',
+      '} else {',
+      '  require(\'Reporter\').install();',
+      '}',
+    ]);
+    expect(result.code).not.toContain('DevTools');
+    expect(result.code).toContain('require(\'Reporter\').install();');
+    expect(result.requires).toEqual(['Reporter']);
+  });
+
+  it('should replace __DEV__ in other expressions', function() {
+    var result = inline(['module.exports = {dev: __DEV__};']);
+    expect(result.code).toMatch(/^module\.exports = \{dev: false\s*\};$/);
+  });
+
+  it('should not replace __DEV__ if the module declares it', function() {
+    var code = 'var __DEV__ = true; if (__DEV__) { require(\'foo\'); }';
+    var result = inlineConstants(code, {dev: false});
+    expect(result.code).toBe(code);
+    expect(result.requires).toEqual(['foo']);
+  });
+
+  it('should remove the branches for other platforms', function() {
+    var result = inline([
+      'var Platform = require(\'Platform\');',
+      'var Picker = Platform.OS === \'ios\' ?',
+      '  require(\'PickerIOS\') : require(\'PickerAndroid\');',
+    ], {dev: false, platform: 'ios'});
+    expect(result.code).not.toContain('PickerAndroid');
+    expect(result.requires).toEqual(['Platform', 'PickerIOS']);
+  });
+
+  it('should only inline Platform.OS of the Platform module', function() {
+    var code = [
+      'var Platform = {OS: \'android\'};',
+      'if (Platform.OS === \'ios\') { require(\'foo\'); }',
+    ].join('\n');
+    var result = inlineConstants(code, {dev: false, platform: 'ios'});
+    expect(result.code).toBe(code);
+    expect(result.requires).toEqual(['foo']);
+  });
+
+  it('should remove unreachable logical expressions', function() {
+    var result = inline([
+      'var warning = __DEV__ && require(\'warning\');',
+      'var logger = __DEV__ || require(\'logger\');',
+    ]);
+    expect(result.code).not.toContain('warning\')');
+    expect(result.requires).toEqual(['logger']);
+  });
+
+  it('should keep declarations from removed code', function() {
+    var result = inline([
+      'if (__DEV__) {',
+      '  var checker = require(\'checker\');',
+      '  function check() {}',
+      '}',
+      'module.exports = [checker, check];',
+    ]);
+    expect(result.code).toMatch(/^var checker, check;/);
+    expect(result.requires).toEqual([]);
+  });
+
+  it('should not change code that it cannot parse', function() {
+    var result = inlineConstants('if (__DEV__ {', {dev: false});
+    expect(result).toEqual({code: 'if (__DEV__ {', requires: null});
+  });
+});
@@ -17,9 +17,12 @@ var Transformer = require('../JSTransformer');
 var DependencyResolver = require('../DependencyResolver');
 var _ = require('underscore');
 var Package = require('./Package');
+var inlineConstants = require('./inlineConstants');
 var Activity = require('../Activity');
 var declareOpts = require('../lib/declareOpts');
 
+var SLOWEST_TRANSFORMS_COUNT = 10;
+
 var validateOpts = declareOpts({
   projectRoots: {
     type: 'array',
@@ -52,10 +55,38 @@ var validateOpts = declareOpts({
     type: 'boolean',
     default: false,
   },
+  cacheTransforms: {
+    type: 'boolean',
+    required: false,
+  },
   assetRoots: {
     type: 'array',
     required: false,
   },
+  assetExts: {
+    type: 'array',
+    required: false,
+  },
+  assetServer: {
+    type: 'object',
+    required: false,
+  },
+  transforms: {
+    type: 'object',
+    default: {},
+  },
+  moduleExts: {
+    type: 'array',
+    default: ['js'],
+  },
+  cacheDir: {
+    type: 'string',
+    required: false,
+  },
+  maxCacheSize: {
+    type: 'number',
+    required: false,
+  },
 });
 
 function Packager(options) {
@@ -70,15 +101,23 @@ function Packager(options) {
     nonPersistent: opts.nonPersistent,
     moduleFormat: opts.moduleFormat,
     assetRoots: opts.assetRoots,
+    assetExts: opts.assetExts,
+    moduleExts: opts.moduleExts,
   });
 
+  this._assetServer = opts.assetServer;
+
   this._transformer = new Transformer({
     projectRoots: opts.projectRoots,
     blacklistRE: opts.blacklistRE,
     cacheVersion: opts.cacheVersion,
     resetCache: opts.resetCache,
+    cacheDir: opts.cacheDir,
+    maxCacheSize: opts.maxCacheSize,
     transformModulePath: opts.transformModulePath,
+    transforms: opts.transforms,
     nonPersistent: opts.nonPersistent,
+    cacheTransforms: opts.cacheTransforms,
   });
 }
 
@@ -89,32 +128,280 @@ Packager.prototype.kill = function() {
   ]);
 };
 
-Packager.prototype.package = function(main, runModule, sourceMapUrl, isDev) {
+/**
+ * Production packages get `__DEV__` and `Platform.OS` (if `platform` is
+ * known) inlined, and leave out the modules that are only required by code
+ * that can't be reached because of that.
+ *
+ * Strict packages fail to build if any require can't be resolved.
+ *
+ * The modules of `platform` are used over the ones for all platforms
+ * (`Foo.ios.js` over `Foo.js`).
+ */
+Packager.prototype.package = function(
+  main,
+  runModule,
+  sourceMapUrl,
+  isDev,
+  platform,
+  isStrict
+) {
+  var resolver = this._resolver;
   var transformModule = this._transformModule.bind(this);
   var ppackage = new Package(sourceMapUrl);
+  var constants = isDev ? null : {dev: false, platform: platform};
 
   var findEventId = Activity.startEvent('find dependencies');
   var transformEventId;
 
-  return this.getDependencies(main, isDev)
+  return this.getDependencies(main, isDev, isStrict, platform)
     .then(function(result) {
       Activity.endEvent(findEventId);
       transformEventId = Activity.startEvent('transform');
 
       ppackage.setMainModuleId(result.mainModuleId);
       return Promise.all(
-        result.dependencies.map(transformModule)
+        result.dependencies.map(function(module) {
+          return transformModule(module, constants, platform);
+        })
       );
     })
     .then(function(transformedModules) {
       Activity.endEvent(transformEventId);
+      signalSlowestTransforms(transformedModules);
+
+      var requires = resolveRequires(
+        _.pluck(transformedModules, 'module'),
+        resolver,
+        platform
+      );
+      if (constants != null) {
+        transformedModules = removeUnreachableModules(
+          transformedModules,
+          requires
+        );
+      }
 
       transformedModules.forEach(function(transformed) {
-        ppackage.addModule(
-          transformed.code,
-          transformed.sourceCode,
-          transformed.sourcePath
+        addTransformedModule(ppackage, transformed, requires, resolver);
+      });
+
+      ppackage.finalize({ runMainModule: runModule });
+      return ppackage;
+    });
+};
+
+/**
+ * Builds a development package again after the `changes` to files
+ * (`{type, path}`, where `type` is `add`, `change` or `delete`), reusing the
+ * modules of `previousPackage`.
+ *
+ * When files only changed, the changed modules are transformed again and
+ * their requires are resolved again: the modules they now require that the
+ * package doesn't have are added, and the modules that nothing requires any
+ * more are left out. The rest of the modules, along with their source maps,
+ * are copied as they are, without walking the dependency graph.
+ *
+ * Adding or deleting a file, or changing the id of a module, can change
+ * what the requires of any module resolve to, so then the dependency graph
+ * is walked again, and only the changed files are transformed again.
+ */
+Packager.prototype.rebuild = function(
+  previousPackage,
+  changes,
+  main,
+  runModule,
+  sourceMapUrl,
+  platform,
+  isStrict
+) {
+  var resolver = this._resolver;
+  var transformModule = this._transformModule.bind(this);
+  var rebuildFromGraph = this._rebuildFromGraph.bind(
+    this,
+    previousPackage,
+    changes,
+    main,
+    runModule,
+    sourceMapUrl,
+    platform,
+    isStrict
+  );
+
+  var hasAddedFiles = false;
+  var changedPaths = [];
+  var otherPaths = [];
+  changes.forEach(function(change) {
+    hasAddedFiles = hasAddedFiles || change.type === 'add';
+    var inPackage = getChangedModulePaths(change.path).filter(function(p) {
+      return previousPackage.getModuleInfo(p) != null;
+    });
+    if (inPackage.length) {
+      changedPaths.push.apply(changedPaths, inPackage);
+    } else if (change.type !== 'delete') {
+      otherPaths.push(change.path);
+    }
+  });
+  if (hasAddedFiles) {
+    return rebuildFromGraph();
+  }
+
+  changedPaths = _.uniq(changedPaths);
+  var changedModules;
+  var newModules;
+  var requires;
+
+  return resolver.getModulesForPaths(changedPaths.concat(otherPaths))
+    .then(function(modules) {
+      changedModules = modules.slice(0, changedPaths.length);
+      var moduleIdsChanged = changedModules.some(function(module, i) {
+        // Deleted modules and assets aren't in the graph.
+        return module == null ||
+          module.id !== previousPackage.getModuleInfo(changedPaths[i]).id;
+      });
+      // The id of a haste module that isn't in the package may have changed.
+      var hasteModuleChanged = modules.slice(changedPaths.length).some(
+        function(module) {
+          return module != null && module.altId != null;
+        }
+      );
+      if (moduleIdsChanged || hasteModuleChanged) {
+        return rebuildFromGraph();
+      }
+
+      return incrementalRebuild();
+    });
+
+  function incrementalRebuild() {
+    var previousPaths = previousPackage.getModulePaths();
+    var knownIds = previousPaths.map(function(modulePath) {
+      return previousPackage.getModuleInfo(modulePath).id;
+    });
+
+    return resolver.getNewDependencies(changedModules, knownIds, {
+      dev: true,
+      strict: isStrict,
+      platform: platform,
+    })
+      .then(function(dependencies) {
+        newModules = dependencies;
+        requires = resolveRequires(
+          changedModules.concat(newModules),
+          resolver,
+          platform,
+          previousPaths.concat(_.pluck(newModules, 'path'))
         );
+
+        return Promise.all(changedModules.concat(newModules).map(
+          function(module) {
+            return transformModule(module, null, platform);
+          }
+        ));
+      })
+      .then(function(transformedModules) {
+        signalSlowestTransforms(transformedModules);
+
+        var transformedByPath = _.indexBy(transformedModules, function(t) {
+          return t.module.path;
+        });
+        var modulePaths = previousPaths.concat(_.pluck(newModules, 'path'));
+        var reachable = findReachable(
+          modulePaths,
+          function(modulePath) {
+            var info = previousPackage.getModuleInfo(modulePath);
+            return info != null && info.isPolyfill === true;
+          },
+          function(modulePath) {
+            return requires[modulePath] ||
+              previousPackage.getModuleInfo(modulePath).dependencies;
+          }
+        );
+
+        var ppackage = new Package(sourceMapUrl);
+        var mainPath = _.find(previousPaths, function(modulePath) {
+          return !previousPackage.getModuleInfo(modulePath).isPolyfill;
+        });
+        ppackage.setMainModuleId(previousPackage.getModuleInfo(mainPath).id);
+        modulePaths.forEach(function(modulePath) {
+          if (!reachable[modulePath]) {
+            return;
+          }
+          var transformed = transformedByPath[modulePath];
+          if (transformed != null) {
+            addTransformedModule(ppackage, transformed, requires, resolver);
+          } else {
+            ppackage.reuseModule(previousPackage, modulePath);
+          }
+        });
+
+        ppackage.finalize({ runMainModule: runModule });
+        return ppackage;
+      });
+  }
+};
+
+/**
+ * Builds a development package again from the modules the dependency graph
+ * has for `main` now, reusing the modules of `previousPackage` that didn't
+ * change. The code of a module has the ids of the modules it requires, so
+ * the modules whose requires now resolve to other modules (or to modules
+ * whose ids changed) are wrapped again.
+ */
+Packager.prototype._rebuildFromGraph = function(
+  previousPackage,
+  changes,
+  main,
+  runModule,
+  sourceMapUrl,
+  platform,
+  isStrict
+) {
+  var resolver = this._resolver;
+  var transformModule = this._transformModule.bind(this);
+  var ppackage = new Package(sourceMapUrl);
+
+  var changed = Object.create(null);
+  changes.forEach(function(change) {
+    getChangedModulePaths(change.path).forEach(function(modulePath) {
+      changed[modulePath] = true;
+    });
+  });
+
+  var modules;
+  var modulesByPath;
+  var requires;
+  var canReuse = function(module) {
+    var info = previousPackage.getModuleInfo(module.path);
+    if (changed[module.path] || info == null || info.id !== module.id ||
+        !_.isEqual(info.dependencies, requires[module.path])) {
+      return false;
+    }
+    return info.dependencies.every(function(depPath) {
+      var depInfo = previousPackage.getModuleInfo(depPath);
+      return depInfo != null && depInfo.id === modulesByPath[depPath].id;
+    });
+  };
+
+  return this.getDependencies(main, true, isStrict, platform)
+    .then(function(result) {
+      ppackage.setMainModuleId(result.mainModuleId);
+      modules = result.dependencies;
+      modulesByPath = _.indexBy(modules, 'path');
+      requires = resolveRequires(modules, resolver, platform);
+
+      return Promise.all(modules.map(function(module) {
+        return canReuse(module) ? null : transformModule(module, null, platform);
+      }));
+    })
+    .then(function(transformedModules) {
+      signalSlowestTransforms(_.compact(transformedModules));
+
+      transformedModules.forEach(function(transformed, i) {
+        if (transformed == null) {
+          ppackage.reuseModule(previousPackage, modules[i].path);
+        } else {
+          addTransformedModule(ppackage, transformed, requires, resolver);
+        }
       });
 
       ppackage.finalize({ runMainModule: runModule });
@@ -122,19 +409,38 @@ Packager.prototype.package = function(main, runModule, sourceMapUrl, isDev) {
     });
 };
 
+/**
+ * The paths of the modules that change when the file at `filePath` changes:
+ * adding or removing a variant of an asset changes the asset module.
+ */
+function getChangedModulePaths(filePath) {
+  return _.uniq([filePath, filePath.replace(/@[\d\.]+x(\.\w+)$/, '$1')]);
+}
+
 Packager.prototype.invalidateFile = function(filePath) {
   this._transformer.invalidateFile(filePath);
 };
 
-Packager.prototype.getDependencies = function(main, isDev) {
-  return this._resolver.getDependencies(main, { dev: isDev });
+Packager.prototype.getDependencies = function(
+  main,
+  isDev,
+  isStrict,
+  platform
+) {
+  return this._resolver.getDependencies(main, {
+    dev: isDev,
+    strict: isStrict,
+    platform: platform,
+  });
 };
 
-Packager.prototype._transformModule = function(module) {
+Packager.prototype._transformModule = function(module, constants, platform) {
   var transform;
 
-  if (module.isAsset) {
+  if (module.isAsset && isImageTag(module.id)) {
     transform = q(generateAssetModule(module));
+  } else if (module.isAsset) {
+    transform = this._generateAssetModule(module);
   } else {
     transform = this._transformer.loadFileAndTransform(
       path.resolve(module.path)
@@ -143,14 +449,152 @@ Packager.prototype._transformModule = function(module) {
 
   var resolver = this._resolver;
   return transform.then(function(transformed) {
-    return _.extend(
-      {},
-      transformed,
-      {code: resolver.wrapModule(module, transformed.code)}
-    );
+    var code = transformed.code;
+    var liveModule = module;
+
+    if (constants != null && !module.isPolyfill && !module.isAsset) {
+      var inlined = inlineConstants(code, constants);
+      code = inlined.code;
+      if (inlined.requires != null) {
+        // Only depend on what the code that is left requires.
+        liveModule = Object.create(module);
+        liveModule.dependencies = module.dependencies.filter(function(name) {
+          return inlined.requires.indexOf(name) !== -1;
+        });
+      }
+    }
+
+    var wrapped = resolver.wrapModuleWithEdits(liveModule, code, platform);
+    return _.extend({}, transformed, {
+      code: wrapped.code,
+      wrapEdits: wrapped.edits,
+      module: liveModule,
+    });
   });
 };
 
+function addTransformedModule(ppackage, transformed, requires, resolver) {
+  var module = transformed.module;
+  ppackage.addModule(
+    transformed.code,
+    transformed.sourceCode,
+    transformed.sourcePath,
+    transformed.map,
+    {
+      id: module.id,
+      dependencies: requires[module.path],
+      packageRoot: resolver.getPackageRoot(module),
+      asset: transformed.asset,
+      isPolyfill: module.isPolyfill,
+    },
+    transformed.wrapEdits
+  );
+}
+
+/**
+ * Reports the modules that took the longest to transform, unless they all
+ * came from the cache.
+ */
+function signalSlowestTransforms(transformedModules) {
+  var slowest = _.sortBy(
+    transformedModules.filter(function(transformed) {
+      return transformed.transformTime != null;
+    }),
+    function(transformed) {
+      return -transformed.transformTime;
+    }
+  ).slice(0, SLOWEST_TRANSFORMS_COUNT);
+
+  if (slowest.length) {
+    Activity.signal('slowest transforms', slowest.map(function(transformed) {
+      return {
+        path: transformed.sourcePath,
+        duration: transformed.transformTime,
+      };
+    }));
+  }
+}
+
+/**
+ * Maps the path of every module to the paths of the modules it requires that
+ * are in the package, which has the `modules` (and the modules of
+ * `packagePaths`, if given).
+ */
+function resolveRequires(modules, resolver, platform, packagePaths) {
+  var requires = Object.create(null);
+  var inPackage = Object.create(null);
+  modules.forEach(function(module) {
+    requires[module.path] = [];
+    inPackage[module.path] = true;
+  });
+  (packagePaths || []).forEach(function(modulePath) {
+    inPackage[modulePath] = true;
+  });
+
+  modules.forEach(function(module) {
+    if (module.isPolyfill) {
+      return;
+    }
+    module.dependencies.forEach(function(name) {
+      var dep = resolver.resolveDependency(module, name, platform);
+      if (dep != null && inPackage[dep.path]) {
+        requires[module.path].push(dep.path);
+      }
+    });
+  });
+
+  return requires;
+}
+
+/**
+ * Keeps the polyfills and the modules the entry module (the first one that
+ * isn't a polyfill) transitively depends on.
+ */
+function removeUnreachableModules(transformedModules, requires) {
+  var modules = _.pluck(transformedModules, 'module');
+  var polyfillPaths = _.pluck(_.filter(modules, 'isPolyfill'), 'path');
+  var reachable = findReachable(
+    _.pluck(modules, 'path'),
+    function(modulePath) {
+      return polyfillPaths.indexOf(modulePath) !== -1;
+    },
+    function(modulePath) {
+      return requires[modulePath];
+    }
+  );
+
+  return transformedModules.filter(function(transformed) {
+    return reachable[transformed.module.path];
+  });
+}
+
+/**
+ * The paths of the polyfills and of the modules the entry module (the first
+ * of `modulePaths` that isn't a polyfill) transitively requires.
+ */
+function findReachable(modulePaths, isPolyfill, getRequires) {
+  var reachable = Object.create(null);
+  var queue = [];
+
+  modulePaths.forEach(function(modulePath) {
+    if (isPolyfill(modulePath)) {
+      reachable[modulePath] = true;
+    } else if (queue.length === 0) {
+      queue.push(modulePath);
+    }
+  });
+
+  while (queue.length) {
+    var modulePath = queue.shift();
+    if (!reachable[modulePath]) {
+      reachable[modulePath] = true;
+      queue.push.apply(queue, getRequires(modulePath));
+    }
+  }
+
+  return reachable;
+}
+
 
 function verifyRootExists(root) {
   // Verify that the root exists.
@@ -161,6 +605,40 @@ Packager.prototype.getGraphDebugInfo = function() {
   return this._resolver.getDebugInfo();
 };
 
+/**
+ * The module of an asset exports what the app needs to find it:
+ * `resolveAssetSource` turns that into the url of the variant for the pixel
+ * density of the device, which is served by the `/assets` route or copied
+ * into the app for release builds.
+ */
+Packager.prototype._generateAssetModule = function(module) {
+  return this._assetServer.getAssetData(module.path).then(function(data) {
+    var asset = {
+      __packager_asset: true,
+      httpServerLocation: data.httpServerLocation,
+      name: data.name,
+      type: data.type,
+      scales: data.scales,
+      hash: data.hash,
+      width: data.width,
+      height: data.height,
+    };
+    var code = 'module.exports = ' + JSON.stringify(asset) + ';';
+
+    return {
+      code: code,
+      sourceCode: code,
+      sourcePath: module.path,
+      asset: _.extend({files: data.files}, _.omit(asset, '__packager_asset')),
+    };
+  });
+};
+
+// `image!name` requires images that are bundled with the app natively.
+function isImageTag(id) {
+  return /^image!/.test(id);
+}
+
 function generateAssetModule(module) {
   var code = 'module.exports = ' + JSON.stringify({
     uri: module.id.replace(/^[^!]+!/, ''),
@@ -0,0 +1,412 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+var parseModule = require('../lib/parseModule');
+
+var forEachChild = parseModule.forEachChild;
+
+/**
+ * Replaces `__DEV__` with `constants.dev` and `Platform.OS` with
+ * `constants.platform` (in modules where `Platform` is `require('Platform')`),
+ * then removes the branches of `if` statements, conditionals, `&&` and `||`
+ * that can't be reached anymore.
+ *
+ * Code is only ever replaced by code of the same length that spans the same
+ * lines, so that the source map of the module stays valid.
+ *
+ * Returns the new code and the names of the modules that are still required,
+ * or `null` for those if the code couldn't be parsed.
+ */
+function inlineConstants(code, constants) {
+  var ast;
+  try {
+    ast = parseModule.parseModule(code);
+  } catch (e) {
+    return {code: code, requires: null};
+  }
+
+  var state = {
+    source: code,
+    constants: {},
+    statementLists: findStatementListItems(ast),
+    edits: [],
+    requires: [],
+  };
+
+  if (constants.dev != null && !declares(ast, '__DEV__')) {
+    state.constants.dev = {value: constants.dev};
+  }
+  if (constants.platform != null && bindsPlatformModule(ast)) {
+    state.constants.platform = {value: constants.platform};
+  }
+
+  visit(ast, state);
+
+  return {
+    code: applyEdits(code, state.edits),
+    requires: state.requires,
+  };
+}
+
+/**
+ * Walks the code that is still reachable, recording the edits to make and the
+ * modules it requires.
+ */
+function visit(node, state) {
+  var result;
+  switch (node.type) {
+    case 'IfStatement':
+    case 'ConditionalExpression':
+      result = evaluate(node.test, state);
+      if (result != null) {
+        var live = result.value ? node.consequent : node.alternate;
+        if (removeAllBut(node, live, state)) {
+          if (live) {
+            visit(live, state);
+          }
+          return;
+        }
+      }
+      break;
+
+    case 'LogicalExpression':
+      result = evaluate(node.left, state);
+      if (result != null) {
+        var leftWins = node.operator === '&&' ? !result.value : result.value;
+        if (leftWins) {
+          if (replaceWithLiteral(node, result.value, state)) {
+            return;
+          }
+        } else if (removeAllBut(node, node.right, state)) {
+          visit(node.right, state);
+          return;
+        }
+      }
+      break;
+
+    case 'Identifier':
+      if (node.name === '__DEV__' && state.constants.dev) {
+        replaceWithLiteral(node, state.constants.dev.value, state);
+      }
+      return;
+
+    case 'MemberExpression':
+      if (isPlatformOS(node) && state.constants.platform) {
+        replaceWithLiteral(node, state.constants.platform.value, state);
+        return;
+      }
+      visit(node.object, state);
+      if (node.computed) {
+        visit(node.property, state);
+      }
+      return;
+
+    case 'CallExpression':
+      if (node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+          node.arguments.length &&
+          node.arguments[0].type === 'Literal' &&
+          typeof node.arguments[0].value === 'string') {
+        state.requires.push(node.arguments[0].value);
+      }
+      break;
+
+    case 'AssignmentExpression':
+      // Never replace what is being assigned to.
+      if (node.left.type !== 'Identifier' && !isPlatformOS(node.left)) {
+        visit(node.left, state);
+      }
+      visit(node.right, state);
+      return;
+
+    case 'UpdateExpression':
+      return;
+
+    case 'Property':
+      if (node.computed) {
+        visit(node.key, state);
+      }
+      visit(node.value, state);
+      return;
+
+    case 'VariableDeclarator':
+      if (node.init) {
+        visit(node.init, state);
+      }
+      return;
+
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+      visit(node.body, state);
+      return;
+
+    case 'LabeledStatement':
+      visit(node.body, state);
+      return;
+
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return;
+  }
+
+  forEachChild(node, function(child) {
+    visit(child, state);
+  });
+}
+
+/**
+ * Returns `{value}` for expressions that evaluate to a constant.
+ */
+function evaluate(node, state) {
+  var left, right;
+  switch (node.type) {
+    case 'Literal':
+      return node.regex || node.value instanceof RegExp
+        ? null
+        : {value: node.value};
+
+    case 'Identifier':
+      return node.name === '__DEV__' ? state.constants.dev : null;
+
+    case 'MemberExpression':
+      return isPlatformOS(node) ? state.constants.platform : null;
+
+    case 'UnaryExpression':
+      left = evaluate(node.argument, state);
+      if (!left) {
+        return null;
+      } else if (node.operator === '!') {
+        return {value: !left.value};
+      } else if (node.operator === 'typeof') {
+        return {value: typeof left.value};
+      }
+      return null;
+
+    case 'BinaryExpression':
+      left = evaluate(node.left, state);
+      right = left && evaluate(node.right, state);
+      if (!right) {
+        return null;
+      }
+      switch (node.operator) {
+        case '===':
+          return {value: left.value === right.value};
+        case '!==':
+          return {value: left.value !== right.value};
+        case '==':
+          return {value: left.value == right.value};
+        case '!=':
+          return {value: left.value != right.value};
+      }
+      return null;
+
+    case 'LogicalExpression':
+      left = evaluate(node.left, state);
+      if (!left) {
+        return null;
+      }
+      if (node.operator === '&&' ? !left.value : left.value) {
+        return left;
+      }
+      return evaluate(node.right, state);
+  }
+  return null;
+}
+
+/**
+ * Removes the code of `node` except for `live` (if any). Variables and
+ * functions declared in the removed code are declared again since they are
+ * hoisted. Returns false if that isn't possible.
+ */
+function removeAllBut(node, live, state) {
+  var start = node.range[0];
+  var end = node.range[1];
+  var isStatement = node.type === 'IfStatement';
+
+  if (!live) {
+    var declarations = hoistedNames(node);
+    var replacement = declarations.length
+      ? 'var ' + declarations.join(', ') + ';'
+      : ';';
+    if (!fits(replacement, node.range, state)) {
+      return false;
+    }
+    state.edits.push({range: node.range, text: replacement});
+    return true;
+  }
+
+  if (!isStatement) {
+    // Blanking the code in front of the expression could leave a line break
+    // where a semicolon would be inserted (e.g. right after `return`), so
+    // start a parenthesized expression before it.
+    var prefix = state.source.slice(start, live.range[0]);
+    if (/\n/.test(prefix)) {
+      if (live.range[1] === end) {
+        return false;
+      }
+      state.edits.push({range: [start, live.range[0]], text: '('});
+      state.edits.push({range: [live.range[1], end], text: ')'});
+      return true;
+    }
+  }
+
+  var deadNames = hoistedNames(node).filter(function(name) {
+    return hoistedNames(live).indexOf(name) === -1;
+  });
+  var declaration = deadNames.length
+    ? 'var ' + deadNames.join(', ') + ';'
+    : '';
+
+  if (declaration) {
+    // The declaration makes it more than one statement.
+    if (!isStatement || state.statementLists.indexOf(node) === -1) {
+      return false;
+    }
+    if (!fits(declaration, [start, live.range[0]], state) &&
+        !fits(declaration, [live.range[1], end], state)) {
+      return false;
+    }
+  }
+
+  if (declaration && fits(declaration, [start, live.range[0]], state)) {
+    state.edits.push({range: [start, live.range[0]], text: declaration});
+    state.edits.push({range: [live.range[1], end], text: ''});
+  } else {
+    state.edits.push({range: [start, live.range[0]], text: ''});
+    state.edits.push({range: [live.range[1], end], text: declaration});
+  }
+  return true;
+}
+
+function replaceWithLiteral(node, value, state) {
+  var text = value === undefined ? 'void 0' : JSON.stringify(value);
+  if (!fits(text, node.range, state)) {
+    return false;
+  }
+  state.edits.push({range: node.range, text: text});
+  return true;
+}
+
+/**
+ * Whether `text` can replace the code in `range` without removing lines.
+ */
+function fits(text, range, state) {
+  var removed = state.source.slice(range[0], range[1]);
+  return text.length <= removed.replace(/\n/g, '').length;
+}
+
+function findStatementListItems(ast) {
+  var items = [];
+  (function find(node) {
+    var list = node.type === 'SwitchCase' ? node.consequent : node.body;
+    if (Array.isArray(list)) {
+      items.push.apply(items, list);
+    }
+    forEachChild(node, find);
+  })(ast);
+  return items;
+}
+
+/**
+ * The names of the variables and functions declared in `node`, but not in
+ * functions nested in it.
+ */
+function hoistedNames(node) {
+  var names = [];
+  (function collect(node) {
+    if (node.type === 'VariableDeclarator') {
+      names.push(node.id.name);
+    } else if (node.type === 'FunctionDeclaration') {
+      names.push(node.id.name);
+      return;
+    } else if (node.type === 'FunctionExpression') {
+      return;
+    }
+    forEachChild(node, collect);
+  })(node);
+  return names;
+}
+
+function declares(ast, name) {
+  var found = false;
+  (function find(node) {
+    if (found) {
+      return;
+    }
+    if ((node.type === 'VariableDeclarator' && node.id.name === name) ||
+        ((node.type === 'FunctionDeclaration' ||
+          node.type === 'FunctionExpression') &&
+         node.params.some(function(param) {
+           return param.type === 'Identifier' && param.name === name;
+         }))) {
+      found = true;
+      return;
+    }
+    forEachChild(node, find);
+  })(ast);
+  return found;
+}
+
+/**
+ * Only inline `Platform.OS` if `Platform` is the module and nothing else.
+ */
+function bindsPlatformModule(ast) {
+  var bindings = 0;
+  var isModule = true;
+  (function find(node) {
+    if (node.type === 'VariableDeclarator' && node.id.name === 'Platform') {
+      bindings++;
+      var init = node.init;
+      isModule = isModule && init != null && init.type === 'CallExpression' &&
+        init.callee.type === 'Identifier' && init.callee.name === 'require' &&
+        init.arguments.length === 1 &&
+        init.arguments[0].value === 'Platform';
+    }
+    forEachChild(node, find);
+  })(ast);
+  return bindings === 1 && isModule && !declares(ast, 'OS');
+}
+
+function isPlatformOS(node) {
+  return node.type === 'MemberExpression' && !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === 'Platform' &&
+    node.property.name === 'OS';
+}
+
+/**
+ * Replaces every range with its text, padded with spaces and the line breaks
+ * of the code that was there.
+ */
+function applyEdits(code, edits) {
+  edits.sort(function(a, b) {
+    return a.range[0] - b.range[0];
+  });
+
+  var result = '';
+  var position = 0;
+  edits.forEach(function(edit) {
+    var start = edit.range[0];
+    var end = edit.range[1];
+    var toRemove = edit.text.length;
+    var blank = code.slice(start, end).replace(/[^\n]/g, function() {
+      // Make room for the text with the first spaces.
+      if (toRemove > 0) {
+        toRemove--;
+        return '';
+      }
+      return ' ';
+    });
+    result += code.slice(position, start) + edit.text + blank;
+    position = end;
+  });
+
+  return result + code.slice(position);
+}
+
+module.exports = inlineConstants;
@@ -40,6 +40,7 @@ describe('processRequest', function() {
     requestHandler({
         url: requrl
       },{
+        writeHead: function() {},
         end: function(res) {
           deferred.resolve(res);
         }
@@ -67,6 +68,9 @@ describe('processRequest', function() {
         getSourceMap: function() {
           return 'this is the source map';
         },
+        getStats: function() {
+          return {modules: []};
+        },
       });
     });
 
@@ -124,7 +128,34 @@ describe('processRequest', function() {
         'index.ios.js',
         true,
         'index.ios.includeRequire.map',
-        true
+        true,
+        'ios',
+        false
+      );
+    });
+  });
+
+  pit('builds bundles for the platform in the query', function() {
+    return q.all([
+      makeRequest(requestHandler, 'index.bundle?platform=android'),
+      makeRequest(requestHandler, 'index.bundle?platform=ios'),
+    ]).then(function() {
+      expect(Packager.prototype.package.mock.calls.length).toBe(2);
+      expect(Packager.prototype.package).toBeCalledWith(
+        'index.js',
+        true,
+        'index.map',
+        true,
+        'android',
+        false
+      );
+      expect(Packager.prototype.package).toBeCalledWith(
+        'index.js',
+        true,
+        'index.map',
+        true,
+        'ios',
+        false
       );
     });
   });
@@ -153,26 +184,22 @@ describe('processRequest', function() {
     });
 
     pit('rebuilds the packages that contain a file when that file is changed', function() {
-      var packageFunc = jest.genMockFunction();
-      packageFunc
-        .mockReturnValueOnce(
-          q({
-            getSource: function() {
-              return 'this is the first source';
-            },
-            getSourceMap: function() {},
-          })
-        )
-        .mockReturnValue(
-          q({
-            getSource: function() {
-              return 'this is the rebuilt source';
-            },
-            getSourceMap: function() {},
-          })
-        );
+      var firstPackage = {
+        getSource: function() {
+          return 'this is the first source';
+        },
+        getSourceMap: function() {},
+      };
+      var packageFunc = jest.genMockFunction().mockReturnValue(q(firstPackage));
+      var rebuildFunc = jest.genMockFunction().mockReturnValue(q({
+        getSource: function() {
+          return 'this is the rebuilt source';
+        },
+        getSourceMap: function() {},
+      }));
 
       Packager.prototype.package = packageFunc;
+      Packager.prototype.rebuild = rebuildFunc;
 
       var Server = require('../../Server');
       server = new Server(options);
@@ -184,18 +211,397 @@ describe('processRequest', function() {
         .then(function(response) {
           expect(response).toEqual('this is the first source');
           expect(packageFunc.mock.calls.length).toBe(1);
-          triggerFileChange('all','path/file.js', options.projectRoots[0]);
+          triggerFileChange('change','path/file.js', options.projectRoots[0]);
+          triggerFileChange('add','path/other.js', options.projectRoots[0]);
           jest.runAllTimers();
           jest.runAllTimers();
+          // The rebuild starts once the current package is done.
+          return q.allSettled([
+            server._packages['mybundle.bundle?runModule=true'],
+          ]);
         })
         .then(function() {
-          expect(packageFunc.mock.calls.length).toBe(2);
+          expect(packageFunc.mock.calls.length).toBe(1);
+          expect(rebuildFunc).toBeCalledWith(
+            firstPackage,
+            [
+              {type: 'change', path: 'root/path/file.js'},
+              {type: 'add', path: 'root/path/other.js'},
+            ],
+            'mybundle.js',
+            true,
+            'mybundle.map',
+            'ios',
+            false
+          );
           return makeRequest(requestHandler, 'mybundle.bundle?runModule=true')
             .then(function(response) {
               expect(response).toEqual('this is the rebuilt source');
             });
         });
     });
+
+    pit('builds production packages from scratch', function() {
+      Packager.prototype.rebuild = jest.genMockFunction();
+
+      return makeRequest(requestHandler, 'mybundle.bundle?dev=false')
+        .then(function() {
+          triggerFileChange('all','path/file.js', options.projectRoots[0]);
+          jest.runAllTimers();
+          jest.runAllTimers();
+          return server._packages['mybundle.bundle?dev=false'];
+        })
+        .then(function() {
+          expect(Packager.prototype.package.mock.calls.length).toBe(2);
+          expect(Packager.prototype.rebuild).not.toBeCalled();
+        });
+    });
+  });
+
+  describe('/assets', function() {
+    pit('serves the files of assets', function() {
+      var AssetServer = require('../../AssetServer');
+      AssetServer.prototype.get.mockImpl(function() {
+        return q('logo data');
+      });
+
+      return makeRequest(
+        requestHandler,
+        '/assets/img/logo%402x.png?hash=abc'
+      ).then(function(response) {
+        expect(response).toBe('logo data');
+        expect(AssetServer.prototype.get).toBeCalledWith('img/logo@2x.png');
+      });
+    });
+  });
+
+  describe('/events', function() {
+    it('streams the packager events until the client disconnects', function() {
+      var Activity = require('../../Activity');
+      var onClose;
+      var req = {
+        url: '/events',
+        on: function(eventType, callback) {
+          expect(eventType).toBe('close');
+          onClose = callback;
+        },
+      };
+      var res = {
+        writeHead: jest.genMockFn(),
+        write: jest.genMockFn(),
+      };
+
+      requestHandler(req, res, function() {});
+      expect(res.writeHead).toBeCalledWith(200, {
+        'Content-Type': 'application/x-ndjson; charset=UTF-8',
+      });
+
+      var listener = Activity.addListener.mock.calls[0][0];
+      var event = {action: 'signal', eventName: 'file change', data: null};
+      listener(event);
+      expect(res.write).toBeCalledWith(JSON.stringify(event) + '\n');
+
+      onClose();
+      expect(Activity.removeListener).toBeCalledWith(listener);
+    });
+  });
+
+  describe('strict mode', function() {
+    pit('can be turned off for production bundles', function() {
+      return makeRequest(
+        requestHandler,
+        'mybundle.bundle?dev=false&strict=false'
+      ).then(function() {
+        expect(Packager.prototype.package).toBeCalledWith(
+          'mybundle.js',
+          true,
+          'mybundle.map',
+          false,
+          'ios',
+          false
+        );
+      });
+    });
+
+    pit('returns the requires that cannot be resolved', function() {
+      var error = {
+        type: 'UnresolvedRequiresError',
+        message: 'UnresolvedRequiresError: /root/index.js:1:1: ' +
+          'Cannot find module `a`',
+        errors: [{
+          description: 'Cannot find module `a`',
+          filename: '/root/index.js',
+          lineNumber: 1,
+          column: 1,
+          id: 'a',
+          suggestions: [],
+        }],
+      };
+      Packager.prototype.package.mockImpl(function() {
+        return q.reject(error);
+      });
+
+      return makeRequest(
+        requestHandler,
+        'index.bundle?dev=false'
+      ).then(function(response) {
+        expect(JSON.parse(response)).toEqual(error);
+      });
+    });
+  });
+
+  describe('split packages', function() {
+    var split;
+
+    beforeEach(function() {
+      split = jest.genMockFn().mockImpl(function() {
+        return {
+          core: {
+            getSource: function() {
+              return 'core source';
+            },
+          },
+          parts: {
+            Settings: {
+              getSource: function() {
+                return 'settings source';
+              },
+            },
+          },
+        };
+      });
+      Packager.prototype.package.mockImpl(function() {
+        return q({split: split});
+      });
+    });
+
+    pit('returns the core package', function() {
+      return makeRequest(
+        requestHandler,
+        '/index.ios.bundle?split=Settings'
+      ).then(function(response) {
+        expect(response).toEqual('core source');
+        expect(split.mock.calls[0][0]).toEqual(['Settings']);
+        expect(split.mock.calls[0][1]('Settings')).toEqual({
+          bundleUrl: '/index.ios.bundle?split=Settings&part=Settings',
+          sourceMapUrl: '/index.ios.map?split=Settings&part=Settings',
+        });
+      });
+    });
+
+    pit('returns the package of a split point', function() {
+      return makeRequest(
+        requestHandler,
+        '/index.ios.bundle?split=Settings&part=Settings'
+      ).then(function(response) {
+        expect(response).toEqual('settings source');
+      });
+    });
+  });
+
+  describe('/debug/bundle-stats', function() {
+    pit('returns the stats of the bundle as JSON', function() {
+      return makeRequest(
+        requestHandler,
+        '/debug/bundle-stats/mybundle.bundle?dev=false'
+      ).then(function(response) {
+        expect(JSON.parse(response)).toEqual({modules: []});
+        expect(Packager.prototype.package).toBeCalledWith(
+          'mybundle.js',
+          true,
+          '/mybundle.map',
+          false,
+          'ios',
+          true
+        );
+        expect(Object.keys(server._packages)).toEqual([]);
+      });
+    });
+
+    pit('reuses the package requested by clients', function() {
+      return makeRequest(requestHandler, '/mybundle.bundle?dev=false')
+        .then(function() {
+          return makeRequest(
+            requestHandler,
+            '/debug/bundle-stats/mybundle.bundle?dev=false'
+          );
+        })
+        .then(function() {
+          expect(Packager.prototype.package.mock.calls.length).toBe(1);
+        });
+    });
+
+    it('explains how to use it without a bundle', function() {
+      var res = {
+        writeHead: jest.genMockFn(),
+        end: jest.genMockFn(),
+      };
+
+      requestHandler({url: '/debug/bundle-stats'}, res, function() {});
+      expect(res.writeHead).toBeCalledWith(400);
+      expect(res.end)
+        .toBeCalledWith('Usage: /debug/bundle-stats/path/to/bundle');
+    });
+  });
+
+  describe('buildPackage', function() {
+    pit('builds a package from the given options', function() {
+      return server.buildPackage({
+        entryFile: 'foo.js',
+        sourceMapUrl: 'foo.map',
+        dev: false,
+      }).then(function(p) {
+        expect(p.getSource()).toEqual('this is the source');
+        expect(Packager.prototype.package).toBeCalledWith(
+          'foo.js',
+          true,
+          'foo.map',
+          false,
+          'ios',
+          true
+        );
+      });
+    });
+
+    pit('infers the platform from the entry file', function() {
+      return server.buildPackage({
+        entryFile: 'index.android.js',
+        dev: false,
+      }).then(function() {
+        expect(Packager.prototype.package).toBeCalledWith(
+          'index.android.js',
+          true,
+          undefined,
+          false,
+          'android',
+          true
+        );
+      });
+    });
+  });
+
+  describe('hot module replacement', function() {
+    var bundleUrl = 'mybundle.bundle?runModule=true';
+    var onConnection;
+    var ws;
+
+    beforeEach(function() {
+      require('ws').Server.mockImpl(function() {
+        this.on = function(eventType, callback) {
+          onConnection = callback;
+        };
+      });
+      ws = {
+        upgradeReq: {url: '/hot?bundle=' + encodeURIComponent(bundleUrl)},
+        on: jest.genMockFn(),
+        send: jest.genMockFn(),
+      };
+    });
+
+    pit('sends the modules that changed to the client', function() {
+      var changedModules = jest.genMockFn().mockReturnValue([
+        {sourcePath: 'foo.js', transformedCode: '__d("foo");'},
+      ]);
+      Packager.prototype.package = jest.genMockFn()
+        .mockReturnValue(q({getSource: function() {}}));
+      Packager.prototype.rebuild = jest.genMockFn()
+        .mockReturnValue(q({
+          getSource: function() {},
+          getModulesChangedSince: changedModules,
+        }));
+
+      server.attachHMRServer({});
+      onConnection(ws);
+
+      return server._packages[bundleUrl].then(function(firstPackage) {
+        triggerFileChange('all', 'path/file.js', options.projectRoots[0]);
+        jest.runAllTimers();
+        jest.runAllTimers();
+
+        return q.allSettled([server._packages[bundleUrl]]).then(function() {
+          return server._packages[bundleUrl];
+        }).then(function() {
+          expect(changedModules).toBeCalledWith(firstPackage);
+          expect(ws.send.mock.calls[0][0]).toEqual(JSON.stringify({
+            type: 'update',
+            modules: [{sourcePath: 'foo.js', code: '__d("foo");'}],
+          }));
+        });
+      });
+    });
+  });
+
+  describe('/hot polling', function() {
+    var EventEmitter;
+    var pollUrl = '/hot?bundle=' +
+      encodeURIComponent('mybundle.bundle?runModule=true') + '&client=abc';
+
+    var poll = function(requrl) {
+      var req = new EventEmitter();
+      req.url = requrl || pollUrl;
+      var res = {
+        writeHead: jest.genMockFn(),
+        end: jest.genMockFn(),
+      };
+      requestHandler(req, res, function() {});
+      return {req: req, res: res};
+    };
+
+    beforeEach(function() {
+      EventEmitter = require.requireActual('events').EventEmitter;
+    });
+
+    it('holds polls until there is a message for the client', function() {
+      var first = poll();
+      expect(first.res.end).not.toBeCalled();
+
+      server._hmrClients[0].send({type: 'update', modules: []});
+      expect(first.res.writeHead).toBeCalledWith(200, {
+        'Content-Type': 'application/json; charset=UTF-8',
+      });
+      expect(first.res.end).toBeCalledWith(
+        JSON.stringify([{type: 'update', modules: []}])
+      );
+    });
+
+    it('keeps the messages sent between polls', function() {
+      poll();
+      var client = server._hmrClients[0];
+      client.send({type: 'update', modules: []});
+      client.send({type: 'error', error: {}});
+
+      var second = poll();
+      expect(server._hmrClients).toEqual([client]);
+      expect(second.res.end).toBeCalledWith(
+        JSON.stringify([{type: 'error', error: {}}])
+      );
+    });
+
+    it('answers held polls with no messages after a while', function() {
+      var first = poll();
+      jest.runOnlyPendingTimers();
+      expect(first.res.end).toBeCalledWith('[]');
+      expect(server._hmrClients.length).toBe(1);
+    });
+
+    it('drops clients that stop polling', function() {
+      poll();
+      server._hmrClients[0].send({type: 'update', modules: []});
+      jest.runOnlyPendingTimers();
+      expect(server._hmrClients.length).toBe(0);
+    });
+
+    it('drops clients that disconnect', function() {
+      var first = poll();
+      first.req.emit('close');
+      expect(server._hmrClients.length).toBe(0);
+    });
+
+    it('explains how to poll without a bundle or client', function() {
+      var first = poll('/hot?client=abc');
+      expect(first.res.writeHead.mock.calls[0][0]).toBe(400);
+      expect(server._hmrClients.length).toBe(0);
+    });
   });
 
   describe('/onchange endpoint', function() {
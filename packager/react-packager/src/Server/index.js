@@ -13,12 +13,19 @@ var path = require('path');
 var declareOpts = require('../lib/declareOpts');
 var FileWatcher = require('../FileWatcher');
 var Packager = require('../Packager');
+var AssetServer = require('../AssetServer');
 var Activity = require('../Activity');
 var q = require('q');
 var _ = require('underscore');
+var WebSocketServer = require('ws').Server;
 
 module.exports = Server;
 
+// Held `/hot` polls are answered with no messages after this long, before the
+// client's request times out. Clients that don't poll again within this long
+// are dropped.
+var HMR_POLL_TIMEOUT = 25000;
+
 var validateOpts = declareOpts({
   projectRoots: {
     type: 'array',
@@ -51,51 +58,105 @@ var validateOpts = declareOpts({
     type: 'boolean',
     default: false,
   },
+  cacheTransforms: {
+    type: 'boolean',
+    required: false,
+  },
   assetRoots: {
     type: 'array',
     required: false,
   },
+  assetExts: {
+    type: 'array',
+    default: [
+      'png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', // Images
+      'ttf', 'otf', // Fonts
+      'mp3', 'wav', 'aac', 'm4a', 'caf', // Sounds
+    ],
+  },
+  transforms: {
+    type: 'object',
+    default: {},
+  },
+  cacheDir: {
+    type: 'string',
+    required: false,
+  },
+  maxCacheSize: {
+    type: 'number',
+    required: false,
+  },
 });
 
 function Server(options) {
   var opts = validateOpts(options);
   this._projectRoots = opts.projectRoots;
   this._packages = Object.create(null);
-  this._packager = new Packager(opts);
+
+  // Files that have transforms are modules as well.
+  var moduleExts = _.union(['js'], Object.keys(opts.transforms));
+  // Files that have transforms aren't assets.
+  var assetExts = _.difference(opts.assetExts, moduleExts);
+  this._assetServer = new AssetServer({
+    projectRoots: opts.projectRoots,
+    assetExts: assetExts,
+  });
+  this._packager = new Packager(_.extend({}, opts, {
+    moduleExts: moduleExts,
+    assetExts: assetExts,
+    assetServer: this._assetServer,
+  }));
   this._changeWatchers = [];
+  this._hmrClients = [];
+  this._hmrPollClients = Object.create(null);
+  this._changes = [];
 
   this._fileWatcher = options.nonPersistent
     ? FileWatcher.createDummyWatcher()
-    : new FileWatcher(options.projectRoots);
+    : new FileWatcher(
+        options.projectRoots,
+        moduleExts.concat(assetExts)
+      );
 
   var onFileChange = this._onFileChange.bind(this);
   this._fileWatcher.on('all', onFileChange);
 
   var self = this;
-  this._debouncedFileChangeHandler = _.debounce(function(filePath) {
-    self._rebuildPackages(filePath);
+  this._debouncedFileChangeHandler = _.debounce(function() {
+    var changes = self._changes;
+    self._changes = [];
+    self._rebuildPackages(changes);
     self._informChangeWatchers();
+    self._informHMRClients();
   }, 50);
 }
 
 Server.prototype._onFileChange = function(type, filepath, root) {
   var absPath = path.join(root, filepath);
+  Activity.record('file change', {type: type, path: absPath});
   this._packager.invalidateFile(absPath);
+  this._changes.push({type: type, path: absPath});
   // Make sure the file watcher event runs through the system before
   // we rebuild the packages.
-  this._debouncedFileChangeHandler(absPath);
+  this._debouncedFileChangeHandler();
 };
 
-Server.prototype._rebuildPackages = function() {
+Server.prototype._rebuildPackages = function(changes) {
   var buildPackage = this._buildPackage.bind(this);
+  var rebuildPackage = this._rebuildPackage.bind(this);
   var packages = this._packages;
   Object.keys(packages).forEach(function(key) {
     var options = getOptionsFromUrl(key);
+    var previousBuild = packages[key] || q.reject();
     // Wait for a previous build (if exists) to finish.
-    packages[key] = (packages[key] || q()).finally(function() {
+    packages[key] = previousBuild.finally(function() {
       // With finally promise callback we can't change the state of the promise
       // so we need to reassign the promise.
-      packages[key] = buildPackage(options).then(function(p) {
+      packages[key] = previousBuild.then(function(previousPackage) {
+        return rebuildPackage(options, previousPackage, changes);
+      }, function() {
+        return buildPackage(options);
+      }).then(function(p) {
         // Make a throwaway call to getSource to cache the source string.
         p.getSource({
           inlineSourceMap: options.inlineSourceMap,
@@ -122,20 +183,180 @@ Server.prototype._informChangeWatchers = function() {
   this._changeWatchers = [];
 };
 
+/**
+ * Sends every hot module replacement client the modules that changed between
+ * the package it is running and the rebuilt one.
+ */
+Server.prototype._informHMRClients = function() {
+  var packages = this._packages;
+  this._hmrClients.forEach(function(client) {
+    var bundleUrl = client.bundleUrl;
+    if (packages[bundleUrl] == null) {
+      return;
+    }
+
+    // The rebuilt package replaces the current one once that one is done.
+    q.allSettled([packages[bundleUrl]]).then(function() {
+      return packages[bundleUrl];
+    }).then(
+      function(p) {
+        var previousPackage = client.package;
+        client.package = p;
+        if (previousPackage == null) {
+          return;
+        }
+
+        var modules = p.getModulesChangedSince(previousPackage);
+        if (modules.length === 0) {
+          return;
+        }
+
+        client.send({
+          type: 'update',
+          modules: modules.map(function(module) {
+            return {
+              sourcePath: module.sourcePath,
+              code: module.transformedCode,
+            };
+          }),
+        });
+      },
+      function(error) {
+        client.send({
+          type: 'error',
+          error: formatError(error),
+        });
+      }
+    ).done();
+  });
+};
+
+/**
+ * Accepts hot module replacement clients on `/hot` of `httpServer`. Clients
+ * identify the package they are running with the `bundle` query param, which
+ * is the path and query of the url they requested it with. Clients without
+ * WebSockets can poll `/hot` instead, see `_processHotRequest`.
+ */
+Server.prototype.attachHMRServer = function(httpServer) {
+  var self = this;
+  var wss = new WebSocketServer({
+    server: httpServer,
+    path: '/hot',
+  });
+
+  wss.on('connection', function(ws) {
+    var bundleUrl = url.parse(ws.upgradeReq.url, true).query.bundle;
+    var removeClient = self._addHMRClient(bundleUrl, function(message) {
+      sendHMRMessage(ws, message);
+    });
+    ws.on('close', removeClient);
+    ws.on('error', removeClient);
+  });
+};
+
+/**
+ * Sends the updates of the package of `bundleUrl` to `send` from now on.
+ * Returns the function that stops it.
+ */
+Server.prototype._addHMRClient = function(bundleUrl, send) {
+  var clients = this._hmrClients;
+  var client = {
+    bundleUrl: bundleUrl,
+    package: null,
+    send: send,
+  };
+  clients.push(client);
+
+  this._getPackage(bundleUrl).then(function(p) {
+    client.package = p;
+  }, function() {
+    // The client will get the error with the next update.
+  });
+
+  return function() {
+    var index = clients.indexOf(client);
+    if (index !== -1) {
+      clients.splice(index, 1);
+    }
+  };
+};
+
 Server.prototype.end = function() {
-  q.all([
+  return q.all([
     this._fileWatcher.end(),
     this._packager.kill(),
   ]);
 };
 
 Server.prototype._buildPackage = function(options) {
-  return this._packager.package(
-    options.main,
-    options.runModule,
-    options.sourceMapUrl,
-    options.dev
-  );
+  var packager = this._packager;
+  var building = trackBuild(options, false, function() {
+    return packager.package(
+      options.main,
+      options.runModule,
+      options.sourceMapUrl,
+      options.dev,
+      options.platform,
+      options.strict
+    );
+  });
+  if (options.split == null) {
+    return building;
+  }
+
+  return building.then(function(p) {
+    var packages = p.split(options.split, options.getPartUrls);
+    if (options.part == null) {
+      return packages.core;
+    } else if (packages.parts[options.part] == null) {
+      throw new Error(
+        'Cannot build part `' + options.part + '`, it is not a split point'
+      );
+    }
+    return packages.parts[options.part];
+  });
+};
+
+/**
+ * Development packages are rebuilt from the modules of the previous package
+ * that didn't change. Split and production packages (whose modules depend
+ * on each other through the inlined constants), and packages after a
+ * package.json changed (which changes module ids) are built from scratch.
+ */
+Server.prototype._rebuildPackage = function(
+  options,
+  previousPackage,
+  changes
+) {
+  var changedPackageJson = changes.some(function(change) {
+    return path.basename(change.path) === 'package.json';
+  });
+  if (!options.dev || options.split != null || changedPackageJson) {
+    return this._buildPackage(options);
+  }
+
+  var packager = this._packager;
+  return trackBuild(options, true, function() {
+    return packager.rebuild(
+      previousPackage,
+      changes,
+      options.main,
+      options.runModule,
+      options.sourceMapUrl,
+      options.platform,
+      options.strict
+    );
+  });
+};
+
+/**
+ * The package for a bundle url, built if it isn't cached yet.
+ */
+Server.prototype._getPackage = function(bundleUrl) {
+  var building = this._packages[bundleUrl] ||
+    this._buildPackage(getOptionsFromUrl(bundleUrl));
+  this._packages[bundleUrl] = building;
+  return building;
 };
 
 Server.prototype.buildPackageFromUrl = function(reqUrl) {
@@ -143,8 +364,54 @@ Server.prototype.buildPackageFromUrl = function(reqUrl) {
   return this._buildPackage(options);
 };
 
+var packageOpts = declareOpts({
+  entryFile: {
+    type: 'string',
+    required: true,
+  },
+  sourceMapUrl: {
+    type: 'string',
+    required: false,
+  },
+  dev: {
+    type: 'boolean',
+    default: true,
+  },
+  runModule: {
+    type: 'boolean',
+    default: true,
+  },
+  platform: {
+    type: 'string',
+    required: false,
+  },
+  strict: {
+    type: 'boolean',
+    required: false,
+  },
+});
+
+Server.prototype.buildPackage = function(options) {
+  var opts = packageOpts(options);
+  return this._buildPackage({
+    main: opts.entryFile,
+    runModule: opts.runModule,
+    sourceMapUrl: opts.sourceMapUrl,
+    dev: opts.dev,
+    platform: opts.platform || getPlatformFromPath(opts.entryFile) ||
+      DEFAULT_PLATFORM,
+    // Production builds fail on requires that can't be resolved by default.
+    strict: opts.strict != null ? opts.strict : !opts.dev,
+  });
+};
+
 Server.prototype.getDependencies = function(main) {
-  return this._packager.getDependencies(main);
+  return this._packager.getDependencies(
+    main,
+    true,
+    false,
+    getPlatformFromPath(main) || DEFAULT_PLATFORM
+  );
 };
 
 Server.prototype._processDebugRequest = function(reqUrl, res) {
@@ -154,6 +421,8 @@ Server.prototype._processDebugRequest = function(reqUrl, res) {
   if (parts.length === 1) {
     ret += '<div><a href="/debug/packages">Cached Packages</a></div>';
     ret += '<div><a href="/debug/graph">Dependency Graph</a></div>';
+    ret += '<div>/debug/bundle-stats/path/to/bundle: ' +
+      'Module sizes of a bundle as JSON</div>';
     res.end(ret);
   } else if (parts[1] === 'packages') {
     ret += '<h1> Cached Packages </h1>';
@@ -170,6 +439,28 @@ Server.prototype._processDebugRequest = function(reqUrl, res) {
         console.log(e.stack);
       }
     );
+  } else if (parts[1] === 'bundle-stats') {
+    var bundleUrl = reqUrl.replace(/^\/debug\/bundle-stats/, '');
+    if (parts.length < 3) {
+      res.writeHead(400);
+      res.end('Usage: /debug/bundle-stats/path/to/bundle');
+      return;
+    }
+    // Reuse the package a client requested, but don't keep the ones that
+    // are only built for stats, as they would be rebuilt on every change.
+    var building = this._packages[bundleUrl] ||
+      this._buildPackage(getOptionsFromUrl(bundleUrl));
+    building.then(
+      function(p) {
+        res.writeHead(200, {
+          'Content-Type': 'application/json; charset=UTF-8',
+        });
+        res.end(JSON.stringify(p.getStats()));
+      },
+      function(error) {
+        handleError(res, error);
+      }
+    ).done();
   } else if (parts[1] === 'graph'){
     ret += '<h1> Dependency Graph </h2>';
     ret += this._packager.getGraphDebugInfo();
@@ -199,21 +490,123 @@ Server.prototype._processOnChangeRequest = function(req, res) {
   });
 };
 
+/**
+ * Hot module replacement for clients without WebSockets. A client polls
+ * `/hot?bundle=<bundle>&client=<id>`, with an id of its choice that stays the
+ * same across polls, and gets the JSON array of the messages sent to it since
+ * its previous poll. Polls are held until there is a message.
+ */
+Server.prototype._processHotRequest = function(req, res) {
+  var query = url.parse(req.url, true).query;
+  if (!query.bundle || !query.client) {
+    res.writeHead(400, {
+      'Content-Type': 'text/plain; charset=UTF-8',
+    });
+    res.end('Poll /hot?bundle=<bundle path and query>&client=<client id>');
+    return;
+  }
+
+  var pollClients = this._hmrPollClients;
+  var poller = pollClients[query.client];
+  if (poller == null) {
+    poller = pollClients[query.client] = {
+      res: null,
+      messages: [],
+      timeout: null,
+      drop: null,
+    };
+    var removeClient = this._addHMRClient(query.bundle, function(message) {
+      poller.messages.push(message);
+      if (poller.res) {
+        answerHMRPoll(poller);
+      }
+    });
+    poller.drop = function() {
+      clearTimeout(poller.timeout);
+      removeClient();
+      delete pollClients[query.client];
+    };
+  }
+
+  if (poller.res) {
+    answerHMRPoll(poller);
+  }
+  clearTimeout(poller.timeout);
+  poller.res = res;
+  if (poller.messages.length) {
+    answerHMRPoll(poller);
+  } else {
+    poller.timeout = setTimeout(function() {
+      answerHMRPoll(poller);
+    }, HMR_POLL_TIMEOUT);
+  }
+
+  req.on('close', function() {
+    // The client went away before it got an answer.
+    if (poller.res === res) {
+      poller.drop();
+    }
+  });
+};
+
+/**
+ * Streams the packager events to the client as they happen, one JSON object
+ * per line, until it disconnects.
+ */
+Server.prototype._processEventsRequest = function(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=UTF-8',
+  });
+
+  var listener = function(event) {
+    res.write(JSON.stringify(event) + '\n');
+  };
+  Activity.addListener(listener);
+
+  req.on('close', function() {
+    Activity.removeListener(listener);
+  });
+};
+
+Server.prototype._processAssetsRequest = function(req, res) {
+  var pathname = url.parse(req.url).pathname;
+  var assetPath = decodeURIComponent(pathname.replace(/^\/assets\//, ''));
+  this._assetServer.get(assetPath).then(
+    function(data) {
+      res.end(data);
+    },
+    function(error) {
+      console.error(error.stack);
+      res.writeHead(404);
+      res.end('Asset not found');
+    }
+  ).done();
+};
+
 Server.prototype.processRequest = function(req, res, next) {
   var urlObj = url.parse(req.url, true);
   var pathname = urlObj.pathname;
 
   var requestType;
-  if (pathname.match(/\.bundle$/)) {
+  if (pathname.match(/^\/debug/)) {
+    this._processDebugRequest(req.url, res);
+    return;
+  } else if (pathname.match(/^\/assets\//)) {
+    this._processAssetsRequest(req, res);
+    return;
+  } else if (pathname.match(/\.bundle$/)) {
     requestType = 'bundle';
   } else if (pathname.match(/\.map$/)) {
     requestType = 'map';
-  } else if (pathname.match(/^\/debug/)) {
-    this._processDebugRequest(req.url, res);
-    return;
   } else if (pathname.match(/^\/onchange\/?$/)) {
     this._processOnChangeRequest(req, res);
     return;
+  } else if (pathname.match(/^\/hot\/?$/)) {
+    this._processHotRequest(req, res);
+    return;
+  } else if (pathname.match(/^\/events\/?$/)) {
+    this._processEventsRequest(req, res);
+    return;
   } else {
     next();
     return;
@@ -221,10 +614,7 @@ Server.prototype.processRequest = function(req, res, next) {
 
   var startReqEventId = Activity.startEvent('request:' + req.url);
   var options = getOptionsFromUrl(req.url);
-  var building = this._packages[req.url] || this._buildPackage(options);
-
-  this._packages[req.url] = building;
-    building.then(
+  this._getPackage(req.url).then(
     function(p) {
       if (requestType === 'bundle') {
         res.end(p.getSource({
@@ -258,10 +648,19 @@ function getOptionsFromUrl(reqUrl) {
     return true;
   }).join('.') + '.js';
 
+  var split = urlObj.query.split ? urlObj.query.split.split(',') : null;
+  var sourceMapUrl = pathname.replace(/\.bundle$/, '.map');
+  if (split) {
+    // Maps of split packages only match the package with the same split.
+    sourceMapUrl += urlObj.search;
+  }
+
+  var dev = getBoolOptionFromQuery(urlObj.query, 'dev', true);
+
   return {
-    sourceMapUrl: pathname.replace(/\.bundle$/, '.map'),
+    sourceMapUrl: sourceMapUrl,
     main: entryFile,
-    dev: getBoolOptionFromQuery(urlObj.query, 'dev', true),
+    dev: dev,
     minify: getBoolOptionFromQuery(urlObj.query, 'minify'),
     runModule: getBoolOptionFromQuery(urlObj.query, 'runModule', true),
     inlineSourceMap: getBoolOptionFromQuery(
@@ -269,9 +668,36 @@ function getOptionsFromUrl(reqUrl) {
       'inlineSourceMap',
       false
     ),
+    platform: urlObj.query.platform || getPlatformFromPath(entryFile) ||
+      DEFAULT_PLATFORM,
+    strict: getBoolOptionFromQuery(urlObj.query, 'strict', !dev),
+    split: split,
+    part: urlObj.query.part || null,
+    getPartUrls: function(part) {
+      var query = _.extend({}, urlObj.query, {part: part});
+      return {
+        bundleUrl: url.format({
+          pathname: pathname.replace(/\.map$/, '.bundle'),
+          query: query,
+        }),
+        sourceMapUrl: url.format({
+          pathname: pathname.replace(/\.bundle$/, '.map'),
+          query: query,
+        }),
+      };
+    },
   };
 }
 
+// Bundles that don't name their platform have always been built for iOS.
+var DEFAULT_PLATFORM = 'ios';
+
+// `index.ios.js` is the entry point of the iOS app.
+function getPlatformFromPath(filePath) {
+  var match = filePath.match(/\.(ios|android|web)\.js$/);
+  return match ? match[1] : undefined;
+}
+
 function getBoolOptionFromQuery(query, opt, defaultVal) {
   if (query[opt] == null && defaultVal != null) {
     return defaultVal;
@@ -280,19 +706,73 @@ function getBoolOptionFromQuery(query, opt, defaultVal) {
   return query[opt] === 'true' || query[opt] === '1';
 }
 
+/**
+ * Wraps what `build` does to build the package for `options` in a
+ * `build package` event, and signals why the build failed if it does.
+ */
+function trackBuild(options, incremental, build) {
+  var eventId = Activity.startEvent('build package', {
+    entryFile: options.main,
+    platform: options.platform,
+    dev: options.dev,
+    incremental: incremental,
+  });
+
+  return build().then(function(p) {
+    Activity.endEvent(eventId);
+    return p;
+  }, function(error) {
+    Activity.endEvent(eventId);
+    Activity.signal('build error', {
+      entryFile: options.main,
+      type: error.type || 'InternalError',
+      message: error.message,
+    });
+    throw error;
+  });
+}
+
 function handleError(res, error) {
   res.writeHead(500, {
     'Content-Type': 'application/json; charset=UTF-8',
   });
 
-  if (error.type === 'TransformError') {
-    res.end(JSON.stringify(error));
-  } else {
-    console.error(error.stack || error);
-    res.end(JSON.stringify({
-      type: 'InternalError',
-      message: 'react-packager has encountered an internal error, ' +
-        'please check your terminal error output for more details',
-    }));
+  res.end(JSON.stringify(formatError(error)));
+}
+
+function formatError(error) {
+  if (error.type === 'TransformError' ||
+      error.type === 'UnresolvedRequiresError') {
+    return error;
   }
+
+  console.error(error.stack || error);
+  return {
+    type: 'InternalError',
+    message: 'react-packager has encountered an internal error, ' +
+      'please check your terminal error output for more details',
+  };
+}
+
+/**
+ * Answers the held poll of `poller` with the messages it hasn't got yet. The
+ * client is dropped unless it polls again.
+ */
+function answerHMRPoll(poller) {
+  var res = poller.res;
+  poller.res = null;
+  clearTimeout(poller.timeout);
+  poller.timeout = setTimeout(poller.drop, HMR_POLL_TIMEOUT);
+  res.writeHead(200, {
+    'Content-Type': 'application/json; charset=UTF-8',
+  });
+  res.end(JSON.stringify(poller.messages));
+  poller.messages = [];
+}
+
+function sendHMRMessage(ws, message) {
+  ws.send(JSON.stringify(message), function() {
+    // The client may have disconnected in the meantime, it doesn't need the
+    // message anymore.
+  });
 }
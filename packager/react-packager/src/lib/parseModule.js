@@ -0,0 +1,60 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+var esprima = require('esprima-fb');
+
+// Modules are function bodies, so they may `return` at the top level.
+var WRAPPER_START = '(function(){';
+var WRAPPER_END = '\n})';
+
+/**
+ * Parses the code of a module into a `Program` whose node ranges are indexes
+ * in `code`. Throws if the code can't be parsed.
+ */
+function parseModule(code) {
+  var wrapper = esprima.parse(WRAPPER_START + code + WRAPPER_END, {
+    range: true,
+  });
+  var ast = {
+    type: 'Program',
+    body: wrapper.body[0].expression.body.body,
+    range: [0, code.length],
+  };
+  forEachChild(ast, function shift(node) {
+    node.range[0] -= WRAPPER_START.length;
+    node.range[1] -= WRAPPER_START.length;
+    forEachChild(node, shift);
+  });
+  return ast;
+}
+
+/**
+ * Calls `callback` with every node that is a direct child of `node`.
+ */
+function forEachChild(node, callback) {
+  Object.keys(node).forEach(function(key) {
+    if (key === 'range') {
+      return;
+    }
+    var value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(function(child) {
+        if (child && typeof child.type === 'string') {
+          callback(child);
+        }
+      });
+    } else if (value && typeof value.type === 'string') {
+      callback(value);
+    }
+  });
+}
+
+exports.parseModule = parseModule;
+exports.forEachChild = forEachChild;
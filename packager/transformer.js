@@ -11,6 +11,8 @@
 'use strict';
 
 var jstransform = require('jstransform').transform;
+var SourceMapConsumer = require('source-map').SourceMapConsumer;
+var SourceMapGenerator = require('source-map').SourceMapGenerator;
 
 var reactVisitors =
   require('react-tools/vendor/fbtransform/visitors').getAllVisitors();
@@ -21,11 +23,45 @@ var staticTypeSyntax =
 var visitorList = reactVisitors;
 
 
-function transform(srcTxt, filename) {
+/**
+ * Runs the transform plugins configured for the extension of the file one
+ * after the other, and then the JS transforms. A plugin is a module exporting
+ * a function that takes the source code and the file name, and returns
+ * `{code, map}`, where `map` is an optional source map of the code it got.
+ * When any of the plugins doesn't return one there's no map of the result.
+ */
+function transform(srcTxt, filename, transforms) {
+  var code = srcTxt;
+  var maps = [];
+
+  (transforms || []).forEach(function(modulePath) {
+    var pluginResult = require(modulePath)(code, filename);
+    code = pluginResult.code;
+    maps.push(pluginResult.map);
+  });
+
+  var result = transformJS(code, filename);
+  maps.push(result.map);
+
+  var map;
+  if (maps.every(Boolean)) {
+    map = maps.reduce(function(innerMap, outerMap) {
+      return composeSourceMaps(outerMap, innerMap);
+    });
+  }
+
+  return {
+    code: result.code,
+    map: map,
+  };
+}
+
+function transformJS(srcTxt, filename) {
   var options = {
     es3: true,
     sourceType: 'nonStrictModule',
     filename: filename,
+    sourceMap: true,
   };
 
   // These tranforms mostly just erase type annotations and static typing
@@ -37,19 +73,68 @@ function transform(srcTxt, filename) {
     options
   );
 
-  return jstransform(
+  var result = jstransform(
     visitorList,
     staticTypeSyntaxResult.code,
     options
   );
+
+  return {
+    code: result.code,
+    map: composeSourceMaps(
+      result.sourceMap.toJSON(),
+      staticTypeSyntaxResult.sourceMap.toJSON()
+    ),
+  };
+}
+
+/**
+ * The second pass maps its output to the output of the first pass. Route
+ * every mapping through the first pass map so that it points to the original
+ * source.
+ */
+function composeSourceMaps(outerMap, innerMap) {
+  var outer = new SourceMapConsumer(outerMap);
+  var inner = new SourceMapConsumer(innerMap);
+  var composed = new SourceMapGenerator({file: outer.file});
+
+  outer.eachMapping(function(mapping) {
+    if (mapping.originalLine == null) {
+      return;
+    }
+
+    var original = inner.originalPositionFor({
+      line: mapping.originalLine,
+      column: mapping.originalColumn,
+    });
+    if (original.source == null) {
+      return;
+    }
+
+    composed.addMapping({
+      generated: {
+        line: mapping.generatedLine,
+        column: mapping.generatedColumn,
+      },
+      original: {
+        line: original.line,
+        column: original.column,
+      },
+      source: original.source,
+    });
+  });
+
+  return composed.toJSON();
 }
 
 module.exports = function(data, callback) {
+  var startTime = Date.now();
   var result;
   try {
     result = transform(
       data.sourceCode,
-      data.filename
+      data.filename,
+      data.transforms
     );
   } catch (e) {
     return callback(null, {
@@ -63,6 +148,7 @@ module.exports = function(data, callback) {
     });
   }
 
+  result.transformTime = Date.now() - startTime;
   callback(null, result);
 };
 
@@ -0,0 +1,24 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * Turns a JSON file into a module exporting its content, so that it can be
+ * required like `require('./strings.json')`. Keeps the lines where they are.
+ */
+'use strict';
+
+module.exports = function(sourceCode, filename) {
+  try {
+    JSON.parse(sourceCode);
+  } catch (e) {
+    throw new Error('Invalid JSON in ' + filename + ': ' + e.message);
+  }
+
+  return {
+    code: 'module.exports = ' + sourceCode.replace(/\s+$/, '') + ';',
+  };
+};
@@ -0,0 +1,48 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+var path = require('path');
+
+var defaultTransforms = {
+  json: [require.resolve('./transformers/json.js')],
+};
+
+/**
+ * Returns the transform plugins to run by file extension: the default ones
+ * followed by the ones in `configTransforms` (plugin paths by extension, see
+ * `loadConfig`) and the ones in `transformOption`, a comma separated list of
+ * `extension:path/to/plugin.js` (e.g. the `--transform` flag).
+ */
+function transforms(transformOption, configTransforms) {
+  var result = {};
+  [defaultTransforms, configTransforms || {}].forEach(function(plugins) {
+    Object.keys(plugins).forEach(function(ext) {
+      result[ext] = (result[ext] || []).concat(plugins[ext]);
+    });
+  });
+
+  if (transformOption) {
+    transformOption.split(',').forEach(function(transform) {
+      var parts = transform.split(':');
+      if (parts.length !== 2) {
+        throw new Error(
+          'Expected a transform of the form extension:path, got ' + transform
+        );
+      }
+
+      var ext = parts[0].replace(/^\./, '');
+      result[ext] = (result[ext] || []).concat(path.resolve(parts[1]));
+    });
+  }
+
+  return result;
+}
+
+module.exports = transforms;
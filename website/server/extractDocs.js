@@ -113,7 +113,7 @@ var apis = [
   '../Libraries/Animation/Animation.js',
   '../Libraries/AppRegistry/AppRegistry.js',
   '../Libraries/AppStateIOS/AppStateIOS.ios.js',
-  '../Libraries/Storage/AsyncStorage.ios.js',
+  '../Libraries/Storage/AsyncStorage.js',
   '../Libraries/CameraRoll/CameraRoll.js',
   '../Libraries/Interaction/InteractionManager.js',
   '../Libraries/Animation/LayoutAnimation.js',